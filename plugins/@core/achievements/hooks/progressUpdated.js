@@ -0,0 +1,14 @@
+/**
+ * progress.updated listener - Advance and unlock achievements tied to the metric
+ * Returns { newAchievements } so POST /progress/update can report unlocks
+ */
+module.exports = async (payload, event, context) => {
+  const { config, achievementService } = context;
+
+  if (config.autoCheck === false || !achievementService) {
+    return { newAchievements: [] };
+  }
+
+  const newAchievements = await achievementService.checkAchievements(payload.userId, payload.metric, payload.currentValue);
+  return { newAchievements };
+};
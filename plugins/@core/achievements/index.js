@@ -12,6 +12,10 @@ const manifest = {
   author: 'SSBackend Core Team',
   ssbackend_version: '^1.0.0',
   dependencies: [],
+  provides: ['achievements'],
+  hooks: [
+    { event: 'progress.updated', handler: './hooks/progressUpdated.js' }
+  ],
   configSchema: {
     type: 'object',
     properties: {
@@ -172,6 +176,11 @@ async function onActivate(context) {
 
   const { app, db, config } = context;
 
+  // Routes and event hooks receive the activation context
+  const AchievementService = require('./services/AchievementService');
+  context.achievementService = new AchievementService(db);
+  context.provideService('achievements', context.achievementService);
+
   // Mount admin routes
   try {
     const adminRoutes = require('./routes/admin/index')(db);
@@ -12,6 +12,7 @@ const manifest = {
   author: 'SSBackend Core Team',
   ssbackend_version: '^1.0.0',
   dependencies: [],
+  provides: ['economy.currencies', 'economy.balances', 'economy.transactions'],
   configSchema: {
     type: 'object',
     properties: {
@@ -37,6 +38,19 @@ const manifest = {
             max_balance: -1
           }
         ],
+        items: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            symbol: { type: 'string' },
+            decimal_places: { type: 'integer', minimum: 0, maximum: 8 },
+            starting_balance: { type: 'number', minimum: 0 },
+            transferable: { type: 'boolean' },
+            max_balance: { type: 'number', minimum: -1 }
+          }
+        },
         description: 'Default currencies to create on plugin activation'
       },
       transaction_limits: {
@@ -45,6 +59,10 @@ const manifest = {
           max_amount: 1000000,
           daily_volume_limit: 10000000
         },
+        properties: {
+          max_amount: { type: 'number', minimum: 1, default: 1000000, description: 'Largest single transaction amount' },
+          daily_volume_limit: { type: 'number', minimum: 1, default: 10000000, description: 'Total amount a user can move per day' }
+        },
         description: 'Transaction amount and volume limits'
       },
       analytics: {
@@ -53,6 +71,10 @@ const manifest = {
           enabled: true,
           retention_days: 365
         },
+        properties: {
+          enabled: { type: 'boolean', default: true, description: 'Collect economy analytics' },
+          retention_days: { type: 'integer', minimum: 1, default: 365, description: 'Days of analytics data to keep' }
+        },
         description: 'Analytics collection and retention settings'
       },
       cache: {
@@ -61,6 +83,10 @@ const manifest = {
           balance_ttl: 300,
           analytics_ttl: 3600
         },
+        properties: {
+          balance_ttl: { type: 'integer', minimum: 0, default: 300, description: 'Seconds to cache balances' },
+          analytics_ttl: { type: 'integer', minimum: 0, default: 3600, description: 'Seconds to cache analytics results' }
+        },
         description: 'Cache settings for performance optimization'
       }
     }
@@ -165,15 +191,27 @@ async function onActivate(context) {
 
     // Initialize economy services
     const CurrencyService = require('./services/CurrencyService');
-    const BalanceService = require('./services/balanceService');
+    const BalanceService = require('./services/BalanceService');
     const TransactionService = require('./services/TransactionService');
     const AnalyticsService = require('./services/AnalyticsService');
+    const ShopService = require('./services/ShopService');
+    const TransferService = require('./services/TransferService');
     const economyAuditLogger = require('./services/economyAuditLogger');
 
     context.currencyService = new CurrencyService(db);
     context.balanceService = new BalanceService(db);
     context.transactionService = new TransactionService(db);
     context.analyticsService = new AnalyticsService(db);
+    context.shopService = new ShopService(db, { transactionService: context.transactionService });
+    context.transferService = new TransferService(db, {
+      transactionService: context.transactionService,
+      currencyService: context.currencyService
+    });
+
+    // Shared with other plugins through manifest.requires / context.getService
+    context.provideService('economy.currencies', context.currencyService);
+    context.provideService('economy.balances', context.balanceService);
+    context.provideService('economy.transactions', context.transactionService);
 
     // Initialize audit logger
     economyAuditLogger.init(db);
@@ -199,6 +237,8 @@ async function onDeactivate(context) {
   if (context.balanceService) delete context.balanceService;
   if (context.transactionService) delete context.transactionService;
   if (context.analyticsService) delete context.analyticsService;
+  if (context.shopService) delete context.shopService;
+  if (context.transferService) delete context.transferService;
 }
 /**
  * Plugin route definitions
@@ -287,6 +327,31 @@ const routes = [
     description: 'Rollback transaction (admin only)'
   },
 
+  // Transfer Routes
+  {
+    method: 'POST',
+    path: '/economy/transfers',
+    handler: './routes/transfers.js',
+    middleware: ['auth'],
+    description: 'Send currency to another player'
+  },
+
+  // Shop Routes
+  {
+    method: 'GET',
+    path: '/economy/shop',
+    handler: './routes/shop.js',
+    middleware: ['auth'],
+    description: 'List shop listings that can currently be bought'
+  },
+  {
+    method: 'POST',
+    path: '/economy/shop/purchase',
+    handler: './routes/shop.js',
+    middleware: ['auth'],
+    description: 'Buy a shop listing (debits balance, credits inventory)'
+  },
+
   // Analytics Routes
   {
     method: 'GET',
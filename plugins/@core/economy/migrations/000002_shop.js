@@ -0,0 +1,114 @@
+/**
+ * Economy Plugin - Shop Migration
+ *
+ * Creates the tables for the item shop:
+ * - plugin_shop_listings: Admin-defined listings selling inventory items
+ * - plugin_shop_listing_prices: Price of a listing in each accepted currency
+ * - plugin_shop_purchases: Purchase log (also used for per-user limits)
+ */
+
+module.exports = {
+    version: 2,
+    name: 'shop',
+    description: 'Create shop listing, price and purchase tables',
+
+    async up(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_shop_listings (
+            id TEXT PRIMARY KEY,
+            item_id TEXT NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 1,
+            stock INTEGER,
+            per_user_limit INTEGER,
+            available_from DATETIME,
+            available_until DATETIME,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            CHECK (stock IS NULL OR stock >= 0)
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_shop_listings table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_shop_listing_prices (
+            listing_id TEXT NOT NULL,
+            currency_id TEXT NOT NULL,
+            price INTEGER NOT NULL,
+            PRIMARY KEY (listing_id, currency_id),
+            FOREIGN KEY (listing_id) REFERENCES plugin_shop_listings(id) ON DELETE CASCADE,
+            FOREIGN KEY (currency_id) REFERENCES plugin_currencies(id),
+            CHECK (price > 0)
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_shop_listing_prices table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_shop_purchases (
+            id TEXT PRIMARY KEY,
+            listing_id TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            item_id TEXT NOT NULL,
+            units INTEGER NOT NULL,
+            quantity INTEGER NOT NULL,
+            currency_id TEXT NOT NULL,
+            total_price INTEGER NOT NULL,
+            transaction_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (transaction_id) REFERENCES plugin_transactions(id)
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_shop_purchases table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(
+                    'CREATE INDEX IF NOT EXISTS idx_shop_purchases_user ON plugin_shop_purchases(user_id, listing_id);',
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to create shop purchases index:', err);
+                            return reject(err);
+                        }
+                        resolve();
+                    }
+                );
+            });
+        });
+    },
+
+    async down(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run('DROP INDEX IF EXISTS idx_shop_purchases_user;', (err) => {
+                    if (err) console.error('Failed to drop index:', err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_shop_purchases;', (err) => {
+                    if (err) return reject(err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_shop_listing_prices;', (err) => {
+                    if (err) return reject(err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_shop_listings;', (err) => {
+                    if (err) return reject(err);
+                    resolve();
+                });
+            });
+        });
+    }
+};
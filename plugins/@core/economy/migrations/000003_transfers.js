@@ -0,0 +1,86 @@
+/**
+ * Economy Plugin - Transfers Migration
+ *
+ * Creates the table for player-to-player transfers:
+ * - plugin_transfers: One row per transfer, linking the sender's debit and
+ *   the recipient's credit in plugin_transactions (also used for daily limits)
+ */
+
+module.exports = {
+    version: 3,
+    name: 'transfers',
+    description: 'Create player-to-player transfer table',
+
+    async up(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_transfers (
+            id TEXT PRIMARY KEY,
+            from_user_id INTEGER NOT NULL,
+            to_user_id INTEGER NOT NULL,
+            currency_id TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            fee INTEGER NOT NULL DEFAULT 0,
+            amount_received INTEGER NOT NULL,
+            debit_transaction_id TEXT NOT NULL,
+            credit_transaction_id TEXT NOT NULL,
+            description TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (from_user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (to_user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (currency_id) REFERENCES plugin_currencies(id),
+            FOREIGN KEY (debit_transaction_id) REFERENCES plugin_transactions(id),
+            FOREIGN KEY (credit_transaction_id) REFERENCES plugin_transactions(id),
+            CHECK (amount > 0)
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_transfers table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(
+                    'CREATE INDEX IF NOT EXISTS idx_transfers_sender ON plugin_transfers(from_user_id, currency_id, created_at DESC);',
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to create transfers sender index:', err);
+                            return reject(err);
+                        }
+                    }
+                );
+
+                db.run(
+                    'CREATE INDEX IF NOT EXISTS idx_transfers_recipient ON plugin_transfers(to_user_id, created_at DESC);',
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to create transfers recipient index:', err);
+                            return reject(err);
+                        }
+                        resolve();
+                    }
+                );
+            });
+        });
+    },
+
+    async down(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run('DROP INDEX IF EXISTS idx_transfers_recipient;', (err) => {
+                    if (err) console.error('Failed to drop index:', err);
+                });
+
+                db.run('DROP INDEX IF EXISTS idx_transfers_sender;', (err) => {
+                    if (err) console.error('Failed to drop index:', err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_transfers;', (err) => {
+                    if (err) return reject(err);
+                    resolve();
+                });
+            });
+        });
+    }
+};
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const BalanceService = require('../../services/balanceService');
+const BalanceService = require('../../services/BalanceService');
 
 // Admin authentication middleware (reuse pattern from main admin routes)
 const adminAuth = (req, res, next) => {
@@ -7,6 +7,8 @@ const transactionRoutes = require('./transactionRoutes');
 const currencyRoutes = require('./currencyRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
 const reportRoutes = require('./reportRoutes');
+const shopRoutes = require('./shopRoutes');
+const transferRoutes = require('./transferRoutes');
 
 // Admin authentication middleware (shared across all admin routes)
 const adminAuth = (req, res, next) => {
@@ -32,6 +34,8 @@ module.exports = (db) => {
   router.use('/', currencyRoutes(db));
   router.use('/', analyticsRoutes(db));
   router.use('/', reportRoutes(db));
+  router.use('/', shopRoutes(db));
+  router.use('/', transferRoutes(db));
 
   // Health check endpoint
   router.get('/health', adminAuth, (req, res) => {
@@ -72,6 +76,14 @@ module.exports = (db) => {
           wealth: '/admin/api/plugins/economy/analytics/wealth',
           recent: '/admin/api/plugins/economy/recent-activity'
         },
+        shop: {
+          listings: '/admin/api/plugins/economy/shop/listings',
+          listing: '/admin/api/plugins/economy/shop/listings/:listingId',
+          purchases: '/admin/api/plugins/economy/shop/purchases'
+        },
+        transfers: {
+          get: '/admin/api/plugins/economy/transfers'
+        },
         reports: {
           transactions: '/admin/api/plugins/economy/reports/transactions/export',
           balances: '/admin/api/plugins/economy/reports/balances/export',
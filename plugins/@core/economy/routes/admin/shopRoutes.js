@@ -0,0 +1,128 @@
+const express = require('express');
+const ShopService = require('../../services/ShopService');
+
+// Admin authentication middleware (reuse pattern from main admin routes)
+const adminAuth = (req, res, next) => {
+  const adminSession = req.session?.adminAuthenticated;
+  const isCliRequest = req.headers['user-agent']?.includes('CLI') || req.headers['x-cli-request'];
+
+  // Temporary CLI bypass for development - in production, implement proper CLI auth
+  if (isCliRequest && process.env.NODE_ENV !== 'production') {
+    console.log('🔧 CLI request detected - bypassing admin auth for development');
+    return next();
+  }
+
+  if (!adminSession) {
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+  next();
+};
+
+/**
+ * Map listing validation errors to HTTP responses
+ * @returns {boolean} True if a response was sent
+ */
+function sendListingError(res, error) {
+  if (error.code === 'INVALID_LISTING') {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  if (error.code === 'LISTING_EXISTS') {
+    res.status(409).json({ error: error.message });
+    return true;
+  }
+  return false;
+}
+
+module.exports = (db) => {
+  // One router per database so each project's shop uses its own tables
+  const router = express.Router();
+  const shopService = new ShopService(db);
+
+  /**
+   * Get all shop listings, including disabled and expired ones
+   * GET /admin/api/plugins/economy/shop/listings
+   */
+  router.get('/shop/listings', adminAuth, async (req, res) => {
+    try {
+      const listings = await shopService.getAllListings();
+      res.json({
+        success: true,
+        listings
+      });
+    } catch (error) {
+      console.error('Error getting shop listings:', error);
+      res.status(500).json({ error: 'Failed to retrieve shop listings' });
+    }
+  });
+
+  /**
+   * Create a shop listing
+   * POST /admin/api/plugins/economy/shop/listings
+   */
+  router.post('/shop/listings', adminAuth, async (req, res) => {
+    try {
+      const listing = await shopService.createListing(req.body);
+      res.status(201).json({ success: true, listing });
+    } catch (error) {
+      if (sendListingError(res, error)) return;
+      console.error('Error creating shop listing:', error);
+      res.status(500).json({ error: 'Failed to create shop listing' });
+    }
+  });
+
+  /**
+   * Update a shop listing
+   * PUT /admin/api/plugins/economy/shop/listings/:listingId
+   */
+  router.put('/shop/listings/:listingId', adminAuth, async (req, res) => {
+    try {
+      const listing = await shopService.updateListing(req.params.listingId, req.body);
+      if (!listing) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      res.json({ success: true, listing });
+    } catch (error) {
+      if (sendListingError(res, error)) return;
+      console.error('Error updating shop listing:', error);
+      res.status(500).json({ error: 'Failed to update shop listing' });
+    }
+  });
+
+  /**
+   * Delete a shop listing
+   * DELETE /admin/api/plugins/economy/shop/listings/:listingId
+   */
+  router.delete('/shop/listings/:listingId', adminAuth, async (req, res) => {
+    try {
+      const deleted = await shopService.deleteListing(req.params.listingId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Listing not found' });
+      }
+      res.json({ success: true, message: 'Listing deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting shop listing:', error);
+      res.status(500).json({ error: 'Failed to delete shop listing' });
+    }
+  });
+
+  /**
+   * Get recent shop purchases
+   * GET /admin/api/plugins/economy/shop/purchases?listingId=&userId=&limit=
+   */
+  router.get('/shop/purchases', adminAuth, async (req, res) => {
+    try {
+      const { listingId, userId, limit } = req.query;
+      const purchases = await shopService.getPurchases({ listingId, userId, limit });
+      res.json({
+        success: true,
+        purchases
+      });
+    } catch (error) {
+      console.error('Error getting shop purchases:', error);
+      res.status(500).json({ error: 'Failed to retrieve shop purchases' });
+    }
+  });
+
+  return router;
+};
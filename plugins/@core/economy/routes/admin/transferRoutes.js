@@ -0,0 +1,48 @@
+const express = require('express');
+const TransferService = require('../../services/TransferService');
+
+// Admin authentication middleware (reuse pattern from main admin routes)
+const adminAuth = (req, res, next) => {
+  const adminSession = req.session?.adminAuthenticated;
+  const isCliRequest = req.headers['user-agent']?.includes('CLI') || req.headers['x-cli-request'];
+
+  // Temporary CLI bypass for development - in production, implement proper CLI auth
+  if (isCliRequest && process.env.NODE_ENV !== 'production') {
+    console.log('🔧 CLI request detected - bypassing admin auth for development');
+    return next();
+  }
+
+  if (!adminSession) {
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+  next();
+};
+
+module.exports = (db) => {
+  const router = express.Router();
+  const transferService = new TransferService(db);
+
+  /**
+   * Get recent player-to-player transfers
+   * GET /admin/api/plugins/economy/transfers?userId=&currency=&limit=
+   */
+  router.get('/transfers', adminAuth, async (req, res) => {
+    try {
+      const { userId, currency, limit } = req.query;
+      const transfers = await transferService.getTransfers({
+        userId,
+        currencyId: currency && currency !== 'all' ? currency : undefined,
+        limit
+      });
+      res.json({
+        success: true,
+        transfers
+      });
+    } catch (error) {
+      console.error('Error getting transfers:', error);
+      res.status(500).json({ error: 'Failed to retrieve transfers' });
+    }
+  });
+
+  return router;
+};
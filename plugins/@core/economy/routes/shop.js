@@ -0,0 +1,126 @@
+/**
+ * Item shop routes for the economy plugin
+ */
+
+/**
+ * Map shop errors to HTTP status codes
+ */
+const SHOP_ERROR_STATUS = {
+  INVALID_PURCHASE: 400,
+  CURRENCY_NOT_ACCEPTED: 400,
+  INSUFFICIENT_BALANCE: 400,
+  LISTING_NOT_FOUND: 404,
+  LISTING_UNAVAILABLE: 409,
+  OUT_OF_STOCK: 409,
+  PURCHASE_LIMIT_REACHED: 409,
+  UNKNOWN_ITEM: 409,
+  STACK_LIMIT_EXCEEDED: 422
+};
+
+/**
+ * Handle shop-related requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleShopRequest(req, res) {
+  const { method, body, user } = req;
+  const { shopService } = req.pluginContext || {};
+
+  if (!shopService) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Shop service not available'
+    });
+  }
+
+  try {
+    switch (method) {
+      case 'GET':
+        return await listShop(shopService, res);
+
+      case 'POST':
+        if (req.path.endsWith('/purchase')) {
+          return await purchaseListing(shopService, body, user, res);
+        }
+        break;
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    return res.status(404).json({ error: 'Not found' });
+  } catch (error) {
+    console.error('Shop route error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * List listings that can currently be bought
+ */
+async function listShop(shopService, res) {
+  const listings = await shopService.getAvailableListings();
+
+  return res.json({
+    success: true,
+    listings: listings.map(listing => ({
+      id: listing.id,
+      item: {
+        id: listing.itemId,
+        name: listing.itemName,
+        category: listing.itemCategory
+      },
+      quantity: listing.quantity,
+      prices: listing.prices,
+      stock: listing.stock,
+      perUserLimit: listing.perUserLimit,
+      availableUntil: listing.availableUntil
+    })),
+    count: listings.length
+  });
+}
+
+/**
+ * Buy a listing for the authenticated user
+ */
+async function purchaseListing(shopService, body, user, res) {
+  const { listingId, currencyId, quantity = 1 } = body;
+
+  if (!listingId || !currencyId) {
+    return res.status(400).json({
+      error: 'Missing required fields: listingId, currencyId'
+    });
+  }
+
+  try {
+    const result = await shopService.purchase({
+      userId: user.id,
+      listingId,
+      currencyId,
+      units: quantity
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Purchase completed successfully',
+      purchase: result
+    });
+  } catch (error) {
+    const status = SHOP_ERROR_STATUS[error.code];
+    if (!status) {
+      throw error;
+    }
+
+    const response = { error: error.message, code: error.code };
+    ['acceptedCurrencies', 'stock', 'perUserLimit', 'purchased', 'price', 'maxStack', 'currentQuantity']
+      .filter(field => error[field] !== undefined)
+      .forEach(field => { response[field] = error[field]; });
+
+    return res.status(status).json(response);
+  }
+}
+
+module.exports = handleShopRequest;
@@ -0,0 +1,92 @@
+/**
+ * Player-to-player transfer routes for the economy plugin
+ */
+
+/**
+ * Map transfer errors to HTTP status codes
+ */
+const TRANSFER_ERROR_STATUS = {
+  INVALID_TRANSFER: 400,
+  TRANSFER_NOT_ALLOWED: 400,
+  TRANSFER_LIMIT_EXCEEDED: 400,
+  INSUFFICIENT_BALANCE: 400,
+  CURRENCY_NOT_FOUND: 404,
+  RECIPIENT_NOT_FOUND: 404,
+  MAX_BALANCE_EXCEEDED: 409
+};
+
+/**
+ * Handle transfer-related requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleTransferRequest(req, res) {
+  const { method, body, user } = req;
+  const { transferService, config = {} } = req.pluginContext || {};
+
+  if (!transferService) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Transfer service not available'
+    });
+  }
+
+  try {
+    switch (method) {
+      case 'POST':
+        return await createTransfer(transferService, config, body, user, res);
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Transfer route error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Send currency from the authenticated user to another user
+ */
+async function createTransfer(transferService, config, body, user, res) {
+  const { toUserId, currencyId, amount, description = '' } = body;
+
+  if (!toUserId || !currencyId || amount === undefined) {
+    return res.status(400).json({
+      error: 'Missing required fields: toUserId, currencyId, amount'
+    });
+  }
+
+  try {
+    const result = await transferService.transfer({
+      fromUserId: user.id,
+      toUserId,
+      currencyId,
+      amount,
+      description
+    }, config.transaction_limits);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Transfer completed successfully',
+      transfer: result
+    });
+  } catch (error) {
+    const status = TRANSFER_ERROR_STATUS[error.code];
+    if (!status) {
+      throw error;
+    }
+
+    const response = { error: error.message, code: error.code };
+    ['details', 'fee', 'remainingDailyVolume', 'maxBalance']
+      .filter(field => error[field] !== undefined)
+      .forEach(field => { response[field] = error[field]; });
+
+    return res.status(status).json(response);
+  }
+}
+
+module.exports = handleTransferRequest;
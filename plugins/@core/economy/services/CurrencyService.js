@@ -116,9 +116,16 @@ class CurrencyService {
     const values = [];
 
     Object.keys(updates).forEach(field => {
-      if (allowedFields.includes(field)) {
+      // Omitted fields keep their value (transferable would otherwise become NULL and block transfers)
+      if (allowedFields.includes(field) && updates[field] !== undefined) {
         updateFields.push(`${field} = ?`);
-        values.push(field === 'config' ? JSON.stringify(updates[field]) : updates[field]);
+        if (field === 'config') {
+          values.push(JSON.stringify(updates[field]));
+        } else if (field === 'transferable') {
+          values.push(updates[field] ? 1 : 0);
+        } else {
+          values.push(updates[field]);
+        }
       }
     });
 
@@ -0,0 +1,494 @@
+const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../../../../src/db/transaction');
+const InventoryService = require('../../../../src/services/inventory/InventoryService');
+const ItemCatalogService = require('../../../../src/services/inventory/ItemCatalogService');
+const TransactionService = require('./TransactionService');
+
+const LISTING_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+/**
+ * Shop Service - Sells inventory items for virtual currency
+ *
+ * Listings are defined by admins: the item and quantity sold, a price in one
+ * or more currencies, optional stock and per-user limits, and an optional
+ * availability window. A purchase debits the balance, credits the core
+ * `inventory` table and records the purchase in a single database
+ * transaction, so a failure at any step leaves nothing half-applied.
+ */
+class ShopService {
+  /**
+   * @param {Object} db - Project database instance
+   * @param {Object} options - Service options
+   * @param {TransactionService} options.transactionService - Balance transactions
+   * @param {InventoryService} options.inventoryService - Core inventory writes
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.transactionService = options.transactionService || new TransactionService(db);
+    this.inventoryService = options.inventoryService || new InventoryService(db);
+    this.catalog = new ItemCatalogService(db);
+  }
+
+  async dbGet(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async dbAll(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async dbRun(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Create a shop error
+   * @private
+   */
+  _error(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+  }
+
+  /**
+   * Check whether a listing can currently be bought
+   * @param {Object} listing - Formatted listing
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  isAvailable(listing, now = new Date()) {
+    if (!listing.enabled) return false;
+    if (listing.stock !== null && listing.stock <= 0) return false;
+    if (listing.availableFrom && now < new Date(listing.availableFrom)) return false;
+    if (listing.availableUntil && now >= new Date(listing.availableUntil)) return false;
+    return true;
+  }
+
+  /**
+   * Load listings with their prices and item names
+   * @private
+   */
+  async _loadListings(whereClause = '', params = []) {
+    const rows = await this.dbAll(`
+      SELECT l.*, i.name AS item_name, i.category AS item_category
+      FROM plugin_shop_listings l
+      LEFT JOIN item_definitions i ON i.id = l.item_id
+      ${whereClause}
+      ORDER BY l.id
+    `, params);
+
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const prices = await this.dbAll(
+      `SELECT listing_id, currency_id, price FROM plugin_shop_listing_prices
+       WHERE listing_id IN (${rows.map(() => '?').join(', ')})`,
+      rows.map(row => row.id)
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      itemId: row.item_id,
+      itemName: row.item_name || null,
+      itemCategory: row.item_category || null,
+      quantity: row.quantity,
+      prices: prices
+        .filter(price => price.listing_id === row.id)
+        .reduce((acc, price) => ({ ...acc, [price.currency_id]: price.price }), {}),
+      stock: row.stock,
+      perUserLimit: row.per_user_limit,
+      availableFrom: row.available_from,
+      availableUntil: row.available_until,
+      enabled: !!row.enabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Get all listings (admin view)
+   * @returns {Promise<Array>} Listings including disabled and expired ones
+   */
+  async getAllListings() {
+    const listings = await this._loadListings();
+    const now = new Date();
+    return listings.map(listing => ({ ...listing, available: this.isAvailable(listing, now) }));
+  }
+
+  /**
+   * Get listings that can currently be bought
+   * @returns {Promise<Array>} Available listings
+   */
+  async getAvailableListings() {
+    const listings = await this._loadListings('WHERE l.enabled = 1');
+    const now = new Date();
+    return listings.filter(listing => this.isAvailable(listing, now));
+  }
+
+  /**
+   * Get a single listing
+   * @param {string} listingId - Listing identifier
+   * @returns {Promise<Object|null>} Listing or null
+   */
+  async getListing(listingId) {
+    const [listing] = await this._loadListings('WHERE l.id = ?', [listingId]);
+    return listing || null;
+  }
+
+  /**
+   * Validate and normalise listing fields
+   * @private
+   * @param {Object} input - Listing fields from the request
+   * @param {boolean} partial - Whether missing fields are allowed (update)
+   * @returns {Promise<Object>} { columns, prices }
+   * @throws {Error} With code 'INVALID_LISTING'
+   */
+  async _normalize(input, partial) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw this._error('INVALID_LISTING', 'Listing must be an object');
+    }
+
+    const columns = {};
+    let prices = null;
+
+    if (!partial || input.itemId !== undefined) {
+      if (typeof input.itemId !== 'string' || input.itemId.trim().length === 0) {
+        throw this._error('INVALID_LISTING', 'itemId must be a non-empty string');
+      }
+      try {
+        await this.catalog.resolveItem(input.itemId);
+      } catch (error) {
+        if (error.code === 'UNKNOWN_ITEM') {
+          throw this._error('INVALID_LISTING', `Item "${input.itemId}" is not in the item catalog`);
+        }
+        throw error;
+      }
+      columns.item_id = input.itemId;
+    }
+
+    if (input.quantity !== undefined) {
+      if (!Number.isInteger(input.quantity) || input.quantity < 1) {
+        throw this._error('INVALID_LISTING', 'quantity must be a positive integer');
+      }
+      columns.quantity = input.quantity;
+    }
+
+    if (!partial || input.prices !== undefined) {
+      const entries = input.prices && typeof input.prices === 'object' && !Array.isArray(input.prices)
+        ? Object.entries(input.prices)
+        : [];
+      if (entries.length === 0) {
+        throw this._error('INVALID_LISTING', 'prices must map at least one currency to a price');
+      }
+
+      for (const [currencyId, price] of entries) {
+        if (!Number.isInteger(price) || price < 1) {
+          throw this._error('INVALID_LISTING', `Price in ${currencyId} must be a positive integer`);
+        }
+        const currency = await this.dbGet('SELECT id FROM plugin_currencies WHERE id = ?', [currencyId]);
+        if (!currency) {
+          throw this._error('INVALID_LISTING', `Currency "${currencyId}" does not exist`);
+        }
+      }
+      prices = entries;
+    }
+
+    if (input.stock !== undefined) {
+      if (input.stock !== null && (!Number.isInteger(input.stock) || input.stock < 0)) {
+        throw this._error('INVALID_LISTING', 'stock must be a non-negative integer or null');
+      }
+      columns.stock = input.stock;
+    }
+
+    if (input.perUserLimit !== undefined) {
+      if (input.perUserLimit !== null && (!Number.isInteger(input.perUserLimit) || input.perUserLimit < 1)) {
+        throw this._error('INVALID_LISTING', 'perUserLimit must be a positive integer or null');
+      }
+      columns.per_user_limit = input.perUserLimit;
+    }
+
+    for (const [field, column] of [['availableFrom', 'available_from'], ['availableUntil', 'available_until']]) {
+      if (input[field] !== undefined) {
+        if (input[field] !== null && isNaN(new Date(input[field]).getTime())) {
+          throw this._error('INVALID_LISTING', `${field} must be a valid date or null`);
+        }
+        columns[column] = input[field] === null ? null : new Date(input[field]).toISOString();
+      }
+    }
+
+    if (columns.available_from && columns.available_until &&
+        columns.available_from >= columns.available_until) {
+      throw this._error('INVALID_LISTING', 'availableFrom must be before availableUntil');
+    }
+
+    if (input.enabled !== undefined) {
+      if (typeof input.enabled !== 'boolean') {
+        throw this._error('INVALID_LISTING', 'enabled must be a boolean');
+      }
+      columns.enabled = input.enabled ? 1 : 0;
+    }
+
+    return { columns, prices };
+  }
+
+  /**
+   * Replace the prices of a listing
+   * @private
+   */
+  async _writePrices(listingId, prices) {
+    await this.dbRun('DELETE FROM plugin_shop_listing_prices WHERE listing_id = ?', [listingId]);
+    for (const [currencyId, price] of prices) {
+      await this.dbRun(
+        'INSERT INTO plugin_shop_listing_prices (listing_id, currency_id, price) VALUES (?, ?, ?)',
+        [listingId, currencyId, price]
+      );
+    }
+  }
+
+  /**
+   * Create a listing
+   * @param {Object} input - { id, itemId, quantity, prices, stock, perUserLimit, availableFrom, availableUntil, enabled }
+   * @returns {Promise<Object>} Created listing
+   * @throws {Error} With code 'INVALID_LISTING' or 'LISTING_EXISTS'
+   */
+  async createListing(input) {
+    const id = input && input.id;
+    if (typeof id !== 'string' || !LISTING_ID_PATTERN.test(id)) {
+      throw this._error(
+        'INVALID_LISTING',
+        'id must be 1-64 characters of letters, digits, "_", "-", "." or ":"'
+      );
+    }
+
+    const { columns, prices } = await this._normalize(input, false);
+
+    await withTransaction(this.db, async () => {
+      if (await this.dbGet('SELECT id FROM plugin_shop_listings WHERE id = ?', [id])) {
+        throw this._error('LISTING_EXISTS', `Listing "${id}" already exists`);
+      }
+
+      const names = ['id', ...Object.keys(columns)];
+      await this.dbRun(
+        `INSERT INTO plugin_shop_listings (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+        [id, ...Object.values(columns)]
+      );
+      await this._writePrices(id, prices);
+    });
+
+    return this.getListing(id);
+  }
+
+  /**
+   * Update a listing (the id is immutable)
+   * @param {string} listingId - Listing identifier
+   * @param {Object} input - Fields to change; `prices` replaces all prices
+   * @returns {Promise<Object|null>} Updated listing, or null if not found
+   * @throws {Error} With code 'INVALID_LISTING'
+   */
+  async updateListing(listingId, input) {
+    const existing = await this.getListing(listingId);
+    if (!existing) {
+      return null;
+    }
+
+    const { columns, prices } = await this._normalize(input, true);
+
+    const from = columns.available_from !== undefined ? columns.available_from : existing.availableFrom;
+    const until = columns.available_until !== undefined ? columns.available_until : existing.availableUntil;
+    if (from && until && from >= until) {
+      throw this._error('INVALID_LISTING', 'availableFrom must be before availableUntil');
+    }
+
+    await withTransaction(this.db, async () => {
+      const names = Object.keys(columns);
+      await this.dbRun(
+        `UPDATE plugin_shop_listings
+         SET ${names.map(name => `${name} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...Object.values(columns), listingId]
+      );
+      if (prices) {
+        await this._writePrices(listingId, prices);
+      }
+    });
+
+    return this.getListing(listingId);
+  }
+
+  /**
+   * Delete a listing (its purchase log is kept)
+   * @param {string} listingId - Listing identifier
+   * @returns {Promise<boolean>} True if a listing was deleted
+   */
+  async deleteListing(listingId) {
+    return withTransaction(this.db, async () => {
+      await this.dbRun('DELETE FROM plugin_shop_listing_prices WHERE listing_id = ?', [listingId]);
+      const result = await this.dbRun('DELETE FROM plugin_shop_listings WHERE id = ?', [listingId]);
+      return result.changes > 0;
+    });
+  }
+
+  /**
+   * Count how many units of a listing a user has bought
+   * @param {number} userId - User ID
+   * @param {string} listingId - Listing identifier
+   * @returns {Promise<number>}
+   */
+  async getUserPurchaseCount(userId, listingId) {
+    const row = await this.dbGet(
+      'SELECT COALESCE(SUM(units), 0) AS units FROM plugin_shop_purchases WHERE user_id = ? AND listing_id = ?',
+      [userId, listingId]
+    );
+    return row.units;
+  }
+
+  /**
+   * Buy a listing
+   * @param {Object} purchase - { userId, listingId, currencyId, units }
+   * @returns {Promise<Object>} Purchase result
+   * @throws {Error} With code LISTING_NOT_FOUND, LISTING_UNAVAILABLE, CURRENCY_NOT_ACCEPTED,
+   *   OUT_OF_STOCK, PURCHASE_LIMIT_REACHED, INSUFFICIENT_BALANCE, UNKNOWN_ITEM or STACK_LIMIT_EXCEEDED
+   */
+  async purchase({ userId, listingId, currencyId, units = 1 }) {
+    if (!Number.isInteger(units) || units < 1) {
+      throw this._error('INVALID_PURCHASE', 'quantity must be a positive integer');
+    }
+
+    return withTransaction(this.db, async () => {
+      const listing = await this.getListing(listingId);
+      if (!listing) {
+        throw this._error('LISTING_NOT_FOUND', `Listing "${listingId}" not found`);
+      }
+      if (listing.stock !== null && listing.stock < units) {
+        throw this._error('OUT_OF_STOCK', `Listing "${listingId}" is out of stock`, { stock: listing.stock });
+      }
+      if (!this.isAvailable(listing)) {
+        throw this._error('LISTING_UNAVAILABLE', `Listing "${listingId}" is not available`);
+      }
+
+      const unitPrice = listing.prices[currencyId];
+      if (unitPrice === undefined) {
+        throw this._error('CURRENCY_NOT_ACCEPTED', `Listing "${listingId}" cannot be bought with ${currencyId}`, {
+          acceptedCurrencies: Object.keys(listing.prices)
+        });
+      }
+
+      if (listing.perUserLimit !== null) {
+        const purchased = await this.getUserPurchaseCount(userId, listingId);
+        if (purchased + units > listing.perUserLimit) {
+          throw this._error('PURCHASE_LIMIT_REACHED', `Purchase limit reached for "${listingId}"`, {
+            perUserLimit: listing.perUserLimit,
+            purchased
+          });
+        }
+      }
+
+      if (listing.stock !== null) {
+        await this.dbRun(
+          'UPDATE plugin_shop_listings SET stock = stock - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [units, listingId]
+        );
+      }
+
+      const purchaseId = uuidv4();
+      const totalPrice = unitPrice * units;
+      const quantity = listing.quantity * units;
+
+      let debit;
+      try {
+        debit = await this.transactionService.executeTransaction({
+          userId,
+          currencyId,
+          amount: -totalPrice,
+          type: 'spend',
+          source: 'shop',
+          sourceId: purchaseId,
+          description: `Shop purchase: ${units} x ${listingId}`,
+          metadata: { listingId, itemId: listing.itemId, quantity, units },
+          createdBy: userId
+        });
+      } catch (error) {
+        if (error.message.includes('Insufficient balance')) {
+          throw this._error('INSUFFICIENT_BALANCE', 'Insufficient balance for purchase', {
+            price: totalPrice,
+            currencyId
+          });
+        }
+        throw error;
+      }
+
+      const [credit] = await this.inventoryService.executeOperations(userId, [
+        { op: 'add', itemId: listing.itemId, quantity }
+      ]);
+
+      await this.dbRun(`
+        INSERT INTO plugin_shop_purchases
+        (id, listing_id, user_id, item_id, units, quantity, currency_id, total_price, transaction_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [purchaseId, listingId, userId, listing.itemId, units, quantity, currencyId, totalPrice, debit.transactionId]);
+
+      return {
+        purchaseId,
+        listingId,
+        itemId: listing.itemId,
+        units,
+        quantity,
+        inventoryQuantity: credit.quantity,
+        currencyId,
+        price: totalPrice,
+        balanceAfter: debit.balanceAfter,
+        transactionId: debit.transactionId,
+        stockRemaining: listing.stock !== null ? listing.stock - units : null
+      };
+    });
+  }
+
+  /**
+   * Get recent purchases (admin view)
+   * @param {Object} options - { listingId, userId, limit }
+   * @returns {Promise<Array>} Purchases, newest first
+   */
+  async getPurchases({ listingId, userId, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (listingId) {
+      conditions.push('p.listing_id = ?');
+      params.push(listingId);
+    }
+    if (userId) {
+      conditions.push('p.user_id = ?');
+      params.push(userId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.dbAll(`
+      SELECT p.*, u.username
+      FROM plugin_shop_purchases p
+      LEFT JOIN users u ON u.id = p.user_id
+      ${where}
+      ORDER BY p.created_at DESC
+      LIMIT ?
+    `, [...params, Math.min(parseInt(limit) || 50, 500)]);
+  }
+}
+
+module.exports = ShopService;
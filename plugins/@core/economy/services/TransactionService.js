@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../../../../src/db/transaction');
 
 /**
  * Transaction Service - Handles atomic economic transactions
@@ -14,16 +15,23 @@ class TransactionService {
    * @returns {Promise<Object>} Transaction result
    */
   async processTransaction(transaction) {
+    return withTransaction(this.db, () => this.executeTransaction(transaction));
+  }
+
+  /**
+   * Apply a transaction within a database transaction the caller already holds
+   * Lets other services (e.g. the shop) combine a balance change with their
+   * own writes so that both commit or roll back together.
+   * @param {Object} transaction - Transaction details
+   * @returns {Promise<Object>} Transaction result
+   */
+  async executeTransaction(transaction) {
     const {
       userId,
       currencyId,
       amount,
       type,
-      source,
-      sourceId = null,
-      description = '',
-      metadata = {},
-      createdBy = null
+      source
     } = transaction;
 
     // Validate transaction
@@ -34,28 +42,12 @@ class TransactionService {
       throw new Error('Transaction amount cannot be zero');
     }
 
-    // Start database transaction
-    return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
-        this.db.run('BEGIN TRANSACTION');
-
-        this._executeTransaction(transaction)
-          .then(result => {
-            this.db.run('COMMIT', (err) => {
-              if (err) {
-                this.db.run('ROLLBACK');
-                reject(err);
-              } else {
-                resolve(result);
-              }
-            });
-          })
-          .catch(error => {
-            this.db.run('ROLLBACK', () => {
-              reject(error);
-            });
-          });
-      });
+    return this._executeTransaction({
+      sourceId: null,
+      description: '',
+      metadata: {},
+      createdBy: null,
+      ...transaction
     });
   }
 
@@ -0,0 +1,236 @@
+const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../../../../src/db/transaction');
+const TransactionService = require('./TransactionService');
+const CurrencyService = require('./CurrencyService');
+const {
+  validateBalance,
+  validateTransfer,
+  calculateTransferFee,
+  validateDailyLimits
+} = require('../utils/balanceValidator');
+
+/**
+ * Transfer Service - Moves currency between players
+ *
+ * A transfer writes two linked `transfer` transactions (the sender's debit
+ * and the recipient's credit, sharing the transfer ID as source_id) plus a
+ * plugin_transfers row, all in one database transaction. The currency's
+ * `transferable` flag, transfer fee config and `max_balance`, and the
+ * plugin's `transaction_limits` are enforced before anything is written.
+ */
+class TransferService {
+  /**
+   * @param {Object} db - Project database instance
+   * @param {Object} options - Service options
+   * @param {TransactionService} options.transactionService - Balance transactions
+   * @param {CurrencyService} options.currencyService - Currency lookups
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.transactionService = options.transactionService || new TransactionService(db);
+    this.currencyService = options.currencyService || new CurrencyService(db);
+  }
+
+  async dbGet(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async dbAll(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async dbRun(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Create a transfer error
+   * @private
+   */
+  _error(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+  }
+
+  /**
+   * Total amount a user has sent in a currency since the start of the day (UTC)
+   * @param {number} userId - Sender
+   * @param {string} currencyId - Currency identifier
+   * @returns {Promise<number>}
+   */
+  async getDailyVolume(userId, currencyId) {
+    const row = await this.dbGet(`
+      SELECT COALESCE(SUM(amount), 0) AS volume
+      FROM plugin_transfers
+      WHERE from_user_id = ? AND currency_id = ? AND created_at >= date('now')
+    `, [userId, currencyId]);
+    return row.volume;
+  }
+
+  /**
+   * Transfer currency from one user to another
+   * @param {Object} transfer - { fromUserId, toUserId, currencyId, amount, description }
+   * @param {Object} limits - Plugin `transaction_limits` ({ max_amount, daily_volume_limit })
+   * @returns {Promise<Object>} Transfer result
+   * @throws {Error} With code INVALID_TRANSFER, CURRENCY_NOT_FOUND, RECIPIENT_NOT_FOUND,
+   *   TRANSFER_NOT_ALLOWED, TRANSFER_LIMIT_EXCEEDED, INSUFFICIENT_BALANCE or MAX_BALANCE_EXCEEDED
+   */
+  async transfer({ fromUserId, toUserId, currencyId, amount, description = '' }, limits = {}) {
+    const recipientId = Number(toUserId);
+    if (!Number.isInteger(recipientId) || recipientId < 1) {
+      throw this._error('INVALID_TRANSFER', 'toUserId must be a valid user ID');
+    }
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw this._error('INVALID_TRANSFER', 'amount must be a positive integer');
+    }
+
+    return withTransaction(this.db, async () => {
+      const currency = await this.currencyService.getCurrency(currencyId);
+      if (!currency) {
+        throw this._error('CURRENCY_NOT_FOUND', `Currency "${currencyId}" not found`);
+      }
+
+      const eligibility = validateTransfer(currency, fromUserId, recipientId);
+      if (!eligibility.valid) {
+        throw this._error('TRANSFER_NOT_ALLOWED', eligibility.errors[0], { details: eligibility.errors });
+      }
+
+      const recipient = await this.dbGet('SELECT id FROM users WHERE id = ?', [recipientId]);
+      if (!recipient) {
+        throw this._error('RECIPIENT_NOT_FOUND', `User ${recipientId} not found`);
+      }
+
+      const dailyVolume = await this.getDailyVolume(fromUserId, currencyId);
+      const limitCheck = validateDailyLimits(fromUserId, currencyId, amount, dailyVolume, limits || {});
+      if (!limitCheck.valid) {
+        throw this._error('TRANSFER_LIMIT_EXCEEDED', limitCheck.errors[0], {
+          details: limitCheck.errors,
+          remainingDailyVolume: Math.max(limitCheck.remainingDailyVolume, 0)
+        });
+      }
+
+      const { fee, amountAfterFee } = calculateTransferFee(amount, currency);
+      if (amountAfterFee < 1) {
+        throw this._error('INVALID_TRANSFER', 'amount does not cover the transfer fee', { fee });
+      }
+
+      const recipientBalance = await this.dbGet(
+        'SELECT balance FROM plugin_user_balances WHERE user_id = ? AND currency_id = ?',
+        [recipientId, currencyId]
+      );
+      const balanceCheck = validateBalance((recipientBalance ? recipientBalance.balance : 0) + amountAfterFee, currency);
+      if (!balanceCheck.valid) {
+        throw this._error('MAX_BALANCE_EXCEEDED', `Transfer would exceed the recipient's maximum balance of ${currency.max_balance}`, {
+          maxBalance: currency.max_balance
+        });
+      }
+
+      const transferId = uuidv4();
+      const metadata = { transferId, fromUserId, toUserId: recipientId, amount, fee };
+
+      let debit;
+      try {
+        debit = await this.transactionService.executeTransaction({
+          userId: fromUserId,
+          currencyId,
+          amount: -amount,
+          type: 'transfer',
+          source: 'transfer',
+          sourceId: transferId,
+          description: description || `Transfer to user ${recipientId}`,
+          metadata,
+          createdBy: fromUserId
+        });
+      } catch (error) {
+        if (error.message.includes('Insufficient balance')) {
+          throw this._error('INSUFFICIENT_BALANCE', 'Insufficient balance for transfer', { amount, currencyId });
+        }
+        throw error;
+      }
+
+      const credit = await this.transactionService.executeTransaction({
+        userId: recipientId,
+        currencyId,
+        amount: amountAfterFee,
+        type: 'transfer',
+        source: 'transfer',
+        sourceId: transferId,
+        description: description || `Transfer from user ${fromUserId}`,
+        metadata,
+        createdBy: fromUserId
+      });
+
+      await this.dbRun(`
+        INSERT INTO plugin_transfers
+        (id, from_user_id, to_user_id, currency_id, amount, fee, amount_received,
+         debit_transaction_id, credit_transaction_id, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        transferId, fromUserId, recipientId, currencyId, amount, fee, amountAfterFee,
+        debit.transactionId, credit.transactionId, description
+      ]);
+
+      return {
+        transferId,
+        fromUserId,
+        toUserId: recipientId,
+        currencyId,
+        amount,
+        fee,
+        amountReceived: amountAfterFee,
+        balanceAfter: debit.balanceAfter,
+        debitTransactionId: debit.transactionId,
+        creditTransactionId: credit.transactionId
+      };
+    });
+  }
+
+  /**
+   * Get recent transfers (admin view)
+   * @param {Object} options - { userId, currencyId, limit }; userId matches sender or recipient
+   * @returns {Promise<Array>} Transfers, newest first
+   */
+  async getTransfers({ userId, currencyId, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      conditions.push('(t.from_user_id = ? OR t.to_user_id = ?)');
+      params.push(userId, userId);
+    }
+    if (currencyId) {
+      conditions.push('t.currency_id = ?');
+      params.push(currencyId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.dbAll(`
+      SELECT t.*, sender.username AS from_username, recipient.username AS to_username
+      FROM plugin_transfers t
+      LEFT JOIN users sender ON sender.id = t.from_user_id
+      LEFT JOIN users recipient ON recipient.id = t.to_user_id
+      ${where}
+      ORDER BY t.created_at DESC
+      LIMIT ?
+    `, [...params, Math.min(parseInt(limit) || 50, 500)]);
+  }
+}
+
+module.exports = TransferService;
@@ -17,16 +17,19 @@ const manifest = {
     properties: {
       maxEntriesPerBoard: {
         type: 'integer',
+        minimum: 1,
         default: 10000,
         description: 'Maximum entries to store per leaderboard'
       },
       defaultPageSize: {
         type: 'integer',
+        minimum: 1,
         default: 50,
         description: 'Default number of entries per page'
       },
       maxPageSize: {
         type: 'integer',
+        minimum: 1,
         default: 100,
         description: 'Maximum entries allowed per page'
       },
@@ -44,6 +47,17 @@ const manifest = {
         type: 'boolean',
         default: true,
         description: 'Automatically cleanup old expired boards'
+      },
+      scheduledResets: {
+        type: 'boolean',
+        default: true,
+        description: 'Reset boards with a reset schedule when their next reset time passes, archiving each season'
+      },
+      resetCheckIntervalSeconds: {
+        type: 'integer',
+        minimum: 5,
+        default: 60,
+        description: 'Seconds between checks for boards due a scheduled reset'
       }
     }
   },
@@ -112,12 +126,30 @@ async function onActivate(context) {
   console.log('📊 Activating Leaderboards plugin...');
   // Plugin activation logic - register routes, setup database schemas
 
-  const { db } = context;
+  const { db, config } = context;
 
   // Initialize leaderboard management service
-  const LeaderboardService = require('./services/LeaderboardService');
+  const LeaderboardService = require('./services/leaderboardService');
   context.leaderboardService = new LeaderboardService(db);
 
+  // Ranking queries run against the same project database
+  const RankingService = require('./services/rankingService');
+  context.rankingService = new RankingService(context.leaderboardService);
+
+  // Social groups that rankings can be scoped to
+  const GroupService = require('./services/groupService');
+  context.groupService = new GroupService(db);
+
+  // Fire scheduled resets (and catch up on any missed while the server was down)
+  if (config.scheduledResets !== false) {
+    const ResetScheduler = require('./services/resetScheduler');
+    // Kept on the context: every project activates this module with its own scheduler
+    context.resetScheduler = new ResetScheduler(context.leaderboardService, {
+      intervalMs: (config.resetCheckIntervalSeconds || 60) * 1000
+    });
+    context.resetScheduler.start();
+  }
+
   // Mount admin routes
   try {
     const adminRoutes = require('./routes/admin/index')(db);
@@ -134,10 +166,18 @@ async function onDeactivate(context) {
   console.log('📊 Deactivating Leaderboards plugin...');
   // Plugin deactivation logic - cleanup resources, close connections
 
+  if (context.resetScheduler) {
+    await context.resetScheduler.stop();
+    delete context.resetScheduler;
+  }
+
   if (context.leaderboardService) {
     await context.leaderboardService.cleanup();
     delete context.leaderboardService;
   }
+
+  delete context.rankingService;
+  delete context.groupService;
 }
 
 /**
@@ -169,6 +209,50 @@ const routes = [
     description: 'Get global leaderboard statistics'
   },
 
+  // Group Routes (MUST be before parameterized routes)
+  {
+    method: 'POST',
+    path: '/leaderboards/groups',
+    handler: './routes/createGroup.js',
+    middleware: ['auth'],
+    description: 'Create a group to scope rankings to'
+  },
+  {
+    method: 'GET',
+    path: '/leaderboards/groups',
+    handler: './routes/listGroups.js',
+    middleware: ['auth'],
+    description: 'List the groups the user belongs to'
+  },
+  {
+    method: 'GET',
+    path: '/leaderboards/groups/:groupId',
+    handler: './routes/getGroup.js',
+    middleware: ['auth'],
+    description: 'Get a group and its members'
+  },
+  {
+    method: 'DELETE',
+    path: '/leaderboards/groups/:groupId',
+    handler: './routes/deleteGroup.js',
+    middleware: ['auth'],
+    description: 'Delete a group'
+  },
+  {
+    method: 'POST',
+    path: '/leaderboards/groups/:groupId/members',
+    handler: './routes/addGroupMembers.js',
+    middleware: ['auth'],
+    description: 'Add users to a group'
+  },
+  {
+    method: 'DELETE',
+    path: '/leaderboards/groups/:groupId/members/:userId',
+    handler: './routes/removeGroupMember.js',
+    middleware: ['auth'],
+    description: 'Remove a user from a group'
+  },
+
   {
     method: 'GET',
     path: '/leaderboards/:boardId',
@@ -195,7 +279,21 @@ const routes = [
     path: '/leaderboards/:boardId/reset',
     handler: './routes/resetBoard.js',
     middleware: ['auth'],
-    description: 'Reset/clear leaderboard scores'
+    description: 'Archive current standings as a season and clear leaderboard scores'
+  },
+  {
+    method: 'GET',
+    path: '/leaderboards/:boardId/seasons',
+    handler: './routes/listSeasons.js',
+    middleware: ['auth'],
+    description: 'List archived seasons of a leaderboard'
+  },
+  {
+    method: 'GET',
+    path: '/leaderboards/:boardId/seasons/:seasonId',
+    handler: './routes/getSeason.js',
+    middleware: ['auth'],
+    description: 'Get the final standings of an archived season'
   },
 
   // Score Submission Routes
@@ -213,7 +311,7 @@ const routes = [
     path: '/leaderboards/:boardId/rankings',
     handler: './routes/getRankings.js',
     middleware: ['auth'],
-    description: 'Get paginated leaderboard rankings'
+    description: 'Get paginated leaderboard rankings, optionally scoped to friends, a group or a clan'
   },
   {
     method: 'GET',
@@ -228,6 +326,20 @@ const routes = [
     handler: './routes/getSurroundingRanks.js',
     middleware: ['auth'],
     description: 'Get rankings around a specific user'
+  },
+  {
+    method: 'GET',
+    path: '/leaderboards/:boardId/around/:userId',
+    handler: './routes/getRankingsAroundUser.js',
+    middleware: ['auth'],
+    description: 'Get a page of rankings centred on a specific user'
+  },
+  {
+    method: 'GET',
+    path: '/leaderboards/:boardId/user/:userId/percentile',
+    handler: './routes/getUserPercentile.js',
+    middleware: ['auth'],
+    description: 'Get specific user percentile'
   }
 ];
 
@@ -235,8 +347,9 @@ const routes = [
  * Database schema definitions
  * 
  * NOTE: This plugin now uses migrations (see migrations/ directory).
- * The schemas below are kept for backward compatibility only.
- * New schema changes should be added as migration files.
+ * The schemas below are kept for backward compatibility only and describe the
+ * tables as the migrations leave them. New schema changes should be added as
+ * migration files, then mirrored here.
  */
 const schemas = [
   {
@@ -257,6 +370,9 @@ const schemas = [
         is_active BOOLEAN DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        aggregation VARCHAR(20) NOT NULL DEFAULT 'best',
+        aggregation_window INTEGER NOT NULL DEFAULT 10,
+        rank_style VARCHAR(20) NOT NULL DEFAULT 'ordinal',
         UNIQUE(name, game_mode)
       );
     `
@@ -269,7 +385,6 @@ const schemas = [
         leaderboard_id INTEGER NOT NULL,
         user_id INTEGER NOT NULL,
         score REAL NOT NULL,
-        rank_position INTEGER,
         metadata TEXT,
         submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -278,6 +393,80 @@ const schemas = [
         UNIQUE(leaderboard_id, user_id)
       );
     `
+  },
+  {
+    table: 'plugin_leaderboard_seasons',
+    definition: `
+      CREATE TABLE IF NOT EXISTS plugin_leaderboard_seasons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        leaderboard_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        started_at DATETIME NOT NULL,
+        ended_at DATETIME NOT NULL,
+        reset_trigger VARCHAR(20) NOT NULL DEFAULT 'manual',
+        entry_count INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (leaderboard_id) REFERENCES plugin_leaderboards(id) ON DELETE CASCADE,
+        UNIQUE(leaderboard_id, season_number)
+      );
+    `
+  },
+  {
+    table: 'plugin_leaderboard_season_entries',
+    definition: `
+      CREATE TABLE IF NOT EXISTS plugin_leaderboard_season_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        season_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        username TEXT,
+        score REAL NOT NULL,
+        rank_position INTEGER NOT NULL,
+        metadata TEXT,
+        submitted_at DATETIME,
+        FOREIGN KEY (season_id) REFERENCES plugin_leaderboard_seasons(id) ON DELETE CASCADE
+      );
+    `
+  },
+  {
+    table: 'plugin_leaderboard_entry_log',
+    definition: `
+      CREATE TABLE IF NOT EXISTS plugin_leaderboard_entry_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        leaderboard_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        score REAL NOT NULL,
+        metadata TEXT,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (leaderboard_id) REFERENCES plugin_leaderboards(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `
+  },
+  {
+    table: 'plugin_leaderboard_groups',
+    definition: `
+      CREATE TABLE IF NOT EXISTS plugin_leaderboard_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        owner_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+    `
+  },
+  {
+    table: 'plugin_leaderboard_group_members',
+    definition: `
+      CREATE TABLE IF NOT EXISTS plugin_leaderboard_group_members (
+        group_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, user_id),
+        FOREIGN KEY (group_id) REFERENCES plugin_leaderboard_groups(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `
   }
 ];
 
@@ -287,9 +476,12 @@ const schemas = [
 const indexes = [
   'CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_score ON plugin_leaderboard_entries(leaderboard_id, score DESC, submitted_at ASC);',
   'CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_user ON plugin_leaderboard_entries(user_id);',
-  'CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_rank ON plugin_leaderboard_entries(leaderboard_id, rank_position);',
+  'CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_score_asc ON plugin_leaderboard_entries(leaderboard_id, score ASC, submitted_at ASC);',
   'CREATE INDEX IF NOT EXISTS idx_leaderboards_type ON plugin_leaderboards(type, is_active);',
-  'CREATE INDEX IF NOT EXISTS idx_leaderboards_reset ON plugin_leaderboards(next_reset) WHERE next_reset IS NOT NULL;'
+  'CREATE INDEX IF NOT EXISTS idx_leaderboards_reset ON plugin_leaderboards(next_reset) WHERE next_reset IS NOT NULL;',
+  'CREATE INDEX IF NOT EXISTS idx_leaderboard_season_entries_rank ON plugin_leaderboard_season_entries(season_id, rank_position);',
+  'CREATE INDEX IF NOT EXISTS idx_leaderboard_entry_log_user ON plugin_leaderboard_entry_log(leaderboard_id, user_id, id);',
+  'CREATE INDEX IF NOT EXISTS idx_leaderboard_group_members_user ON plugin_leaderboard_group_members(user_id);'
 ];
 
 module.exports = {
@@ -0,0 +1,89 @@
+/**
+ * Leaderboards Plugin - Seasons Migration
+ *
+ * Creates the archive written each time a board is reset:
+ * - plugin_leaderboard_seasons: One row per finished season of a board
+ * - plugin_leaderboard_season_entries: Final standings of that season
+ *   (username is copied so results survive renamed or deleted users)
+ */
+
+module.exports = {
+    version: 2,
+    name: 'seasons',
+    description: 'Create leaderboard season archive tables',
+
+    async up(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_leaderboard_seasons (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            leaderboard_id INTEGER NOT NULL,
+            season_number INTEGER NOT NULL,
+            started_at DATETIME NOT NULL,
+            ended_at DATETIME NOT NULL,
+            reset_trigger VARCHAR(20) NOT NULL DEFAULT 'manual',
+            entry_count INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (leaderboard_id) REFERENCES plugin_leaderboards(id) ON DELETE CASCADE,
+            UNIQUE(leaderboard_id, season_number)
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_leaderboard_seasons table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_leaderboard_season_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            season_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            username TEXT,
+            score REAL NOT NULL,
+            rank_position INTEGER NOT NULL,
+            metadata TEXT,
+            submitted_at DATETIME,
+            FOREIGN KEY (season_id) REFERENCES plugin_leaderboard_seasons(id) ON DELETE CASCADE
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_leaderboard_season_entries table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(
+                    'CREATE INDEX IF NOT EXISTS idx_leaderboard_season_entries_rank ON plugin_leaderboard_season_entries(season_id, rank_position);',
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to create season entries rank index:', err);
+                            return reject(err);
+                        }
+                        resolve();
+                    }
+                );
+            });
+        });
+    },
+
+    async down(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run('DROP INDEX IF EXISTS idx_leaderboard_season_entries_rank;', (err) => {
+                    if (err) console.error('Failed to drop index:', err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_leaderboard_season_entries;', (err) => {
+                    if (err) return reject(err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_leaderboard_seasons;', (err) => {
+                    if (err) return reject(err);
+                    resolve();
+                });
+            });
+        });
+    }
+};
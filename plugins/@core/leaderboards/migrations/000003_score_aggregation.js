@@ -0,0 +1,107 @@
+/**
+ * Leaderboards Plugin - Score Aggregation Migration
+ *
+ * - plugin_leaderboards.aggregation: How a user's submissions combine into their
+ *   board score (best, latest, sum, min, max, count, average)
+ * - plugin_leaderboards.aggregation_window: Submissions averaged by 'average'
+ * - plugin_leaderboard_entry_log: Every submission of the current season, so
+ *   scores can be recomputed when a board's aggregation changes
+ *
+ * Existing entries are copied into the log as each user's only submission.
+ */
+
+module.exports = {
+    version: 3,
+    name: 'score_aggregation',
+    description: 'Add leaderboard aggregation modes and the submission log',
+
+    async up(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run(
+                    "ALTER TABLE plugin_leaderboards ADD COLUMN aggregation VARCHAR(20) NOT NULL DEFAULT 'best';",
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to add aggregation column:', err);
+                            return reject(err);
+                        }
+                    }
+                );
+
+                db.run(
+                    'ALTER TABLE plugin_leaderboards ADD COLUMN aggregation_window INTEGER NOT NULL DEFAULT 10;',
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to add aggregation_window column:', err);
+                            return reject(err);
+                        }
+                    }
+                );
+
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_leaderboard_entry_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            leaderboard_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            score REAL NOT NULL,
+            metadata TEXT,
+            submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (leaderboard_id) REFERENCES plugin_leaderboards(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_leaderboard_entry_log table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(
+                    'CREATE INDEX IF NOT EXISTS idx_leaderboard_entry_log_user ON plugin_leaderboard_entry_log(leaderboard_id, user_id, id);',
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to create entry log index:', err);
+                            return reject(err);
+                        }
+                    }
+                );
+
+                db.run(`
+          INSERT INTO plugin_leaderboard_entry_log (leaderboard_id, user_id, score, metadata, submitted_at)
+          SELECT leaderboard_id, user_id, score, metadata, submitted_at
+          FROM plugin_leaderboard_entries
+          ORDER BY submitted_at ASC;
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to copy existing entries into the entry log:', err);
+                        return reject(err);
+                    }
+                    resolve();
+                });
+            });
+        });
+    },
+
+    async down(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run('DROP INDEX IF EXISTS idx_leaderboard_entry_log_user;', (err) => {
+                    if (err) console.error('Failed to drop index:', err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_leaderboard_entry_log;', (err) => {
+                    if (err) return reject(err);
+                });
+
+                db.run('ALTER TABLE plugin_leaderboards DROP COLUMN aggregation_window;', (err) => {
+                    if (err) return reject(err);
+                });
+
+                db.run('ALTER TABLE plugin_leaderboards DROP COLUMN aggregation;', (err) => {
+                    if (err) return reject(err);
+                    resolve();
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,87 @@
+/**
+ * Leaderboards Plugin - Computed Ranks Migration
+ *
+ * Ranks are computed when standings are read instead of being rewritten for
+ * the whole board on every submission, so the stored rank_position column
+ * and its index are dropped.
+ *
+ * Adds an ascending score index so boards sorted lowest-first are read
+ * through an index too (idx_leaderboard_entries_score serves DESC boards).
+ */
+
+module.exports = {
+    version: 4,
+    name: 'computed_ranks',
+    description: 'Drop stored entry ranks and index ascending boards',
+
+    async up(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run('DROP INDEX IF EXISTS idx_leaderboard_entries_rank;', (err) => {
+                    if (err) {
+                        console.error('Failed to drop entry rank index:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run('ALTER TABLE plugin_leaderboard_entries DROP COLUMN rank_position;', (err) => {
+                    if (err) {
+                        console.error('Failed to drop rank_position column:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(
+                    'CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_score_asc ON plugin_leaderboard_entries(leaderboard_id, score ASC, submitted_at ASC);',
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to create ascending score index:', err);
+                            return reject(err);
+                        }
+                        resolve();
+                    }
+                );
+            });
+        });
+    },
+
+    async down(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run('DROP INDEX IF EXISTS idx_leaderboard_entries_score_asc;', (err) => {
+                    if (err) console.error('Failed to drop index:', err);
+                });
+
+                db.run('ALTER TABLE plugin_leaderboard_entries ADD COLUMN rank_position INTEGER;', (err) => {
+                    if (err) return reject(err);
+                });
+
+                // Restore the stored ranks the previous version expects
+                db.run(`
+          UPDATE plugin_leaderboard_entries
+          SET rank_position = (
+            SELECT new_rank FROM (
+              SELECT e.id, ROW_NUMBER() OVER (
+                PARTITION BY e.leaderboard_id
+                ORDER BY CASE WHEN b.sort_order = 'ASC' THEN e.score ELSE -e.score END, e.submitted_at ASC
+              ) AS new_rank
+              FROM plugin_leaderboard_entries e
+              JOIN plugin_leaderboards b ON b.id = e.leaderboard_id
+            ) ranked
+            WHERE ranked.id = plugin_leaderboard_entries.id
+          );
+        `, (err) => {
+                    if (err) return reject(err);
+                });
+
+                db.run(
+                    'CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_rank ON plugin_leaderboard_entries(leaderboard_id, rank_position);',
+                    (err) => {
+                        if (err) return reject(err);
+                        resolve();
+                    }
+                );
+            });
+        });
+    }
+};
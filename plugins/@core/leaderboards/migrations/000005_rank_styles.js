@@ -0,0 +1,38 @@
+/**
+ * Leaderboards Plugin - Rank Styles Migration
+ *
+ * - plugin_leaderboards.rank_style: How tied scores are ranked
+ *   - ordinal:     1, 2, 3, 4 (ties ordered by first submission)
+ *   - competition: 1, 2, 2, 4
+ *   - dense:       1, 2, 2, 3
+ */
+
+module.exports = {
+    version: 5,
+    name: 'rank_styles',
+    description: 'Add per-board rank style',
+
+    async up(db) {
+        return new Promise((resolve, reject) => {
+            db.run(
+                "ALTER TABLE plugin_leaderboards ADD COLUMN rank_style VARCHAR(20) NOT NULL DEFAULT 'ordinal';",
+                (err) => {
+                    if (err) {
+                        console.error('Failed to add rank_style column:', err);
+                        return reject(err);
+                    }
+                    resolve();
+                }
+            );
+        });
+    },
+
+    async down(db) {
+        return new Promise((resolve, reject) => {
+            db.run('ALTER TABLE plugin_leaderboards DROP COLUMN rank_style;', (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    }
+};
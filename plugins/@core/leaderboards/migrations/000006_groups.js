@@ -0,0 +1,81 @@
+/**
+ * Leaderboards Plugin - Groups Migration
+ *
+ * Stored social groups that any board's standings can be scoped to:
+ * - plugin_leaderboard_groups: A named group, owned by the user who created it
+ * - plugin_leaderboard_group_members: Users in each group
+ */
+
+module.exports = {
+    version: 6,
+    name: 'groups',
+    description: 'Create social group tables for scoped rankings',
+
+    async up(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_leaderboard_groups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL,
+            description TEXT,
+            owner_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_leaderboard_groups table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(`
+          CREATE TABLE IF NOT EXISTS plugin_leaderboard_group_members (
+            group_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (group_id, user_id),
+            FOREIGN KEY (group_id) REFERENCES plugin_leaderboard_groups(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          );
+        `, (err) => {
+                    if (err) {
+                        console.error('Failed to create plugin_leaderboard_group_members table:', err);
+                        return reject(err);
+                    }
+                });
+
+                db.run(
+                    'CREATE INDEX IF NOT EXISTS idx_leaderboard_group_members_user ON plugin_leaderboard_group_members(user_id);',
+                    (err) => {
+                        if (err) {
+                            console.error('Failed to create group members user index:', err);
+                            return reject(err);
+                        }
+                        resolve();
+                    }
+                );
+            });
+        });
+    },
+
+    async down(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run('DROP INDEX IF EXISTS idx_leaderboard_group_members_user;', (err) => {
+                    if (err) console.error('Failed to drop index:', err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_leaderboard_group_members;', (err) => {
+                    if (err) return reject(err);
+                });
+
+                db.run('DROP TABLE IF EXISTS plugin_leaderboard_groups;', (err) => {
+                    if (err) return reject(err);
+                    resolve();
+                });
+            });
+        });
+    }
+};
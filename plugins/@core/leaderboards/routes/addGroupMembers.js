@@ -0,0 +1,66 @@
+/**
+ * Add Group Members Route Handler
+ * POST /leaderboards/groups/:groupId/members
+ */
+
+module.exports = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { userIds } = req.body;
+
+    // Validate input
+    const groupIdNum = parseInt(groupId);
+    if (isNaN(groupIdNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+    if (!Array.isArray(userIds) || userIds.length === 0 || userIds.some(id => isNaN(parseInt(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds must be a non-empty array of user IDs'
+      });
+    }
+
+    // Get group service
+    const groupService = req.pluginContext?.groupService;
+    if (!groupService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Group service not available'
+      });
+    }
+
+    const group = await groupService.getGroup(groupIdNum);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    // Only the owner (or an admin) manages membership
+    if (group.owner_id !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can add members'
+      });
+    }
+
+    const added = await groupService.addMembers(groupIdNum, userIds.map(id => parseInt(id)));
+
+    res.json({
+      success: true,
+      data: await groupService.getGroup(groupIdNum),
+      message: `Added ${added} member(s)`
+    });
+
+  } catch (error) {
+    console.error('Error adding leaderboard group members:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add group members'
+    });
+  }
+};
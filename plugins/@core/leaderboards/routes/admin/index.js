@@ -8,8 +8,10 @@ module.exports = (db) => {
     const router = express.Router();
 
     // Use a context-like object for consistency with other plugins
-    const LeaderboardService = require('../../services/LeaderboardService');
+    const LeaderboardService = require('../../services/leaderboardService');
     const leaderboardService = new LeaderboardService(db);
+    const GroupService = require('../../services/groupService');
+    const groupService = new GroupService(db);
 
     /**
      * GET /admin/api/plugins/leaderboards/boards
@@ -103,6 +105,58 @@ module.exports = (db) => {
         }
     });
 
+    /**
+     * GET /admin/api/plugins/leaderboards/boards/:id/users/:userId/standings
+     * Inspect a user's standings within each scope they belong to: every group they are a
+     * member of, their clan on the board and, given ?userIds=, that friend list
+     */
+    router.get('/boards/:id/users/:userId/standings', async (req, res) => {
+        try {
+            const boardId = parseInt(req.params.id);
+            const userId = parseInt(req.params.userId);
+            const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+            const board = await leaderboardService.getLeaderboard(boardId);
+            if (!board) {
+                return res.status(404).json({ success: false, error: 'Leaderboard not found' });
+            }
+
+            const scopes = (await groupService.listGroups({ userId }))
+                .map(group => ({ type: 'group', groupId: group.id, name: group.name }));
+
+            const clan = await leaderboardService.getUserClan(boardId, userId);
+            if (clan !== null) {
+                scopes.push({ type: 'clan', clan });
+            }
+
+            if (req.query.userIds) {
+                const friendIds = String(req.query.userIds).split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
+                scopes.push({ type: 'friends', userIds: [...new Set([userId, ...friendIds])] });
+            }
+
+            const standings = [];
+            for (const scope of scopes) {
+                const result = await leaderboardService.getRankings(boardId, { limit, offset: 0, includeUser: userId, scope });
+                standings.push({
+                    scope,
+                    total: result.pagination.total,
+                    userRank: result.rankings.find(entry => entry.user_id === userId) || result.userRank,
+                    rankings: result.rankings
+                });
+            }
+
+            res.json({
+                success: true,
+                leaderboard: board,
+                user: await leaderboardService.getUserRank(boardId, userId),
+                standings
+            });
+        } catch (error) {
+            console.error('Error fetching scoped standings:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
     /**
      * DELETE /admin/api/plugins/leaderboards/boards/:id/rankings/:userId
      * Delete a specific ranking entry
@@ -3,9 +3,11 @@
  * POST /leaderboards
  */
 
+const LeaderboardService = require('../services/leaderboardService');
+
 module.exports = async (req, res) => {
   try {
-    const { name, description, type, gameMode, sortOrder, maxEntries, resetSchedule, metadata } = req.body;
+    const { name, description, type, gameMode, sortOrder, maxEntries, resetSchedule, aggregation, aggregationWindow, rankStyle, metadata } = req.body;
 
     // Validate required fields
     if (!name) {
@@ -24,6 +26,36 @@ module.exports = async (req, res) => {
       });
     }
 
+    // Validate reset schedule
+    if (resetSchedule && !LeaderboardService.RESET_SCHEDULES.includes(resetSchedule)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reset schedule. Valid schedules: ' + LeaderboardService.RESET_SCHEDULES.join(', ')
+      });
+    }
+
+    // Validate score aggregation
+    if (aggregation !== undefined && !LeaderboardService.AGGREGATIONS.includes(aggregation)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid aggregation. Valid aggregations: ' + LeaderboardService.AGGREGATIONS.join(', ')
+      });
+    }
+    if (aggregationWindow !== undefined && !(parseInt(aggregationWindow) >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aggregation window must be a positive integer'
+      });
+    }
+
+    // Validate rank style
+    if (rankStyle !== undefined && !LeaderboardService.RANK_STYLES.includes(rankStyle)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rank style. Valid rank styles: ' + LeaderboardService.RANK_STYLES.join(', ')
+      });
+    }
+
     // Validate sort order
     if (sortOrder && !['ASC', 'DESC'].includes(sortOrder)) {
       return res.status(400).json({
@@ -50,6 +82,9 @@ module.exports = async (req, res) => {
       sortOrder: sortOrder || 'DESC',
       maxEntries: maxEntries || 10000,
       resetSchedule,
+      aggregation,
+      aggregationWindow,
+      rankStyle,
       metadata
     });
 
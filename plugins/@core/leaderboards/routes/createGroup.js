@@ -0,0 +1,54 @@
+/**
+ * Create Group Route Handler
+ * POST /leaderboards/groups
+ */
+
+module.exports = async (req, res) => {
+  try {
+    const { name, description, memberIds = [] } = req.body;
+
+    // Validate required fields
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Group name is required'
+      });
+    }
+    if (!Array.isArray(memberIds) || memberIds.some(id => isNaN(parseInt(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'memberIds must be an array of user IDs'
+      });
+    }
+
+    // Get group service
+    const groupService = req.pluginContext?.groupService;
+    if (!groupService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Group service not available'
+      });
+    }
+
+    // The creator owns the group and is its first member
+    const group = await groupService.createGroup({
+      name: name.trim(),
+      description,
+      ownerId: req.user.id,
+      memberIds: memberIds.map(id => parseInt(id))
+    });
+
+    res.status(201).json({
+      success: true,
+      data: group,
+      message: 'Group created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating leaderboard group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group'
+    });
+  }
+};
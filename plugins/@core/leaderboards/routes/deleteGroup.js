@@ -0,0 +1,57 @@
+/**
+ * Delete Group Route Handler
+ * DELETE /leaderboards/groups/:groupId
+ */
+
+module.exports = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    // Validate groupId
+    const groupIdNum = parseInt(groupId);
+    if (isNaN(groupIdNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    // Get group service
+    const groupService = req.pluginContext?.groupService;
+    if (!groupService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Group service not available'
+      });
+    }
+
+    const group = await groupService.getGroup(groupIdNum);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (group.owner_id !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can delete the group'
+      });
+    }
+
+    await groupService.deleteGroup(groupIdNum);
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting leaderboard group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete group'
+    });
+  }
+};
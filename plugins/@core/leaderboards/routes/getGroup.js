@@ -0,0 +1,48 @@
+/**
+ * Get Group Route Handler
+ * GET /leaderboards/groups/:groupId
+ */
+
+module.exports = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    // Validate groupId
+    const groupIdNum = parseInt(groupId);
+    if (isNaN(groupIdNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    // Get group service
+    const groupService = req.pluginContext?.groupService;
+    if (!groupService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Group service not available'
+      });
+    }
+
+    const group = await groupService.getGroup(groupIdNum);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: group
+    });
+
+  } catch (error) {
+    console.error('Error getting leaderboard group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve group'
+    });
+  }
+};
@@ -1,12 +1,22 @@
 /**
  * Get Rankings Route Handler
  * GET /leaderboards/:boardId/rankings
+ *
+ * Optional scope, ranking only part of the board:
+ * - ?scope=friends&userIds=2,3,5 (the requesting user is always included)
+ * - ?scope=group&groupId=4
+ * - ?scope=clan[&clan=red] (defaults to the requesting user's clan on the board)
  */
 
+const LeaderboardService = require('../services/leaderboardService');
+
+// Largest friend list accepted for ?scope=friends
+const MAX_FRIENDS = 500;
+
 module.exports = async (req, res) => {
   try {
     const { boardId } = req.params;
-    const { limit = 50, offset = 0, includeMe } = req.query;
+    const { limit = 50, offset = 0, includeMe, scope: scopeType, userIds, groupId, clan } = req.query;
 
     // Validate boardId
     const boardIdNum = parseInt(boardId);
@@ -30,13 +40,65 @@ module.exports = async (req, res) => {
       });
     }
 
+    // Resolve the optional scope
+    let scope = null;
+    if (scopeType !== undefined) {
+      if (!LeaderboardService.SCOPES.includes(scopeType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid scope. Valid scopes: ' + LeaderboardService.SCOPES.join(', ')
+        });
+      }
+
+      if (scopeType === 'friends') {
+        const friendIds = String(userIds || '').split(',').filter(id => id.trim() !== '').map(id => parseInt(id));
+        if (friendIds.some(id => isNaN(id))) {
+          return res.status(400).json({
+            success: false,
+            message: 'userIds must be a comma-separated list of user IDs'
+          });
+        }
+        if (friendIds.length > MAX_FRIENDS) {
+          return res.status(400).json({
+            success: false,
+            message: `At most ${MAX_FRIENDS} user IDs can be given`
+          });
+        }
+        scope = { type: 'friends', userIds: [...new Set([req.user.id, ...friendIds])] };
+      } else if (scopeType === 'group') {
+        const groupService = req.pluginContext?.groupService;
+        const group = groupService && !isNaN(parseInt(groupId))
+          ? await groupService.getGroup(parseInt(groupId))
+          : null;
+        if (!group) {
+          return res.status(404).json({
+            success: false,
+            message: 'Group not found'
+          });
+        }
+        scope = { type: 'group', groupId: group.id, name: group.name };
+      } else {
+        const clanId = clan !== undefined && clan !== ''
+          ? clan
+          : await leaderboardService.getUserClan(boardIdNum, req.user.id);
+        if (clanId === null) {
+          return res.status(400).json({
+            success: false,
+            message: 'clan is required when you have no clan on this leaderboard'
+          });
+        }
+        scope = { type: 'clan', clan: String(clanId) };
+      }
+    }
+
     // Get rankings with optional user inclusion
     const includeUserId = includeMe === 'true' ? req.user.id : null;
     
     const result = await leaderboardService.getRankings(boardIdNum, {
       limit: parsedLimit,
       offset: parsedOffset,
-      includeUser: includeUserId
+      includeUser: includeUserId,
+      scope
     });
 
     res.json({
@@ -1,18 +1,22 @@
-const rankingService = require('../services/rankingService');
-
 /**
- * GET /plugins/leaderboards/:id/around/:userId - Get rankings around user
+ * GET /leaderboards/:boardId/around/:userId - Get rankings around user
  */
 module.exports = async (req, res) => {
   try {
-    const { id: leaderboardId, userId } = req.params;
+    // Get the project's ranking service
+    const rankingService = req.pluginContext?.rankingService;
+    if (!rankingService) {
+      return res.status(500).json({ error: 'Ranking service not available' });
+    }
+
+    const { boardId: leaderboardId, userId } = req.params;
     const { 
       range = 10,
       includeUserData = true
     } = req.query;
     
     // Parse and validate query parameters
-    const parsedRange = Math.min(parseInt(range) || 10, 50);
+    const parsedRange = Math.min(Math.max(parseInt(range) || 10, 1), 50);
     const shouldIncludeUserData = includeUserData !== 'false';
     
     const rankings = await rankingService.getRankingsAroundUser(
@@ -0,0 +1,58 @@
+/**
+ * Get Season Route Handler
+ * GET /leaderboards/:boardId/seasons/:seasonId
+ */
+
+module.exports = async (req, res) => {
+  try {
+    const { boardId, seasonId } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    // Validate IDs
+    const boardIdNum = parseInt(boardId);
+    const seasonIdNum = parseInt(seasonId);
+    if (isNaN(boardIdNum) || isNaN(seasonIdNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid leaderboard or season ID'
+      });
+    }
+
+    // Parse and validate pagination
+    const parsedLimit = Math.min(parseInt(limit) || 50, 100); // Max 100
+    const parsedOffset = Math.max(parseInt(offset) || 0, 0);
+
+    // Get leaderboard service
+    const leaderboardService = req.pluginContext?.leaderboardService;
+    if (!leaderboardService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Leaderboard service not available'
+      });
+    }
+
+    const result = await leaderboardService.getSeason(boardIdNum, seasonIdNum, {
+      limit: parsedLimit,
+      offset: parsedOffset
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error getting leaderboard season:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve season'
+    });
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * GET /leaderboards/:boardId/user/:userId/percentile - Get user's percentile
+ */
+module.exports = async (req, res) => {
+  try {
+    // Get the project's ranking service
+    const rankingService = req.pluginContext?.rankingService;
+    if (!rankingService) {
+      return res.status(500).json({ error: 'Ranking service not available' });
+    }
+
+    const { boardId: leaderboardId, userId } = req.params;
+
+    const percentileData = await rankingService.getUserPercentile(
+      leaderboardId,
+      parseInt(userId)
+    );
+
+    if (!percentileData) {
+      return res.status(404).json({
+        error: 'User has no scores in this leaderboard'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...percentileData
+    });
+
+  } catch (error) {
+    console.error('Get user percentile error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Failed to retrieve user percentile' });
+  }
+};
@@ -1,11 +1,15 @@
-const rankingService = require('../services/rankingService');
-
 /**
- * GET /plugins/leaderboards/:id/user/:userId - Get user's position
+ * GET /leaderboards/:boardId/user/:userId - Get user's position
  */
 module.exports = async (req, res) => {
   try {
-    const { id: leaderboardId, userId } = req.params;
+    // Get the project's ranking service
+    const rankingService = req.pluginContext?.rankingService;
+    if (!rankingService) {
+      return res.status(500).json({ error: 'Ranking service not available' });
+    }
+
+    const { boardId: leaderboardId, userId } = req.params;
     
     const userPosition = await rankingService.getUserPosition(
       leaderboardId, 
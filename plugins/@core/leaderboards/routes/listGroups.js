@@ -0,0 +1,32 @@
+/**
+ * List Groups Route Handler
+ * GET /leaderboards/groups
+ */
+
+module.exports = async (req, res) => {
+  try {
+    // Get group service
+    const groupService = req.pluginContext?.groupService;
+    if (!groupService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Group service not available'
+      });
+    }
+
+    // Groups the requesting user belongs to
+    const groups = await groupService.listGroups({ userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: groups
+    });
+
+  } catch (error) {
+    console.error('Error listing leaderboard groups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve groups'
+    });
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * List Seasons Route Handler
+ * GET /leaderboards/:boardId/seasons
+ */
+
+module.exports = async (req, res) => {
+  try {
+    const { boardId } = req.params;
+    const { limit = 20, offset = 0 } = req.query;
+
+    // Validate boardId
+    const boardIdNum = parseInt(boardId);
+    if (isNaN(boardIdNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid leaderboard ID'
+      });
+    }
+
+    // Parse and validate pagination
+    const parsedLimit = Math.min(parseInt(limit) || 20, 100); // Max 100
+    const parsedOffset = Math.max(parseInt(offset) || 0, 0);
+
+    // Get leaderboard service
+    const leaderboardService = req.pluginContext?.leaderboardService;
+    if (!leaderboardService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Leaderboard service not available'
+      });
+    }
+
+    // Check if leaderboard exists
+    const leaderboard = await leaderboardService.getLeaderboard(boardIdNum);
+    if (!leaderboard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leaderboard not found'
+      });
+    }
+
+    const result = await leaderboardService.listSeasons(boardIdNum, {
+      limit: parsedLimit,
+      offset: parsedOffset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        leaderboard_id: boardIdNum,
+        current_season_started_at: leaderboardService.toIsoTimestamp(leaderboard.last_reset || leaderboard.created_at),
+        next_reset: leaderboard.next_reset,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing leaderboard seasons:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve seasons'
+    });
+  }
+};
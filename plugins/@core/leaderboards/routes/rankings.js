@@ -1,15 +1,20 @@
-const rankingService = require('../services/rankingService');
-
 /**
  * Ranking Query Route Handlers
+ * Each handler uses the requesting project's RankingService (req.pluginContext.rankingService).
  */
 
 /**
- * GET /plugins/leaderboards/:id/rankings - Get paginated rankings
+ * GET /leaderboards/:boardId/rankings - Get paginated rankings
  */
 async function getRankings(req, res) {
   try {
-    const { id: leaderboardId } = req.params;
+    // Get the project's ranking service
+    const rankingService = req.pluginContext?.rankingService;
+    if (!rankingService) {
+      return res.status(500).json({ error: 'Ranking service not available' });
+    }
+
+    const { boardId: leaderboardId } = req.params;
     const { 
       limit = 50, 
       offset = 0,
@@ -48,11 +53,17 @@ async function getRankings(req, res) {
 }
 
 /**
- * GET /plugins/leaderboards/:id/user/:userId - Get user's position
+ * GET /leaderboards/:boardId/user/:userId - Get user's position
  */
 async function getUserPosition(req, res) {
   try {
-    const { id: leaderboardId, userId } = req.params;
+    // Get the project's ranking service
+    const rankingService = req.pluginContext?.rankingService;
+    if (!rankingService) {
+      return res.status(500).json({ error: 'Ranking service not available' });
+    }
+
+    const { boardId: leaderboardId, userId } = req.params;
     
     const userPosition = await rankingService.getUserPosition(
       leaderboardId, 
@@ -76,18 +87,24 @@ async function getUserPosition(req, res) {
 }
 
 /**
- * GET /plugins/leaderboards/:id/around/:userId - Get rankings around user
+ * GET /leaderboards/:boardId/around/:userId - Get rankings around user
  */
 async function getRankingsAroundUser(req, res) {
   try {
-    const { id: leaderboardId, userId } = req.params;
+    // Get the project's ranking service
+    const rankingService = req.pluginContext?.rankingService;
+    if (!rankingService) {
+      return res.status(500).json({ error: 'Ranking service not available' });
+    }
+
+    const { boardId: leaderboardId, userId } = req.params;
     const { 
       range = 10,
       includeUserData = true
     } = req.query;
     
     // Parse and validate query parameters
-    const parsedRange = Math.min(parseInt(range) || 10, 50);
+    const parsedRange = Math.min(Math.max(parseInt(range) || 10, 1), 50);
     const shouldIncludeUserData = includeUserData !== 'false';
     
     const rankings = await rankingService.getRankingsAroundUser(
@@ -116,11 +133,17 @@ async function getRankingsAroundUser(req, res) {
 }
 
 /**
- * GET /plugins/leaderboards/:id/top - Get top N players (convenience endpoint)
+ * GET /leaderboards/:boardId/top - Get top N players (convenience endpoint)
  */
 async function getTopPlayers(req, res) {
   try {
-    const { id: leaderboardId } = req.params;
+    // Get the project's ranking service
+    const rankingService = req.pluginContext?.rankingService;
+    if (!rankingService) {
+      return res.status(500).json({ error: 'Ranking service not available' });
+    }
+
+    const { boardId: leaderboardId } = req.params;
     const { limit = 10 } = req.query;
     
     const parsedLimit = Math.min(parseInt(limit) || 10, 50);
@@ -144,11 +167,17 @@ async function getTopPlayers(req, res) {
 }
 
 /**
- * GET /plugins/leaderboards/:id/user/:userId/percentile - Get user's percentile
+ * GET /leaderboards/:boardId/user/:userId/percentile - Get user's percentile
  */
 async function getUserPercentile(req, res) {
   try {
-    const { id: leaderboardId, userId } = req.params;
+    // Get the project's ranking service
+    const rankingService = req.pluginContext?.rankingService;
+    if (!rankingService) {
+      return res.status(500).json({ error: 'Ranking service not available' });
+    }
+
+    const { boardId: leaderboardId, userId } = req.params;
     
     const percentileData = await rankingService.getUserPercentile(
       leaderboardId, 
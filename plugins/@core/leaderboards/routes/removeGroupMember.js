@@ -0,0 +1,65 @@
+/**
+ * Remove Group Member Route Handler
+ * DELETE /leaderboards/groups/:groupId/members/:userId
+ */
+
+module.exports = async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+
+    // Validate IDs
+    const groupIdNum = parseInt(groupId);
+    const userIdNum = parseInt(userId);
+    if (isNaN(groupIdNum) || isNaN(userIdNum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group or user ID'
+      });
+    }
+
+    // Get group service
+    const groupService = req.pluginContext?.groupService;
+    if (!groupService) {
+      return res.status(500).json({
+        success: false,
+        message: 'Group service not available'
+      });
+    }
+
+    const group = await groupService.getGroup(groupIdNum);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    // Members can leave; the owner (or an admin) can remove anyone
+    if (userIdNum !== req.user.id && group.owner_id !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can remove other members'
+      });
+    }
+
+    const removed = await groupService.removeMember(groupIdNum, userIdNum);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing leaderboard group member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove group member'
+    });
+  }
+};
@@ -34,13 +34,15 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Reset the leaderboard
+    // Reset the leaderboard (current standings are archived as a season first)
     const result = await leaderboardService.resetLeaderboard(boardIdNum);
 
     res.json({
       success: true,
       data: result,
-      message: `Leaderboard reset successfully. Removed ${result.deletedEntries} entries.`
+      message: result.season
+        ? `Leaderboard reset successfully. Archived ${result.deletedEntries} entries as season ${result.season.season_number}.`
+        : 'Leaderboard reset successfully. There were no entries to archive.'
     });
 
   } catch (error) {
@@ -3,10 +3,12 @@
  * PUT /leaderboards/:boardId
  */
 
+const LeaderboardService = require('../services/leaderboardService');
+
 module.exports = async (req, res) => {
   try {
     const { boardId } = req.params;
-    const { name, description, isActive, maxEntries, resetSchedule, metadata } = req.body;
+    const { name, description, isActive, maxEntries, resetSchedule, aggregation, aggregationWindow, rankStyle, metadata } = req.body;
 
     // Validate boardId
     const boardIdNum = parseInt(boardId);
@@ -35,54 +37,46 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Build update query dynamically
-    const updates = [];
-    const params = [];
-
-    if (name !== undefined) {
-      updates.push('name = ?');
-      params.push(name);
-    }
-    if (description !== undefined) {
-      updates.push('description = ?');
-      params.push(description);
-    }
-    if (isActive !== undefined) {
-      updates.push('is_active = ?');
-      params.push(isActive ? 1 : 0);
+    // Validate reset schedule (null clears it)
+    if (resetSchedule && !LeaderboardService.RESET_SCHEDULES.includes(resetSchedule)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reset schedule. Valid schedules: ' + LeaderboardService.RESET_SCHEDULES.join(', ')
+      });
     }
-    if (maxEntries !== undefined) {
-      updates.push('max_entries = ?');
-      params.push(maxEntries);
+
+    // Validate score aggregation
+    if (aggregation !== undefined && !LeaderboardService.AGGREGATIONS.includes(aggregation)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid aggregation. Valid aggregations: ' + LeaderboardService.AGGREGATIONS.join(', ')
+      });
     }
-    if (resetSchedule !== undefined) {
-      updates.push('reset_schedule = ?');
-      params.push(resetSchedule);
+    if (aggregationWindow !== undefined && !(parseInt(aggregationWindow) >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aggregation window must be a positive integer'
+      });
     }
-    if (metadata !== undefined) {
-      updates.push('metadata = ?');
-      params.push(metadata ? JSON.stringify(metadata) : null);
+
+    // Validate rank style
+    if (rankStyle !== undefined && !LeaderboardService.RANK_STYLES.includes(rankStyle)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rank style. Valid rank styles: ' + LeaderboardService.RANK_STYLES.join(', ')
+      });
     }
 
-    if (updates.length === 0) {
+    const fields = { name, description, isActive, maxEntries, resetSchedule, aggregation, aggregationWindow, rankStyle, metadata };
+    if (Object.values(fields).every(value => value === undefined)) {
       return res.status(400).json({
         success: false,
         message: 'No valid fields to update'
       });
     }
 
-    // Add updated_at
-    updates.push('updated_at = CURRENT_TIMESTAMP');
-    params.push(boardIdNum);
-
-    // Execute update
-    const db = leaderboardService.db;
-    const stmt = db.prepare(`
-      UPDATE plugin_leaderboards 
-      SET ${updates.join(', ')} 
-      WHERE id = ?
-    `);
-    stmt.run(...params);
+    // The service also moves next_reset when the schedule changes and recomputes scores when the aggregation does
+    await leaderboardService.updateLeaderboard(boardIdNum, fields);
 
     // Return updated leaderboard
     const updatedBoard = await leaderboardService.getLeaderboard(boardIdNum);
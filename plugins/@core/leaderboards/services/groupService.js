@@ -0,0 +1,138 @@
+const { withTransaction } = require('../../../../src/db/transaction');
+
+/**
+ * Group Service - Stored social groups that leaderboard rankings can be scoped to
+ * Groups are project-wide: one group can be used as a scope on every board.
+ */
+class GroupService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async dbRun(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  async dbGet(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  async dbAll(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Create a group; the owner is always a member
+   * @returns {Promise<Object>} The group with its members
+   */
+  async createGroup({ name, description = null, ownerId, memberIds = [] }) {
+    const groupId = await withTransaction(this.db, async () => {
+      const { lastID } = await this.dbRun(
+        'INSERT INTO plugin_leaderboard_groups (name, description, owner_id) VALUES (?, ?, ?)',
+        [name, description, ownerId]
+      );
+      await this.insertMembers(lastID, [ownerId, ...memberIds]);
+      return lastID;
+    });
+
+    return this.getGroup(groupId);
+  }
+
+  /**
+   * Get a group with its members
+   * @returns {Promise<Object|null>}
+   */
+  async getGroup(groupId) {
+    const group = await this.dbGet('SELECT * FROM plugin_leaderboard_groups WHERE id = ?', [groupId]);
+    if (!group) return null;
+
+    group.members = await this.dbAll(`
+      SELECT m.user_id, u.username, m.joined_at
+      FROM plugin_leaderboard_group_members m
+      LEFT JOIN users u ON u.id = m.user_id
+      WHERE m.group_id = ?
+      ORDER BY m.joined_at ASC, m.user_id ASC
+    `, [groupId]);
+    group.member_count = group.members.length;
+
+    return group;
+  }
+
+  /**
+   * List groups with their member counts, optionally only those a user belongs to
+   */
+  async listGroups({ userId = null } = {}) {
+    return this.dbAll(`
+      SELECT g.*, COUNT(m.user_id) AS member_count
+      FROM plugin_leaderboard_groups g
+      LEFT JOIN plugin_leaderboard_group_members m ON m.group_id = g.id
+      ${userId !== null ? 'WHERE g.id IN (SELECT group_id FROM plugin_leaderboard_group_members WHERE user_id = ?)' : ''}
+      GROUP BY g.id
+      ORDER BY g.name ASC, g.id ASC
+    `, userId !== null ? [userId] : []);
+  }
+
+  /**
+   * Add users to a group (unknown users and existing members are skipped)
+   * @returns {Promise<number>} Number of members added
+   */
+  async addMembers(groupId, userIds) {
+    return this.insertMembers(groupId, userIds);
+  }
+
+  /**
+   * Remove a user from a group
+   * @returns {Promise<boolean>} Whether the user was a member
+   */
+  async removeMember(groupId, userId) {
+    const { changes } = await this.dbRun(
+      'DELETE FROM plugin_leaderboard_group_members WHERE group_id = ? AND user_id = ?',
+      [groupId, userId]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Delete a group and its memberships
+   * @returns {Promise<boolean>} Whether the group existed
+   */
+  async deleteGroup(groupId) {
+    return withTransaction(this.db, async () => {
+      await this.dbRun('DELETE FROM plugin_leaderboard_group_members WHERE group_id = ?', [groupId]);
+      const { changes } = await this.dbRun('DELETE FROM plugin_leaderboard_groups WHERE id = ?', [groupId]);
+      return changes > 0;
+    });
+  }
+
+  /**
+   * Insert existing users as members of a group
+   * @private
+   */
+  async insertMembers(groupId, userIds) {
+    const ids = [...new Set(userIds)];
+    if (ids.length === 0) return 0;
+
+    const { changes } = await this.dbRun(`
+      INSERT OR IGNORE INTO plugin_leaderboard_group_members (group_id, user_id)
+      SELECT ?, id FROM users WHERE id IN (${ids.map(() => '?').join(', ')})
+    `, [groupId, ...ids]);
+    return changes;
+  }
+}
+
+module.exports = GroupService;
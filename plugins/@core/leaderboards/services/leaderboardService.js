@@ -1,13 +1,60 @@
+const { withTransaction } = require('../../../../src/db/transaction');
+
 /**
  * Leaderboard Service - Core business logic for leaderboard management
  * Handles scoring, ranking, and leaderboard lifecycle operations
  */
 
+// Schedules calculateNextReset understands
+const RESET_SCHEDULES = ['daily', 'weekly', 'monthly'];
+
+// How a user's submissions combine into their board score ('best' follows the board's sort order)
+const AGGREGATIONS = ['best', 'latest', 'sum', 'min', 'max', 'count', 'average'];
+
+// Submissions averaged by the 'average' aggregation unless a board sets its own window
+const DEFAULT_AGGREGATION_WINDOW = 10;
+
+// How tied scores are ranked: ordinal 1,2,3,4 (by first submission), competition 1,2,2,4, dense 1,2,2,3
+const RANK_STYLES = ['ordinal', 'competition', 'dense'];
+
+// Subsets of a board that rankings can be scoped to (see scopeFilter)
+const SCOPES = ['friends', 'group', 'clan'];
+
+// Entry metadata field holding the user's clan id
+const CLAN_METADATA_KEY = 'clan';
+
 class LeaderboardService {
   constructor(db) {
     this.db = db;
   }
 
+  async dbRun(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  async dbGet(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  async dbAll(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
   /**
    * Create a new leaderboard
    */
@@ -19,10 +66,18 @@ class LeaderboardService {
       gameMode = null,
       sortOrder = 'DESC',
       maxEntries = 10000,
-      resetSchedule = null,
+      aggregation = 'best',
+      aggregationWindow = DEFAULT_AGGREGATION_WINDOW,
+      rankStyle = 'ordinal',
       metadata = null
     } = data;
 
+    this.validateAggregation(aggregation, aggregationWindow);
+    this.validateRankStyle(rankStyle);
+
+    // Daily, weekly and monthly boards reset on that schedule unless given another one
+    const resetSchedule = data.resetSchedule !== undefined ? data.resetSchedule : this.scheduleForType(type);
+
     // Calculate next reset time if schedule provided
     let nextReset = null;
     if (resetSchedule) {
@@ -31,8 +86,9 @@ class LeaderboardService {
 
     const query = `
       INSERT INTO plugin_leaderboards 
-      (name, description, type, game_mode, sort_order, max_entries, reset_schedule, next_reset, metadata)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (name, description, type, game_mode, sort_order, max_entries, reset_schedule, next_reset,
+        aggregation, aggregation_window, rank_style, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const result = await new Promise((resolve, reject) => {
@@ -45,6 +101,9 @@ class LeaderboardService {
         maxEntries,
         resetSchedule,
         nextReset,
+        aggregation,
+        parseInt(aggregationWindow),
+        rankStyle,
         metadata ? JSON.stringify(metadata) : null
       ], function (err) {
         if (err) reject(err);
@@ -65,11 +124,22 @@ class LeaderboardService {
       gameMode,
       sortOrder,
       maxEntries,
-      resetSchedule,
+      aggregation,
+      aggregationWindow,
+      rankStyle,
       isActive,
       metadata
     } = data;
 
+    this.validateAggregation(aggregation, aggregationWindow);
+    this.validateRankStyle(rankStyle);
+
+    // Changing the type to daily/weekly/monthly/all_time changes the schedule with it, unless one is given
+    let { resetSchedule } = data;
+    if (resetSchedule === undefined && type !== undefined && type !== 'custom') {
+      resetSchedule = this.scheduleForType(type);
+    }
+
     const sets = [];
     const params = [];
 
@@ -79,7 +149,14 @@ class LeaderboardService {
     if (gameMode !== undefined) { sets.push('game_mode = ?'); params.push(gameMode); }
     if (sortOrder !== undefined) { sets.push('sort_order = ?'); params.push(sortOrder); }
     if (maxEntries !== undefined) { sets.push('max_entries = ?'); params.push(maxEntries); }
-    if (resetSchedule !== undefined) { sets.push('reset_schedule = ?'); params.push(resetSchedule); }
+    if (resetSchedule !== undefined) {
+      // A new schedule starts counting from now; clearing it stops scheduled resets
+      sets.push('reset_schedule = ?', 'next_reset = ?');
+      params.push(resetSchedule, resetSchedule ? this.calculateNextReset(resetSchedule) : null);
+    }
+    if (aggregation !== undefined) { sets.push('aggregation = ?'); params.push(aggregation); }
+    if (aggregationWindow !== undefined) { sets.push('aggregation_window = ?'); params.push(parseInt(aggregationWindow)); }
+    if (rankStyle !== undefined) { sets.push('rank_style = ?'); params.push(rankStyle); }
     if (isActive !== undefined) { sets.push('is_active = ?'); params.push(isActive ? 1 : 0); }
     if (metadata !== undefined) { sets.push('metadata = ?'); params.push(metadata ? JSON.stringify(metadata) : null); }
 
@@ -88,14 +165,24 @@ class LeaderboardService {
     params.push(id);
     const query = `UPDATE plugin_leaderboards SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
 
-    await new Promise((resolve, reject) => {
-      this.db.run(query, params, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    // The new rules and the scores rebuilt under them are committed together, with no submission in between
+    return withTransaction(this.db, async () => {
+      const previous = await this.getLeaderboard(id);
+      if (!previous) return null;
+
+      await this.dbRun(query, params);
+
+      // Scores were combined under the old rules; rebuild them from the entry log
+      const board = await this.getLeaderboard(id);
+      if (board.aggregation !== previous.aggregation ||
+          board.aggregation_window !== previous.aggregation_window ||
+          board.sort_order !== previous.sort_order) {
+        await this.rebuildEntries(board);
+        return this.getLeaderboard(id);
+      }
 
-    return this.getLeaderboard(id);
+      return board;
+    });
   }
 
   /**
@@ -177,108 +264,174 @@ class LeaderboardService {
   }
   /**
    * Submit a score to a leaderboard
+   * The user's entry becomes the aggregate of all their submissions this season (see aggregationQuery).
    */
   async submitScore(leaderboardId, userId, score, metadata = null) {
-    // Get leaderboard details
-    const board = await this.getLeaderboard(leaderboardId);
-    if (!board || !board.is_active) {
-      throw new Error('Leaderboard not found or inactive');
+    // A score submitted after the reset time belongs to the new season, even if the scheduler has not run yet.
+    // The reset is its own transaction, so it runs before the submission's.
+    const current = await this.getLeaderboard(leaderboardId);
+    if (current && current.is_active && this.isResetDue(current)) {
+      await this.resetLeaderboard(leaderboardId, { trigger: 'schedule', expectedNextReset: current.next_reset });
     }
 
-    // Check if user already has an entry
-    const existingEntry = await new Promise((resolve, reject) => {
-      this.db.get(`
-        SELECT * FROM plugin_leaderboard_entries 
-        WHERE leaderboard_id = ? AND user_id = ?
-      `, [leaderboardId, userId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row || null);
-      });
-    });
+    return withTransaction(this.db, async () => {
+      // Read the board inside the transaction so its rules cannot change before the write
+      const board = await this.getLeaderboard(leaderboardId);
+      if (!board || !board.is_active) {
+        throw new Error('Leaderboard not found or inactive');
+      }
 
-    const shouldUpdate = this.shouldUpdateScore(existingEntry, score, board.sort_order);
+      const encodedMetadata = metadata ? JSON.stringify(metadata) : null;
 
-    if (existingEntry && !shouldUpdate) {
-      // Existing score is better, return current entry
-      return existingEntry;
-    }
+      // Every submission is logged; the board entry holds the user's aggregate of them
+      await this.dbRun(`
+        INSERT INTO plugin_leaderboard_entry_log (leaderboard_id, user_id, score, metadata)
+        VALUES (?, ?, ?, ?)
+      `, [leaderboardId, userId, score, encodedMetadata]);
+
+      const existingEntry = await this.dbGet(
+        'SELECT * FROM plugin_leaderboard_entries WHERE leaderboard_id = ? AND user_id = ?',
+        [leaderboardId, userId]
+      );
+
+      const { sql, params } = this.aggregationQuery(board, userId);
+      const aggregate = await this.dbGet(sql, params);
 
-    // Insert or update the score
-    let result;
-    if (existingEntry) {
-      // Update existing entry
-      await new Promise((resolve, reject) => {
-        this.db.run(`
-          UPDATE plugin_leaderboard_entries 
+      if (existingEntry && aggregate.score === existingEntry.score && aggregate.metadata === existingEntry.metadata) {
+        // Submission did not change the user's standing (e.g. not a new best)
+        return this.withRank(board, existingEntry);
+      }
+
+      if (existingEntry) {
+        await this.dbRun(`
+          UPDATE plugin_leaderboard_entries
           SET score = ?, metadata = ?, updated_at = CURRENT_TIMESTAMP
           WHERE leaderboard_id = ? AND user_id = ?
-        `, [score, metadata ? JSON.stringify(metadata) : null, leaderboardId, userId], function (err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-      result = { ...existingEntry, score, metadata };
-    } else {
-      // Insert new entry
-      const insertResult = await new Promise((resolve, reject) => {
-        this.db.run(`
+        `, [aggregate.score, aggregate.metadata, leaderboardId, userId]);
+      } else {
+        await this.dbRun(`
           INSERT INTO plugin_leaderboard_entries (leaderboard_id, user_id, score, metadata)
           VALUES (?, ?, ?, ?)
-        `, [leaderboardId, userId, score, metadata ? JSON.stringify(metadata) : null], function (err) {
-          if (err) reject(err);
-          else resolve({ lastID: this.lastID });
-        });
-      });
-
-      result = {
-        id: insertResult.lastID,
-        leaderboard_id: leaderboardId,
-        user_id: userId,
-        score,
-        metadata,
-        submitted_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-    }
+        `, [leaderboardId, userId, aggregate.score, aggregate.metadata]);
+      }
 
-    // Update ranks for this leaderboard
-    await this.updateRanks(leaderboardId);
+      // Other entries keep their rows untouched: ranks are computed on read
+      const entry = await this.dbGet(
+        'SELECT * FROM plugin_leaderboard_entries WHERE leaderboard_id = ? AND user_id = ?',
+        [leaderboardId, userId]
+      );
+      return this.withRank(board, entry);
+    });
+  }
 
-    // Get the updated entry with rank
-    const updatedEntry = await new Promise((resolve, reject) => {
-      this.db.get(`
-        SELECT * FROM plugin_leaderboard_entries 
-        WHERE leaderboard_id = ? AND user_id = ?
-      `, [leaderboardId, userId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row || null);
-      });
+  /**
+   * Rebuild every entry of a board from its entry log, e.g. after the aggregation changed
+   * @returns {Promise<number>} Number of entries written
+   */
+  async recomputeScores(leaderboardId) {
+    return withTransaction(this.db, async () => {
+      const board = await this.getLeaderboard(leaderboardId);
+      return board ? this.rebuildEntries(board) : 0;
     });
+  }
+
+  /**
+   * Replace a board's entries with the aggregation of its entry log (callers hold a transaction)
+   * @private
+   * @returns {Promise<number>} Number of entries written
+   */
+  async rebuildEntries(board) {
+    const { sql, params } = this.aggregationQuery(board);
+    await this.dbRun('DELETE FROM plugin_leaderboard_entries WHERE leaderboard_id = ?', [board.id]);
+    const { changes } = await this.dbRun(`
+      INSERT INTO plugin_leaderboard_entries (leaderboard_id, user_id, score, metadata, submitted_at)
+      SELECT ?, user_id, score, metadata, submitted_at FROM (${sql})
+    `, [board.id, ...params]);
+
+    return changes;
+  }
+
+  /**
+   * Query computing users' board scores from the entry log under the board's aggregation
+   * Each row carries the metadata of the submission that decided the score (the latest one
+   * for sum, count and average) and the time of the user's first submission.
+   * @private
+   * @param {Object} board - Leaderboard row
+   * @param {number} [userId] - Limit to one user
+   * @returns {{ sql: string, params: Array }} Rows of { user_id, score, metadata, submitted_at }
+   */
+  aggregationQuery(board, userId = null) {
+    const bestFirst = board.sort_order === 'ASC' ? 'score ASC' : 'score DESC';
+    const perUser = 'OVER (PARTITION BY user_id)';
+
+    const { scoreExpr, pickOrder } = {
+      best: { scoreExpr: 'score', pickOrder: `${bestFirst}, id ASC` },
+      min: { scoreExpr: 'score', pickOrder: 'score ASC, id ASC' },
+      max: { scoreExpr: 'score', pickOrder: 'score DESC, id ASC' },
+      latest: { scoreExpr: 'score', pickOrder: 'id DESC' },
+      sum: { scoreExpr: `SUM(score) ${perUser}`, pickOrder: 'id DESC' },
+      count: { scoreExpr: `COUNT(*) ${perUser}`, pickOrder: 'id DESC' },
+      average: {
+        // Validated as a positive integer before it is stored
+        scoreExpr: `AVG(CASE WHEN recency <= ${parseInt(board.aggregation_window) || DEFAULT_AGGREGATION_WINDOW} THEN score END) ${perUser}`,
+        pickOrder: 'id DESC'
+      }
+    }[board.aggregation || 'best'];
+
+    const params = [board.id];
+    if (userId !== null) params.push(userId);
 
-    return updatedEntry;
+    const sql = `
+      SELECT user_id, aggregated_score AS score, metadata, first_submitted_at AS submitted_at
+      FROM (
+        SELECT user_id, metadata,
+          ${scoreExpr} AS aggregated_score,
+          MIN(submitted_at) ${perUser} AS first_submitted_at,
+          ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY ${pickOrder}) AS pick
+        FROM (
+          SELECT *, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY id DESC) AS recency
+          FROM plugin_leaderboard_entry_log
+          WHERE leaderboard_id = ?${userId !== null ? ' AND user_id = ?' : ''}
+        )
+      )
+      WHERE pick = 1
+    `;
+
+    return { sql, params };
   }
   /**
    * Get leaderboard rankings with pagination
+   * With a `scope` ({ type, userIds | groupId | clan }, see scopeFilter) only that subset of
+   * the board is ranked, and ranks, total and includeUser's rank are within the subset.
    */
   async getRankings(leaderboardId, options = {}) {
-    const { limit = 50, offset = 0, includeUser = null } = options;
+    const { limit = 50, offset = 0, includeUser = null, scope = null } = options;
 
     const board = await this.getLeaderboard(leaderboardId);
     if (!board) {
       throw new Error('Leaderboard not found');
     }
 
-    // Get rankings with user info
+    if (scope) {
+      return this.getScopedRankings(board, scope, { limit, offset, includeUser });
+    }
+
+    // Get rankings with user info. The page's ids are found in the score index alone (skipped
+    // rows are never loaded) and in standings order, so ranks follow on from the offset.
     const rankings = await new Promise((resolve, reject) => {
       this.db.all(`
         SELECT 
           e.*, 
           u.username
-        FROM plugin_leaderboard_entries e
-        JOIN users u ON e.user_id = u.id
-        WHERE e.leaderboard_id = ?
-        ORDER BY e.rank_position ASC
-        LIMIT ? OFFSET ?
+        FROM (
+          SELECT id FROM plugin_leaderboard_entries
+          WHERE leaderboard_id = ?
+          ORDER BY ${this.standingsOrder(board)}
+          LIMIT ? OFFSET ?
+        ) page
+        JOIN plugin_leaderboard_entries e ON e.id = page.id
+        LEFT JOIN users u ON e.user_id = u.id
+        ORDER BY ${this.standingsOrder(board, 'e')}
       `, [leaderboardId, limit, offset], (err, rows) => {
         if (err) reject(err);
         else resolve(rows || []);
@@ -291,6 +444,7 @@ class LeaderboardService {
         entry.metadata = JSON.parse(entry.metadata);
       }
     });
+    await this.rankStandings(board, rankings, offset + 1);
 
     // If includeUser is specified and not in results, get their rank separately
     let userRank = null;
@@ -310,19 +464,125 @@ class LeaderboardService {
     };
   }
 
+  /**
+   * Rankings of a subset of a board's entries, ranked among themselves
+   *
+   * Scoped subsets are friend lists, groups and clans, so they are ranked with window
+   * functions over the subset instead of the per-entry counts used for the whole board.
+   * @private
+   */
+  async getScopedRankings(board, scope, { limit, offset, includeUser }) {
+    const filter = this.scopeFilter(scope, 'e');
+    const ranked = `
+      SELECT
+        e.*,
+        u.username,
+        ${this.rankFunction(board, 'e')} AS rank_position,
+        ROW_NUMBER() OVER (ORDER BY ${this.standingsOrder(board, 'e')}) AS position
+      FROM plugin_leaderboard_entries e
+      LEFT JOIN users u ON e.user_id = u.id
+      WHERE e.leaderboard_id = ? AND ${filter.sql}
+    `;
+    const params = [board.id, ...filter.params];
+
+    const rankings = await this.dbAll(
+      `SELECT * FROM (${ranked}) ORDER BY position LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const { total } = await this.dbGet(
+      `SELECT COUNT(*) AS total FROM plugin_leaderboard_entries e WHERE e.leaderboard_id = ? AND ${filter.sql}`,
+      params
+    );
+
+    let userRank = null;
+    if (includeUser && !rankings.find(r => r.user_id === includeUser)) {
+      userRank = await this.dbGet(`SELECT * FROM (${ranked}) WHERE user_id = ?`, [...params, includeUser]);
+    }
+
+    [...rankings, userRank].filter(Boolean).forEach(entry => {
+      delete entry.position;
+      if (entry.metadata) {
+        entry.metadata = JSON.parse(entry.metadata);
+      }
+    });
+
+    return {
+      leaderboard: board,
+      scope,
+      rankings,
+      userRank,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    };
+  }
+
+  /**
+   * The clan id in a user's entry metadata on a board
+   * @returns {Promise<string|null>} Clan id, or null if the user has no entry or no clan
+   */
+  async getUserClan(leaderboardId, userId) {
+    const row = await this.dbGet(`
+      SELECT CAST(json_extract(metadata, '$.${CLAN_METADATA_KEY}') AS TEXT) AS clan
+      FROM plugin_leaderboard_entries
+      WHERE leaderboard_id = ? AND user_id = ?
+    `, [leaderboardId, userId]);
+    return row ? row.clan : null;
+  }
+
   /**
    * Get user's specific rank and score
    */
   async getUserRank(leaderboardId, userId) {
+    const board = await this.getLeaderboard(leaderboardId);
+    if (!board) return null;
+
+    return this.findRankedEntry(board, userId);
+  }
+
+  /**
+   * Get rankings surrounding a specific user
+   */
+  async getSurroundingRanks(leaderboardId, userId, radius = 5) {
+    const board = await this.getLeaderboard(leaderboardId);
+    const userRank = board ? await this.findRankedEntry(board, userId) : null;
+    if (!userRank) {
+      return { userRank: null, surrounding: [] };
+    }
+
+    // Read outwards from the user's entry rather than paging down to it
+    const above = await this.entriesBeside(board, userRank, 'above', radius);
+    const below = await this.entriesBeside(board, userRank, 'below', radius);
+
+    const surrounding = [...above.reverse(), { ...userRank }, ...below];
+    const position = board.rank_style === 'ordinal'
+      ? userRank.rank_position
+      : await this.rankOf(board, userRank, 'ordinal');
+    await this.rankStandings(board, surrounding, position - above.length);
+
+    return {
+      userRank,
+      surrounding
+    };
+  }
+
+  /**
+   * A user's entry on a board, with username and rank
+   * @param {Object} board - Leaderboard row (from getLeaderboard)
+   * @returns {Promise<Object|null>} Entry, or null if the user has no entry on the board
+   */
+  async findRankedEntry(board, userId) {
     const entry = await new Promise((resolve, reject) => {
       this.db.get(`
         SELECT 
           e.*,
           u.username
         FROM plugin_leaderboard_entries e
-        JOIN users u ON e.user_id = u.id
+        LEFT JOIN users u ON e.user_id = u.id
         WHERE e.leaderboard_id = ? AND e.user_id = ?
-      `, [leaderboardId, userId], (err, row) => {
+      `, [board.id, userId], (err, row) => {
         if (err) reject(err);
         else resolve(row || null);
       });
@@ -334,109 +594,389 @@ class LeaderboardService {
       entry.metadata = JSON.parse(entry.metadata);
     }
 
-    return entry;
+    return this.withRank(board, entry);
   }
+
   /**
-   * Get rankings surrounding a specific user
+   * Up to `count` entries directly above or below an entry in the standings, nearest first
+   *
+   * Each side is two range scans of the score index: entries with the same score on
+   * that side of the entry, then entries with strictly better (or worse) scores.
+   * @private
+   * @param {string} side - 'above' or 'below'
    */
-  async getSurroundingRanks(leaderboardId, userId, radius = 5) {
-    const userRank = await this.getUserRank(leaderboardId, userId);
-    if (!userRank) {
-      return { userRank: null, surrounding: [] };
+  async entriesBeside(board, entry, side, count) {
+    if (count <= 0) return [];
+
+    const ascending = board.sort_order === 'ASC';
+    const [scoreCmp, tieCmp, scoreDir, tieDir] = side === 'above'
+      ? [ascending ? '<' : '>', '<', ascending ? 'DESC' : 'ASC', 'DESC']
+      : [ascending ? '>' : '<', '>', ascending ? 'ASC' : 'DESC', 'ASC'];
+
+    const select = `
+      SELECT e.*, u.username
+      FROM plugin_leaderboard_entries e
+      LEFT JOIN users u ON e.user_id = u.id
+    `;
+
+    const ties = await this.dbAll(`${select}
+      WHERE e.leaderboard_id = ? AND e.score = ? AND (e.submitted_at, e.id) ${tieCmp} (?, ?)
+      ORDER BY e.submitted_at ${tieDir}, e.id ${tieDir}
+      LIMIT ?
+    `, [board.id, entry.score, entry.submitted_at, entry.id, count]);
+
+    const others = ties.length < count
+      ? await this.dbAll(`${select}
+          WHERE e.leaderboard_id = ? AND e.score ${scoreCmp} ?
+          ORDER BY e.score ${scoreDir}, e.submitted_at ${tieDir}, e.id ${tieDir}
+          LIMIT ?
+        `, [board.id, entry.score, count - ties.length])
+      : [];
+
+    const entries = [...ties, ...others];
+    entries.forEach(row => {
+      if (row.metadata) {
+        row.metadata = JSON.parse(row.metadata);
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Reset a leaderboard, archiving its final standings as a season first
+   *
+   * Runs in a transaction, so a season is never archived without its entries being cleared (or the reverse).
+   *
+   * @param {number} leaderboardId - Leaderboard ID
+   * @param {Object} options
+   * @param {string} options.trigger - 'manual' or 'schedule'
+   * @param {string} options.expectedNextReset - Scheduled resets only: the next_reset being acted on.
+   *   If the board no longer has it (already reset, or rescheduled) nothing is done.
+   * @returns {Promise<Object|null>} { deletedEntries, season, nextReset }, or null if there was nothing to reset
+   */
+  async resetLeaderboard(leaderboardId, { trigger = 'manual', expectedNextReset = null } = {}) {
+    return withTransaction(this.db, async () => {
+      const board = await this.getLeaderboard(leaderboardId);
+      if (!board) return null;
+      if (trigger === 'schedule' && board.next_reset !== expectedNextReset) return null;
+
+      // A scheduled season ends at its reset time, however late the reset actually runs
+      const endedAt = trigger === 'schedule' ? board.next_reset : new Date().toISOString();
+      const season = board.entry_count > 0 ? await this.archiveSeason(board, trigger, endedAt) : null;
+
+      const { changes } = await this.dbRun(
+        'DELETE FROM plugin_leaderboard_entries WHERE leaderboard_id = ?',
+        [leaderboardId]
+      );
+      // The new season's scores aggregate only its own submissions
+      await this.dbRun('DELETE FROM plugin_leaderboard_entry_log WHERE leaderboard_id = ?', [leaderboardId]);
+
+      const nextReset = board.reset_schedule ? this.calculateNextReset(board.reset_schedule) : null;
+      await this.dbRun(
+        'UPDATE plugin_leaderboards SET last_reset = ?, next_reset = ? WHERE id = ?',
+        [endedAt, nextReset, leaderboardId]
+      );
+
+      return { deletedEntries: changes, season, nextReset };
+    });
+  }
+
+  /**
+   * Copy a board's current standings into a new season
+   * @private
+   * @returns {Promise<Object>} The season row
+   */
+  async archiveSeason(board, trigger, endedAt) {
+    const { next } = await this.dbGet(
+      'SELECT COALESCE(MAX(season_number), 0) + 1 AS next FROM plugin_leaderboard_seasons WHERE leaderboard_id = ?',
+      [board.id]
+    );
+
+    const { lastID: seasonId } = await this.dbRun(`
+      INSERT INTO plugin_leaderboard_seasons
+      (leaderboard_id, season_number, started_at, ended_at, reset_trigger, entry_count)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [board.id, next, this.toIsoTimestamp(board.last_reset || board.created_at), endedAt, trigger, board.entry_count]);
+
+    // Final ranks follow the board's rank style; rows are stored in standings order
+    await this.dbRun(`
+      INSERT INTO plugin_leaderboard_season_entries
+      (season_id, user_id, username, score, rank_position, metadata, submitted_at)
+      SELECT ?, e.user_id, u.username, e.score, ${this.rankFunction(board, 'e')}, e.metadata, e.submitted_at
+      FROM plugin_leaderboard_entries e
+      LEFT JOIN users u ON u.id = e.user_id
+      WHERE e.leaderboard_id = ?
+      ORDER BY ${this.standingsOrder(board, 'e')}
+    `, [seasonId, board.id]);
+
+    return this.dbGet('SELECT * FROM plugin_leaderboard_seasons WHERE id = ?', [seasonId]);
+  }
+
+  /**
+   * Reset every active board whose next_reset has passed
+   * Boards missed while the server was down are reset once, with their season ending at the missed reset time.
+   * @returns {Promise<Array>} [{ leaderboardId, name, deletedEntries, season, nextReset }]
+   */
+  async resetDueLeaderboards(now = new Date()) {
+    const dueBoards = await this.dbAll(`
+      SELECT id, name, next_reset FROM plugin_leaderboards
+      WHERE is_active = 1 AND reset_schedule IS NOT NULL AND next_reset IS NOT NULL AND next_reset <= ?
+      ORDER BY next_reset ASC
+    `, [now.toISOString()]);
+
+    const results = [];
+    for (const board of dueBoards) {
+      const result = await this.resetLeaderboard(board.id, { trigger: 'schedule', expectedNextReset: board.next_reset });
+      if (result) {
+        results.push({ leaderboardId: board.id, name: board.name, ...result });
+      }
     }
+    return results;
+  }
+
+  /**
+   * Whether a board's scheduled reset time has passed
+   */
+  isResetDue(board, now = new Date()) {
+    return Boolean(board.is_active && board.reset_schedule && board.next_reset && new Date(board.next_reset) <= now);
+  }
 
-    const startRank = Math.max(1, userRank.rank_position - radius);
-    const endRank = userRank.rank_position + radius;
-    const limit = (endRank - startRank) + 1;
-    const offset = startRank - 1;
+  /**
+   * List the archived seasons of a board, newest first, with each season's winner
+   */
+  async listSeasons(leaderboardId, { limit = 20, offset = 0 } = {}) {
+    const seasons = await this.dbAll(`
+      SELECT s.*,
+        w.user_id AS winner_user_id, w.username AS winner_username, w.score AS winner_score
+      FROM plugin_leaderboard_seasons s
+      LEFT JOIN plugin_leaderboard_season_entries w ON w.id = (
+        SELECT id FROM plugin_leaderboard_season_entries
+        WHERE season_id = s.id
+        ORDER BY rank_position ASC, id ASC
+        LIMIT 1
+      )
+      WHERE s.leaderboard_id = ?
+      ORDER BY s.season_number DESC
+      LIMIT ? OFFSET ?
+    `, [leaderboardId, limit, offset]);
 
-    const rankings = await this.getRankings(leaderboardId, { limit, offset });
+    const { total } = await this.dbGet(
+      'SELECT COUNT(*) AS total FROM plugin_leaderboard_seasons WHERE leaderboard_id = ?',
+      [leaderboardId]
+    );
 
     return {
-      userRank,
-      surrounding: rankings.rankings
+      seasons: seasons.map(({ winner_user_id, winner_username, winner_score, ...season }) => ({
+        ...season,
+        winner: winner_user_id === null ? null : {
+          user_id: winner_user_id,
+          username: winner_username,
+          score: winner_score
+        }
+      })),
+      pagination: { limit, offset, total }
     };
   }
 
   /**
-   * Reset/clear a leaderboard
+   * Get one archived season of a board with its final standings
+   * @returns {Promise<Object|null>} { season, rankings, pagination }, or null if the board has no such season
    */
-  async resetLeaderboard(leaderboardId) {
-    // Delete all entries
-    const result = await new Promise((resolve, reject) => {
-      this.db.run(`
-        DELETE FROM plugin_leaderboard_entries WHERE leaderboard_id = ?
-      `, [leaderboardId], function (err) {
-        if (err) reject(err);
-        else resolve({ changes: this.changes });
-      });
+  async getSeason(leaderboardId, seasonId, { limit = 50, offset = 0 } = {}) {
+    const season = await this.dbGet(
+      'SELECT * FROM plugin_leaderboard_seasons WHERE id = ? AND leaderboard_id = ?',
+      [seasonId, leaderboardId]
+    );
+    if (!season) return null;
+
+    const rankings = await this.dbAll(`
+      SELECT user_id, username, score, rank_position, metadata, submitted_at
+      FROM plugin_leaderboard_season_entries
+      WHERE season_id = ?
+      ORDER BY rank_position ASC, id ASC
+      LIMIT ? OFFSET ?
+    `, [seasonId, limit, offset]);
+
+    rankings.forEach(entry => {
+      if (entry.metadata) {
+        entry.metadata = JSON.parse(entry.metadata);
+      }
     });
 
-    // Update last reset time and calculate next reset
-    const board = await this.getLeaderboard(leaderboardId);
-    if (board && board.reset_schedule) {
-      const nextReset = this.calculateNextReset(board.reset_schedule);
-      await new Promise((resolve, reject) => {
-        this.db.run(`
-          UPDATE plugin_leaderboards 
-          SET last_reset = CURRENT_TIMESTAMP, next_reset = ?
-          WHERE id = ?
-        `, [nextReset, leaderboardId], function (err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
+    return {
+      season,
+      rankings,
+      pagination: { limit, offset, total: season.entry_count }
+    };
+  }
+
+  /**
+   * ORDER BY clause of a board's standings, matching its score index
+   * (the id settles exact ties, so every entry has a distinct rank)
+   * @private
+   */
+  standingsOrder(board, alias = null) {
+    const column = name => (alias ? `${alias}.${name}` : name);
+    const direction = board.sort_order === 'ASC' ? 'ASC' : 'DESC';
+    return `${column('score')} ${direction}, ${column('submitted_at')} ASC, ${column('id')} ASC`;
+  }
+
+  /**
+   * Window function ranking the selected entries under the board's rank style
+   * @private
+   */
+  rankFunction(board, alias) {
+    const scoreOrder = `${alias}.score ${board.sort_order === 'ASC' ? 'ASC' : 'DESC'}`;
+    return {
+      competition: `RANK() OVER (ORDER BY ${scoreOrder})`,
+      dense: `DENSE_RANK() OVER (ORDER BY ${scoreOrder})`
+    }[board.rank_style] || `ROW_NUMBER() OVER (ORDER BY ${this.standingsOrder(board, alias)})`;
+  }
+
+  /**
+   * WHERE condition selecting a scope's entries
+   *
+   * - friends: { type: 'friends', userIds: [1, 2, 3] }
+   * - group:   { type: 'group', groupId: 4 } (members of a stored group)
+   * - clan:    { type: 'clan', clan: 'red' } (entries whose metadata.clan matches)
+   * @private
+   * @returns {{ sql: string, params: Array }}
+   */
+  scopeFilter(scope, alias) {
+    switch (scope.type) {
+      case 'friends':
+        if (scope.userIds.length === 0) {
+          return { sql: '0', params: [] };
+        }
+        return {
+          sql: `${alias}.user_id IN (${scope.userIds.map(() => '?').join(', ')})`,
+          params: scope.userIds
+        };
+      case 'group':
+        return {
+          sql: `${alias}.user_id IN (SELECT user_id FROM plugin_leaderboard_group_members WHERE group_id = ?)`,
+          params: [scope.groupId]
+        };
+      case 'clan':
+        return {
+          sql: `CAST(json_extract(${alias}.metadata, '$.${CLAN_METADATA_KEY}') AS TEXT) = ?`,
+          params: [String(scope.clan)]
+        };
+      default:
+        throw new Error(`Invalid scope. Valid scopes: ${SCOPES.join(', ')}`);
     }
+  }
 
-    return { deletedEntries: result.changes };
+  /**
+   * Set an entry's rank_position to its current rank on the board
+   * @private
+   */
+  async withRank(board, entry) {
+    entry.rank_position = await this.rankOf(board, entry);
+    return entry;
   }
 
   /**
-   * Update rank positions for a leaderboard
+   * Rank of an entry on a board, computed from the board's score index
+   *
+   * Ordinal ranks count the entries ahead (better scores, then earlier ties);
+   * competition ranks count better scores only, and dense ranks distinct better scores.
+   *
+   * @param {Object} board - Leaderboard row
+   * @param {Object} entry - Entry row (score, submitted_at and id are used)
+   * @param {string} style - Rank style, the board's own by default
+   * @returns {Promise<number>} 1-based rank
    */
-  async updateRanks(leaderboardId) {
-    const board = await this.getLeaderboard(leaderboardId);
-    if (!board) return;
-
-    const orderBy = board.sort_order === 'ASC' ? 'ASC' : 'DESC';
-
-    // Update ranks using ROW_NUMBER() window function
-    await new Promise((resolve, reject) => {
-      this.db.run(`
-        UPDATE plugin_leaderboard_entries
-        SET rank_position = (
-          SELECT new_rank FROM (
-            SELECT 
-              id,
-              ROW_NUMBER() OVER (
-                ORDER BY score ${orderBy}, submitted_at ASC
-              ) as new_rank
-            FROM plugin_leaderboard_entries
-            WHERE leaderboard_id = ?
-          ) ranked
-          WHERE ranked.id = plugin_leaderboard_entries.id
-        )
-        WHERE leaderboard_id = ?
-      `, [leaderboardId, leaderboardId], function (err) {
-        if (err) reject(err);
-        else resolve();
-      });
+  async rankOf(board, entry, style = board.rank_style) {
+    const better = board.sort_order === 'ASC' ? '<' : '>';
+
+    if (style === 'competition' || style === 'dense') {
+      const { ahead } = await this.dbGet(`
+        SELECT COUNT(${style === 'dense' ? 'DISTINCT score' : '*'}) AS ahead
+        FROM plugin_leaderboard_entries
+        WHERE leaderboard_id = ? AND score ${better} ?
+      `, [board.id, entry.score]);
+      return ahead + 1;
+    }
+
+    const { ahead } = await this.dbGet(`
+      SELECT
+        (SELECT COUNT(*) FROM plugin_leaderboard_entries
+          WHERE leaderboard_id = ? AND score ${better} ?) +
+        (SELECT COUNT(*) FROM plugin_leaderboard_entries
+          WHERE leaderboard_id = ? AND score = ? AND (submitted_at, id) < (?, ?)) AS ahead
+    `, [board.id, entry.score, board.id, entry.score, entry.submitted_at, entry.id]);
+    return ahead + 1;
+  }
+
+  /**
+   * Set rank_position on consecutive entries in standings order, the first at ordinal `firstPosition`
+   * Only the first entry's rank is queried (for competition and dense ranks); the rest follow from the scores.
+   * @private
+   */
+  async rankStandings(board, entries, firstPosition) {
+    if (entries.length === 0) return entries;
+
+    const style = board.rank_style;
+    let rank = style === 'competition' || style === 'dense'
+      ? await this.rankOf(board, entries[0])
+      : firstPosition;
+
+    entries.forEach((entry, index) => {
+      if (index > 0) {
+        const tied = entry.score === entries[index - 1].score;
+        if (style === 'dense') {
+          rank += tied ? 0 : 1;
+        } else if (!tied || style !== 'competition') {
+          rank = firstPosition + index;
+        }
+      }
+      entry.rank_position = rank;
     });
+    return entries;
   }
   /**
    * Utility methods
    */
 
-  shouldUpdateScore(existingEntry, newScore, sortOrder) {
-    if (!existingEntry) return true;
+  /**
+   * Throw if an aggregation mode or window (either may be undefined) is invalid
+   */
+  validateAggregation(aggregation, aggregationWindow) {
+    if (aggregation !== undefined && !AGGREGATIONS.includes(aggregation)) {
+      throw new Error(`Invalid aggregation. Valid aggregations: ${AGGREGATIONS.join(', ')}`);
+    }
+    if (aggregationWindow !== undefined && !(parseInt(aggregationWindow) >= 1)) {
+      throw new Error('Aggregation window must be a positive integer');
+    }
+  }
 
-    if (sortOrder === 'ASC') {
-      return newScore < existingEntry.score;
-    } else {
-      return newScore > existingEntry.score;
+  /**
+   * Throw if a rank style (possibly undefined) is invalid
+   */
+  validateRankStyle(rankStyle) {
+    if (rankStyle !== undefined && !RANK_STYLES.includes(rankStyle)) {
+      throw new Error(`Invalid rank style. Valid rank styles: ${RANK_STYLES.join(', ')}`);
     }
   }
 
+  /**
+   * Reset schedule implied by a board type (null for all_time and custom boards)
+   */
+  scheduleForType(type) {
+    return RESET_SCHEDULES.includes(type) ? type : null;
+  }
+
+  /**
+   * SQLite CURRENT_TIMESTAMP values ("2026-01-14 10:00:00", UTC) as ISO strings; ISO input is returned as is
+   */
+  toIsoTimestamp(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+      return `${value.replace(' ', 'T')}.000Z`;
+    }
+    return value;
+  }
+
   calculateNextReset(schedule) {
     const now = new Date();
     let nextReset = new Date();
@@ -466,24 +1006,17 @@ class LeaderboardService {
    * Delete a specific entry from a leaderboard
    */
   async deleteEntry(leaderboardId, userId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
+    // The entry and its submissions go together, or the next submission would bring the removed score back
+    return withTransaction(this.db, async () => {
+      await this.dbRun(
         'DELETE FROM plugin_leaderboard_entries WHERE leaderboard_id = ? AND user_id = ?',
-        [leaderboardId, userId],
-        async (err) => {
-          if (err) {
-            reject(err);
-          } else {
-            // Need to update ranks after deletion
-            try {
-              await this.updateRanks(leaderboardId);
-              resolve(true);
-            } catch (updateErr) {
-              reject(updateErr);
-            }
-          }
-        }
+        [leaderboardId, userId]
+      );
+      await this.dbRun(
+        'DELETE FROM plugin_leaderboard_entry_log WHERE leaderboard_id = ? AND user_id = ?',
+        [leaderboardId, userId]
       );
+      return true;
     });
   }
 
@@ -511,4 +1044,9 @@ class LeaderboardService {
   }
 }
 
+LeaderboardService.RESET_SCHEDULES = RESET_SCHEDULES;
+LeaderboardService.AGGREGATIONS = AGGREGATIONS;
+LeaderboardService.RANK_STYLES = RANK_STYLES;
+LeaderboardService.SCOPES = SCOPES;
+
 module.exports = LeaderboardService;
\ No newline at end of file
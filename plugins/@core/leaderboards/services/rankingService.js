@@ -1,11 +1,15 @@
-const { getDatabase } = require('../../../../src/db/database');
-
 /**
  * Ranking Service - Handles efficient ranking queries and position calculations
+ *
+ * Created per project on plugin activation (context.rankingService), on top of that
+ * project's LeaderboardService so ranks follow each board's sort order and rank style.
  */
 class RankingService {
-  constructor() {
-    this.db = getDatabase();
+  /**
+   * @param {LeaderboardService} leaderboardService - The project's leaderboard service
+   */
+  constructor(leaderboardService) {
+    this.leaderboardService = leaderboardService;
   }
 
   /**
@@ -17,66 +21,21 @@ class RankingService {
       offset = 0,
       includeUserData = true
     } = options;
-    
+
     // Validate inputs
     if (limit > 100) {
       throw new Error('Maximum limit is 100 entries per request');
     }
-    
+
     // Get leaderboard info
     const leaderboard = await this.getLeaderboard(leaderboardId);
-    if (!leaderboard) {
-      throw new Error(`Leaderboard '${leaderboardId}' not found`);
-    }
-    
-    // Main ranking query with proper tie handling
-    let rankingsQuery = `
-      SELECT 
-        e.user_id,
-        e.score,
-        e.metadata,
-        e.submitted_at,
-        RANK() OVER (ORDER BY e.score DESC, e.submitted_at ASC) as rank
-    `;
-    
-    if (includeUserData) {
-      rankingsQuery += `, u.username`;
-    }
-    
-    rankingsQuery += `
-      FROM plugin_leaderboard_entries e
-    `;
-    
-    if (includeUserData) {
-      rankingsQuery += ` LEFT JOIN users u ON e.user_id = u.id`;
-    }
-    
-    rankingsQuery += `
-      WHERE e.leaderboard_id = ?
-      ORDER BY e.score DESC, e.submitted_at ASC
-      LIMIT ? OFFSET ?
-    `;
-    
-    const rankings = this.db.prepare(rankingsQuery).all(leaderboardId, limit, offset);
-    
-    // Get total count for pagination
-    const countQuery = 'SELECT COUNT(*) as total FROM plugin_leaderboard_entries WHERE leaderboard_id = ?';
-    const { total } = this.db.prepare(countQuery).get(leaderboardId);
-    
+
+    const { rankings } = await this.leaderboardService.getRankings(leaderboard.id, { limit, offset });
+    const total = leaderboard.entry_count;
+
     return {
-      leaderboard: {
-        id: leaderboard.id,
-        name: leaderboard.name,
-        type: leaderboard.type
-      },
-      rankings: rankings.map(row => ({
-        rank: row.rank,
-        userId: row.user_id,
-        username: row.username || null,
-        score: row.score,
-        metadata: JSON.parse(row.metadata || '{}'),
-        submittedAt: row.submitted_at
-      })),
+      leaderboard: this.formatLeaderboard(leaderboard),
+      rankings: rankings.map(row => this.formatEntry(row, includeUserData)),
       pagination: {
         total,
         limit,
@@ -93,101 +52,72 @@ class RankingService {
   async getUserPosition(leaderboardId, userId) {
     // Verify leaderboard exists
     const leaderboard = await this.getLeaderboard(leaderboardId);
-    if (!leaderboard) {
-      throw new Error(`Leaderboard '${leaderboardId}' not found`);
-    }
-    
-    // Get user's best score and rank
-    const userQuery = `
-      WITH ranked_scores AS (
-        SELECT 
-          user_id,
-          score,
-          metadata,
-          submitted_at,
-          RANK() OVER (ORDER BY score DESC, submitted_at ASC) as rank
-        FROM plugin_leaderboard_entries
-        WHERE leaderboard_id = ?
-      )
-      SELECT 
-        r.user_id,
-        r.score,
-        r.metadata,
-        r.submitted_at,
-        r.rank,
-        u.username
-      FROM ranked_scores r
-      LEFT JOIN users u ON r.user_id = u.id
-      WHERE r.user_id = ?
-    `;
-    
-    const userRank = this.db.prepare(userQuery).get(leaderboardId, userId);
-    
+
+    const userRank = await this.leaderboardService.findRankedEntry(leaderboard, userId);
+
     if (!userRank) {
       return {
-        leaderboard: {
-          id: leaderboard.id,
-          name: leaderboard.name,
-          type: leaderboard.type
-        },
+        leaderboard: this.formatLeaderboard(leaderboard),
         user: null,
         message: 'User has no scores in this leaderboard'
       };
     }
-    
-    // Get total entries count
-    const countQuery = 'SELECT COUNT(*) as total FROM plugin_leaderboard_entries WHERE leaderboard_id = ?';
-    const { total } = this.db.prepare(countQuery).get(leaderboardId);
-    
+
     return {
-      leaderboard: {
-        id: leaderboard.id,
-        name: leaderboard.name,
-        type: leaderboard.type
-      },
+      leaderboard: this.formatLeaderboard(leaderboard),
       user: {
-        userId: userRank.user_id,
-        username: userRank.username || null,
-        rank: userRank.rank,
-        score: userRank.score,
-        metadata: JSON.parse(userRank.metadata || '{}'),
-        submittedAt: userRank.submitted_at,
-        totalEntries: total
+        ...this.formatEntry(userRank),
+        totalEntries: leaderboard.entry_count
       }
     };
   }
 
   /**
    * Get rankings around a specific user
+   * Returns a window of `range` entries containing the user, centred on them where the board allows.
    */
   async getRankingsAroundUser(leaderboardId, userId, options = {}) {
     const { range = 10, includeUserData = true } = options;
-    
-    // First get user's position
-    const userPosition = await this.getUserPosition(leaderboardId, userId);
-    
-    if (!userPosition.user) {
-      return userPosition; // User not found in leaderboard
+
+    const leaderboard = await this.getLeaderboard(leaderboardId);
+
+    // Read enough on both sides to fill the window at either end of the board
+    const { userRank, surrounding } = await this.leaderboardService.getSurroundingRanks(
+      leaderboard.id,
+      userId,
+      Math.max(range - 1, 0)
+    );
+
+    if (!userRank) {
+      return {
+        leaderboard: this.formatLeaderboard(leaderboard),
+        user: null,
+        message: 'User has no scores in this leaderboard'
+      };
     }
-    
-    const userRank = userPosition.user.rank;
-    
-    // Calculate offset to center around user
-    const offset = Math.max(0, userRank - Math.floor(range / 2) - 1);
-    
-    // Get rankings around user
-    const rankings = await this.getRankings(leaderboardId, {
-      limit: range,
-      offset,
-      includeUserData
-    });
-    
+
+    const userIndex = surrounding.findIndex(entry => entry.user_id === userId);
+    const start = Math.max(0, Math.min(userIndex - Math.floor(range / 2), surrounding.length - range));
+    const window = surrounding.slice(start, start + range);
+
+    const position = await this.leaderboardService.rankOf(leaderboard, userRank, 'ordinal');
+    const offset = position - 1 - (userIndex - start);
+    const total = leaderboard.entry_count;
+
     return {
-      ...rankings,
+      leaderboard: this.formatLeaderboard(leaderboard),
+      rankings: window.map(row => this.formatEntry(row, includeUserData)),
+      pagination: {
+        total,
+        limit: range,
+        offset,
+        hasNext: offset + range < total,
+        hasPrevious: offset > 0
+      },
       centerUser: {
-        userId: userPosition.user.userId,
-        rank: userPosition.user.rank,
-        isInResults: rankings.rankings.some(r => r.userId === userId)
+        userId,
+        rank: userRank.rank_position,
+        isInResults: window.some(entry => entry.user_id === userId)
       }
     };
   }
@@ -200,30 +130,72 @@ class RankingService {
   }
 
   /**
-   * Helper to get leaderboard info
+   * Helper to get leaderboard info (throws if it does not exist)
    */
   async getLeaderboard(id) {
-    const query = 'SELECT id, name, type, active FROM plugin_leaderboards WHERE id = ?';
-    return this.db.prepare(query).get(id);
+    const leaderboard = await this.leaderboardService.getLeaderboard(parseInt(id));
+    if (!leaderboard) {
+      throw new Error(`Leaderboard '${id}' not found`);
+    }
+    return leaderboard;
   }
 
   /**
    * Calculate percentile for a user's score
+   * The share of entries the user's score is at least as good as, whatever the board's rank style.
    */
   async getUserPercentile(leaderboardId, userId) {
-    const userPos = await this.getUserPosition(leaderboardId, userId);
-    
+    const leaderboard = await this.getLeaderboard(leaderboardId);
+    const userPos = await this.getUserPosition(leaderboard.id, userId);
+
     if (!userPos.user) {
       return null;
     }
-    
-    const percentile = ((userPos.user.totalEntries - userPos.user.rank + 1) / userPos.user.totalEntries) * 100;
-    
+
+    // Competition rank - 1 is the number of entries with a strictly better score
+    const competitionRank = await this.leaderboardService.rankOf(
+      leaderboard,
+      { score: userPos.user.score },
+      'competition'
+    );
+
+    const percentile = ((userPos.user.totalEntries - competitionRank + 1) / userPos.user.totalEntries) * 100;
+
     return {
       ...userPos,
       percentile: Math.round(percentile * 100) / 100 // Round to 2 decimal places
     };
   }
+
+  /**
+   * Leaderboard summary included in ranking responses
+   * @private
+   */
+  formatLeaderboard(leaderboard) {
+    return {
+      id: leaderboard.id,
+      name: leaderboard.name,
+      type: leaderboard.type,
+      sortOrder: leaderboard.sort_order,
+      rankStyle: leaderboard.rank_style
+    };
+  }
+
+  /**
+   * Ranked entry as returned by the ranking endpoints
+   * @private
+   */
+  formatEntry(row, includeUserData = true) {
+    const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata;
+    return {
+      rank: row.rank_position,
+      userId: row.user_id,
+      username: includeUserData ? (row.username || null) : null,
+      score: row.score,
+      metadata: metadata || {},
+      submittedAt: row.submitted_at
+    };
+  }
 }
 
-module.exports = new RankingService();
+module.exports = RankingService;
@@ -0,0 +1,66 @@
+/**
+ * Reset Scheduler - Fires scheduled leaderboard resets
+ *
+ * Checks for boards whose next_reset has passed on a fixed interval, and once
+ * right away so resets missed while the server was down are caught up on start.
+ */
+
+class ResetScheduler {
+  /**
+   * @param {LeaderboardService} leaderboardService - Service performing the resets
+   * @param {Object} options
+   * @param {number} options.intervalMs - Time between checks
+   */
+  constructor(leaderboardService, { intervalMs = 60000 } = {}) {
+    this.leaderboardService = leaderboardService;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Never keep the process alive just for the next check
+    this.timer.unref();
+    this.tick();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    // Let a reset in progress finish before the plugin's database access goes away
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Reset all due boards; overlapping checks are skipped
+   */
+  async tick() {
+    if (this.running) return this.running;
+
+    this.running = this.leaderboardService.resetDueLeaderboards()
+      .then(results => {
+        results.forEach(({ name, deletedEntries, season, nextReset }) => {
+          const archived = season ? `archived as season ${season.season_number}` : 'no entries to archive';
+          console.log(`📊 Leaderboard "${name}" reset (${deletedEntries} entries, ${archived}); next reset ${nextReset}`);
+        });
+        return results;
+      })
+      .catch(error => {
+        console.error('❌ Scheduled leaderboard reset failed:', error.message);
+        return [];
+      })
+      .finally(() => {
+        this.running = null;
+      });
+
+    return this.running;
+  }
+}
+
+module.exports = ResetScheduler;
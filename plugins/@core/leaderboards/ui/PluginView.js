@@ -233,6 +233,36 @@ export class PluginView {
                                 <input type="number" name="maxEntries" class="form-control" value="${board ? board.max_entries : 10000}" min="1">
                             </div>
                         </div>
+                        <div class="form-row" style="display:flex; gap:1rem;">
+                            <div class="form-group" style="flex:1">
+                                <label class="form-label">Score Aggregation</label>
+                                <select name="aggregation" class="form-control form-select">
+                                    ${[
+                                        ['best', 'Best Score'],
+                                        ['latest', 'Latest Score'],
+                                        ['sum', 'Total (Sum)'],
+                                        ['min', 'Lowest Score'],
+                                        ['max', 'Highest Score'],
+                                        ['count', 'Submission Count'],
+                                        ['average', 'Average of Last N']
+                                    ].map(([value, label]) => `<option value="${value}" ${board && board.aggregation === value ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group" style="flex:1">
+                                <label class="form-label">Average Window (N)</label>
+                                <input type="number" name="aggregationWindow" class="form-control" value="${board ? board.aggregation_window : 10}" min="1">
+                            </div>
+                            <div class="form-group" style="flex:1">
+                                <label class="form-label">Rank Style</label>
+                                <select name="rankStyle" class="form-control form-select">
+                                    ${[
+                                        ['ordinal', 'Ordinal (1, 2, 3, 4)'],
+                                        ['competition', 'Competition (1, 2, 2, 4)'],
+                                        ['dense', 'Dense (1, 2, 2, 3)']
+                                    ].map(([value, label]) => `<option value="${value}" ${board && board.rank_style === value ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
                     </form>
                 </div>
                 <div class="modal-footer">
@@ -54,6 +54,16 @@ export const leaderboardsApi = {
         return await response.json();
     },
 
+    /**
+     * Get a user's standings within their groups, clan and an optional friend list
+     */
+    async getScopedStandings(boardId, userId, friendIds = '') {
+        const query = friendIds ? `?userIds=${encodeURIComponent(friendIds)}` : '';
+        const response = await fetch(`/admin/api/plugins/leaderboards/boards/${boardId}/users/${userId}/standings${query}`);
+        if (!response.ok) throw new Error('Failed to fetch scoped standings');
+        return await response.json();
+    },
+
     /**
      * Delete a specific ranking entry
      */
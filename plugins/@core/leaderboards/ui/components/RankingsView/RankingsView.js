@@ -67,6 +67,78 @@ class RankingsView {
         }
     }
 
+    /**
+     * Modal with a user's rank in each group they belong to, their clan and an optional friend list
+     */
+    async showScopedStandings(userId, player, friendIds = '') {
+        let data;
+        try {
+            data = await leaderboardsApi.getScopedStandings(this.selectedBoardId, userId, friendIds);
+        } catch (error) {
+            alert('Error loading scoped standings: ' + error.message);
+            return;
+        }
+
+        const scopeLabel = (scope) => ({
+            group: `Group: ${scope.name}`,
+            clan: `Clan: ${scope.clan}`,
+            friends: `Friends (${scope.userIds.length})`
+        })[scope.type];
+
+        const sections = data.standings.map(({ scope, total, userRank, rankings }) => `
+            <div class="scoped-standings__scope" style="margin-bottom: 1.25rem;">
+                <h4 style="margin-bottom: 0.5rem;">${scopeLabel(scope)}
+                    <small style="color: var(--color-text-secondary);">
+                        ${userRank ? `#${userRank.rank_position} of ${total}` : `no entry (${total} entries)`}
+                    </small>
+                </h4>
+                <table class="data-table" style="width: 100%;">
+                    ${rankings.map(entry => `
+                        <tr style="${entry.user_id === userId ? 'font-weight: 600;' : ''}">
+                            <td>#${entry.rank_position}</td>
+                            <td>${entry.username || `User ${entry.user_id}`}</td>
+                            <td>${entry.score}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        `).join('');
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-container">
+                <div class="modal-header">
+                    <h3 class="modal-title">Scoped Standings: ${player}</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p style="color: var(--color-text-secondary);">
+                        Global rank: ${data.user ? `#${data.user.rank_position} of ${data.leaderboard.entry_count}` : 'no entry'}
+                    </p>
+                    <div class="form-group" style="display:flex; gap:0.5rem;">
+                        <input type="text" name="friendIds" class="form-control" value="${friendIds}" placeholder="Friend user IDs, e.g. 12,15,20">
+                        <button class="btn btn-secondary" id="friendsBtn">Rank Friends</button>
+                    </div>
+                    ${sections || '<p>This user is in no groups and has no clan on this board.</p>'}
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary btn-close-modal">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+
+        const close = () => overlay.remove();
+        overlay.querySelectorAll('.modal-close, .btn-close-modal').forEach(b => b.onclick = close);
+        overlay.querySelector('#friendsBtn').onclick = () => {
+            const ids = overlay.querySelector('input[name="friendIds"]').value.trim();
+            close();
+            this.showScopedStandings(userId, player, ids);
+        };
+    }
+
     renderLoading() {
         if (!this.container) return;
         this.container.innerHTML = '<div class="loading">Loading rankings...</div>';
@@ -140,6 +212,11 @@ class RankingsView {
                     }
                 ],
                 actions: [
+                    {
+                        id: 'view',
+                        title: 'View Scoped Standings',
+                        handler: (row) => this.showScopedStandings(row.user_id, row.player)
+                    },
                     {
                         id: 'delete',
                         handler: (row) => this.handleDeleteEntry(row.user_id)
@@ -16,12 +16,19 @@ const manifest = {
   description: 'A notes management plugin demonstrating full plugin capabilities',
   author: 'SSBackend Examples',
 
-  // SSBackend version compatibility
+  // SSBackend version compatibility (semver range, checked at load time)
   ssbackend_version: '^1.0.0',
 
-  // Plugin dependencies (none for this example)
+  // Plugin dependencies, by name or { name: 'economy', version: '^1.2.0' } (none for this example)
   dependencies: [],
 
+  // What the plugin may touch besides its own plugin_notes* tables; admins review this before enabling it
+  permissions: {
+    database: {
+      read: ['users'] // author names on public notes
+    }
+  },
+
   // Configuration schema
   configSchema: {
     type: 'object',
@@ -80,12 +87,28 @@ const routes = [
     handler: './routes/get.js',
     middleware: ['auth']
   },
-  // Create a new note
+  // Create a new note (rate limited, body checked before the handler runs)
   {
     method: 'POST',
     path: '/notes',
     handler: './routes/create.js',
-    middleware: ['auth']
+    middleware: [
+      'auth',
+      { name: 'rateLimit', options: { windowMs: 60000, max: 30 } },
+      {
+        name: 'validateBody',
+        options: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            title: { type: 'string', minLength: 1 },
+            content: { type: 'string' },
+            is_public: { type: 'boolean' },
+            tags: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    ]
   },
   // Update a note
   {
@@ -101,11 +124,12 @@ const routes = [
     handler: './routes/delete.js',
     middleware: ['auth']
   },
-  // Get public notes (no auth required)
+  // Get public notes (no auth required; signed-in users are identified when a token is sent)
   {
     method: 'GET',
     path: '/notes/public/all',
-    handler: './routes/public.js'
+    handler: './routes/public.js',
+    middleware: ['optionalAuth']
   }
 ];
 
@@ -174,6 +174,11 @@ async function initializePluginRegistry() {
       showMissingPluginQueue();
     }
 
+    // Dev mode: report reloads triggered by plugin file changes
+    if (healthData.hotReload?.enabled) {
+      watchPluginReloads(healthData.hotReload.recent);
+    }
+
   } catch (error) {
     console.error('Failed to fetch plugin status, using defaults:', error);
     // Fallback to hardcoded list
@@ -188,6 +193,39 @@ async function initializePluginRegistry() {
   console.log('📋 Plugins registered:', window.availablePlugins);
 }
 
+/**
+ * Poll plugin health while hot reload is enabled and toast each new reload result
+ * @param {Array} seen - Reload results already known when the dashboard loaded
+ */
+function watchPluginReloads(seen = []) {
+  let lastTimestamp = seen.length > 0 ? seen[seen.length - 1].timestamp : '';
+
+  setInterval(async () => {
+    try {
+      const response = await fetch(window.getApiPath('/health/plugins'));
+      const healthData = await response.json();
+      const reloads = (healthData.hotReload?.recent || []).filter(r => r.timestamp > lastTimestamp);
+
+      reloads.forEach((reload) => {
+        if (reload.success) {
+          showToast(`🔄 ${reload.plugin} reloaded (v${reload.version})`, 'success');
+        } else if (reload.keptPrevious) {
+          showToast(`❌ ${reload.plugin} failed to reload: ${reload.error}. Previous version still running.`, 'error');
+        } else {
+          showToast(`❌ ${reload.plugin} failed to reload: ${reload.error}`, 'error');
+        }
+      });
+
+      if (reloads.length > 0) {
+        lastTimestamp = reloads[reloads.length - 1].timestamp;
+        window.pluginHealthStatus = healthData;
+      }
+    } catch (error) {
+      console.error('Failed to poll plugin reloads:', error);
+    }
+  }, 3000);
+}
+
 /**
  * Setup Plugin Dropdown Menu
  */
@@ -283,8 +321,11 @@ function populatePluginDropdown() {
               ${plugin.status === 'active' ? '✓' : plugin.status === 'disabled' ? '○' : '?'}
             </span>
           </div>
-          <div class="toggle-switch ${isEnabled ? 'active' : ''}"
-               data-plugin-id="${plugin.id}">
+          <div class="plugin-item-actions">
+            <button class="btn-plugin-settings" data-plugin-id="${plugin.id}" title="Plugin settings">⚙️</button>
+            <div class="toggle-switch ${isEnabled ? 'active' : ''}"
+                 data-plugin-id="${plugin.id}">
+            </div>
           </div>
         `;
 
@@ -295,6 +336,14 @@ function populatePluginDropdown() {
           togglePlugin(plugin.id);
         });
 
+        // Open the settings form generated from the plugin's configSchema
+        const settingsBtn = item.querySelector('.btn-plugin-settings');
+        settingsBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          menu.style.display = 'none';
+          showPluginSettings(plugin);
+        });
+
         menu.appendChild(item);
       });
     });
@@ -380,6 +429,238 @@ function showPluginErrorDetails(plugin) {
   overlay.onclick = (e) => { if (e.target === overlay) close(); };
 }
 
+/**
+ * Show the settings form for a plugin, generated from its manifest configSchema
+ */
+async function showPluginSettings(plugin) {
+  let config;
+  try {
+    const response = await fetch(window.getApiPath(`/admin/api/plugins/${plugin.id}/config`));
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.details || result.error);
+    }
+    config = result.data;
+  } catch (error) {
+    console.error(`Failed to load settings for ${plugin.id}:`, error);
+    showToast(`Could not load settings for "${plugin.name}": ${error.message}`, 'error');
+    return;
+  }
+
+  const schema = config.schema;
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+
+  overlay.innerHTML = `
+    <div class="modal-container plugin-settings-modal" style="max-width: 600px;">
+      <div class="modal-header">
+        <h3>⚙️ ${escapeSettingsHtml(plugin.name)} Settings</h3>
+        <button class="btn-close">&times;</button>
+      </div>
+      <form class="plugin-settings-form" novalidate>
+        <div class="modal-body">
+          ${schema && schema.properties
+            ? renderSettingsFields(schema, config.settings || {}, '')
+            : '<p>This plugin does not declare a configSchema, so it has no settings to edit here.</p>'}
+          <div class="settings-form-error" style="display: none;"></div>
+        </div>
+        <div class="modal-footer">
+          <button type="button" class="btn btn-secondary btn-close-modal">Cancel</button>
+          ${schema && schema.properties ? '<button type="submit" class="btn btn-primary">Save</button>' : ''}
+        </div>
+      </form>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const form = overlay.querySelector('form');
+  const close = () => overlay.remove();
+  overlay.querySelectorAll('.btn-close, .btn-close-modal').forEach(btn => btn.onclick = close);
+  overlay.onclick = (e) => { if (e.target === overlay) close(); };
+
+  // Stored values that no longer match the schema are flagged before anything is edited
+  showSettingsErrors(form, config.errors || []);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearSettingsErrors(form);
+
+    const { values, errors } = collectSettings(form, schema, '');
+    if (errors.length > 0) {
+      showSettingsErrors(form, errors);
+      return;
+    }
+
+    try {
+      const response = await fetch(window.getApiPath(`/admin/api/plugins/${plugin.id}/config`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values)
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        if (result.errors && result.errors.length > 0) {
+          showSettingsErrors(form, result.errors);
+        } else {
+          showSettingsErrors(form, [{ path: '', message: result.details || result.error }]);
+        }
+        return;
+      }
+
+      close();
+      showToast(`Settings for "${plugin.name}" saved`, 'success');
+    } catch (error) {
+      console.error(`Failed to save settings for ${plugin.id}:`, error);
+      showSettingsErrors(form, [{ path: '', message: error.message }]);
+    }
+  });
+}
+
+/**
+ * Render form fields for the properties of an object schema
+ * Fields carry their JSON pointer in data-path so server errors can be shown next to them.
+ */
+function renderSettingsFields(schema, values, basePath) {
+  return Object.entries(schema.properties || {}).map(([key, property]) => {
+    const path = `${basePath}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    const value = values ? values[key] : undefined;
+    const label = escapeSettingsHtml(property.title || key);
+    const help = property.description ? `<small class="settings-field-help">${escapeSettingsHtml(property.description)}</small>` : '';
+    const errorSlot = `<div class="settings-field-error" data-error-for="${path}"></div>`;
+
+    if (property.type === 'object' && property.properties) {
+      return `
+        <fieldset class="settings-fieldset" data-path="${path}">
+          <legend>${label}</legend>
+          ${help}
+          ${renderSettingsFields(property, value || {}, path)}
+          ${errorSlot}
+        </fieldset>
+      `;
+    }
+
+    let input;
+    if (property.type === 'boolean') {
+      input = `<label class="settings-checkbox"><input type="checkbox" data-path="${path}" ${value ? 'checked' : ''}> ${label}</label>`;
+      return `<div class="form-group">${input}${help}${errorSlot}</div>`;
+    } else if (Array.isArray(property.enum)) {
+      const options = property.enum.map(option =>
+        `<option value="${escapeSettingsHtml(JSON.stringify(option))}" ${option === value ? 'selected' : ''}>${escapeSettingsHtml(String(option))}</option>`
+      ).join('');
+      input = `<select class="form-control form-select" data-path="${path}">${options}</select>`;
+    } else if (property.type === 'integer' || property.type === 'number') {
+      const min = property.minimum !== undefined ? `min="${property.minimum}"` : '';
+      const max = property.maximum !== undefined ? `max="${property.maximum}"` : '';
+      const step = property.type === 'integer' ? 'step="1"' : 'step="any"';
+      input = `<input type="number" class="form-control" data-path="${path}" ${min} ${max} ${step} value="${value ?? ''}">`;
+    } else if (property.type === 'string') {
+      input = `<input type="text" class="form-control" data-path="${path}" value="${escapeSettingsHtml(value ?? '')}">`;
+    } else {
+      // Arrays and free-form objects are edited as JSON
+      input = `<textarea class="form-control settings-json" data-path="${path}" data-json="true" rows="5">${escapeSettingsHtml(JSON.stringify(value ?? null, null, 2))}</textarea>`;
+    }
+
+    return `
+      <div class="form-group">
+        <label class="form-label">${label}</label>
+        ${input}
+        ${help}
+        ${errorSlot}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Read the form back into a settings object, converting values to their schema types
+ * Type checks are left to the server; only unparseable input is reported here.
+ */
+function collectSettings(form, schema, basePath) {
+  const values = {};
+  const errors = [];
+
+  Object.entries(schema.properties || {}).forEach(([key, property]) => {
+    const path = `${basePath}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+    if (property.type === 'object' && property.properties) {
+      const nested = collectSettings(form, property, path);
+      values[key] = nested.values;
+      errors.push(...nested.errors);
+      return;
+    }
+
+    const field = form.querySelector(`[data-path="${CSS.escape(path)}"]`);
+    if (!field) return;
+
+    if (property.type === 'boolean') {
+      values[key] = field.checked;
+    } else if (Array.isArray(property.enum)) {
+      values[key] = JSON.parse(field.value);
+    } else if (property.type === 'integer' || property.type === 'number') {
+      if (field.value.trim() === '') return;
+      values[key] = Number(field.value);
+    } else if (field.dataset.json) {
+      try {
+        values[key] = JSON.parse(field.value);
+      } catch (error) {
+        errors.push({ path, message: 'must be valid JSON' });
+      }
+    } else {
+      values[key] = field.value;
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Show per-field errors ({ path, message }) next to their inputs
+ * Errors without a matching field are listed at the bottom of the form.
+ */
+function showSettingsErrors(form, errors) {
+  const unmatched = [];
+
+  errors.forEach(error => {
+    const slot = error.path ? form.querySelector(`[data-error-for="${CSS.escape(error.path)}"]`) : null;
+    if (slot) {
+      slot.textContent = error.message;
+      const field = form.querySelector(`[data-path="${CSS.escape(error.path)}"]`);
+      if (field) field.classList.add('settings-field-invalid');
+    } else {
+      unmatched.push(error.path ? `${error.path}: ${error.message}` : error.message);
+    }
+  });
+
+  const formError = form.querySelector('.settings-form-error');
+  if (formError && unmatched.length > 0) {
+    formError.textContent = unmatched.join('\n');
+    formError.style.display = 'block';
+  }
+}
+
+/**
+ * Remove error messages left by a previous save attempt
+ */
+function clearSettingsErrors(form) {
+  form.querySelectorAll('.settings-field-error').forEach(slot => slot.textContent = '');
+  form.querySelectorAll('.settings-field-invalid').forEach(field => field.classList.remove('settings-field-invalid'));
+  const formError = form.querySelector('.settings-form-error');
+  if (formError) formError.style.display = 'none';
+}
+
+/**
+ * Escape text for use in generated form markup
+ */
+function escapeSettingsHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Toggle plugin enabled state (from dropdown)
  */
@@ -387,6 +668,108 @@ function togglePlugin(pluginId) {
   const plugin = window.availablePlugins.find(p => p.id === pluginId);
   if (!plugin) return;
 
+  // Plugins that are not running yet may be external: their permissions are reviewed before enabling
+  if (!plugin.enabled && plugin.status !== 'active') {
+    reviewPluginPermissions(plugin).then(approved => {
+      if (approved) applyPluginToggle(plugin);
+    });
+    return;
+  }
+
+  applyPluginToggle(plugin);
+}
+
+/**
+ * Show what an external plugin asks for and enable it on the server once the admin agrees
+ * @returns {Promise<boolean>} True when the plugin may be shown as enabled
+ */
+async function reviewPluginPermissions(plugin) {
+  let details;
+  try {
+    const response = await fetch(window.getApiPath(`/admin/api/plugins/${plugin.id}`));
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.details || result.error);
+    }
+    details = result.data.plugin;
+  } catch (error) {
+    console.error(`Failed to load permissions for ${plugin.id}:`, error);
+    showToast(`Could not load permissions for "${plugin.name}": ${error.message}`, 'error');
+    return false;
+  }
+
+  // Internal plugins ship with SSBackend and are trusted
+  if (details.type === 'internal') return true;
+
+  const permissions = details.permissionSummary || [];
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+
+  overlay.innerHTML = `
+    <div class="modal-container plugin-permissions-modal" style="max-width: 560px;">
+      <div class="modal-header">
+        <h3>🔐 Enable ${escapeSettingsHtml(details.name)}?</h3>
+        <button class="btn-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p>
+          <strong>${escapeSettingsHtml(details.name)}</strong> v${escapeSettingsHtml(details.version)}
+          by ${escapeSettingsHtml(details.author)} is an external plugin. It requests:
+        </p>
+        <ul class="plugin-permissions-list">
+          ${permissions.map(permission => `
+            <li class="plugin-permission plugin-permission-${escapeSettingsHtml(permission.type)} plugin-permission-${escapeSettingsHtml(permission.access)}">
+              ${escapeSettingsHtml(permission.description)}
+            </li>
+          `).join('')}
+        </ul>
+        <p class="plugin-permissions-note">
+          Its database, HTTP and file access is limited to these grants. Only enable plugins from sources you trust.
+        </p>
+      </div>
+      <div class="modal-footer">
+        <button type="button" class="btn btn-secondary btn-close-modal">Cancel</button>
+        <button type="button" class="btn btn-primary btn-enable-plugin">Enable</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  return new Promise(resolve => {
+    const close = (approved) => {
+      overlay.remove();
+      resolve(approved);
+    };
+    overlay.querySelectorAll('.btn-close, .btn-close-modal').forEach(btn => btn.onclick = () => close(false));
+    overlay.onclick = (e) => { if (e.target === overlay) close(false); };
+
+    overlay.querySelector('.btn-enable-plugin').onclick = async () => {
+      try {
+        const response = await fetch(window.getApiPath(`/admin/api/plugins/${plugin.id}/enable`), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' }
+        });
+        const result = await response.json();
+        if (!result.success) {
+          throw new Error(result.details || result.error);
+        }
+        close(true);
+      } catch (error) {
+        console.error(`Failed to enable ${plugin.id}:`, error);
+        showToast(`Could not enable "${plugin.name}": ${error.message}`, 'error');
+        close(false);
+      }
+    };
+  });
+}
+
+/**
+ * Flip a plugin's enabled state in the dashboard
+ */
+function applyPluginToggle(plugin) {
+  const pluginId = plugin.id;
+
   // Toggle state
   plugin.enabled = !plugin.enabled;
 
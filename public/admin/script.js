@@ -221,6 +221,10 @@ class AdminDashboard {
           title.textContent = 'User Inventories';
           await this.loadInventories();
           break;
+        case 'items':
+          title.textContent = 'Item Catalog';
+          await this.loadItems();
+          break;
         case 'progress':
           title.textContent = 'Progress & Achievements';
           await this.loadProgress();
@@ -281,6 +285,19 @@ class AdminDashboard {
     this.renderInventoriesTable(data.inventories);
   }
 
+  async loadItems() {
+    const response = await fetch(this.getApiPath('/admin/api/items'));
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load item catalog');
+    }
+
+    this.currentData = data.items;
+    this.updateStats(data.count, 'Items', data.enforced ? 'Catalog enforced' : 'Free-form items allowed');
+    this.renderItemsTable(data.items);
+  }
+
   async loadProgress() {
     const response = await fetch(this.getApiPath('/admin/api/progress'));
     const data = await response.json();
@@ -393,6 +410,7 @@ class AdminDashboard {
               <th>Created</th>
               <th>Updated</th>
               <th>Size</th>
+              <th>Rev</th>
               <th>Preview</th>
               <th>Actions</th>
             </tr>
@@ -405,11 +423,15 @@ class AdminDashboard {
                 <td>${this.formatDate(save.created_at)}</td>
                 <td>${this.formatDate(save.updated_at)}</td>
                 <td>${this.formatBytes(save.data_size)}</td>
+                <td>${save.revision || 1}</td>
                 <td><div class="data-preview">${save.data_preview}</div></td>
                 <td>
                   <button onclick="adminDashboard.viewSaveDetails('${save.id}')" class="btn btn-sm btn-primary">
                     👁️ View
                   </button>
+                  <button onclick="adminDashboard.viewSaveHistory('${save.id}')" class="btn btn-sm btn-secondary">
+                    🕘 History
+                  </button>
                 </td>
               </tr>
             `).join('')}
@@ -507,6 +529,64 @@ class AdminDashboard {
     content.innerHTML = tableHTML;
   }
 
+  renderItemsTable(items) {
+    const content = document.getElementById('dashboardContent');
+
+    const toolbar = `
+      <div class="table-toolbar">
+        <button onclick="adminDashboard.editItem()" class="btn btn-primary">
+          ➕ New Item
+        </button>
+      </div>
+    `;
+
+    if (items.length === 0) {
+      content.innerHTML = toolbar + '<div class="no-data">No items defined. Inventories accept any item id until the catalog has entries.</div>';
+      return;
+    }
+
+    const tableHTML = `
+      ${toolbar}
+      <div class="data-table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              <th>Category</th>
+              <th>Max Stack</th>
+              <th>Tradeable</th>
+              <th>Properties</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${items.map(item => `
+              <tr>
+                <td>${item.id}</td>
+                <td>${item.name}</td>
+                <td>${item.category || '-'}</td>
+                <td>${item.max_stack || '∞'}</td>
+                <td>${item.tradeable ? '<span class="badge badge-success">Yes</span>' : '<span class="badge badge-warning">No</span>'}</td>
+                <td><div class="data-preview">${JSON.stringify(item.properties)}</div></td>
+                <td>
+                  <button onclick="adminDashboard.editItem('${item.id}')" class="btn btn-sm btn-primary">
+                    ✏️ Edit
+                  </button>
+                  <button onclick="adminDashboard.deleteItem('${item.id}')" class="btn btn-sm btn-danger">
+                    🗑️ Delete
+                  </button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    content.innerHTML = tableHTML;
+  }
+
   updateStats(number, label, extra = '') {
     document.getElementById('statNumber').textContent = number;
     document.getElementById('statLabel').textContent = label + (extra ? ` • ${extra}` : '');
@@ -539,6 +619,15 @@ class AdminDashboard {
         this.renderSavesTable(filteredData);
         this.updateStats(filteredData.length, 'Filtered Saves');
         break;
+      case 'items':
+        filteredData = this.currentData.filter(item =>
+          item.id.toLowerCase().includes(query) ||
+          item.name.toLowerCase().includes(query) ||
+          (item.category && item.category.toLowerCase().includes(query))
+        );
+        this.renderItemsTable(filteredData);
+        this.updateStats(filteredData.length, 'Filtered Items');
+        break;
       case 'progress':
         filteredData = this.currentData.filter(p =>
           (p.username && p.username.toLowerCase().includes(query))
@@ -608,6 +697,9 @@ class AdminDashboard {
           <div class="detail-row">
             <strong>Updated:</strong> ${this.formatDate(save.updated_at)}
           </div>
+          <div class="detail-row">
+            <strong>Revision:</strong> ${save.revision || 1}
+          </div>
           <div class="detail-row">
             <strong>Save Data:</strong>
             <pre class="json-data">${JSON.stringify(save.save_data, null, 2)}</pre>
@@ -620,6 +712,150 @@ class AdminDashboard {
     }
   }
 
+  async viewSaveHistory(saveId) {
+    try {
+      const response = await fetch(this.getApiPath(`/admin/api/saves/${saveId}/history`));
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+
+      const rows = data.revisions.map(rev => {
+        const isCurrent = rev.revision === data.currentRevision;
+        const source = rev.restored_from
+          ? `${rev.source} (from #${rev.restored_from})`
+          : rev.source;
+
+        return `
+          <tr>
+            <td>#${rev.revision}${isCurrent ? ' <span class="badge badge-success">current</span>' : ''}</td>
+            <td>${source}</td>
+            <td>${this.formatBytes(rev.data_size)}</td>
+            <td>${this.formatDate(rev.created_at)}</td>
+            <td>
+              ${isCurrent ? '' : `
+                <button onclick="adminDashboard.diffSaveRevision('${saveId}', ${rev.revision})" class="btn btn-sm btn-secondary">
+                  🔍 Diff
+                </button>
+                <button onclick="adminDashboard.restoreSaveRevision('${saveId}', ${rev.revision})" class="btn btn-sm btn-danger">
+                  ↩️ Restore
+                </button>
+              `}
+            </td>
+          </tr>
+        `;
+      }).join('');
+
+      this.openModal(`Save History: ${saveId}`, `
+        <div class="detail-view">
+          <div class="detail-row">
+            <strong>Current Revision:</strong> #${data.currentRevision}
+          </div>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Revision</th>
+                <th>Source</th>
+                <th>Size</th>
+                <th>Created</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `);
+    } catch (error) {
+      console.error('Error loading save history:', error);
+      this.showToast('Error loading save history: ' + error.message, 'error');
+    }
+  }
+
+  async diffSaveRevision(saveId, revision) {
+    try {
+      const [currentResponse, revisionResponse] = await Promise.all([
+        fetch(this.getApiPath(`/admin/api/saves/${saveId}`)),
+        fetch(this.getApiPath(`/admin/api/saves/${saveId}/revisions/${revision}`))
+      ]);
+      const currentData = await currentResponse.json();
+      const revisionData = await revisionResponse.json();
+
+      if (!currentResponse.ok) throw new Error(currentData.error);
+      if (!revisionResponse.ok) throw new Error(revisionData.error);
+
+      const changes = this.diffJson(revisionData.revision.save_data, currentData.save.save_data);
+      const changesHTML = changes.length === 0
+        ? '<div class="no-data">No differences</div>'
+        : `<pre class="json-data">${changes.map(change => {
+            const before = change.before === undefined ? '—' : JSON.stringify(change.before);
+            const after = change.after === undefined ? '—' : JSON.stringify(change.after);
+            return `${change.path}: ${before} → ${after}`;
+          }).join('\n')}</pre>`;
+
+      this.openModal(`Diff: #${revision} → #${currentData.save.revision}`, `
+        <div class="detail-view">
+          <div class="detail-row">
+            <strong>Changes since revision #${revision}:</strong>
+            ${changesHTML}
+          </div>
+          <button onclick="adminDashboard.viewSaveHistory('${saveId}')" class="btn btn-sm btn-secondary">
+            ← Back to History
+          </button>
+        </div>
+      `);
+    } catch (error) {
+      console.error('Error diffing save revision:', error);
+      this.showToast('Error loading revision: ' + error.message, 'error');
+    }
+  }
+
+  async restoreSaveRevision(saveId, revision) {
+    if (!confirm(`Restore save "${saveId}" to revision #${revision}? The current data is kept in history.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(this.getApiPath(`/admin/api/saves/${saveId}/restore/${revision}`), {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+
+      this.showToast(`Restored revision #${revision} as #${data.revision}`, 'success');
+      await this.viewSaveHistory(saveId);
+      if (this.currentView === 'saves') {
+        await this.loadSaves();
+      }
+    } catch (error) {
+      console.error('Error restoring save revision:', error);
+      this.showToast('Restore failed: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Compute a flat list of leaf-level differences between two JSON values
+   */
+  diffJson(before, after, path = '') {
+    const isObject = value => value !== null && typeof value === 'object';
+
+    if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+      return JSON.stringify(before) === JSON.stringify(after)
+        ? []
+        : [{ path: path || '/', before, after }];
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    keys.forEach(key => {
+      changes.push(...this.diffJson(before[key], after[key], `${path}/${key}`));
+    });
+    return changes;
+  }
+
   async viewInventoryDetails(userId) {
     const inventory = this.currentData.find(inv => inv.user_id === userId);
     if (!inventory) return;
@@ -650,6 +886,114 @@ class AdminDashboard {
     `);
   }
 
+  editItem(itemId = null) {
+    const item = itemId ? this.currentData.find(i => i.id === itemId) : null;
+    const escape = value => String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+    this.openModal(item ? `Edit Item: ${item.id}` : 'New Item', `
+      <form id="itemForm" class="detail-view" onsubmit="adminDashboard.saveItem(event, ${item ? `'${item.id}'` : 'null'})">
+        <div class="form-group">
+          <label for="itemId">ID</label>
+          <input id="itemId" class="form-control" value="${escape(item && item.id)}" ${item ? 'disabled' : 'required'}>
+        </div>
+        <div class="form-group">
+          <label for="itemName">Name</label>
+          <input id="itemName" class="form-control" value="${escape(item && item.name)}" required>
+        </div>
+        <div class="form-group">
+          <label for="itemCategory">Category</label>
+          <input id="itemCategory" class="form-control" value="${escape(item && item.category)}">
+        </div>
+        <div class="form-group">
+          <label for="itemMaxStack">Max Stack (empty for unlimited)</label>
+          <input id="itemMaxStack" type="number" min="1" class="form-control" value="${escape(item && item.max_stack)}">
+        </div>
+        <div class="form-group">
+          <label>
+            <input id="itemTradeable" type="checkbox" ${!item || item.tradeable ? 'checked' : ''}> Tradeable
+          </label>
+        </div>
+        <div class="form-group">
+          <label for="itemProperties">Properties (JSON)</label>
+          <textarea id="itemProperties" class="form-control" rows="6">${escape(JSON.stringify(item ? item.properties : {}, null, 2))}</textarea>
+        </div>
+        <button type="submit" class="btn btn-primary">💾 Save Item</button>
+      </form>
+    `);
+  }
+
+  async saveItem(event, itemId) {
+    event.preventDefault();
+
+    try {
+      let properties;
+      try {
+        properties = JSON.parse(document.getElementById('itemProperties').value || '{}');
+      } catch (e) {
+        throw new Error('Properties must be valid JSON');
+      }
+
+      const maxStack = document.getElementById('itemMaxStack').value;
+      const body = {
+        name: document.getElementById('itemName').value,
+        category: document.getElementById('itemCategory').value || null,
+        max_stack: maxStack ? parseInt(maxStack) : null,
+        tradeable: document.getElementById('itemTradeable').checked,
+        properties: properties
+      };
+      if (!itemId) {
+        body.id = document.getElementById('itemId').value;
+      }
+
+      const response = await fetch(this.getApiPath(itemId ? `/admin/api/items/${itemId}` : '/admin/api/items'), {
+        method: itemId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+
+      this.closeModal();
+      this.showToast(data.message, 'success');
+      await this.loadItems();
+    } catch (error) {
+      console.error('Error saving item:', error);
+      this.showToast('Save failed: ' + error.message, 'error');
+    }
+  }
+
+  async deleteItem(itemId, force = false) {
+    if (!force && !confirm(`Delete item "${itemId}" from the catalog?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(this.getApiPath(`/admin/api/items/${itemId}${force ? '?force=true' : ''}`), {
+        method: 'DELETE'
+      });
+      const data = await response.json();
+
+      if (response.status === 409) {
+        if (confirm(`${data.holders} inventory(ies) still hold "${itemId}". Delete the definition anyway?`)) {
+          await this.deleteItem(itemId, true);
+        }
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+
+      this.showToast(data.message, 'success');
+      await this.loadItems();
+    } catch (error) {
+      console.error('Error deleting item:', error);
+      this.showToast('Delete failed: ' + error.message, 'error');
+    }
+  }
+
   async viewProgressDetails(userId) {
     const progress = this.currentData.find(p => p.user_id === userId);
     if (!progress) return;
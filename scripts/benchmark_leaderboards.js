@@ -0,0 +1,116 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LeaderboardService = require('../plugins/@core/leaderboards/services/leaderboardService');
+
+/**
+ * Leaderboard benchmark
+ *
+ * Seeds a scratch database with one board of ENTRY_COUNT players and times
+ * score submission and rank reads through LeaderboardService.
+ *
+ * Usage: node scripts/benchmark_leaderboards.js [--entries 100000] [--samples 200] [--sort DESC|ASC]
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '../plugins/@core/leaderboards/migrations');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const ENTRY_COUNT = parseInt(option('entries', 100000));
+const SAMPLES = parseInt(option('samples', 200));
+const SORT_ORDER = option('sort', 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+const DB_PATH = path.join(os.tmpdir(), `ssbackend-leaderboard-bench-${process.pid}.db`);
+
+const db = new sqlite3.Database(DB_PATH);
+
+function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+function randomScore() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+function randomUserId() {
+    return Math.floor(Math.random() * ENTRY_COUNT) + 1;
+}
+
+async function seed() {
+    await run('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL)');
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d{6}_.*\.js$/.test(file)).sort();
+    for (const file of migrations) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(db);
+    }
+
+    const service = new LeaderboardService(db);
+    const board = await service.createLeaderboard({ name: 'Benchmark', sortOrder: SORT_ORDER });
+
+    // Every player gets one logged submission, as if they had submitted through the service
+    await run('BEGIN TRANSACTION');
+    const users = db.prepare('INSERT INTO users (username) VALUES (?)');
+    const entries = db.prepare('INSERT INTO plugin_leaderboard_entries (leaderboard_id, user_id, score) VALUES (?, ?, ?)');
+    const log = db.prepare('INSERT INTO plugin_leaderboard_entry_log (leaderboard_id, user_id, score) VALUES (?, ?, ?)');
+    for (let userId = 1; userId <= ENTRY_COUNT; userId++) {
+        const score = randomScore();
+        users.run(`player${userId}`);
+        entries.run(board.id, userId, score);
+        log.run(board.id, userId, score);
+    }
+    await new Promise(resolve => users.finalize(() => entries.finalize(() => log.finalize(resolve))));
+    await run('COMMIT');
+
+    return { service, board };
+}
+
+async function measure(label, fn) {
+    const timings = [];
+    for (let i = 0; i < SAMPLES; i++) {
+        const start = process.hrtime.bigint();
+        await fn(i);
+        timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+
+    timings.sort((a, b) => a - b);
+    const at = fraction => timings[Math.min(timings.length - 1, Math.floor(timings.length * fraction))];
+    const mean = timings.reduce((sum, ms) => sum + ms, 0) / timings.length;
+    console.log(
+        `  ${label.padEnd(36)} mean ${mean.toFixed(2).padStart(8)} ms   ` +
+        `p50 ${at(0.5).toFixed(2).padStart(8)} ms   p95 ${at(0.95).toFixed(2).padStart(8)} ms   ` +
+        `max ${timings[timings.length - 1].toFixed(2).padStart(8)} ms`
+    );
+}
+
+async function main() {
+    console.log(`🏁 Seeding ${ENTRY_COUNT} entries (${SORT_ORDER} board) into ${DB_PATH}...`);
+    const seedStart = Date.now();
+    const { service, board } = await seed();
+    console.log(`✅ Seeded in ${((Date.now() - seedStart) / 1000).toFixed(1)}s. ${SAMPLES} samples per operation:\n`);
+
+    await measure('submitScore (existing player)', () => service.submitScore(board.id, randomUserId(), randomScore()));
+    await measure('submitScore (new player)', i => service.submitScore(board.id, ENTRY_COUNT + i + 1, randomScore()));
+    await measure('getUserRank', () => service.getUserRank(board.id, randomUserId()));
+    await measure('getSurroundingRanks (radius 5)', () => service.getSurroundingRanks(board.id, randomUserId(), 5));
+    await measure('getRankings (top 50)', () => service.getRankings(board.id, { limit: 50, offset: 0 }));
+    await measure('getRankings (50 at a random offset)', () =>
+        service.getRankings(board.id, { limit: 50, offset: Math.floor(Math.random() * ENTRY_COUNT) })
+    );
+}
+
+main()
+    .catch(error => {
+        console.error('\n❌ Benchmark failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        db.close(() => fs.rmSync(DB_PATH, { force: true }));
+    });
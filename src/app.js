@@ -62,6 +62,7 @@ Database Commands:
   db rollback [steps]          Rollback last N migrations
   db plugin:migrate <name>     Run migrations for specific plugin
   db plugin:status <name>      Show plugin migration status
+  db saves:migrate [--dry-run] Upgrade save data to the latest save data version
 
 Plugin Commands:
   plugins list [--verbose]         List all available plugins with status
@@ -69,8 +70,11 @@ Plugin Commands:
   plugins disable <name|number>    Disable a plugin by name or list number
   plugins info <name|number>       Show detailed plugin information
   plugins validate                 Validate plugin system health and configuration
-  plugins install <path>           Install external plugin from path
-  plugins remove <name|number>     Remove external plugin (internal plugins protected)
+  plugins install <path> [--enable] Install external plugin from a directory or .ssb-plugin archive
+  plugins pack <dir> [--out <file>] Pack a plugin directory into a .ssb-plugin archive
+  plugins create <name> [--template minimal|crud|admin-ui|scheduled-job] Scaffold a new plugin
+  plugins config <name|number> [key=value ...] Show or update plugin settings (checked against its configSchema)
+  plugins remove <name|number> [--rollback] [--purge] [--force] [--yes] Remove external plugin, optionally deleting its data
 
 Environment Variables:
   PORT               Set port via environment variable
@@ -89,10 +93,15 @@ API Endpoints:
   GET  /health                         # Health check
   POST /save                          # Save game data
   GET  /save/:id                      # Load game data
+  PATCH /save/:id                     # Partially update game data (JSON Patch / merge patch)
+  GET  /save/:id/history              # List save revisions
+  POST /save/:id/restore/:rev         # Restore a previous save revision
   POST /auth/register                 # Register user
   POST /auth/login                    # Login user
   POST /inventory/add                 # Add inventory item
-  GET  /inventory/:userId             # Get user inventory
+  POST /inventory/remove              # Remove part of a stack
+  POST /inventory/batch               # Apply add/remove operations atomically
+  GET  /inventory/:userId             # Get user inventory (?expand=definition)
   DELETE /inventory/:userId/:itemId   # Remove inventory item
   GET  /achievements/*                # Achievement endpoints (via plugins)
   GET  /admin                         # Admin dashboard (web-based plugin management)
@@ -154,7 +163,8 @@ app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', origin);
   }
   res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,x-admin-bypass');
+  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,x-admin-bypass,If-Match,If-None-Match');
+  res.header('Access-Control-Expose-Headers', 'ETag');
   res.header('Access-Control-Allow-Credentials', 'true');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(204);
@@ -331,6 +341,9 @@ function setupFinalMiddleware() {
   app.use((req, res) => {
     res.status(404).json({ error: 'Endpoint not found' });
   });
+
+  // Tag both handlers so plugins activated later are mounted in front of them
+  app._router.stack.slice(-2).forEach(layer => { layer.isFinalHandler = true; });
 }
 
 startServer();
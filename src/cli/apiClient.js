@@ -158,7 +158,12 @@ class PluginManagementAPIClient {
         if (response.status === 401) {
           throw new Error('Admin authentication required. Please authenticate via web interface first.');
         }
-        throw new Error(data.details || data.error || `HTTP ${response.status}`);
+        const error = new Error(data.details || data.error || `HTTP ${response.status}`);
+        // Per-field validation errors ({ path, message, keyword }) when the server reports them
+        if (Array.isArray(data.errors) && data.errors.length > 0) {
+          error.errors = data.errors;
+        }
+        throw error;
       }
 
       return data;
@@ -242,6 +247,53 @@ class PluginManagementAPIClient {
    */
   async validatePluginSystem() {
     const response = await this.makeRequest('/plugins/validate', 'POST');
+
+    // A failing validation still returns its report (400), which is what the CLI prints
+    if (response.status === 400) {
+      const data = await response.json();
+      if (data.data) return data;
+    }
+
+    return this.parseResponse(response);
+  }
+
+  /**
+   * Register a plugin installed into the plugins directory
+   * Calls: POST /admin/api/plugins/register
+   */
+  async registerPlugin(pluginId, pluginPath, enable = false) {
+    const response = await this.makeRequest('/plugins/register', 'POST', { name: pluginId, path: pluginPath, enable });
+    return this.parseResponse(response);
+  }
+
+  /**
+   * Get the migrations and tables affected by removing a plugin
+   * Calls: GET /admin/api/plugins/{id}/removal-plan
+   */
+  async getRemovalPlan(pluginId) {
+    const response = await this.makeRequest(`/plugins/${pluginId}/removal-plan`);
+    return this.parseResponse(response);
+  }
+
+  /**
+   * Remove an external plugin
+   * Calls: POST /admin/api/plugins/{id}/remove
+   */
+  async removePlugin(pluginId, options = {}) {
+    const response = await this.makeRequest(`/plugins/${pluginId}/remove`, 'POST', {
+      rollback: Boolean(options.rollback),
+      purge: Boolean(options.purge),
+      force: Boolean(options.force)
+    });
+    return this.parseResponse(response);
+  }
+
+  /**
+   * Get plugin configuration with its configSchema and effective settings
+   * Calls: GET /admin/api/plugins/{id}/config
+   */
+  async getPluginConfiguration(pluginId) {
+    const response = await this.makeRequest(`/plugins/${pluginId}/config`);
     return this.parseResponse(response);
   }
 
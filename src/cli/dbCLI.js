@@ -1,6 +1,9 @@
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
 const MigrationManager = require('../db/migrations/MigrationManager');
+const SaveService = require('../services/saves/SaveService');
+const SaveSchemaRegistry = require('../services/saves/SaveSchemaRegistry');
+const SaveMigrationManager = require('../services/saves/SaveMigrationManager');
 const { loadConfig } = require('../utils/config');
 
 /**
@@ -103,6 +106,9 @@ class DatabaseCLI {
         case 'plugin:status':
           await this.pluginMigrationStatus(filteredArgs[2]);
           break;
+        case 'saves:migrate':
+          await this.migrateSaves(filteredArgs.includes('--dry-run'));
+          break;
         default:
           console.log(`${this.colorize('❌', 'red')} Unknown db command: ${subcommand}`);
           this.showDbHelp();
@@ -282,6 +288,64 @@ class DatabaseCLI {
     }
   }
 
+  /**
+   * Upgrade save payloads to the latest save data version
+   * @param {boolean} dryRun - Report what would change without writing
+   */
+  async migrateSaves(dryRun = false) {
+    const project = this.config.projects?.find(p => p.id === this.projectId);
+    const savesConfig = project?.saves || {};
+    const migrations = new SaveMigrationManager(savesConfig.migrations_path);
+
+    if (migrations.getLatestVersion() === 0) {
+      console.log(`${this.colorize('ℹ️', 'blue')} No save migrations configured for this project`);
+      console.log(`${this.colorize('💡', 'blue')} Set saves.migrations_path in config.yml to a directory of save migrations`);
+      return;
+    }
+
+    console.log(`${this.colorize('🔄', 'blue')} ${dryRun ? 'Checking' : 'Migrating'} saves to data version ${migrations.getLatestVersion()}...`);
+    if (dryRun) {
+      console.log(`${this.colorize('ℹ️', 'blue')} Dry run - no saves will be modified\n`);
+    }
+
+    const db = await this._getDatabase();
+    const saveService = new SaveService(db, savesConfig, {
+      schemas: new SaveSchemaRegistry(savesConfig.schemas),
+      migrations
+    });
+
+    try {
+      const report = await saveService.migrateAll({ dryRun });
+
+      if (report.total === 0) {
+        console.log(`${this.colorize('✅', 'green')} All saves are up to date`);
+        return;
+      }
+
+      report.results.forEach(r => {
+        const versions = `v${r.fromVersion} → v${r.toVersion}`;
+        if (r.status === 'failed') {
+          console.log(`  ${this.colorize('✗', 'red')} ${r.id} (${versions}): ${r.error}`);
+          (r.errors || []).forEach(e => {
+            console.log(`      ${this.colorize(e.path || '/', 'yellow')} ${e.message}`);
+          });
+        } else {
+          const marker = dryRun ? this.colorize('○', 'yellow') : this.colorize('✓', 'green');
+          console.log(`  ${marker} ${r.id} (${versions}, steps: ${r.applied.join(', ')})`);
+        }
+      });
+
+      const verb = dryRun ? 'would be migrated' : 'migrated';
+      console.log(`\n${this.colorize('📊', 'blue')} ${report.migrated}/${report.total} save(s) ${verb}, ${report.failed} failed`);
+
+      if (report.failed > 0 && !dryRun) {
+        throw new Error(`${report.failed} save(s) could not be migrated`);
+      }
+    } finally {
+      db.close();
+    }
+  }
+
   /**
    * Show help for database commands
    */
@@ -303,12 +367,15 @@ ${this.colorize('Commands:', 'cyan')}
   ${this.colorize('plugin:migrate <name>', 'green')}  Run migrations for specific plugin
   ${this.colorize('plugin:status <name>', 'green')}   Show migration status for plugin
 
+  ${this.colorize('saves:migrate [--dry-run]', 'green')}  Upgrade save data to the latest save data version
+
 ${this.colorize('Examples:', 'cyan')}
   ssbackend db migrate
   ssbackend db status
   ssbackend db rollback 2
   ssbackend db plugin:migrate economy
   ssbackend db plugin:status economy
+  ssbackend db saves:migrate --dry-run --project my-game
 
 ${this.colorize('Environment Variables:', 'cyan')}
   NODE_ENV=production    Disables rollback for safety
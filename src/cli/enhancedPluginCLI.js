@@ -45,6 +45,16 @@ class EnhancedPluginCLI {
 
     const subcommand = filteredArgs[1];
 
+    // Packing and scaffolding only touch local plugin directories, so they work without a running server
+    if (subcommand === 'pack') {
+      this.packPlugin(filteredArgs[2], filteredArgs);
+      return;
+    }
+    if (subcommand === 'create') {
+      this.createPlugin(filteredArgs[2], filteredArgs);
+      return;
+    }
+
     try {
       const serverRunning = await this.apiClient.checkServerHealth();
       if (!serverRunning) {
@@ -80,10 +90,13 @@ class EnhancedPluginCLI {
           await this.validatePluginSystem(filteredArgs[2]);
           break;
         case 'install':
-          await this.installPlugin(filteredArgs[2]);
+          await this.installPlugin(filteredArgs[2], filteredArgs);
           break;
         case 'remove':
-          await this.removePlugin(filteredArgs[2]);
+          await this.removePlugin(filteredArgs[2], filteredArgs);
+          break;
+        case 'config':
+          await this.configurePlugin(filteredArgs[2], filteredArgs.slice(3));
           break;
         default:
           console.log(`${this.colorize('❌', 'red')} Unknown plugin command: ${subcommand}`);
@@ -431,82 +444,458 @@ class EnhancedPluginCLI {
   }
 
   /**
-   * Install an external plugin
+   * Install an external plugin from a directory or .ssb-plugin archive
    * AC 5: Plugin Installation Command
    */
-  async installPlugin(pluginPath) {
+  async installPlugin(pluginPath, args = []) {
     if (!pluginPath) {
       console.log(`${this.colorize('❌', 'red')} Plugin path required`);
-      console.log(`${this.colorize('Usage:', 'blue')} ssbackend plugins install < path > `);
-      console.log(`${this.colorize('Examples:', 'blue')} `);
-      console.log(`  ssbackend plugins install./ my - plugin / `);
-      console.log(`  ssbackend plugins install my - plugin.ssb - plugin`);
+      console.log(`${this.colorize('Usage:', 'blue')} ssbackend plugins install <path> [--enable]`);
+      console.log(`${this.colorize('Examples:', 'blue')}`);
+      console.log(`  ssbackend plugins install ./my-plugin/`);
+      console.log(`  ssbackend plugins install my-plugin-1.0.0.ssb-plugin --enable`);
       return;
     }
 
+    const PluginValidator = require('../plugins/PluginValidator');
+    const PluginPackager = require('../plugins/PluginPackager');
+    const PluginDiscoveryService = require('../services/plugins/PluginDiscoveryService');
+
+    const packager = new PluginPackager();
+    const discoveryService = new PluginDiscoveryService();
+    const enable = args.includes('--enable');
+    let sourceDir = path.resolve(pluginPath);
+    let tempDir = null;
+
     try {
       console.log(`${this.colorize('📦', 'blue')} Installing plugin from ${this.colorize(pluginPath, 'bright')}...`);
 
-      // For now, this is a placeholder implementation
-      // In a full implementation, this would:
-      // 1. Validate plugin structure
-      // 2. Copy files to plugins directory
-      // 3. Install dependencies if needed
-      // 4. Register with plugin system
+      if (!fs.existsSync(sourceDir)) {
+        console.log(`${this.colorize('❌', 'red')} Path not found: ${sourceDir}`);
+        return;
+      }
 
-      console.log(`${this.colorize('⚠️', 'yellow')} Plugin installation feature is not yet implemented.`);
-      console.log(`${this.colorize('💡', 'blue')} Manual installation: `);
-      console.log(`  1. Copy plugin to src / plugins / directory`);
-      console.log(`  2. Restart SSBackend server`);
-      console.log(`  3. Enable plugin with: ssbackend plugins enable < plugin - name > `);
+      let archive = null;
+      if (PluginPackager.isArchive(sourceDir)) {
+        ({ dir: tempDir, archive } = packager.extractToTemp(sourceDir));
+        sourceDir = tempDir;
+        console.log(`${this.colorize('📂', 'blue')} Unpacked ${archive.name} v${archive.version} (${archive.files.length} files)`);
+      } else if (!fs.statSync(sourceDir).isDirectory()) {
+        console.log(`${this.colorize('❌', 'red')} Expected a plugin directory or a ${PluginPackager.ARCHIVE_EXTENSION} archive`);
+        return;
+      }
+
+      // Check the manifest and layout before running any of the plugin's code
+      let staticManifest;
+      try {
+        staticManifest = PluginPackager.checkBeforeLoad(sourceDir, archive);
+      } catch (error) {
+        console.log(`${this.colorize('❌', 'red')} Installation aborted: ${error.message}`);
+        return;
+      }
+
+      // Validate the loaded module before anything is copied into plugins/
+      const plugin = PluginPackager.loadPlugin(sourceDir);
+      const pluginName = plugin.manifest?.name || path.basename(sourceDir);
+      const validation = new PluginValidator().validate(plugin, pluginName, sourceDir);
+      console.log(`\n${PluginValidator.formatResult(validation, pluginName)}\n`);
+      if (!validation.valid) {
+        console.log(`${this.colorize('❌', 'red')} Installation aborted: plugin failed validation`);
+        return;
+      }
+      if (staticManifest && staticManifest.name !== pluginName) {
+        console.log(`${this.colorize('❌', 'red')} Installation aborted: manifest declares "${staticManifest.name}" but the plugin exports "${pluginName}"`);
+        return;
+      }
+
+      const internalPlugins = await discoveryService.discoverInternalPlugins();
+      if (internalPlugins.some(p => p.name === pluginName) ||
+        fs.existsSync(path.join(discoveryService.internalPluginDir, pluginName))) {
+        console.log(`${this.colorize('❌', 'red')} "${pluginName}" is the name of a core plugin and cannot be installed`);
+        return;
+      }
+
+      const targetDir = path.join(discoveryService.pluginDir, pluginName);
+      // A plugin created in place (ssbackend plugins create) only needs registering
+      const inPlace = path.resolve(sourceDir) === path.resolve(targetDir);
+      if (!inPlace && fs.existsSync(targetDir)) {
+        console.log(`${this.colorize('❌', 'red')} A plugin is already installed at ${targetDir}`);
+        console.log(`${this.colorize('💡', 'blue')} Remove it first: ${this.colorize(`ssbackend plugins remove ${pluginName}`, 'cyan')}`);
+        return;
+      }
+
+      if (!inPlace) {
+        packager.copyPlugin(sourceDir, targetDir);
+        console.log(`${this.colorize('📁', 'blue')} Copied to ${targetDir}`);
+      }
+
+      let registration;
+      try {
+        registration = await this.apiClient.registerPlugin(pluginName, targetDir, enable);
+      } catch (error) {
+        // Leave nothing behind that the server does not know about
+        if (!inPlace) {
+          fs.rmSync(targetDir, { recursive: true, force: true });
+        }
+        throw error;
+      }
+
+      console.log(`${this.colorize('✅', 'green')} Plugin "${pluginName}" v${plugin.manifest.version} installed successfully`);
+
+      const { enabled, activationError } = registration.data || {};
+      if (enabled) {
+        console.log(`${this.colorize('🔌', 'green')} Plugin "${pluginName}" enabled and active`);
+      } else if (activationError) {
+        console.log(`${this.colorize('⚠️', 'yellow')} Plugin installed but failed to activate: ${activationError}`);
+      } else {
+        console.log(`${this.colorize('💡', 'blue')} Enable it with: ${this.colorize(`ssbackend plugins enable ${pluginName}`, 'cyan')}`);
+      }
 
     } catch (error) {
-      console.log(`${this.colorize('❌', 'red')} Failed to install plugin from "${pluginPath}": `, error.message);
+      console.log(`${this.colorize('❌', 'red')} Failed to install plugin from "${pluginPath}":`, error.message);
+    } finally {
+      if (tempDir) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
     }
   }
 
   /**
-   * Remove an external plugin
+   * Pack a plugin directory into a distributable .ssb-plugin archive
+   */
+  packPlugin(pluginDir, args = []) {
+    if (!pluginDir) {
+      console.log(`${this.colorize('❌', 'red')} Plugin directory required`);
+      console.log(`${this.colorize('Usage:', 'blue')} ssbackend plugins pack <dir> [--out <file>]`);
+      return;
+    }
+
+    const PluginValidator = require('../plugins/PluginValidator');
+    const PluginPackager = require('../plugins/PluginPackager');
+
+    try {
+      const sourceDir = path.resolve(pluginDir);
+      const plugin = PluginPackager.loadPlugin(sourceDir);
+      const pluginName = plugin.manifest?.name || path.basename(sourceDir);
+
+      const validation = new PluginValidator().validate(plugin, pluginName, sourceDir);
+      if (!validation.valid) {
+        console.log(`\n${PluginValidator.formatResult(validation, pluginName)}\n`);
+        console.log(`${this.colorize('❌', 'red')} Packing aborted: plugin failed validation`);
+        return;
+      }
+
+      const outIndex = args.indexOf('--out');
+      const outputPath = outIndex !== -1 ? args[outIndex + 1] : null;
+      const result = new PluginPackager().pack(sourceDir, outputPath);
+
+      console.log(`${this.colorize('✅', 'green')} Packed ${result.name} v${result.version} (${result.files} files, ${(result.size / 1024).toFixed(1)} KB)`);
+      console.log(`${this.colorize('📦', 'blue')} ${result.path}`);
+      console.log(`${this.colorize('💡', 'blue')} Install with: ${this.colorize(`ssbackend plugins install ${path.basename(result.path)}`, 'cyan')}`);
+    } catch (error) {
+      console.log(`${this.colorize('❌', 'red')} Failed to pack plugin "${pluginDir}":`, error.message);
+    }
+  }
+
+  /**
+   * Generate a new plugin directory from a template
+   */
+  createPlugin(pluginName, args = []) {
+    const PluginScaffolder = require('../plugins/PluginScaffolder');
+    const PluginValidator = require('../plugins/PluginValidator');
+    const option = (flag) => {
+      const index = args.indexOf(flag);
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    if (!pluginName || pluginName.startsWith('--')) {
+      console.log(`${this.colorize('❌', 'red')} Plugin name required`);
+      console.log(`${this.colorize('Usage:', 'blue')} ssbackend plugins create <name> [--template <template>] [--dir <dir>] [--description <text>] [--author <name>]`);
+      console.log(`\n${this.colorize('Templates:', 'bright')}`);
+      Object.entries(PluginScaffolder.TEMPLATES).forEach(([template, description]) => {
+        console.log(`  ${this.colorize(template.padEnd(15), 'green')} ${description}`);
+      });
+      return;
+    }
+
+    try {
+      const scaffolder = new PluginScaffolder({ pluginDir: option('--dir') });
+      const result = scaffolder.create(pluginName, {
+        template: option('--template'),
+        description: option('--description'),
+        author: option('--author')
+      });
+
+      console.log(`${this.colorize('✅', 'green')} Created plugin "${result.name}" from the ${this.colorize(result.template, 'cyan')} template`);
+      console.log(`${this.colorize('📁', 'blue')} ${result.path}`);
+      result.files.forEach(file => console.log(`   ${file}`));
+      console.log(`\n${PluginValidator.formatResult(result.validation, result.name)}\n`);
+
+      const relativePath = path.relative(process.cwd(), result.path) || '.';
+      console.log(`${this.colorize('💡', 'blue')} Run its tests: ${this.colorize(`node --test ${relativePath}/tests/`, 'cyan')}`);
+      console.log(`${this.colorize('💡', 'blue')} Register it: ${this.colorize(`ssbackend plugins install ${relativePath}`, 'cyan')} (or enable auto-discovery)`);
+    } catch (error) {
+      console.log(`${this.colorize('❌', 'red')} Failed to create plugin "${pluginName}":`, error.message);
+    }
+  }
+
+  /**
+   * Remove an external plugin, optionally rolling back its migrations and dropping its tables
    * AC 6: Plugin Removal Command
    */
-  async removePlugin(identifier) {
+  async removePlugin(identifier, args = []) {
     if (!identifier) {
       console.log(`${this.colorize('❌', 'red')} Plugin identifier required`);
-      console.log(`${this.colorize('Usage:', 'blue')} ssbackend plugins remove < name | number > `);
+      console.log(`${this.colorize('Usage:', 'blue')} ssbackend plugins remove <name|number> [--rollback] [--purge] [--force] [--yes]`);
       return;
     }
 
+    const rollback = args.includes('--rollback');
+    const purge = args.includes('--purge');
+    const force = args.includes('--force');
+    const skipConfirm = args.includes('--yes') || args.includes('-y');
+
     try {
       const pluginName = await this.resolvePluginName(identifier);
       if (!pluginName) return;
 
-      // Check if it's an internal plugin (protect from removal)
-      const listResponse = await this.apiClient.listPlugins();
-      const plugin = listResponse.data.plugins.find(p => p.id === pluginName || p.name === pluginName);
+      const { data: plan } = await this.apiClient.getRemovalPlan(pluginName);
 
-      if (!plugin) {
-        console.log(`${this.colorize('❌', 'red')} Plugin "${pluginName}" not found`);
+      if (plan.type === 'internal') {
+        console.log(`${this.colorize('❌', 'red')} Cannot remove internal plugin "${pluginName}"`);
+        console.log(`${this.colorize('💡', 'blue')} Internal plugins can only be disabled, not removed`);
         return;
       }
 
-      if (plugin.type === 'internal') {
-        console.log(`${this.colorize('❌', 'red')} Cannot remove internal plugin "${pluginName}"`);
-        console.log(`${this.colorize('💡', 'blue')} Internal plugins can only be disabled, not removed`);
+      this.showRemovalSummary(plan, { rollback, purge });
+
+      if (plan.enabledDependents.length > 0 && !force) {
+        console.log(`${this.colorize('❌', 'red')} Enabled plugins depend on "${pluginName}": ${plan.enabledDependents.join(', ')}`);
+        console.log(`${this.colorize('💡', 'blue')} Disable them first, or re-run with ${this.colorize('--force', 'cyan')} to remove it anyway`);
+        return;
+      }
+
+      const irreversible = plan.migrations.filter(m => !m.reversible);
+      if (rollback && irreversible.length > 0) {
+        console.log(`${this.colorize('❌', 'red')} Cannot roll back: ${irreversible.map(m => `${m.version} (${m.name})`).join(', ')} ha${irreversible.length === 1 ? 's' : 've'} no down() migration`);
+        console.log(`${this.colorize('💡', 'blue')} Use ${this.colorize('--purge', 'cyan')} without ${this.colorize('--rollback', 'cyan')} to drop the tables instead`);
+        return;
+      }
+
+      if (!skipConfirm) {
+        if (!process.stdin.isTTY) {
+          console.log(`${this.colorize('❌', 'red')} Confirmation required. Re-run with ${this.colorize('--yes', 'cyan')} to remove without prompting`);
+          return;
+        }
+        const confirmed = await this.confirm(`Remove plugin "${pluginName}"? [y/N] `);
+        if (!confirmed) {
+          console.log(`${this.colorize('⏹️', 'yellow')} Removal cancelled`);
+          return;
+        }
+      }
+
+      console.log(`${this.colorize('🗑️', 'blue')} Removing plugin ${this.colorize(pluginName, 'bright')}...`);
+
+      const { data: result } = await this.apiClient.removePlugin(pluginName, { rollback, purge, force });
+
+      if (result.rolledBack.length > 0) {
+        console.log(`${this.colorize('↩️', 'blue')} Rolled back migrations: ${result.rolledBack.join(', ')}`);
+      }
+      if (result.droppedTables.length > 0) {
+        console.log(`${this.colorize('🧹', 'blue')} Dropped tables: ${result.droppedTables.join(', ')}`);
+      }
+      console.log(`${this.colorize('✅', 'green')} Plugin "${pluginName}" removed (${result.removedPath} deleted)`);
+
+    } catch (error) {
+      console.log(`${this.colorize('❌', 'red')} Failed to remove plugin "${identifier}":`, error.message);
+    }
+  }
+
+  /**
+   * Show a plugin's settings, or update them from key=value pairs
+   * Dotted keys address nested settings (analytics.retention_days=30); values are parsed as JSON when possible.
+   */
+  async configurePlugin(identifier, assignments = []) {
+    if (!identifier) {
+      console.log(`${this.colorize('❌', 'red')} Plugin identifier required`);
+      console.log(`${this.colorize('Usage:', 'blue')} ssbackend plugins config <name|number> [key=value ...]`);
+      return;
+    }
+
+    try {
+      const pluginName = await this.resolvePluginName(identifier);
+      if (!pluginName) return;
+
+      if (assignments.length === 0) {
+        const { data } = await this.apiClient.getPluginConfiguration(pluginName);
+        this.showSettings(pluginName, data);
         return;
       }
 
-      console.log(`${this.colorize('🗑️', 'blue')} Removing external plugin ${this.colorize(pluginName, 'bright')}...`);
+      const updates = {};
+      for (const assignment of assignments) {
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+          console.log(`${this.colorize('❌', 'red')} Expected key=value, got "${assignment}"`);
+          return;
+        }
+        this.setSettingValue(updates, assignment.slice(0, separator), this.parseSettingValue(assignment.slice(separator + 1)));
+      }
 
-      // For now, this is a placeholder implementation
-      console.log(`${this.colorize('⚠️', 'yellow')} Plugin removal feature is not yet implemented.`);
-      console.log(`${this.colorize('💡', 'blue')} Manual removal: `);
-      console.log(`  1. Disable plugin first: ssbackend plugins disable ${pluginName} `);
-      console.log(`  2. Remove plugin directory from src / plugins / `);
-      console.log(`  3. Restart SSBackend server`);
+      console.log(`${this.colorize('🔄', 'blue')} Updating settings for ${this.colorize(pluginName, 'bright')}...`);
+      const { data: result } = await this.apiClient.updatePluginConfiguration(pluginName, updates);
+
+      console.log(`${this.colorize('✅', 'green')} Settings for "${pluginName}" saved`);
+      if (result.settings) {
+        Object.entries(result.settings).forEach(([key, value]) => {
+          console.log(`  ${this.colorize(key + ':', 'cyan')} ${JSON.stringify(value)}`);
+        });
+      }
+      if (!result.applied) {
+        console.log(`${this.colorize('💡', 'blue')} The plugin is not loaded; the settings apply when it is enabled`);
+      }
 
     } catch (error) {
-      console.log(`${this.colorize('❌', 'red')} Failed to remove plugin "${identifier}": `, error.message);
+      console.log(`${this.colorize('❌', 'red')} Failed to configure plugin "${identifier}":`, error.errors ? 'invalid settings' : error.message);
+      (error.errors || []).forEach(fieldError => {
+        console.log(`  ${this.colorize('•', 'red')} ${this.colorize(this.formatSettingPath(fieldError.path), 'cyan')} ${fieldError.message}`);
+      });
+    }
+  }
+
+  /**
+   * Print a plugin's effective settings alongside the schema describing them
+   */
+  showSettings(pluginName, config) {
+    console.log(`\n${this.colorize('⚙️', 'cyan')} Settings for ${this.colorize(pluginName, 'bright')}\n`);
+
+    const properties = config.schema?.properties || {};
+    const keys = [...new Set([...Object.keys(properties), ...Object.keys(config.settings || {})])];
+
+    if (keys.length === 0) {
+      console.log(`  ${this.colorize('•', 'blue')} This plugin declares no settings`);
+    }
+
+    for (const key of keys) {
+      const property = properties[key] || {};
+      const constraints = [];
+      if (property.type) constraints.push(property.type);
+      if (property.enum) constraints.push(`one of ${property.enum.join('|')}`);
+      if (property.minimum !== undefined) constraints.push(`min ${property.minimum}`);
+      if (property.maximum !== undefined) constraints.push(`max ${property.maximum}`);
+
+      const detail = constraints.length > 0 ? this.colorize(` (${constraints.join(', ')})`, 'yellow') : '';
+      console.log(`  ${this.colorize(key + ':', 'cyan')} ${JSON.stringify(config.settings?.[key])}${detail}`);
+      if (property.description) {
+        console.log(`      ${property.description}`);
+      }
     }
+
+    if (config.errors && config.errors.length > 0) {
+      console.log(`\n${this.colorize('⚠️', 'yellow')} Stored settings that fail the schema:`);
+      config.errors.forEach(fieldError => {
+        console.log(`  ${this.colorize('•', 'red')} ${this.colorize(this.formatSettingPath(fieldError.path), 'cyan')} ${fieldError.message}`);
+      });
+    }
+
+    if (!config.schema) {
+      console.log(`\n${this.colorize('💡', 'blue')} No configSchema in the manifest, so values are saved without validation`);
+    }
+    console.log('');
+  }
+
+  /**
+   * Set a value at a dotted key path, creating nested objects on the way
+   */
+  setSettingValue(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    let current = target;
+    keys.slice(0, -1).forEach(key => {
+      if (!current[key] || typeof current[key] !== 'object') {
+        current[key] = {};
+      }
+      current = current[key];
+    });
+    current[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * Parse a CLI value: JSON literals (numbers, booleans, arrays, objects, null) or a plain string
+   */
+  parseSettingValue(raw) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+
+  /**
+   * Turn a JSON pointer from a validation error into a dotted key path
+   */
+  formatSettingPath(pointer) {
+    if (!pointer) return '(settings)';
+    return pointer.slice(1).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~')).join('.');
+  }
+
+  /**
+   * Print what a removal deletes, based on the server's removal plan
+   */
+  showRemovalSummary(plan, options) {
+    console.log(`\n${this.colorize('Removal summary for', 'bright')} ${this.colorize(plan.pluginId, 'cyan')} v${plan.version}`);
+    console.log(`  ${this.colorize('•', 'blue')} Delete directory: ${plan.path}`);
+    if (plan.inConfig) {
+      console.log(`  ${this.colorize('•', 'blue')} Remove its entry from config.yml${plan.enabled ? ' (plugin is currently enabled)' : ''}`);
+    }
+
+    if (plan.dependents.length > 0) {
+      console.log(`  ${this.colorize('⚠️', 'yellow')} Plugins depending on it: ${plan.dependents.join(', ')}`);
+      if (plan.enabledDependents.length > 0) {
+        console.log(`  ${this.colorize('⚠️', 'yellow')} Still enabled, will break after removal: ${plan.enabledDependents.join(', ')}`);
+      }
+    }
+
+    if (options.rollback) {
+      if (plan.migrations.length === 0) {
+        console.log(`  ${this.colorize('•', 'blue')} No recorded migrations to roll back`);
+      }
+      for (const migration of plan.migrations) {
+        const note = migration.reversible ? '' : this.colorize(' (no down())', 'red');
+        console.log(`  ${this.colorize('↩️', 'yellow')} Roll back migration ${migration.version}: ${migration.name}${note}`);
+      }
+    }
+
+    if (options.purge) {
+      if (plan.tables.length === 0) {
+        console.log(`  ${this.colorize('•', 'blue')} No plugin tables found to drop`);
+      }
+      for (const table of plan.tables) {
+        console.log(`  ${this.colorize('🧹', 'red')} Drop table ${table.name} (${table.rows} row${table.rows === 1 ? '' : 's'})`);
+      }
+    }
+
+    if (options.rollback || options.purge) {
+      const rows = plan.tables.reduce((sum, table) => sum + table.rows, 0);
+      console.log(`\n${this.colorize('⚠️', 'yellow')} ${this.colorize(`This permanently deletes plugin data (${rows} row${rows === 1 ? '' : 's'} across ${plan.tables.length} table${plan.tables.length === 1 ? '' : 's'})`, 'red')}`);
+    } else if (plan.tables.length > 0) {
+      console.log(`  ${this.colorize('💾', 'blue')} Keep tables: ${plan.tables.map(t => t.name).join(', ')} (use --rollback or --purge to delete data)`);
+    }
+    console.log('');
+  }
+
+  /**
+   * Ask a yes/no question on the terminal
+   */
+  confirm(question) {
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    return new Promise(resolve => {
+      rl.question(question, answer => {
+        rl.close();
+        resolve(/^y(es)?$/i.test(answer.trim()));
+      });
+    });
   }
 
   /**
@@ -563,8 +952,14 @@ ${this.colorize('Commands:', 'bright')}
   ${this.colorize('reload', 'green')} <name|number>         Hot-reload a plugin without server restart
   ${this.colorize('info', 'green')} <name|number>           Show detailed plugin information
   ${this.colorize('validate', 'green')}                    Validate plugin system health and configuration
-  ${this.colorize('install', 'green')} <path>              Install external plugin from path
-  ${this.colorize('remove', 'green')} <name|number>        Remove external plugin (internal plugins protected)
+  ${this.colorize('install', 'green')} <path> [--enable]   Install external plugin from a directory or .ssb-plugin archive
+  ${this.colorize('pack', 'green')} <dir> [--out <file>]   Pack a plugin directory into a .ssb-plugin archive
+  ${this.colorize('create', 'green')} <name> [--template <template>] [--dir <dir>]
+                                Scaffold a new plugin (templates: minimal, crud, admin-ui, scheduled-job)
+  ${this.colorize('remove', 'green')} <name|number> [--rollback] [--purge] [--force] [--yes]
+                                Remove external plugin (internal plugins protected)
+  ${this.colorize('config', 'green')} <name|number> [key=value ...]
+                                Show settings, or validate and save new values
 
   ${this.colorize('Examples:', 'bright')}
   ssbackend plugins list                    # Show all plugins
@@ -577,12 +972,23 @@ ${this.colorize('Commands:', 'bright')}
   ssbackend plugins info economy           # Show detailed economy plugin information
   ssbackend plugins validate               # Check plugin system health
   ssbackend plugins install ./my-plugin/   # Install plugin from directory
+  ssbackend plugins pack ./my-plugin/      # Create my-plugin-<version>.ssb-plugin
+  ssbackend plugins create my-plugin --template crud # Generate plugins/my-plugin with CRUD routes
+  ssbackend plugins install my-plugin-1.0.0.ssb-plugin --enable # Install and enable an archive
+  ssbackend plugins remove my-plugin        # Remove plugin files and config, keep its tables
+  ssbackend plugins remove my-plugin --rollback --purge # Also undo migrations and drop its data
+  ssbackend plugins config leaderboards    # Show leaderboards settings and their schema
+  ssbackend plugins config economy analytics.retention_days=90 # Change a nested setting
 
   ${this.colorize('Notes:', 'bright')}
   ${this.colorize('•', 'blue')} Plugin changes are applied immediately via backend APIs
-  ${this.colorize('•', 'blue')} All operations require SSBackend server to be running
+  ${this.colorize('•', 'blue')} All operations except ${this.colorize('pack', 'cyan')} and ${this.colorize('create', 'cyan')} require SSBackend server to be running
+  ${this.colorize('•', 'blue')} Plugins are validated before install and cannot reuse a core plugin name
   ${this.colorize('•', 'blue')} CLI uses same backend APIs as web admin interface
   ${this.colorize('•', 'blue')} Internal plugins can be disabled but not removed
+  ${this.colorize('•', 'blue')} ${this.colorize('remove --rollback', 'cyan')} runs each migration's down(); ${this.colorize('--purge', 'cyan')} drops the plugin's remaining plugin_<name>* tables
+  ${this.colorize('•', 'blue')} ${this.colorize('remove', 'cyan')} refuses while enabled plugins depend on it unless ${this.colorize('--force', 'cyan')} is given
+  ${this.colorize('•', 'blue')} ${this.colorize('config', 'cyan')} values are checked against the plugin's configSchema; invalid fields are listed and nothing is saved
   ${this.colorize('•', 'blue')} Use ${this.colorize('reload', 'cyan')} to apply code changes without server restart
   ${this.colorize('•', 'blue')} Use ${this.colorize('--verbose', 'cyan')} flag with list for detailed output
 
@@ -0,0 +1,496 @@
+const { shareTransactionQueue } = require('./transaction');
+const PluginPermissions = require('../plugins/PluginPermissions');
+
+/**
+ * Keywords that end a table list (FROM a, b WHERE ...) or cannot be an alias
+ */
+const CLAUSE_KEYWORDS = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'WINDOW', 'UNION', 'EXCEPT', 'INTERSECT',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'OUTER', 'ON', 'USING',
+  'SET', 'VALUES', 'SELECT', 'DEFAULT', 'RETURNING', 'AS', 'INDEXED', 'NOT', 'OFFSET',
+  'BEGIN', 'END', 'WHEN', 'THEN', 'ELSE', 'DO', 'FROM'
+]);
+
+const TRANSACTION_KEYWORDS = new Set(['BEGIN', 'COMMIT', 'END', 'ROLLBACK', 'SAVEPOINT', 'RELEASE']);
+
+/**
+ * PRAGMAs a plugin may run, all of which inspect a single table
+ */
+const TABLE_PRAGMAS = new Set(['table_info', 'table_xinfo', 'index_list', 'foreign_key_list']);
+
+/**
+ * Cached verdicts per plugin; SQL text repeats far more often than it changes
+ */
+const VERDICT_CACHE_SIZE = 500;
+
+/**
+ * Split SQL into tokens, dropping comments and replacing string literals
+ * @private
+ * @returns {Array} [{ type: 'word'|'ident'|'string'|'number'|'punct', value, upper }]
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  const push = (type, value) => tokens.push({ type, value, upper: type === 'word' ? value.toUpperCase() : value });
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === '\'' || char === '"' || char === '`' || char === '[') {
+      const close = char === '[' ? ']' : char;
+      let value = '';
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === close) {
+          if (close !== ']' && sql[i + 1] === close) {
+            value += close;
+            i += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[i++];
+      }
+      i++;
+      push(char === '\'' ? 'string' : 'ident', value);
+    } else if (/[a-zA-Z_]/.test(char)) {
+      const match = /^[a-zA-Z_][a-zA-Z0-9_$]*/.exec(sql.slice(i))[0];
+      push('word', match);
+      i += match.length;
+    } else if (/[0-9]/.test(char)) {
+      const match = /^[0-9][0-9a-zA-Z_.]*/.exec(sql.slice(i))[0];
+      push('number', match);
+      i += match.length;
+    } else {
+      push('punct', char);
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Split tokens into statements on ';' (trigger bodies stay whole)
+ * @private
+ */
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  let bodyDepth = 0;
+  let caseDepth = 0;
+
+  for (const token of tokens) {
+    // CREATE TRIGGER ... BEGIN stmt; stmt; END keeps its inner semicolons
+    if (token.upper === 'BEGIN' && current.length > 0 && current[0].upper === 'CREATE') {
+      bodyDepth++;
+    } else if (token.upper === 'CASE') {
+      caseDepth++;
+    } else if (token.upper === 'END') {
+      if (caseDepth > 0) caseDepth--;
+      else if (bodyDepth > 0) bodyDepth--;
+    }
+
+    if (token.type === 'punct' && token.value === ';' && bodyDepth === 0) {
+      if (current.length > 0) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+
+  if (current.length > 0) statements.push(current);
+  return statements;
+}
+
+/**
+ * Work out which tables a statement touches, and how
+ * @private
+ * @returns {Object} { tables: [{ name, access: 'read'|'write'|'schema' }], denied: string|null, aliases: Map, schemaObjects: [] }
+ */
+function analyzeStatement(tokens) {
+  const tables = [];
+  const aliases = new Map();
+  const schemaObjects = [];
+  const cteNames = new Set();
+
+  // SQLite reads a single-quoted string in a name position as that name (FROM 'users')
+  const isName = token => token && (token.type === 'ident' || token.type === 'string' ||
+    (token.type === 'word' && !CLAUSE_KEYWORDS.has(token.upper)));
+
+  // Only an unqualified read can mean a CTE; write targets and main.x/temp.x are always tables
+  const add = (name, access, qualified = false) => {
+    if (!name) return;
+    if (access === 'read' && !qualified && cteNames.has(name.toLowerCase())) return;
+    tables.push({ name, access });
+  };
+
+  // Read a possibly schema-qualified name starting at index; returns [name, nextIndex, qualified]
+  const readName = (index) => {
+    let token = tokens[index];
+    if (!token || !['word', 'ident', 'string'].includes(token.type)) return [null, index, false];
+    if (tokens[index + 1] && tokens[index + 1].value === '.' && tokens[index + 2]) {
+      const schema = token.value.toLowerCase();
+      if (schema !== 'main' && schema !== 'temp') return [`${token.value}.${tokens[index + 2].value}`, index + 3, true];
+      token = tokens[index + 2];
+      return [token.value, index + 3, true];
+    }
+    return [token.value, index + 1, false];
+  };
+
+  const skipGroup = (index) => {
+    let depth = 0;
+    for (; index < tokens.length; index++) {
+      if (tokens[index].value === '(') depth++;
+      if (tokens[index].value === ')' && --depth === 0) return index + 1;
+    }
+    return index;
+  };
+
+  const skipIfExists = (index, not) => {
+    const words = not ? ['IF', 'NOT', 'EXISTS'] : ['IF', 'EXISTS'];
+    return words.every((word, offset) => tokens[index + offset] && tokens[index + offset].upper === word)
+      ? index + words.length
+      : index;
+  };
+
+  const first = tokens[0].upper;
+  let start = 0;
+
+  if (first === 'EXPLAIN') {
+    start = tokens[1] && tokens[1].upper === 'QUERY' ? 3 : 1;
+  }
+  const verb = tokens[start] ? tokens[start].upper : '';
+
+  if (TRANSACTION_KEYWORDS.has(verb)) {
+    return { tables, aliases, schemaObjects, denied: null };
+  }
+
+  if (verb === 'PRAGMA') {
+    const [name, next] = readName(start + 1);
+    const pragma = String(name).toLowerCase();
+    if (TABLE_PRAGMAS.has(pragma) && tokens[next] && tokens[next].value === '(' && tokens[next + 1]) {
+      add(tokens[next + 1].value, 'read');
+      return { tables, aliases, schemaObjects, denied: null };
+    }
+    if (pragma === 'foreign_keys' && !tokens[next]) {
+      return { tables, aliases, schemaObjects, denied: null };
+    }
+    return { tables, aliases, schemaObjects, denied: `is not permitted to run PRAGMA ${name}` };
+  }
+
+  if (['ATTACH', 'DETACH', 'VACUUM', 'ANALYZE', 'REINDEX'].includes(verb)) {
+    return { tables, aliases, schemaObjects, denied: `is not permitted to run ${verb}` };
+  }
+
+  if (verb === 'CREATE') {
+    let index = start + 1;
+    while (tokens[index] && ['TEMP', 'TEMPORARY', 'UNIQUE', 'VIRTUAL'].includes(tokens[index].upper)) index++;
+    const kind = tokens[index] ? tokens[index].upper : '';
+    index = skipIfExists(index + 1, true);
+    const [name, next] = readName(index);
+
+    if (kind === 'TABLE' || kind === 'VIEW') {
+      add(name, 'schema');
+    } else if (kind === 'INDEX' || kind === 'TRIGGER') {
+      const on = tokens.findIndex((token, position) => position >= next && token.upper === 'ON');
+      if (on !== -1) add(readName(on + 1)[0], 'schema');
+    }
+  } else if (verb === 'DROP') {
+    const kind = tokens[start + 1] ? tokens[start + 1].upper : '';
+    const [name] = readName(skipIfExists(start + 2, false));
+    if (kind === 'TABLE' || kind === 'VIEW') {
+      add(name, 'schema');
+    } else {
+      schemaObjects.push(name);
+    }
+  } else if (verb === 'ALTER') {
+    const [name, next] = readName(start + 2);
+    add(name, 'schema');
+    if (tokens[next] && tokens[next].upper === 'RENAME' && tokens[next + 1] && tokens[next + 1].upper === 'TO') {
+      add(readName(next + 2)[0], 'schema');
+    }
+  }
+
+  // Common table expressions are not tables
+  let shadowed = null;
+  tokens.forEach((token, index) => {
+    if (token.upper !== 'WITH') return;
+    let position = index + 1;
+    if (tokens[position] && tokens[position].upper === 'RECURSIVE') position++;
+    while (tokens[position]) {
+      const cteName = tokens[position].value.toLowerCase();
+      if (PluginPermissions.isKnownTable(cteName)) shadowed = shadowed || tokens[position].value;
+      cteNames.add(cteName);
+      position++;
+      if (tokens[position] && tokens[position].value === '(') position = skipGroup(position);
+      if (!tokens[position] || tokens[position].upper !== 'AS') break;
+      position++;
+      if (tokens[position] && tokens[position].upper === 'NOT') position++;
+      if (tokens[position] && tokens[position].upper === 'MATERIALIZED') position++;
+      position = skipGroup(position);
+      if (!tokens[position] || tokens[position].value !== ',') break;
+      position++;
+    }
+  });
+
+  // A CTE named after a table would hide that table from the checks below
+  if (shadowed) {
+    return { tables, aliases, schemaObjects, denied: `is not permitted to name a common table expression "${shadowed}" after a table` };
+  }
+
+  // FROM a [AS] x, b y / JOIN c ON ...
+  const readTableList = (index, access) => {
+    while (tokens[index]) {
+      if (tokens[index].value === '(') return;
+      const [name, next, qualified] = readName(index);
+      if (!name) return;
+      // Table-valued functions such as json_each(...)
+      if (tokens[next] && tokens[next].value === '(') return;
+
+      add(name, access, qualified);
+      let position = next;
+      if (tokens[position] && tokens[position].upper === 'AS') position++;
+      if (isName(tokens[position])) {
+        aliases.set(tokens[position].value.toLowerCase(), name.toLowerCase());
+        position++;
+      }
+      if (!tokens[position] || tokens[position].value !== ',' || access !== 'read') return;
+      index = position + 1;
+    }
+  };
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'word') return;
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    if (token.upper === 'FROM') {
+      readTableList(index + 1, previous && previous.upper === 'DELETE' ? 'write' : 'read');
+    } else if (token.upper === 'JOIN') {
+      readTableList(index + 1, 'read');
+    } else if (token.upper === 'INTO') {
+      add(readName(index + 1)[0], 'write');
+    } else if (token.upper === 'UPDATE') {
+      // Skip ON UPDATE CASCADE, DO UPDATE SET, AFTER UPDATE ON, UPDATE OF column
+      if (previous && ['ON', 'DO', 'BEFORE', 'AFTER', 'OF'].includes(previous.upper)) return;
+      let position = index + 1;
+      if (next && next.upper === 'OR') position += 2;
+      if (tokens[position] && ['SET', 'ON', 'OF'].includes(tokens[position].upper)) return;
+      const [name, after] = readName(position);
+      if (name) {
+        add(name, 'write');
+        if (isName(tokens[after]) && tokens[after].upper !== 'SET') aliases.set(tokens[after].value.toLowerCase(), name.toLowerCase());
+      }
+    }
+  });
+
+  return { tables, aliases, schemaObjects, denied: null };
+}
+
+/**
+ * GuardedDatabase - A plugin's view of the project database
+ *
+ * Wraps a sqlite3 Database and checks every statement against the plugin's
+ * PluginPermissions before handing it to SQLite. Statements are refused when
+ * they are prepared, so nothing runs: the callback receives an error with code
+ * 'PERMISSION_DENIED', or the call throws when no callback was given.
+ *
+ * Supports the sqlite3 API plugins use - run, get, all, each, exec, prepare,
+ * serialize and parallelize. The connection itself belongs to the project, so
+ * close() is refused. withTransaction() accepts the wrapper and queues on the
+ * underlying connection.
+ */
+class GuardedDatabase {
+  /**
+   * @param {Object} db - Project sqlite3 Database
+   * @param {PluginPermissions} permissions - The plugin's grants
+   */
+  constructor(db, permissions) {
+    this.db = db;
+    this.permissions = permissions;
+    this.verdicts = new Map();
+
+    shareTransactionQueue(this, db);
+  }
+
+  /**
+   * Check SQL against the plugin's grants
+   * @param {string} sql - One or more statements
+   * @returns {Error|null} Permission error, or null when allowed
+   */
+  check(sql) {
+    if (this.permissions.trusted) return null;
+
+    const text = String(sql);
+    if (this.verdicts.has(text)) {
+      const message = this.verdicts.get(text);
+      return message ? this.permissions.denied(message) : null;
+    }
+
+    const message = this._evaluate(text);
+    if (this.verdicts.size >= VERDICT_CACHE_SIZE) {
+      this.verdicts.delete(this.verdicts.keys().next().value);
+    }
+    this.verdicts.set(text, message);
+
+    return message ? this.permissions.denied(message) : null;
+  }
+
+  run(sql, ...args) {
+    return this._guard('run', sql, args, args.findLastIndex(arg => typeof arg === 'function'));
+  }
+
+  get(sql, ...args) {
+    return this._guard('get', sql, args, args.findLastIndex(arg => typeof arg === 'function'));
+  }
+
+  all(sql, ...args) {
+    return this._guard('all', sql, args, args.findLastIndex(arg => typeof arg === 'function'));
+  }
+
+  each(sql, ...args) {
+    // Errors go to the row callback, as in sqlite3
+    return this._guard('each', sql, args, args.findIndex(arg => typeof arg === 'function'));
+  }
+
+  exec(sql, callback) {
+    return this._guard('exec', sql, callback ? [callback] : [], callback ? 0 : -1);
+  }
+
+  /**
+   * Prepare a statement; a refused statement throws here, before any parameters are bound
+   */
+  prepare(sql, ...args) {
+    const error = this.check(sql);
+    if (error) throw error;
+    return this.db.prepare(sql, ...args);
+  }
+
+  serialize(callback) {
+    this.db.serialize(callback);
+    return this;
+  }
+
+  parallelize(callback) {
+    this.db.parallelize(callback);
+    return this;
+  }
+
+  close(callback) {
+    const error = this.permissions.denied('is not permitted to close the project database');
+    if (typeof callback === 'function') {
+      process.nextTick(() => callback(error));
+      return this;
+    }
+    throw error;
+  }
+
+  /**
+   * Check, then forward to the wrapped connection
+   * @private
+   */
+  _guard(method, sql, args, callbackIndex) {
+    const error = this.check(sql);
+
+    if (error) {
+      if (callbackIndex === -1) throw error;
+      const callback = args[callbackIndex];
+      process.nextTick(() => callback(error));
+      return this;
+    }
+
+    this.db[method](sql, ...args);
+    return this;
+  }
+
+  /**
+   * @private
+   * @returns {string|null} Denial message
+   */
+  _evaluate(sql) {
+    const permissions = this.permissions;
+
+    for (const tokens of splitStatements(tokenize(sql))) {
+      const { tables, aliases, schemaObjects, denied } = analyzeStatement(tokens);
+      if (denied) return denied;
+
+      for (const { name, access } of tables) {
+        if (!name) continue;
+        if (name.includes('.')) return `is not permitted to use table "${name}" from another database`;
+
+        const granted = permissions.tableAccess(name);
+        const rank = { read: 1, write: 2, schema: 3 };
+
+        if (!granted || rank[granted] < rank[access]) {
+          if (access === 'schema') {
+            return `is not permitted to create, alter or drop table "${name}" (plugins own tables named ${permissions.ownPrefix}_*)`;
+          }
+          const field = access === 'write' ? 'permissions.database.write' : 'permissions.database.read';
+          return `is not permitted to ${access} table "${name}" (declare it in ${field})`;
+        }
+      }
+
+      for (const name of schemaObjects) {
+        if (name && !permissions.ownsSchemaObject(name)) {
+          return `is not permitted to drop "${name}" (index and trigger names must start with one of its tables, e.g. idx_${permissions.ownPrefix}_user)`;
+        }
+      }
+
+      const protectedMessage = this._checkProtectedColumns(tokens, tables, aliases);
+      if (protectedMessage) return protectedMessage;
+    }
+
+    return null;
+  }
+
+  /**
+   * Refuse statements that could return a protected column (users.password)
+   * @private
+   */
+  _checkProtectedColumns(tokens, tables, aliases) {
+    const guarded = new Map();
+    tables.forEach(({ name }) => {
+      const columns = name ? this.permissions.protectedColumns(name) : [];
+      if (columns.length > 0) guarded.set(name.toLowerCase(), columns);
+    });
+    if (guarded.size === 0) return null;
+
+    const columns = new Set([].concat(...guarded.values()));
+    const resolve = qualifier => aliases.get(qualifier.toLowerCase()) || qualifier.toLowerCase();
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+
+      if ((token.type === 'word' || token.type === 'ident') && columns.has(token.value.toLowerCase())) {
+        return `is not permitted to read protected column "${token.value}"`;
+      }
+
+      if (token.value === '*' && token.type === 'punct') {
+        const previous = tokens[index - 1];
+        if (!previous) continue;
+
+        if (previous.value === '.') {
+          const table = resolve(tokens[index - 2] ? tokens[index - 2].value : '');
+          if (guarded.has(table)) return `is not permitted to select * from "${table}" (it has protected columns; list the columns it needs)`;
+        } else if (['SELECT', 'DISTINCT', 'ALL', ','].includes(previous.upper)) {
+          const table = Array.from(guarded.keys())[0];
+          return `is not permitted to select * from "${table}" (it has protected columns; list the columns it needs)`;
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = GuardedDatabase;
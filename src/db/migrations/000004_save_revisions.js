@@ -0,0 +1,97 @@
+/**
+ * Migration 000004: Save Revisions
+ *
+ * Adds revision tracking to game saves:
+ * - saves.revision: Monotonic revision counter for each save id
+ * - save_revisions: Bounded history of previous save payloads
+ *
+ * Existing saves are backfilled as revision 1 so they can be restored.
+ */
+
+module.exports = {
+  version: 4,
+  name: 'save_revisions',
+  description: 'Add save revision counter and save_revisions history table',
+
+  /**
+   * Apply migration
+   */
+  async up(db) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        // Add revision counter to saves
+        db.run(`
+          ALTER TABLE saves ADD COLUMN revision INTEGER NOT NULL DEFAULT 1
+        `, (err) => {
+          if (err) {
+            console.error('Failed to add revision column to saves:', err.message);
+            return reject(err);
+          }
+        });
+
+        // Create save history table
+        db.run(`
+          CREATE TABLE IF NOT EXISTS save_revisions (
+            save_id TEXT NOT NULL,
+            revision INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            source TEXT NOT NULL DEFAULT 'save',
+            restored_from INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (save_id, revision)
+          )
+        `, (err) => {
+          if (err) {
+            console.error('Failed to create save_revisions table:', err.message);
+            return reject(err);
+          }
+        });
+
+        // Create index on created_at for age-based pruning
+        db.run(`
+          CREATE INDEX IF NOT EXISTS idx_save_revisions_created_at
+          ON save_revisions(created_at)
+        `, (err) => {
+          if (err) {
+            console.error('Failed to create save_revisions index:', err.message);
+            return reject(err);
+          }
+        });
+
+        // Backfill existing saves as their first revision
+        db.run(`
+          INSERT OR IGNORE INTO save_revisions (save_id, revision, data, source, created_at)
+          SELECT id, revision, data, 'migration', updated_at FROM saves
+        `, (err) => {
+          if (err) {
+            console.error('Failed to backfill save_revisions:', err.message);
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    });
+  },
+
+  /**
+   * Rollback migration
+   * WARNING: This will delete all save history!
+   */
+  async down(db) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.exec(`
+          DROP INDEX IF EXISTS idx_save_revisions_created_at;
+          DROP TABLE IF EXISTS save_revisions;
+          ALTER TABLE saves DROP COLUMN revision;
+        `, (err) => {
+          if (err) {
+            console.error('Failed to drop save revision tables:', err.message);
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Migration 000005: Save Ownership
+ *
+ * Binds saves to the authenticated user that wrote them:
+ * - saves.user_id: Owning user (NULL for saves in the shared namespace)
+ *
+ * Existing saves stay unowned, so anonymous clients keep working unchanged.
+ */
+
+module.exports = {
+  version: 5,
+  name: 'save_ownership',
+  description: 'Add user_id owner column to saves',
+
+  /**
+   * Apply migration
+   */
+  async up(db) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run(`
+          ALTER TABLE saves ADD COLUMN user_id INTEGER REFERENCES users(id)
+        `, (err) => {
+          if (err) {
+            console.error('Failed to add user_id column to saves:', err.message);
+            return reject(err);
+          }
+        });
+
+        db.run(`
+          CREATE INDEX IF NOT EXISTS idx_saves_user_id ON saves(user_id)
+        `, (err) => {
+          if (err) {
+            console.error('Failed to create saves user_id index:', err.message);
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    });
+  },
+
+  /**
+   * Rollback migration
+   * WARNING: Owned saves keep their namespaced ids but lose their owner!
+   */
+  async down(db) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.exec(`
+          DROP INDEX IF EXISTS idx_saves_user_id;
+          ALTER TABLE saves DROP COLUMN user_id;
+        `, (err) => {
+          if (err) {
+            console.error('Failed to drop saves user_id column:', err.message);
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+};
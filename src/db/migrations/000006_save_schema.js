@@ -0,0 +1,48 @@
+/**
+ * Migration 000006: Save Schema
+ *
+ * Records which project save schema a save was validated against:
+ * - saves.schema: Name of the schema from the project's `saves.schemas` config
+ *
+ * Later writes without an explicit schema keep validating against it.
+ */
+
+module.exports = {
+  version: 6,
+  name: 'save_schema',
+  description: 'Add schema column to saves',
+
+  /**
+   * Apply migration
+   */
+  async up(db) {
+    return new Promise((resolve, reject) => {
+      db.run(`
+        ALTER TABLE saves ADD COLUMN schema TEXT
+      `, (err) => {
+        if (err) {
+          console.error('Failed to add schema column to saves:', err.message);
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * Rollback migration
+   */
+  async down(db) {
+    return new Promise((resolve, reject) => {
+      db.run(`
+        ALTER TABLE saves DROP COLUMN schema
+      `, (err) => {
+        if (err) {
+          console.error('Failed to drop saves schema column:', err.message);
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Migration 000007: Save Data Version
+ *
+ * Tracks the format version of save payloads for the save migration pipeline:
+ * - saves.data_version: Version of the current payload
+ * - save_revisions.data_version: Version of each stored revision
+ *
+ * Existing saves start at version 0, before any save migration.
+ */
+
+module.exports = {
+  version: 7,
+  name: 'save_data_version',
+  description: 'Add data_version to saves and save_revisions',
+
+  /**
+   * Apply migration
+   */
+  async up(db) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run(`
+          ALTER TABLE saves ADD COLUMN data_version INTEGER NOT NULL DEFAULT 0
+        `, (err) => {
+          if (err) {
+            console.error('Failed to add data_version column to saves:', err.message);
+            return reject(err);
+          }
+        });
+
+        db.run(`
+          ALTER TABLE save_revisions ADD COLUMN data_version INTEGER NOT NULL DEFAULT 0
+        `, (err) => {
+          if (err) {
+            console.error('Failed to add data_version column to save_revisions:', err.message);
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    });
+  },
+
+  /**
+   * Rollback migration
+   */
+  async down(db) {
+    return new Promise((resolve, reject) => {
+      db.exec(`
+        ALTER TABLE save_revisions DROP COLUMN data_version;
+        ALTER TABLE saves DROP COLUMN data_version;
+      `, (err) => {
+        if (err) {
+          console.error('Failed to drop data_version columns:', err.message);
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+};
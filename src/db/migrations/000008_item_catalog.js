@@ -0,0 +1,72 @@
+/**
+ * Migration 000008: Item Catalog
+ *
+ * Adds per-project item definitions for inventories:
+ * - item_definitions: Item id, display name, category, stack cap,
+ *   tradeable flag and free-form JSON properties
+ *
+ * Existing inventory rows are left untouched; items without a definition
+ * keep working until the project starts filling its catalog.
+ */
+
+module.exports = {
+  version: 8,
+  name: 'item_catalog',
+  description: 'Create item_definitions catalog table',
+
+  /**
+   * Apply migration
+   */
+  async up(db) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run(`
+          CREATE TABLE IF NOT EXISTS item_definitions (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            category TEXT,
+            max_stack INTEGER,
+            tradeable BOOLEAN NOT NULL DEFAULT 1,
+            properties TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `, (err) => {
+          if (err) {
+            console.error('Failed to create item_definitions table:', err.message);
+            return reject(err);
+          }
+        });
+
+        db.run(`
+          CREATE INDEX IF NOT EXISTS idx_item_definitions_category
+          ON item_definitions(category)
+        `, (err) => {
+          if (err) {
+            console.error('Failed to create item_definitions index:', err.message);
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    });
+  },
+
+  /**
+   * Rollback migration
+   */
+  async down(db) {
+    return new Promise((resolve, reject) => {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_item_definitions_category;
+        DROP TABLE IF EXISTS item_definitions;
+      `, (err) => {
+        if (err) {
+          console.error('Failed to drop item_definitions table:', err.message);
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+};
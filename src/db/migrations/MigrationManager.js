@@ -165,9 +165,10 @@ class MigrationManager {
    * @private
    * @param {Object} migration - Migration object
    * @param {string} direction - 'up' or 'down'
+   * @param {Object} db - Database handed to the migration (default: this manager's)
    * @returns {Promise<number>} Execution time in milliseconds
    */
-  async _executeMigration(migration, direction = 'up') {
+  async _executeMigration(migration, direction = 'up', db = this.db) {
     if (!migration[direction]) {
       throw new Error(
         `Migration ${migration.version} (${migration.name}) has no ${direction}() method`
@@ -177,7 +178,7 @@ class MigrationManager {
     const startTime = Date.now();
 
     try {
-      await migration[direction](this.db);
+      await migration[direction](db);
       return Date.now() - startTime;
     } catch (error) {
       throw new Error(
@@ -479,9 +480,12 @@ class MigrationManager {
    * Run all pending migrations for a plugin from a specific path
    * @param {string} pluginName - Name of the plugin
    * @param {string} migrationsPath - Absolute path to the plugin's migrations directory
+   * @param {Object} options
+   * @param {Object} options.db - Database the migrations run on, e.g. the plugin's guarded database
+   *   (bookkeeping in plugin_migrations always uses this manager's connection)
    * @returns {Promise<Object>} Result object
    */
-  async migratePluginFromPath(pluginName, migrationsPath) {
+  async migratePluginFromPath(pluginName, migrationsPath, { db = this.db } = {}) {
     console.log(`🔄 Running migrations for plugin: ${pluginName}...`);
 
     await this._initializeTables();
@@ -521,7 +525,7 @@ class MigrationManager {
       try {
         console.log(`    🔄 Applying ${migration.version}: ${migration.name}...`);
 
-        const executionTime = await this._executeMigration(migration, 'up');
+        const executionTime = await this._executeMigration(migration, 'up', db);
 
         // Record plugin migration
         await new Promise((resolve, reject) => {
@@ -565,6 +569,134 @@ class MigrationManager {
   }
 
 
+  /**
+   * Get the migrations recorded for a plugin, newest first
+   * @param {string} pluginName - Name of the plugin
+   * @param {string} migrationsPath - Optional migrations directory, used to flag reversible migrations
+   * @returns {Promise<Array>} Rows from plugin_migrations (plus `reversible` when a path is given)
+   */
+  async getAppliedPluginMigrations(pluginName, migrationsPath = null) {
+    await this._initializeTables();
+
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT version, name, description, applied_at FROM plugin_migrations
+         WHERE plugin_name = ? ORDER BY version DESC`,
+        [pluginName],
+        (err, rows) => {
+          if (err) return reject(err);
+          resolve(rows);
+        }
+      );
+    });
+
+    if (!migrationsPath) return rows;
+
+    const available = fs.existsSync(migrationsPath)
+      ? await this._discoverMigrations(migrationsPath)
+      : [];
+
+    return rows.map(row => ({
+      ...row,
+      reversible: Boolean(available.find(m => m.version === row.version)?.down)
+    }));
+  }
+
+  /**
+   * Roll back every applied migration of a plugin, newest first
+   * @param {string} pluginName - Name of the plugin
+   * @param {string} migrationsPath - Absolute path to the plugin's migrations directory
+   * @param {Object} options
+   * @param {Object} options.db - Database the down() methods run on, e.g. the plugin's guarded database
+   * @returns {Promise<Object>} Result object with rolled back count
+   */
+  async rollbackPluginFromPath(pluginName, migrationsPath, { db = this.db } = {}) {
+    console.log(`🔄 Rolling back migrations for plugin: ${pluginName}...`);
+
+    const applied = await this.getAppliedPluginMigrations(pluginName);
+
+    if (applied.length === 0) {
+      console.log(`  ⚠️  No migrations to rollback for plugin: ${pluginName}`);
+      return { rolled_back: 0, migrations: [] };
+    }
+
+    const available = fs.existsSync(migrationsPath)
+      ? await this._discoverMigrations(migrationsPath)
+      : [];
+
+    // A recorded migration whose file is gone cannot be reversed either
+    const toRollback = applied.map(row =>
+      available.find(m => m.version === row.version) || { version: row.version, name: row.name }
+    );
+
+    const irreversible = toRollback.filter(m => !m.down);
+    if (irreversible.length > 0) {
+      throw new Error(
+        `Cannot rollback: ${irreversible.length} migration(s) lack down() method: ` +
+        irreversible.map(m => `${m.version} (${m.name})`).join(', ')
+      );
+    }
+
+    const results = [];
+
+    for (const migration of toRollback) {
+      try {
+        console.log(`    🔄 Rolling back ${migration.version}: ${migration.name}...`);
+
+        const executionTime = await this._executeMigration(migration, 'down', db);
+
+        await new Promise((resolve, reject) => {
+          this.db.run(
+            'DELETE FROM plugin_migrations WHERE plugin_name = ? AND version = ?',
+            [pluginName, migration.version],
+            (err) => {
+              if (err) return reject(err);
+              resolve();
+            }
+          );
+        });
+
+        console.log(`    ✅ Rolled back ${migration.version} (${executionTime}ms)`);
+        results.push({
+          version: migration.version,
+          name: migration.name,
+          status: 'rolled_back',
+          executionTime
+        });
+
+      } catch (error) {
+        console.error(`    ❌ Rollback ${migration.version} failed:`, error.message);
+
+        throw new Error(
+          `Plugin ${pluginName} rollback of migration ${migration.version} failed: ${error.message}`
+        );
+      }
+    }
+
+    console.log(`  ✅ Rolled back ${results.length} migration(s) for ${pluginName}`);
+    return { rolled_back: results.length, migrations: results };
+  }
+
+  /**
+   * Forget all recorded migrations of a plugin (after its tables were dropped)
+   * @param {string} pluginName - Name of the plugin
+   * @returns {Promise<number>} Number of records removed
+   */
+  async removePluginMigrationRecords(pluginName) {
+    await this._initializeTables();
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM plugin_migrations WHERE plugin_name = ?',
+        [pluginName],
+        function (err) {
+          if (err) return reject(err);
+          resolve(this.changes);
+        }
+      );
+    });
+  }
+
   /**
    * Get plugin migration status
    * @param {string} pluginName - Name of the plugin
@@ -0,0 +1,84 @@
+/**
+ * Database transaction helper
+ *
+ * A sqlite3 connection cannot nest transactions, and every project shares a
+ * single connection between all services. Transactions started through this
+ * helper are therefore queued per connection and run one at a time.
+ *
+ * Only withTransaction() callers wait in that queue. A query issued directly on
+ * the connection while a transaction is open runs inside it, and is committed or
+ * rolled back with that transaction's work. Writes that must not be undone by
+ * another caller's failure have to go through withTransaction() as well.
+ */
+
+/**
+ * Pending transaction chain per database connection
+ */
+const transactionQueues = new WeakMap();
+
+/**
+ * Wrappers (such as a plugin's GuardedDatabase) mapped to the connection they use
+ */
+const connectionAliases = new WeakMap();
+
+/**
+ * Run BEGIN / work / COMMIT, rolling back if the work fails
+ * @private
+ */
+function runTransaction(db, work) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION', (beginErr) => {
+        if (beginErr) {
+          return reject(beginErr);
+        }
+
+        work()
+          .then(result => {
+            db.run('COMMIT', (err) => {
+              if (err) {
+                db.run('ROLLBACK', () => reject(err));
+              } else {
+                resolve(result);
+              }
+            });
+          })
+          .catch(error => {
+            db.run('ROLLBACK', () => {
+              reject(error);
+            });
+          });
+      });
+    });
+  });
+}
+
+/**
+ * Run a unit of work inside a database transaction
+ * @param {Object} db - Project database instance
+ * @param {Function} work - Async function performing the queries
+ * @returns {Promise<*>} Result of the work function
+ */
+function withTransaction(db, work) {
+  const connection = connectionAliases.get(db) || db;
+  const previous = transactionQueues.get(connection) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => runTransaction(db, work));
+  transactionQueues.set(connection, run.catch(() => {}));
+  return run;
+}
+
+/**
+ * Queue transactions started through a wrapper with those of the connection it wraps
+ * @param {Object} alias - Wrapper object passed to withTransaction
+ * @param {Object} db - Underlying database connection
+ */
+function shareTransactionQueue(alias, db) {
+  if (db && typeof db === 'object') {
+    connectionAliases.set(alias, db);
+  }
+}
+
+module.exports = {
+  withTransaction,
+  shareTransactionQueue
+};
@@ -82,7 +82,28 @@ function optionalAuth(req, res, next) {
   next();
 }
 
+/**
+ * Admin-only middleware
+ * Must run after authenticateToken; rejects authenticated users who are not admins
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Access denied. No token provided.' 
+    });
+  }
+
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ 
+      error: 'Access denied. Admin privileges required.' 
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
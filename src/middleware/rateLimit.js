@@ -0,0 +1,49 @@
+/**
+ * Rate limiting middleware
+ * Fixed-window request counter kept in memory, keyed by authenticated user
+ * (when auth ran earlier in the chain) or by client IP
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds (default: 60000)
+ * @param {number} options.max - Requests allowed per window (default: 100)
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter(options = {}) {
+  const windowMs = options.windowMs || 60000;
+  const max = options.max || 100;
+  const hits = new Map();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    const key = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      // Drop expired windows so the map only holds recent clients
+      if (hits.size > 10000) {
+        for (const [hitKey, hit] of hits) {
+          if (hit.resetAt <= now) hits.delete(hitKey);
+        }
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        error: 'Too many requests. Please try again later.'
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
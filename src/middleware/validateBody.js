@@ -0,0 +1,51 @@
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Request body validation middleware
+ * Rejects bodies that do not match a JSON Schema with 400 and one error per field
+ *
+ * @param {Object} schema - JSON Schema for req.body
+ * @returns {Function} Express middleware
+ * @throws {Error} When the schema does not compile, so broken routes fail at registration
+ */
+function validateBody(schema) {
+  const validate = ajv.compile(schema);
+
+  return function validateRequestBody(req, res, next) {
+    if (validate(req.body ?? {})) {
+      return next();
+    }
+
+    res.status(400).json({
+      error: 'Request body failed validation',
+      errors: validate.errors.map(error => ({
+        path: errorPath(error),
+        message: error.message,
+        keyword: error.keyword
+      }))
+    });
+  };
+}
+
+/**
+ * Build a JSON pointer for a validation error, pointing at the offending
+ * property for required/additionalProperties errors
+ */
+function errorPath(error) {
+  const escape = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  let pointer = error.instancePath;
+
+  if (error.keyword === 'required') {
+    pointer += `/${escape(error.params.missingProperty)}`;
+  } else if (error.keyword === 'additionalProperties') {
+    pointer += `/${escape(error.params.additionalProperty)}`;
+  }
+
+  return pointer;
+}
+
+module.exports = {
+  validateBody
+};
@@ -0,0 +1,118 @@
+const Ajv = require('ajv');
+
+/**
+ * PluginConfigValidator - Enforces a manifest's `configSchema` on plugin settings
+ *
+ * `configSchema` is a JSON Schema for the plugin's `settings` block in config.yml.
+ * Resolving settings validates them and fills in every `default` the schema
+ * declares, including defaults inside nested objects the settings leave out,
+ * so plugins always receive a complete settings object.
+ */
+class PluginConfigValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false, useDefaults: true });
+    this.compiled = new WeakMap();
+  }
+
+  /**
+   * Whether a manifest declares a usable settings schema
+   * @param {Object} manifest - Plugin manifest
+   * @returns {boolean}
+   */
+  static hasSchema(manifest) {
+    const schema = manifest?.configSchema;
+    return Boolean(schema) && typeof schema === 'object' && !Array.isArray(schema);
+  }
+
+  /**
+   * Validate settings and fill in schema defaults
+   * @param {Object} schema - The manifest's configSchema
+   * @param {Object} settings - Settings from config.yml (not modified)
+   * @returns {Object} { valid, settings, errors: [{ path, message, keyword }] } - settings include defaults
+   * @throws {Error} With code 'INVALID_CONFIG_SCHEMA' when the schema itself does not compile
+   */
+  resolve(schema, settings = {}) {
+    const validate = this._compile(schema);
+    const resolved = this._seedObjects(schema, structuredClone(settings ?? {}));
+
+    if (validate(resolved)) {
+      return { valid: true, settings: resolved, errors: [] };
+    }
+
+    return {
+      valid: false,
+      settings: resolved,
+      errors: validate.errors.map(error => ({
+        path: this._errorPath(error),
+        message: error.message,
+        keyword: error.keyword
+      }))
+    };
+  }
+
+  /**
+   * Format validation errors as a single line for logs and failure records
+   * @param {Array} errors - [{ path, message }]
+   * @returns {string}
+   */
+  static formatErrors(errors) {
+    return errors.map(error => `${error.path || '/'} ${error.message}`).join('; ');
+  }
+
+  /**
+   * Compile a schema once per schema object
+   * @private
+   */
+  _compile(schema) {
+    if (!this.compiled.has(schema)) {
+      try {
+        this.compiled.set(schema, this.ajv.compile(schema));
+      } catch (compileError) {
+        const error = new Error(`configSchema is not a valid JSON Schema: ${compileError.message}`);
+        error.code = 'INVALID_CONFIG_SCHEMA';
+        throw error;
+      }
+    }
+    return this.compiled.get(schema);
+  }
+
+  /**
+   * Create missing nested objects that have properties of their own, so Ajv
+   * can apply the defaults declared inside them
+   * @private
+   */
+  _seedObjects(schema, value) {
+    if (!schema?.properties || !value || typeof value !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] === undefined && propertySchema?.type === 'object' && propertySchema.properties && propertySchema.default === undefined) {
+        value[key] = {};
+      }
+      this._seedObjects(propertySchema, value[key]);
+    }
+
+    return value;
+  }
+
+  /**
+   * Build a JSON pointer for a validation error, pointing at the offending
+   * property for required/additionalProperties errors
+   * @private
+   */
+  _errorPath(error) {
+    const escape = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    let pointer = error.instancePath;
+
+    if (error.keyword === 'required') {
+      pointer += `/${escape(error.params.missingProperty)}`;
+    } else if (error.keyword === 'additionalProperties') {
+      pointer += `/${escape(error.params.additionalProperty)}`;
+    }
+
+    return pointer;
+  }
+}
+
+module.exports = PluginConfigValidator;
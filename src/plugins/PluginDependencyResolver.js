@@ -0,0 +1,143 @@
+const semver = require('semver');
+const { version: SSBACKEND_VERSION } = require('../../package.json');
+
+/**
+ * PluginDependencyResolver - Version compatibility and activation order for plugins
+ *
+ * Manifests may declare `ssbackend_version` (a semver range for the host) and
+ * `dependencies`, where each entry is either a plugin name or
+ * `{ name, version }` with a semver range ('*' when omitted).
+ */
+class PluginDependencyResolver {
+  /**
+   * @param {string} hostVersion - SSBackend version plugins are checked against
+   */
+  constructor(hostVersion = SSBACKEND_VERSION) {
+    this.hostVersion = hostVersion;
+  }
+
+  /**
+   * Normalize a dependency entry to { name, version }
+   * @param {string|Object} dependency - 'economy' or { name: 'economy', version: '^1.2.0' }
+   * @returns {Object} { name, version }
+   */
+  static normalize(dependency) {
+    if (typeof dependency === 'string') {
+      return { name: dependency, version: '*' };
+    }
+    return {
+      name: dependency?.name,
+      version: dependency?.version || '*'
+    };
+  }
+
+  /**
+   * Normalize a manifest dependencies array (missing or malformed arrays become [])
+   * @param {Array} dependencies - Manifest dependencies
+   * @returns {Array} [{ name, version }]
+   */
+  static normalizeAll(dependencies) {
+    return Array.isArray(dependencies) ? dependencies.map(PluginDependencyResolver.normalize) : [];
+  }
+
+  /**
+   * Check whether a string is a usable semver range
+   * @param {string} range - e.g. '^1.0.0', '>=1.2 <2'
+   * @returns {boolean}
+   */
+  static isValidRange(range) {
+    return typeof range === 'string' && semver.validRange(range) !== null;
+  }
+
+  /**
+   * Check a manifest's ssbackend_version against the running host
+   * @param {Object} manifest - Plugin manifest
+   * @returns {string|null} Error message, or null when compatible (or unspecified)
+   */
+  checkHostVersion(manifest) {
+    const range = manifest?.ssbackend_version;
+    if (!range) return null;
+
+    if (!PluginDependencyResolver.isValidRange(range)) {
+      return `declares an invalid ssbackend_version range "${range}"`;
+    }
+    if (!semver.satisfies(this.hostVersion, range)) {
+      return `requires SSBackend ${range} (running ${this.hostVersion})`;
+    }
+    return null;
+  }
+
+  /**
+   * Check declared dependencies against the plugins that are available
+   * @param {Array} dependencies - Manifest dependencies
+   * @param {Function} lookup - name => { version, active } or null; `active: false` reports the dependency as not enabled
+   * @returns {Array} [{ name, version, installedVersion, reason: 'missing'|'version'|'inactive', message }] - empty when all are satisfied
+   */
+  checkDependencies(dependencies, lookup) {
+    const issues = [];
+
+    for (const dependency of PluginDependencyResolver.normalizeAll(dependencies)) {
+      const installed = lookup(dependency.name);
+      const requirement = dependency.version === '*' ? `"${dependency.name}"` : `"${dependency.name}" ${dependency.version}`;
+
+      if (!installed) {
+        issues.push({ ...dependency, installedVersion: null, reason: 'missing', message: `requires plugin ${requirement}, which is not installed` });
+      } else if (!semver.satisfies(installed.version, dependency.version)) {
+        issues.push({
+          ...dependency,
+          installedVersion: installed.version,
+          reason: 'version',
+          message: `requires plugin ${requirement}, but ${installed.version} is installed`
+        });
+      } else if (installed.active === false) {
+        issues.push({ ...dependency, installedVersion: installed.version, reason: 'inactive', message: `requires plugin ${requirement}, which is not enabled` });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Order plugins so every plugin comes after the plugins it depends on
+   * Dependencies outside the given set are ignored here; checkDependencies reports them.
+   * @param {Array} plugins - [{ name, dependencies }] in preferred (config) order
+   * @returns {Object} { order: [names], cycles: [[names forming a loop]] } - plugins in a cycle are left out of order
+   */
+  sortByDependencies(plugins) {
+    const byName = new Map(plugins.map(plugin => [plugin.name, plugin]));
+    const state = new Map();
+    const order = [];
+    const cycles = [];
+
+    const visit = (name, trail) => {
+      if (state.get(name) === 'done') return;
+      if (state.get(name) === 'visiting') {
+        cycles.push([...trail.slice(trail.indexOf(name)), name]);
+        return;
+      }
+
+      state.set(name, 'visiting');
+      for (const dependency of PluginDependencyResolver.normalizeAll(byName.get(name).dependencies)) {
+        if (byName.has(dependency.name)) {
+          visit(dependency.name, [...trail, name]);
+        }
+      }
+      state.set(name, 'done');
+      order.push(name);
+    };
+
+    for (const plugin of plugins) {
+      visit(plugin.name, []);
+    }
+
+    const cyclic = new Set(cycles.flat());
+    return {
+      order: order.filter(name => !cyclic.has(name)),
+      cycles
+    };
+  }
+}
+
+PluginDependencyResolver.SSBACKEND_VERSION = SSBACKEND_VERSION;
+
+module.exports = PluginDependencyResolver;
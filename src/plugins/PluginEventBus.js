@@ -0,0 +1,253 @@
+const EVENT_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*(\.[a-zA-Z][a-zA-Z0-9_-]*)+$/;
+
+/**
+ * PluginEventBus - Per-project server-side events for core and plugins
+ *
+ * Core code runs two steps around each write it exposes:
+ * 1. applyFilters(event, payload) before the write. Filter hooks run
+ *    synchronously in priority order; each may modify the payload (return a new
+ *    one or mutate the draft it is given) or call `event.veto(reason)` to stop
+ *    the write. A hook that throws is logged and skipped.
+ * 2. emit(event, payload) after the write. Listeners run concurrently and each
+ *    one's failure is logged and reported against its plugin without affecting
+ *    the others or the request.
+ *
+ * Plugins subscribe through `context.events` in onActivate or through
+ * `manifest.hooks`; everything a plugin registered is dropped when it deactivates.
+ */
+class PluginEventBus {
+  constructor(projectId = 'default') {
+    this.projectId = projectId;
+    this.listeners = new Map();
+    this.filters = new Map();
+  }
+
+  /**
+   * Subscribe an async listener, run after the event happened
+   * @param {string} event - Event name, e.g. 'progress.updated'
+   * @param {Function} listener - (payload, event) => any; the return value is reported to the emitter
+   * @param {string} owner - 'core' or the subscribing plugin's name
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener, owner = 'core') {
+    this._checkEventName(event);
+    if (typeof listener !== 'function') {
+      throw new Error(`Listener for "${event}" must be a function`);
+    }
+
+    const entry = { listener, owner };
+    this._entriesFor(this.listeners, event).push(entry);
+    return () => this._remove(this.listeners, event, entry);
+  }
+
+  /**
+   * Register a synchronous filter hook, run before the event happens
+   * @param {string} event - Event name
+   * @param {Function} hook - (payload, event) => payload|undefined; call event.veto(reason) to refuse
+   * @param {Object} options
+   * @param {string} options.owner - 'core' or the registering plugin's name
+   * @param {number} options.priority - Lower runs first (default: 10)
+   * @returns {Function} Unsubscribe function
+   */
+  filter(event, hook, { owner = 'core', priority = 10 } = {}) {
+    this._checkEventName(event);
+    if (typeof hook !== 'function') {
+      throw new Error(`Filter for "${event}" must be a function`);
+    }
+
+    const entry = { hook, owner, priority };
+    const entries = this._entriesFor(this.filters, event);
+    entries.push(entry);
+    // Stable sort keeps registration order among equal priorities
+    entries.sort((a, b) => a.priority - b.priority);
+    return () => this._remove(this.filters, event, entry);
+  }
+
+  /**
+   * Run the filter hooks for an event
+   * @param {string} event - Event name
+   * @param {Object} payload - Proposed payload; never mutated
+   * @param {string} source - 'core' or the emitting plugin's name
+   * @returns {Object} { vetoed, reason, plugin, payload }
+   */
+  applyFilters(event, payload, source = 'core') {
+    let current = payload;
+
+    for (const { hook, owner } of this.filters.get(event) || []) {
+      const draft = structuredClone(current);
+      let veto = null;
+      const meta = {
+        name: event,
+        source,
+        projectId: this.projectId,
+        veto: (reason = `Vetoed by plugin ${owner}`) => {
+          veto = String(reason);
+        }
+      };
+
+      let result;
+      try {
+        result = hook(draft, meta);
+      } catch (error) {
+        console.error(`❌ Plugin ${owner} filter for "${event}" failed:`, error.message);
+        continue;
+      }
+
+      if (veto) {
+        console.log(`🚫 Plugin ${owner} vetoed "${event}": ${veto}`);
+        return { vetoed: true, reason: veto, plugin: owner, payload: current };
+      }
+
+      if (result && typeof result.then === 'function') {
+        // Filters gate a write that is already in progress, so they cannot wait
+        result.catch(() => {});
+        console.warn(`⚠️  Plugin ${owner} filter for "${event}" returned a Promise; filters must be synchronous, result ignored`);
+        continue;
+      }
+
+      current = result === undefined ? draft : result;
+    }
+
+    return { vetoed: false, reason: null, plugin: null, payload: current };
+  }
+
+  /**
+   * Notify listeners that an event happened
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload; each listener gets its own copy
+   * @param {string} source - 'core' or the emitting plugin's name
+   * @returns {Promise<Object>} { results: [{ plugin, value }], errors: [{ plugin, error }] }
+   */
+  async emit(event, payload, source = 'core') {
+    const entries = (this.listeners.get(event) || []).slice();
+    const meta = { name: event, source, projectId: this.projectId };
+
+    const settled = await Promise.allSettled(
+      entries.map(async ({ listener }) => listener(structuredClone(payload), meta))
+    );
+
+    const results = [];
+    const errors = [];
+    settled.forEach((outcome, i) => {
+      const plugin = entries[i].owner;
+      if (outcome.status === 'fulfilled') {
+        results.push({ plugin, value: outcome.value });
+      } else {
+        const message = outcome.reason?.message || String(outcome.reason);
+        console.error(`❌ Plugin ${plugin} listener for "${event}" failed:`, message);
+        errors.push({ plugin, error: message });
+      }
+    });
+
+    return { results, errors };
+  }
+
+  /**
+   * Event API handed to a plugin as `context.events`
+   * Plugins may listen to and filter any event, but only emit their own
+   * (names prefixed with "<pluginName>.")
+   * @param {string} pluginName - Owning plugin
+   * @returns {Object} { on, filter, emit, applyFilters }
+   */
+  forPlugin(pluginName) {
+    const checkOwnEvent = (event) => {
+      if (typeof event !== 'string' || !event.startsWith(`${pluginName}.`)) {
+        throw new Error(`Plugin ${pluginName} can only emit events prefixed with "${pluginName}." (got "${event}")`);
+      }
+    };
+
+    return {
+      on: (event, listener) => this.on(event, listener, pluginName),
+      filter: (event, hook, options = {}) => this.filter(event, hook, { ...options, owner: pluginName }),
+      emit: (event, payload) => {
+        checkOwnEvent(event);
+        return this.emit(event, payload, pluginName);
+      },
+      applyFilters: (event, payload) => {
+        checkOwnEvent(event);
+        return this.applyFilters(event, payload, pluginName);
+      }
+    };
+  }
+
+  /**
+   * Remove every listener and filter a plugin registered
+   * @param {string} owner - Plugin name
+   * @returns {number} Number of entries removed
+   */
+  removeOwner(owner) {
+    let removed = 0;
+    for (const registry of [this.listeners, this.filters]) {
+      for (const [event, entries] of registry) {
+        const kept = entries.filter(entry => entry.owner !== owner);
+        removed += entries.length - kept.length;
+        if (kept.length > 0) {
+          registry.set(event, kept);
+        } else {
+          registry.delete(event);
+        }
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @returns {Object} { [event]: { listeners: [owner], filters: [owner] } }
+   */
+  describe() {
+    const summary = {};
+    const add = (registry, key) => {
+      for (const [event, entries] of registry) {
+        summary[event] = summary[event] || { listeners: [], filters: [] };
+        summary[event][key] = entries.map(entry => entry.owner);
+      }
+    };
+    add(this.listeners, 'listeners');
+    add(this.filters, 'filters');
+    return summary;
+  }
+
+  /**
+   * @private
+   */
+  _checkEventName(event) {
+    if (typeof event !== 'string' || !EVENT_PATTERN.test(event)) {
+      throw new Error(`Invalid event name "${event}": use dot-separated segments such as "progress.updated"`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _entriesFor(registry, event) {
+    if (!registry.has(event)) {
+      registry.set(event, []);
+    }
+    return registry.get(event);
+  }
+
+  /**
+   * @private
+   */
+  _remove(registry, event, entry) {
+    const entries = registry.get(event);
+    if (!entries) return;
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+    if (entries.length === 0) registry.delete(event);
+  }
+}
+
+/**
+ * Events emitted by SSBackend core, each preceded by a filter pass with the same name
+ */
+PluginEventBus.CORE_EVENTS = [
+  'user.registered',
+  'progress.updated',
+  'save.written',
+  'inventory.changed'
+];
+
+PluginEventBus.EVENT_PATTERN = EVENT_PATTERN;
+
+module.exports = PluginEventBus;
@@ -35,7 +35,9 @@ class PluginInterface {
    * 
    * @param {Object} context - Plugin context
    * @param {Object} context.app - Express app instance
-   * @param {Object} context.db - Database instance
+   * @param {Object} context.db - Database instance (external plugins: limited to manifest.permissions.database)
+   * @param {Object} context.http - http.fetch(url, options), limited to manifest.permissions.http for external plugins
+   * @param {Object} context.fs - readFile/writeFile/readdir/mkdir/unlink/exists, limited to manifest.permissions.filesystem
    * @param {Object} context.config - Plugin-specific configuration
    */
   static async onLoad(context) {
@@ -48,8 +50,14 @@ class PluginInterface {
    * 
    * @param {Object} context - Plugin context
    * @param {Object} context.app - Express app instance
-   * @param {Object} context.db - Database instance
+   * @param {Object} context.db - Database instance (external plugins: limited to manifest.permissions.database)
+   * @param {Object} context.http - http.fetch(url, options), limited to manifest.permissions.http for external plugins
+   * @param {Object} context.fs - readFile/writeFile/readdir/mkdir/unlink/exists, limited to manifest.permissions.filesystem
    * @param {Object} context.config - Plugin-specific configuration
+   * @param {Object} context.middleware - Named middleware registration: register(name, fn) / registerFactory(name, options => fn)
+   * @param {Function} context.provideService - provideService(name, service) for services listed in manifest.provides
+   * @param {Function} context.getService - getService(name) for services listed in manifest.requires; returns a live handle
+   * @param {Object} context.events - Project event bus: on(event, listener), filter(event, hook, { priority }), emit/applyFilters for '<plugin>.*' events
    */
   static async onActivate(context) {
     // Override in plugin implementation
@@ -76,9 +84,14 @@ const MANIFEST_SCHEMA = {
   version: 'string (required)',         // Semantic version
   description: 'string (required)',     // Brief description
   author: 'string (optional)',          // Author name
-  ssbackend_version: 'string (optional)', // Compatible SSBackend version
-  dependencies: 'array (optional)',     // Other required plugins
-  configSchema: 'object (optional)'     // JSON Schema for config validation
+  ssbackend_version: 'string (optional)', // Compatible SSBackend semver range, e.g. '^1.0.0'
+  dependencies: 'array (optional)',     // Required plugins: 'economy' or { name: 'economy', version: '^1.2.0' }
+  configSchema: 'object (optional)',    // JSON Schema for config validation
+  middleware: 'array (optional)',       // Middleware names the plugin registers in onActivate
+  provides: 'array (optional)',         // Services: 'economy.transactions' or { name, version } (defaults to the plugin version)
+  requires: 'array (optional)',         // Services used: 'economy.transactions' or { name, version: '^1.0.0', optional }
+  hooks: 'array (optional)',            // Event subscriptions: { event: 'progress.updated', handler, filter?, priority? }
+  permissions: 'object (optional)'      // { database: { tables, read, write }, http: [hosts], filesystem: { read, write } }; enforced for external plugins
 };
 
 /**
@@ -88,7 +101,7 @@ const ROUTE_SCHEMA = {
   method: 'string (required)',          // HTTP method (GET, POST, etc.)
   path: 'string (required)',            // Route path
   handler: 'string|function (required)', // Route handler
-  middleware: 'array (optional)'        // Middleware names
+  middleware: 'array (optional)'        // 'auth', 'optionalAuth', 'admin', { name: 'rateLimit', options }, { name: 'validateBody', options: schema } or plugin-registered names
 };
 
 /**
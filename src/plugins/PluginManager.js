@@ -3,8 +3,20 @@ const path = require('path');
 const chokidar = require('chokidar');
 const { getConfigValue, updateConfig, updateProjectConfig } = require('../utils/config');
 const PluginValidator = require('./PluginValidator');
+const PluginDependencyResolver = require('./PluginDependencyResolver');
+const PluginConfigValidator = require('./PluginConfigValidator');
+const PluginMiddlewareRegistry = require('./PluginMiddlewareRegistry');
+const PluginEventBus = require('./PluginEventBus');
+const PluginServiceRegistry = require('./PluginServiceRegistry');
+const { createPluginSandbox } = require('./PluginSandbox');
 const PluginDiscoveryService = require('../services/plugins/PluginDiscoveryService');
 
+// Dev mode waits this long after the last change to a plugin before reloading it
+const HOT_RELOAD_DEBOUNCE_MS = 300;
+
+// Reload results kept for the admin dashboard
+const RELOAD_HISTORY_SIZE = 20;
+
 /**
  * Plugin Manager for handling plugin lifecycle, discovery, and configuration
  *
@@ -32,6 +44,15 @@ class PluginManager {
     this.pluginRoutes = [];
     this.pluginSchemas = [];
     this.discoveryService = new PluginDiscoveryService();
+    this.dependencyResolver = new PluginDependencyResolver();
+    this.configValidator = new PluginConfigValidator();
+    this.middlewareRegistry = new PluginMiddlewareRegistry();
+    this.events = new PluginEventBus(projectId);
+    this.services = new PluginServiceRegistry();
+    this.reloadWatcher = null;
+    this.pendingReloads = new Map();
+    this.reloadsInProgress = new Map();
+    this.reloadHistory = [];
   }
 
   /**
@@ -60,16 +81,17 @@ class PluginManager {
    * @param {*} value - New value
    */
   async updatePluginConfigValue(keyPath, value) {
-    if (this.projectId && this.projectId !== 'default') {
+    const { getProjectConfig } = require('../utils/config');
+
+    // The default project lives in the projects list too; only legacy configs keep plugins at the root
+    if (this.projectId && getProjectConfig(this.projectId)) {
       await updateProjectConfig(this.projectId, keyPath, value);
     } else {
-      // Fallback for default project or if explicitly using global update
       await updateConfig(keyPath, value);
     }
 
     // Refresh projectPluginConfig after update
     if (this.projectId) {
-      const { getProjectConfig } = require('../utils/config');
       const projectConfig = getProjectConfig(this.projectId);
       if (projectConfig) {
         this.projectPluginConfig = projectConfig.plugins;
@@ -113,6 +135,11 @@ class PluginManager {
       this.startWatcher();
     }
 
+    // Dev mode: reload external plugins when their source files change
+    if (this.getPluginConfigValue('plugins.hot_reload', false)) {
+      this.startReloadWatcher();
+    }
+
     console.log(`✅ Plugin System initialized. ${this.activePlugins.size} plugins active.`);
   }
 
@@ -146,6 +173,72 @@ class PluginManager {
     });
   }
 
+  /**
+   * Watch the files of loaded external plugins and reload a plugin after it changes (dev mode)
+   */
+  startReloadWatcher() {
+    const pluginPaths = Array.from(this.loadedPlugins.values())
+      .filter(({ config }) => !this.isInternalPlugin(config))
+      .map(({ path: pluginPath }) => pluginPath);
+
+    console.log(`👁️  Hot reload enabled for project ${this.projectId} (${pluginPaths.length} external plugins)`);
+
+    this.reloadWatcher = chokidar.watch(pluginPaths, {
+      ignored: [
+        /(^|[\/\\])\../, // ignore dotfiles
+        '**/node_modules/**'
+      ],
+      persistent: true,
+      ignoreInitial: true
+    });
+
+    for (const event of ['add', 'change', 'unlink']) {
+      this.reloadWatcher.on(event, (filePath) => this.handlePluginFileChange(filePath));
+    }
+  }
+
+  /**
+   * Queue a reload of the active plugin a changed file belongs to
+   * Only code and manifest files count, so plugins writing their own data files are not reloaded.
+   * @param {string} filePath - Changed file
+   */
+  handlePluginFileChange(filePath) {
+    if (!['.js', '.json'].includes(path.extname(filePath))) return;
+
+    const resolved = path.resolve(filePath);
+    const pluginName = Array.from(this.activePlugins.keys()).find(name => {
+      const { config, path: pluginPath } = this.activePlugins.get(name);
+      return !this.isInternalPlugin(config) && resolved.startsWith(path.resolve(pluginPath) + path.sep);
+    });
+    if (!pluginName) return;
+
+    // Editors write files in bursts; reload once the burst is over
+    const pending = this.pendingReloads.get(pluginName) || { files: new Set(), timer: null };
+    clearTimeout(pending.timer);
+    pending.files.add(path.relative(this.activePlugins.get(pluginName).path, resolved));
+    pending.timer = setTimeout(() => {
+      this.pendingReloads.delete(pluginName);
+      this.queueReload(pluginName, { trigger: 'watch', files: Array.from(pending.files) });
+    }, HOT_RELOAD_DEBOUNCE_MS);
+    this.pendingReloads.set(pluginName, pending);
+  }
+
+  /**
+   * Run a reload after any reload of the same plugin still in progress
+   * @private
+   */
+  queueReload(pluginName, options) {
+    const previous = this.reloadsInProgress.get(pluginName) || Promise.resolve();
+    const run = previous.then(() => this.reloadPlugin(pluginName, options));
+    this.reloadsInProgress.set(pluginName, run);
+    run.finally(() => {
+      if (this.reloadsInProgress.get(pluginName) === run) {
+        this.reloadsInProgress.delete(pluginName);
+      }
+    });
+    return run;
+  }
+
   /**
    * Handle hot-adding a plugin without restart
    */
@@ -166,7 +259,7 @@ class PluginManager {
 
       if (pluginMeta) {
         // Register it
-        const pluginConfig = getConfigValue('plugins', {});
+        const pluginConfig = this.getPluginConfigValue('plugins', {});
         if (!pluginConfig[pluginName]) {
           const autoEnable = this.getPluginConfigValue('plugins.auto_enable_discovered', true);
           pluginConfig[pluginName] = {
@@ -179,7 +272,7 @@ class PluginManager {
         }
       }
 
-      const pluginConfig = getConfigValue('plugins', {});
+      const pluginConfig = this.getPluginConfigValue('plugins', {});
       const config = pluginConfig[pluginName];
 
       if (config && config.enabled) {
@@ -210,7 +303,10 @@ class PluginManager {
     }
 
     // Known setting keys to skip
-    const SETTING_KEYS = ['enabled', 'auto_discover', 'auto_enable_discovered', 'watch_for_changes'];
+    const SETTING_KEYS = ['enabled', 'auto_discover', 'auto_enable_discovered', 'watch_for_changes', 'hot_reload'];
+
+    // Load everything first so activation can follow the dependency graph
+    const toActivate = [];
 
     for (const [pluginName, config] of Object.entries(pluginConfig)) {
       // Skip global settings
@@ -237,7 +333,7 @@ class PluginManager {
 
         // Only activate if enabled
         if (config.enabled) {
-          await this.activatePlugin(pluginName);
+          toActivate.push(pluginName);
         }
       } catch (error) {
         console.error(`❌ Failed to load plugin ${pluginName}:`, error.message);
@@ -254,54 +350,183 @@ class PluginManager {
             error: error.message,
             stack: error.stack,
             timestamp: new Date(),
-            phase: 'load',
+            phase: error.phase || 'load',
             config
           });
         }
       }
     }
+
+    await this.activateInDependencyOrder(toActivate);
   }
 
   /**
-   * Load a specific plugin
-   * @param {string} pluginName - Name of the plugin
-   * @param {Object} config - Plugin configuration
-   * @param {boolean} autoActivate - Whether to automatically activate the plugin (default: true)
+   * Activate loaded plugins so each one starts after the plugins it depends on
+   * @param {Array} pluginNames - Loaded plugins to activate, in config order
    */
-  async loadPlugin(pluginName, config, autoActivate = true) {
-    let plugin;
-    let pluginPath;
-
-    if (config.type === 'external') {
-      // External plugin - support both index.js and plugin.js (index.js preferred)
-      pluginPath = config.path;
-      const indexPath = path.join(pluginPath, 'index.js');
-      const pluginJsPath = path.join(pluginPath, 'plugin.js');
+  async activateInDependencyOrder(pluginNames) {
+    // Providers of required services are ordered like dependencies
+    const { order, cycles } = this.dependencyResolver.sortByDependencies(
+      pluginNames.map(name => {
+        const { manifest } = this.loadedPlugins.get(name).plugin;
+        const providers = (manifest.requires || [])
+          .map(entry => this.findServiceProvider(PluginServiceRegistry.normalizeRequired(entry).name))
+          .filter(provider => provider && provider !== name);
+        return {
+          name,
+          dependencies: [...PluginDependencyResolver.normalizeAll(manifest.dependencies), ...providers]
+        };
+      })
+    );
+
+    for (const cycle of cycles) {
+      const message = `Circular plugin dependency: ${cycle.join(' → ')}`;
+      console.error(`❌ ${message}`);
+      for (const pluginName of new Set(cycle)) {
+        this.failedPlugins.set(pluginName, {
+          error: message,
+          timestamp: new Date(),
+          phase: 'dependencies',
+          config: this.loadedPlugins.get(pluginName).config
+        });
+      }
+    }
 
-      if (fs.existsSync(indexPath)) {
-        plugin = require(indexPath);
-      } else if (fs.existsSync(pluginJsPath)) {
-        plugin = require(pluginJsPath);
-      } else {
-        throw new Error(`Plugin entry point not found: ${pluginPath} (looked for index.js or plugin.js)`);
+    for (const pluginName of order) {
+      try {
+        await this.activatePlugin(pluginName);
+      } catch (error) {
+        // activatePlugin already recorded the failure with its phase
+        console.error(`❌ Failed to activate plugin ${pluginName}:`, error.message);
       }
-    } else {
-      // Internal plugin (from plugins/@core/)
-      pluginPath = path.join(process.cwd(), 'plugins', '@core', pluginName);
-      if (!fs.existsSync(path.join(pluginPath, 'index.js'))) {
-        throw new Error(`Internal plugin not found: ${pluginName}`);
+    }
+  }
+
+  /**
+   * Check that a plugin's dependencies are active in this project and within their version ranges
+   * @param {string} pluginName - Plugin being activated
+   * @param {Object} plugin - Plugin module
+   * @throws {Error} With phase 'dependencies' listing every unmet dependency
+   */
+  checkPluginDependencies(pluginName, plugin) {
+    const issues = this.dependencyResolver.checkDependencies(plugin.manifest.dependencies, (name) => {
+      const dependency = this.loadedPlugins.get(name);
+      if (!dependency) return null;
+      return {
+        version: dependency.plugin.manifest.version,
+        active: this.activePlugins.has(name)
+      };
+    });
+
+    if (issues.length > 0) {
+      const error = new Error(`Plugin ${pluginName} ${issues.map(issue => issue.message).join('; ')}`);
+      error.phase = 'dependencies';
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the services a plugin requires are provided by active plugins within their version ranges
+   * @param {string} pluginName - Plugin being activated
+   * @param {Object} plugin - Plugin module
+   * @throws {Error} With phase 'services' listing every unmet requirement
+   */
+  checkPluginServices(pluginName, plugin) {
+    const issues = this.services.checkRequirements(plugin.manifest.requires, name => this.findServiceProvider(name));
+
+    if (issues.length > 0) {
+      const error = new Error(`Plugin ${pluginName} ${issues.map(issue => issue.message).join('; ')}`);
+      error.phase = 'services';
+      throw error;
+    }
+  }
+
+  /**
+   * Find the loaded plugin whose manifest declares a service
+   * @param {string} serviceName - Service name
+   * @returns {string|null} Plugin name
+   */
+  findServiceProvider(serviceName) {
+    for (const [name, { plugin }] of this.loadedPlugins) {
+      const provides = (plugin.manifest.provides || []).map(entry =>
+        PluginServiceRegistry.normalizeProvided(entry, plugin.manifest.version)
+      );
+      if (provides.some(entry => entry.name === serviceName)) {
+        return name;
       }
-      plugin = require(path.join(pluginPath, 'index.js'));
     }
+    return null;
+  }
 
-    // Validate plugin structure
-    const validator = new PluginValidator();
-    const validationResult = validator.validate(plugin, pluginName, pluginPath);
+  /**
+   * Look up a plugin service from core code
+   * @param {string} serviceName - Service name, e.g. 'achievements'
+   * @param {string} range - Semver range the service version must satisfy (default: any)
+   * @returns {Object|null} The service, or null when no active plugin provides it
+   */
+  getService(serviceName, range = '*') {
+    return this.services.lookup(serviceName, range);
+  }
 
-    if (!validationResult.valid) {
-      const errorMessage = PluginValidator.formatResult(validationResult, pluginName);
-      console.error(errorMessage);
-      throw new Error(`Plugin ${pluginName} failed validation (${validationResult.errors.length} errors)`);
+  /**
+   * Validate a plugin's settings against its configSchema
+   * @param {string} pluginName - Plugin being loaded
+   * @param {Object} schema - The manifest's configSchema
+   * @param {Object} settings - Settings from config.yml
+   * @returns {Object} Settings with schema defaults filled in
+   * @throws {Error} With phase 'config' describing every invalid field
+   */
+  resolvePluginSettings(pluginName, schema, settings) {
+    let result;
+    try {
+      result = this.configValidator.resolve(schema, settings);
+    } catch (error) {
+      error.message = `Plugin ${pluginName} ${error.message}`;
+      error.phase = 'config';
+      throw error;
+    }
+
+    if (!result.valid) {
+      const error = new Error(`Plugin ${pluginName} has invalid settings: ${PluginConfigValidator.formatErrors(result.errors)}`);
+      error.phase = 'config';
+      error.errors = result.errors;
+      throw error;
+    }
+
+    return result.settings;
+  }
+
+  /**
+   * Swap in new settings for a loaded plugin, so route handlers see them on the next request
+   * Settings captured by onLoad/onActivate only change when the plugin is reloaded.
+   * @param {string} pluginName - Plugin name
+   * @param {Object} settings - Validated settings
+   * @returns {boolean} Whether the plugin is loaded in this project
+   */
+  applyPluginSettings(pluginName, settings) {
+    const pluginData = this.loadedPlugins.get(pluginName);
+    if (!pluginData) return false;
+
+    pluginData.config = { ...pluginData.config, settings };
+    if (pluginData.context) {
+      pluginData.context.config = settings;
+    }
+    return true;
+  }
+
+  /**
+   * Load a specific plugin
+   * @param {string} pluginName - Name of the plugin
+   * @param {Object} config - Plugin configuration
+   * @param {boolean} autoActivate - Whether to automatically activate the plugin (default: true)
+   */
+  async loadPlugin(pluginName, config, autoActivate = true) {
+    const { plugin, pluginPath } = this.requirePluginModule(pluginName, config);
+    const validationResult = this.validatePluginModule(plugin, pluginName, pluginPath);
+
+    // Settings must match the manifest's configSchema; plugins receive them with defaults filled in
+    if (PluginConfigValidator.hasSchema(plugin.manifest)) {
+      config = { ...config, settings: this.resolvePluginSettings(pluginName, plugin.manifest.configSchema, config.settings) };
     }
 
     // Log warnings if any
@@ -312,19 +537,37 @@ class PluginManager {
       });
     }
 
+    // External plugins only reach the database, network and filesystem through their declared permissions
+    // Table ownership follows the manifest name, however the plugin is keyed in config
+    const sandbox = createPluginSandbox({
+      pluginName: plugin.manifest.name,
+      manifest: plugin.manifest,
+      pluginPath,
+      trusted: this.isInternalPlugin(config),
+      db: this.db
+    });
+
     // Store plugin
     this.loadedPlugins.set(pluginName, {
       plugin,
       config,
-      path: pluginPath
+      path: pluginPath,
+      sandbox
     });
 
+    // Dev mode picks up edits to plugins loaded after startup too
+    if (this.reloadWatcher && !this.isInternalPlugin(config)) {
+      this.reloadWatcher.add(pluginPath);
+    }
+
     // Call onLoad hook
     if (plugin.onLoad) {
       try {
         await plugin.onLoad({
           app: this.app,
-          db: this.db,
+          db: sandbox.db,
+          http: sandbox.http,
+          fs: sandbox.fs,
           config: config.settings || {}
         });
       } catch (error) {
@@ -341,6 +584,70 @@ class PluginManager {
     console.log(`✅ Loaded plugin: ${pluginName} v${plugin.manifest.version}`);
   }
 
+  /**
+   * Require a plugin's entry module
+   * @param {string} pluginName - Name of the plugin
+   * @param {Object} config - Plugin configuration
+   * @returns {Object} { plugin, pluginPath }
+   */
+  requirePluginModule(pluginName, config) {
+    let plugin;
+    let pluginPath;
+
+    if (config.type === 'external') {
+      // External plugin - support both index.js and plugin.js (index.js preferred)
+      pluginPath = config.path;
+      const indexPath = path.join(pluginPath, 'index.js');
+      const pluginJsPath = path.join(pluginPath, 'plugin.js');
+
+      if (fs.existsSync(indexPath)) {
+        plugin = require(indexPath);
+      } else if (fs.existsSync(pluginJsPath)) {
+        plugin = require(pluginJsPath);
+      } else {
+        throw new Error(`Plugin entry point not found: ${pluginPath} (looked for index.js or plugin.js)`);
+      }
+    } else {
+      // Internal plugin (from plugins/@core/)
+      pluginPath = path.join(process.cwd(), 'plugins', '@core', pluginName);
+      if (!fs.existsSync(path.join(pluginPath, 'index.js'))) {
+        throw new Error(`Internal plugin not found: ${pluginName}`);
+      }
+      plugin = require(path.join(pluginPath, 'index.js'));
+    }
+
+    return { plugin, pluginPath };
+  }
+
+  /**
+   * Check a plugin module before any of its hooks run
+   * @param {Object} plugin - Plugin module
+   * @param {string} pluginName - Name of the plugin
+   * @param {string} pluginPath - Plugin directory
+   * @returns {Object} Validation result (warnings to report)
+   * @throws {Error} When validation fails or the plugin targets another SSBackend version
+   */
+  validatePluginModule(plugin, pluginName, pluginPath) {
+    // Validate plugin structure
+    // Routes may use core middleware and anything already registered by active plugins
+    const validator = new PluginValidator(this.middlewareRegistry.names());
+    const validationResult = validator.validate(plugin, pluginName, pluginPath);
+
+    if (!validationResult.valid) {
+      const errorMessage = PluginValidator.formatResult(validationResult, pluginName);
+      console.error(errorMessage);
+      throw new Error(`Plugin ${pluginName} failed validation (${validationResult.errors.length} errors)`);
+    }
+
+    // Refuse plugins built for another SSBackend version before running any of their hooks
+    const hostVersionError = this.dependencyResolver.checkHostVersion(plugin.manifest);
+    if (hostVersionError) {
+      throw new Error(`Plugin ${pluginName} ${hostVersionError}`);
+    }
+
+    return validationResult;
+  }
+
   /**
    * Activate a loaded plugin
    */
@@ -350,9 +657,12 @@ class PluginManager {
       throw new Error(`Plugin not loaded: ${pluginName}`);
     }
 
-    const { plugin, config, path: pluginPath } = pluginData;
+    const { plugin, config, path: pluginPath, sandbox } = pluginData;
 
     try {
+      this.checkPluginDependencies(pluginName, plugin);
+      this.checkPluginServices(pluginName, plugin);
+
       // Check for plugin migrations and run them FIRST before schemas
       const migrationsPath = path.join(pluginPath, 'migrations');
       const hasMigrations = fs.existsSync(migrationsPath);
@@ -363,7 +673,7 @@ class PluginManager {
         const migrationManager = new MigrationManager(this.db);
 
         try {
-          await migrationManager.migratePluginFromPath(pluginName, migrationsPath);
+          await migrationManager.migratePluginFromPath(pluginName, migrationsPath, { db: sandbox.db });
         } catch (error) {
           console.error(`❌ Plugin migration failed for ${pluginName}:`, error.message);
           throw new Error(`Plugin ${pluginName} migration failed: ${error.message}`);
@@ -375,7 +685,7 @@ class PluginManager {
       if (plugin.schemas && !hasMigrations) {
         for (const schema of plugin.schemas) {
           try {
-            await this.createPluginSchema(schema, pluginName);
+            await this.createPluginSchema(schema, pluginName, sandbox.db);
           } catch (error) {
             console.error(`❌ Failed to create schema for plugin ${pluginName}:`, error.message);
             throw new Error(`Schema creation failed: ${error.message}`);
@@ -390,8 +700,13 @@ class PluginManager {
       // Call onActivate hook
       const activationContext = {
         app: this.app,
-        db: this.db,
-        config: config.settings || {}
+        db: sandbox.db,
+        http: sandbox.http,
+        fs: sandbox.fs,
+        config: config.settings || {},
+        middleware: this.middlewareRegistry.forPlugin(pluginName),
+        events: this.events.forPlugin(pluginName),
+        ...this.services.forPlugin(pluginName, plugin.manifest)
       };
 
       if (plugin.onActivate) {
@@ -403,6 +718,25 @@ class PluginManager {
         }
       }
 
+      // Every service in manifest.provides must have been registered by onActivate
+      const unprovided = (plugin.manifest.provides || [])
+        .map(entry => PluginServiceRegistry.normalizeProvided(entry, plugin.manifest.version).name)
+        .filter(name => this.services.get(name)?.provider !== pluginName);
+      if (unprovided.length > 0) {
+        const error = new Error(`Plugin ${pluginName} did not provide declared services: ${unprovided.join(', ')} (call context.provideService in onActivate)`);
+        error.phase = 'services';
+        throw error;
+      }
+
+      // Consumers hold live handles, so a reactivated provider's services reach them directly
+      const consumers = this.services.consumersOf(pluginName, this.activePlugins);
+      if (consumers.length > 0) {
+        console.log(`🔗 Services of ${pluginName} now serve: ${consumers.join(', ')}`);
+      }
+
+      // Subscribe manifest-declared hooks once onActivate has set up the context they receive
+      this.registerPluginHooks(pluginName, plugin.manifest.hooks || [], pluginPath, activationContext);
+
       // Store the activation context for use in routes
       pluginData.context = activationContext;
 
@@ -424,7 +758,12 @@ class PluginManager {
           }
 
           const handler = this.resolveHandler(route.handler, pluginPath);
-          const middleware = this.resolveMiddleware(route.middleware || []);
+          let middleware;
+          try {
+            middleware = this.resolveMiddleware(route.middleware || []);
+          } catch (error) {
+            throw new Error(`Plugin ${pluginName} route ${route.method} ${route.path}: ${error.message}`);
+          }
 
           // Create a wrapped handler that includes plugin context
           const wrappedHandler = this.createContextualHandler(handler, pluginName, pluginData);
@@ -473,9 +812,15 @@ class PluginManager {
           // First time activation - mount new router
           this.app.use(mountPath, pluginRouter);
 
+          // Plugins activated after startup (install, enable, hot-add) must sit in front of
+          // the final error/404 handlers, otherwise their routes are never reached
+          const stack = this.app._router.stack;
+          const layer = stack.pop();
+          const finalHandlerIndex = stack.findIndex(existing => existing.isFinalHandler);
+          const layerIndex = finalHandlerIndex === -1 ? stack.length : finalHandlerIndex;
+          stack.splice(layerIndex, 0, layer);
+
           // Tag the layer with metadata for easy identification (Tagged Layer Pattern)
-          const layerIndex = this.app._router.stack.length - 1;
-          const layer = this.app._router.stack[layerIndex];
 
           layer.pluginName = pluginName;
           layer.pluginProjectId = this.projectId;
@@ -494,12 +839,17 @@ class PluginManager {
       this.activePlugins.set(pluginName, pluginData);
       console.log(`🚀 Activated plugin: ${pluginName}`);
     } catch (error) {
+      // Middleware and event subscriptions from a failed activation must not outlive it
+      this.middlewareRegistry.unregisterOwner(pluginName);
+      this.events.removeOwner(pluginName);
+      this.services.withdraw(pluginName);
+
       // Mark plugin as failed
       this.failedPlugins.set(pluginName, {
         error: error.message,
         stack: error.stack,
         timestamp: new Date(),
-        phase: 'activate',
+        phase: error.phase || 'activate',
         config
       });
       throw error; // Re-throw to be caught by caller
@@ -518,12 +868,13 @@ class PluginManager {
 
     const { plugin } = pluginData;
 
-    // Call onDeactivate hook first (allow plugin to clean up)
+    // Call onDeactivate hook first (allow plugin to clean up). It gets the context
+    // onActivate filled in, so services and timers it stored there can be released.
     if (plugin.onDeactivate) {
       try {
-        await plugin.onDeactivate({
+        await plugin.onDeactivate(pluginData.context || {
           app: this.app,
-          db: this.db
+          db: pluginData.sandbox.db
         });
       } catch (error) {
         console.error(`⚠️  Error in onDeactivate hook for ${pluginName}:`, error.message);
@@ -544,6 +895,11 @@ class PluginManager {
       });
     }
 
+    // Named middleware, event subscriptions and services are registered again on the next activation
+    this.middlewareRegistry.unregisterOwner(pluginName);
+    this.events.removeOwner(pluginName);
+    this.services.withdraw(pluginName);
+
     // Remove from active plugins
     this.activePlugins.delete(pluginName);
 
@@ -566,7 +922,7 @@ class PluginManager {
     try {
       // Find layer by plugin name tag (Tagged Layer Pattern)
       const layerIndex = this.app._router.stack.findIndex(
-        layer => layer.pluginName === pluginName
+        layer => layer.pluginName === pluginName && layer.pluginProjectId === this.projectId
       );
 
       if (layerIndex === -1) {
@@ -612,7 +968,9 @@ class PluginManager {
         const pluginContext = {
           pluginName,
           config: pluginData.config.settings || {},
-          db: this.db,
+          db: pluginData.sandbox.db,
+          http: pluginData.sandbox.http,
+          fs: pluginData.sandbox.fs,
           app: this.app
         };
 
@@ -622,8 +980,9 @@ class PluginManager {
           Object.assign(pluginContext, activePlugin.context);
         }
 
-        // Inject context into request
+        // Inject context into request; plugin handlers see the project database through their grants
         req.pluginContext = pluginContext;
+        req.db = pluginData.sandbox.db;
 
         // Call the original handler
         return await handler(req, res, next);
@@ -661,25 +1020,61 @@ class PluginManager {
   }
 
   /**
-   * Resolve middleware array
+   * Subscribe a plugin's manifest hooks to the project event bus
+   * Each handler is called as (payload, event, context) with the plugin's activation context
+   *
+   * @param {string} pluginName - Owning plugin
+   * @param {Array} hooks - manifest.hooks entries: { event, handler, filter?, priority? }
+   * @param {string} pluginPath - Plugin directory, for handler paths
+   * @param {Object} context - Activation context passed to every handler
    */
-  resolveMiddleware(middlewareNames) {
-    const middleware = [];
+  registerPluginHooks(pluginName, hooks, pluginPath, context) {
+    for (const hook of hooks) {
+      let handler;
+      try {
+        handler = this.resolveHandler(hook.handler, pluginPath);
+        if (typeof handler !== 'function') {
+          throw new Error('handler module must export a function');
+        }
+      } catch (error) {
+        throw new Error(`Plugin ${pluginName} hook for "${hook.event}": ${error.message}`);
+      }
 
-    for (const name of middlewareNames) {
-      if (name === 'auth') {
-        middleware.push(require('../middleware/auth').authenticateToken);
+      if (hook.filter) {
+        this.events.filter(hook.event, (payload, event) => handler(payload, event, context), {
+          owner: pluginName,
+          priority: hook.priority
+        });
+      } else {
+        this.events.on(hook.event, (payload, event) => handler(payload, event, context), pluginName);
       }
-      // Add more middleware mappings as needed
     }
+  }
 
-    return middleware;
+  /**
+   * Resolve a route's middleware entries ('auth' or { name, options }) through the registry
+   * @throws {Error} For names that are not registered
+   */
+  resolveMiddleware(middlewareEntries) {
+    return this.middlewareRegistry.resolve(middlewareEntries);
+  }
+
+  /**
+   * Whether a plugin ships with SSBackend (and is trusted with the raw project database)
+   * @param {Object} config - Plugin configuration
+   * @returns {boolean}
+   */
+  isInternalPlugin(config) {
+    return config.type !== 'external' || Boolean(config.path && config.path.includes('@core'));
   }
 
   /**
    * Create database schema for plugin
+   * @param {Object} schema - { table, definition }
+   * @param {string} pluginName - Plugin name
+   * @param {Object} db - Database to run it on (the plugin's guarded database)
    */
-  async createPluginSchema(schema, pluginName) {
+  async createPluginSchema(schema, pluginName, db = this.db) {
     return new Promise((resolve, reject) => {
       // Add plugin prefix if not already present
       const tableName = schema.table.startsWith('plugin_')
@@ -692,7 +1087,7 @@ class PluginManager {
         schemaSql = schemaSql.replace(schema.table, tableName);
       }
 
-      this.db.exec(schemaSql, (err) => {
+      db.exec(schemaSql, (err) => {
         if (err) {
           console.error(`❌ Failed to create schema for plugin ${pluginName}:`, err);
           reject(err);
@@ -752,23 +1147,20 @@ class PluginManager {
 
       if (adminUI.enabled) {
         // Resolve the web-accessible path for the UI module
+        const isCore = config.type === 'internal' || (config.path && config.path.includes('@core'));
+        const isExample = config.path && config.path.includes('@examples');
+        const scope = isCore ? '@core' : (isExample ? '@examples' : null);
+        const pluginBase = scope ? `plugins/${scope}/${name}` : `plugins/${name}`;
+
         let webPath = null;
         if (adminUI.modulePath) {
-          const isCore = config.type === 'internal' || (config.path && config.path.includes('@core'));
-          const isExample = config.path && config.path.includes('@examples');
-          const scope = isCore ? '@core' : (isExample ? '@examples' : null);
-
-          if (scope) {
-            webPath = `/plugins/${scope}/${name}/${adminUI.modulePath.replace(/^\.\//, '')}`;
-          } else {
-            webPath = `/plugins/${name}/${adminUI.modulePath.replace(/^\.\//, '')}`;
-          }
+          webPath = `/${pluginBase}/${adminUI.modulePath.replace(/^\.\//, '')}`;
         }
 
         // Include documentation metadata from manifest
         const docs = manifest.docs || plugin.docs || {};
         const docsMetadata = docs.apiReference ? {
-          path: `plugins/@core/${name}/${docs.apiReference.path}`,
+          path: `${pluginBase}/${docs.apiReference.path}`,
           title: docs.apiReference.title,
           icon: docs.apiReference.icon
         } : null;
@@ -807,7 +1199,7 @@ class PluginManager {
 
     // Add disabled plugins from config
     const pluginConfig = this.getPluginConfigValue('plugins', {});
-    const SETTING_KEYS = ['enabled', 'auto_discover', 'auto_enable_discovered', 'watch_for_changes'];
+    const SETTING_KEYS = ['enabled', 'auto_discover', 'auto_enable_discovered', 'watch_for_changes', 'hot_reload'];
 
     for (const [name, config] of Object.entries(pluginConfig)) {
       if (SETTING_KEYS.includes(name)) continue;
@@ -905,6 +1297,10 @@ class PluginManager {
           group: getGroupForPlugin(name)
         }))
       },
+      hotReload: {
+        enabled: Boolean(this.reloadWatcher),
+        recent: this.reloadHistory.slice(-10)
+      },
       timestamp: new Date().toISOString()
     };
   }
@@ -932,6 +1328,45 @@ class PluginManager {
     console.log(`✅ Enabled plugin: ${pluginName}`);
   }
 
+  /**
+   * Register an installed external plugin in the project's plugin config
+   * @param {string} pluginName - Plugin name (config key)
+   * @param {string} pluginPath - Directory the plugin was installed to
+   * @param {Object} options - { enable: activate it right away }
+   * @returns {Promise<Object>} { enabled, activationError } - activation failures keep the registration
+   */
+  async registerPlugin(pluginName, pluginPath, options = {}) {
+    const pluginConfig = this.getPluginConfigValue('plugins', {});
+    const existing = pluginConfig[pluginName];
+
+    if (existing && existing.type !== 'external') {
+      throw new Error(`Plugin ${pluginName} is an internal plugin and cannot be replaced`);
+    }
+
+    pluginConfig[pluginName] = {
+      ...existing,
+      enabled: false,
+      type: 'external',
+      path: pluginPath,
+      suppressed: false,
+      installedAt: new Date().toISOString()
+    };
+    await this.updatePluginConfigValue('plugins', pluginConfig);
+    console.log(`📦 Registered installed plugin: ${pluginName}`);
+
+    if (!options.enable) {
+      return { enabled: false };
+    }
+
+    try {
+      await this.enablePlugin(pluginName);
+      return { enabled: true };
+    } catch (error) {
+      console.error(`❌ Installed plugin ${pluginName} failed to activate:`, error.message);
+      return { enabled: false, activationError: error.message };
+    }
+  }
+
   /**
    * Disable a plugin
    */
@@ -946,6 +1381,11 @@ class PluginManager {
     await this.updatePluginConfigValue('plugins', pluginConfig);
 
     if (this.activePlugins.has(pluginName)) {
+      // Consumers stay active; their calls fail with SERVICE_UNAVAILABLE until the provider is back
+      const consumers = this.services.consumersOf(pluginName, this.activePlugins);
+      if (consumers.length > 0) {
+        console.warn(`⚠️  Services of ${pluginName} become unavailable to: ${consumers.join(', ')}`);
+      }
       await this.deactivatePlugin(pluginName);
     }
 
@@ -953,93 +1393,167 @@ class PluginManager {
   }
 
   /**
-   * Reload a plugin without server restart (Story 6.3 - Hot-Reload)
-   * 
-   * Process:
-   * 1. Deactivate plugin (removes routes, calls cleanup hooks)
-   * 2. Clear require cache for plugin modules
-   * 3. Reload plugin from disk
-   * 4. Validate reloaded plugin
-   * 5. Reactivate plugin (registers routes, calls activation hooks)
-   * 
-   * @param {string} pluginName - Name of the plugin to reload
-   * @returns {Promise<Object>} Result object with success status and plugin data
+   * Reload a plugin from disk without restarting the server
+   *
+   * The new code is validated before the running version is touched. If it fails
+   * validation, or fails to load or activate, the previous version is put back and
+   * keeps serving requests.
+   *
+   * @param {string} pluginName - Name of the plugin
+   * @param {Object} options
+   * @param {string} options.trigger - 'manual' (admin/CLI) or 'watch' (dev mode file watcher)
+   * @param {Array} options.files - Changed files, relative to the plugin directory
+   * @returns {Promise<Object>} { success, plugin } or { success: false, error, phase, keptPrevious }
    */
-  async reloadPlugin(pluginName) {
+  async reloadPlugin(pluginName, { trigger = 'manual', files = [] } = {}) {
     console.log(`🔄 [Hot-Reload] Starting reload of ${pluginName}...`);
 
-    try {
-      // 1. Verify plugin exists and is active
-      const pluginData = this.activePlugins.get(pluginName);
-      if (!pluginData) {
-        throw new Error(`Plugin ${pluginName} is not active. Use 'enable' command instead.`);
-      }
+    const previous = this.activePlugins.get(pluginName);
+    if (!previous) {
+      const error = `Plugin ${pluginName} is not active. Use 'enable' command instead.`;
+      console.error(`❌ [Hot-Reload] Failed to reload ${pluginName}:`, error);
+      return this.recordReload({ plugin: pluginName, trigger, files, success: false, error, phase: 'reload', keptPrevious: false });
+    }
 
-      const { config, path: pluginPath } = pluginData;
+    const { config, path: pluginPath } = previous;
+    const pluginDir = path.resolve(pluginPath);
+    const previousModules = this.snapshotPluginModules(pluginDir);
+
+    // 1. Validate the new code while the current version keeps running
+    try {
+      this.restorePluginModules(pluginDir, new Map());
+      const { plugin } = this.requirePluginModule(pluginName, config);
+      this.validatePluginModule(plugin, pluginName, pluginPath);
+      (plugin.routes || []).forEach(route => this.resolveHandler(route.handler, pluginPath));
+    } catch (error) {
+      this.restorePluginModules(pluginDir, previousModules);
+      console.error(`❌ [Hot-Reload] ${pluginName} was not reloaded, previous version kept:`, error.message);
+      return this.recordReload({ plugin: pluginName, trigger, files, success: false, error: error.message, phase: 'validate', keptPrevious: true });
+    }
 
-      // 2. Deactivate plugin (removes routes, clears cache, calls hooks)
+    // 2. Swap versions: deactivate, load fresh from disk, activate
+    try {
       console.log(`🔄 [Hot-Reload] Deactivating ${pluginName}...`);
       await this.deactivatePlugin(pluginName);
-
-      // Also remove from loadedPlugins to force fresh load
       this.loadedPlugins.delete(pluginName);
+      this.restorePluginModules(pluginDir, new Map());
 
-      // 3. Reload plugin from disk
       console.log(`🔄 [Hot-Reload] Reloading from disk...`);
       await this.loadPlugin(pluginName, config, false); // false = don't auto-activate yet
 
-      // 4. Validate reloaded plugin
-      const reloadedPluginData = this.loadedPlugins.get(pluginName);
-      if (!reloadedPluginData) {
-        throw new Error(`Failed to reload plugin ${pluginName} from disk`);
-      }
-
-      // 5. Reactivate plugin
       console.log(`🔄 [Hot-Reload] Reactivating ${pluginName}...`);
       await this.activatePlugin(pluginName);
 
-      const reloadedPlugin = reloadedPluginData.plugin;
+      const reloadedPlugin = this.loadedPlugins.get(pluginName).plugin;
       console.log(`✅ [Hot-Reload] ${pluginName} reloaded successfully`);
       console.log(`   Version: ${reloadedPlugin.manifest.version}`);
       console.log(`   Routes: ${reloadedPlugin.routes ? reloadedPlugin.routes.length : 0}`);
 
-      return {
+      this.failedPlugins.delete(pluginName);
+      return this.recordReload({
+        plugin: pluginName,
+        trigger,
+        files,
         success: true,
-        plugin: {
-          name: pluginName,
-          version: reloadedPlugin.manifest.version,
-          routes: reloadedPlugin.routes ? reloadedPlugin.routes.length : 0
-        }
-      };
-
+        version: reloadedPlugin.manifest.version,
+        routes: reloadedPlugin.routes ? reloadedPlugin.routes.length : 0
+      });
     } catch (error) {
       console.error(`❌ [Hot-Reload] Failed to reload ${pluginName}:`, error.message);
+      const phase = error.phase || 'reload';
 
-      // Mark as failed
-      this.failedPlugins.set(pluginName, {
-        error: error.message,
-        stack: error.stack,
-        timestamp: new Date(),
-        phase: 'reload'
-      });
+      // 3. Put the previous version back, with the modules it was running
+      try {
+        if (this.activePlugins.has(pluginName)) {
+          await this.deactivatePlugin(pluginName);
+        }
+        this.restorePluginModules(pluginDir, previousModules);
+        this.loadedPlugins.set(pluginName, previous);
+        await this.activatePlugin(pluginName);
+        this.failedPlugins.delete(pluginName);
+
+        console.log(`↩️  [Hot-Reload] Restored previous version of ${pluginName}`);
+        return this.recordReload({ plugin: pluginName, trigger, files, success: false, error: error.message, phase, keptPrevious: true });
+      } catch (restoreError) {
+        console.error(`❌ [Hot-Reload] Could not restore previous version of ${pluginName}:`, restoreError.message);
+
+        // Mark as failed
+        this.failedPlugins.set(pluginName, {
+          error: error.message,
+          stack: error.stack,
+          timestamp: new Date(),
+          phase: 'reload',
+          config
+        });
 
-      return {
-        success: false,
-        error: error.message
-      };
+        return this.recordReload({ plugin: pluginName, trigger, files, success: false, error: error.message, phase, keptPrevious: false });
+      }
+    }
+  }
+
+  /**
+   * Keep a reload result for the admin dashboard
+   * @private
+   * @returns {Object} The result, for returning to the caller
+   */
+  recordReload(result) {
+    const entry = { ...result, timestamp: new Date().toISOString() };
+    this.reloadHistory.push(entry);
+    if (this.reloadHistory.length > RELOAD_HISTORY_SIZE) {
+      this.reloadHistory.shift();
     }
+
+    const { plugin, trigger, files, timestamp, ...outcome } = entry;
+    return outcome.success
+      ? { success: true, plugin: { name: plugin, version: outcome.version, routes: outcome.routes } }
+      : { success: false, error: outcome.error, phase: outcome.phase, keptPrevious: outcome.keptPrevious };
+  }
+
+  /**
+   * Cached modules loaded from a plugin directory
+   * @private
+   * @returns {Map} Module path => module
+   */
+  snapshotPluginModules(pluginDir) {
+    return new Map(
+      Object.keys(require.cache)
+        .filter(key => key.startsWith(pluginDir + path.sep))
+        .map(key => [key, require.cache[key]])
+    );
+  }
+
+  /**
+   * Replace the cached modules of a plugin directory (an empty map forces a fresh require)
+   * @private
+   */
+  restorePluginModules(pluginDir, modules) {
+    Object.keys(require.cache)
+      .filter(key => key.startsWith(pluginDir + path.sep))
+      .forEach(key => delete require.cache[key]);
+    modules.forEach((module, key) => {
+      require.cache[key] = module;
+    });
   }
 
   /**
    * Purge a plugin completely from config
    */
   async purgePlugin(pluginName) {
-    const pluginConfig = getConfigValue('plugins', {});
+    const pluginConfig = this.getPluginConfigValue('plugins', {});
 
     if (!pluginConfig[pluginName]) {
       throw new Error(`Plugin not found in config: ${pluginName}`);
     }
 
+    // A purged plugin must stop serving requests, so its router goes too
+    const pluginData = this.activePlugins.get(pluginName) || this.loadedPlugins.get(pluginName);
+    if (this.activePlugins.has(pluginName)) {
+      await this.deactivatePlugin(pluginName);
+    }
+    if (pluginData) {
+      this.removePluginRouter(pluginName, pluginData);
+    }
+
     // Remove from all internal maps
     this.failedPlugins.delete(pluginName);
     this.loadedPlugins.delete(pluginName);
@@ -1058,7 +1572,7 @@ class PluginManager {
    * Suppress a plugin (hide from UI but keep config)
    */
   async suppressPlugin(pluginName) {
-    const pluginConfig = getConfigValue('plugins', {});
+    const pluginConfig = this.getPluginConfigValue('plugins', {});
 
     if (!pluginConfig[pluginName]) {
       throw new Error(`Plugin not found in config: ${pluginName}`);
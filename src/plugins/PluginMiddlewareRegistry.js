@@ -0,0 +1,168 @@
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+
+/**
+ * PluginMiddlewareRegistry - Named middleware for declarative plugin routes
+ *
+ * A route's `middleware` array lists entries by name, either as a string
+ * ('auth') or as `{ name, options }` for middleware that takes options
+ * (`{ name: 'rateLimit', options: { max: 10 } }`). Core registers the names in
+ * CORE_MIDDLEWARE; plugins add their own from onActivate through
+ * `context.middleware` and declare them in `manifest.middleware` so their routes
+ * pass validation. Plugin entries are dropped when the plugin deactivates.
+ */
+class PluginMiddlewareRegistry {
+  constructor() {
+    this.entries = new Map();
+
+    // Required here so the validator can read CORE_MIDDLEWARE without loading any middleware.
+    // Auth waits until a route uses it: loading it starts the token cleanup timer, which
+    // would keep every process that builds a registry alive.
+    const { createRateLimiter } = require('../middleware/rateLimit');
+    const { validateBody } = require('../middleware/validateBody');
+    const auth = () => require('../middleware/auth');
+    this.registerFactory('auth', () => auth().authenticateToken);
+    this.registerFactory('optionalAuth', () => auth().optionalAuth);
+    this.registerFactory('admin', () => [auth().authenticateToken, auth().requireAdmin]);
+    this.registerFactory('rateLimit', options => createRateLimiter(options));
+    this.registerFactory('validateBody', schema => {
+      if (!schema || typeof schema !== 'object') {
+        throw new Error('validateBody requires a JSON Schema as its options');
+      }
+      return validateBody(schema);
+    });
+  }
+
+  /**
+   * Normalize a route middleware entry to { name, options }
+   * @param {string|Object} entry - 'auth' or { name: 'rateLimit', options: { max: 10 } }
+   * @returns {Object} { name, options }
+   */
+  static normalize(entry) {
+    if (typeof entry === 'string') {
+      return { name: entry, options: undefined };
+    }
+    return {
+      name: entry?.name,
+      options: entry?.options
+    };
+  }
+
+  /**
+   * Register middleware that takes no options
+   * @param {string} name - Name routes refer to
+   * @param {Function|Array} middleware - Express middleware, or an array run in order
+   * @param {string} owner - 'core' or the registering plugin's name
+   */
+  register(name, middleware, owner = 'core') {
+    const chain = [].concat(middleware);
+    if (chain.length === 0 || chain.some(fn => typeof fn !== 'function')) {
+      throw new Error(`Middleware "${name}" must be a function or an array of functions`);
+    }
+    this._add(name, () => chain, owner);
+  }
+
+  /**
+   * Register middleware built per route from the entry's options
+   * @param {string} name - Name routes refer to
+   * @param {Function} factory - options => middleware (or array of middleware)
+   * @param {string} owner - 'core' or the registering plugin's name
+   */
+  registerFactory(name, factory, owner = 'core') {
+    if (typeof factory !== 'function') {
+      throw new Error(`Middleware factory "${name}" must be a function`);
+    }
+    this._add(name, factory, owner);
+  }
+
+  /**
+   * Registration API handed to a plugin as `context.middleware`
+   * @param {string} pluginName - Owning plugin
+   * @returns {Object} { register(name, middleware), registerFactory(name, factory) }
+   */
+  forPlugin(pluginName) {
+    return {
+      register: (name, middleware) => this.register(name, middleware, pluginName),
+      registerFactory: (name, factory) => this.registerFactory(name, factory, pluginName)
+    };
+  }
+
+  /**
+   * Remove every entry a plugin registered
+   * @param {string} owner - Plugin name
+   * @returns {Array} Names that were removed
+   */
+  unregisterOwner(owner) {
+    const removed = [];
+    for (const [name, entry] of this.entries) {
+      if (entry.owner === owner) {
+        this.entries.delete(name);
+        removed.push(name);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @param {string} name - Middleware name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * @returns {Array} Registered middleware names
+   */
+  names() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Build the Express middleware for a route's middleware entries
+   * @param {Array} entries - Route middleware entries, in order
+   * @returns {Array} Express middleware functions
+   * @throws {Error} With code 'UNKNOWN_MIDDLEWARE' for a name nobody registered
+   */
+  resolve(entries = []) {
+    const middleware = [];
+
+    for (const entry of entries) {
+      const { name, options } = PluginMiddlewareRegistry.normalize(entry);
+      const registered = this.entries.get(name);
+
+      if (!registered) {
+        const error = new Error(`Unknown middleware "${name}" (registered: ${this.names().join(', ')})`);
+        error.code = 'UNKNOWN_MIDDLEWARE';
+        throw error;
+      }
+
+      const built = [].concat(registered.factory(options));
+      if (built.some(fn => typeof fn !== 'function')) {
+        throw new Error(`Middleware "${name}" did not produce a middleware function`);
+      }
+      middleware.push(...built);
+    }
+
+    return middleware;
+  }
+
+  /**
+   * @private
+   */
+  _add(name, factory, owner) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid middleware name "${name}": use letters, digits, hyphens or underscores, starting with a letter`);
+    }
+
+    const existing = this.entries.get(name);
+    if (existing && existing.owner !== owner) {
+      throw new Error(`Middleware "${name}" is already registered by ${existing.owner === 'core' ? 'SSBackend core' : `plugin ${existing.owner}`}`);
+    }
+
+    this.entries.set(name, { factory, owner });
+  }
+}
+
+PluginMiddlewareRegistry.CORE_MIDDLEWARE = ['auth', 'optionalAuth', 'admin', 'rateLimit', 'validateBody'];
+
+module.exports = PluginMiddlewareRegistry;
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const PluginValidator = require('./PluginValidator');
+
+const ARCHIVE_FORMAT = 'ssb-plugin';
+const ARCHIVE_FORMAT_VERSION = 1;
+const ARCHIVE_EXTENSION = '.ssb-plugin';
+
+// Never packed: installed dependencies, VCS metadata and previously built archives
+const EXCLUDED_NAMES = ['node_modules', '.git', '.DS_Store'];
+
+/**
+ * PluginPackager - Builds and unpacks `.ssb-plugin` archives
+ *
+ * An archive is a gzipped JSON document holding the plugin's manifest and every
+ * file of the plugin directory (base64 encoded), so plugins can be shared as a
+ * single file without adding an archive dependency. The stored manifest lets an
+ * archive be checked before any of its code is loaded.
+ */
+class PluginPackager {
+  /**
+   * Check whether a path looks like a plugin archive
+   * @param {string} filePath - Path to check
+   * @returns {boolean}
+   */
+  static isArchive(filePath) {
+    return filePath.endsWith(ARCHIVE_EXTENSION) && fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+  }
+
+  /**
+   * Find the entry point of a plugin directory
+   * @param {string} pluginDir - Plugin directory
+   * @returns {string|null} Absolute path to index.js or plugin.js
+   */
+  static findEntryPoint(pluginDir) {
+    for (const file of ['index.js', 'plugin.js']) {
+      const entryPoint = path.join(pluginDir, file);
+      if (fs.existsSync(entryPoint)) return path.resolve(entryPoint);
+    }
+    return null;
+  }
+
+  /**
+   * Check a plugin directory without loading its code
+   *
+   * The manifest comes from plugin.json or, for an unpacked archive, the manifest
+   * stored by pack(). Archives without one are rejected, since the only other
+   * way to read their manifest is to run them.
+   * @param {string} pluginDir - Plugin directory
+   * @param {Object} archive - Archive document when pluginDir was extracted from one
+   * @returns {Object|null} Static manifest, or null for a local directory without plugin.json
+   */
+  static checkBeforeLoad(pluginDir, archive = null) {
+    if (!PluginPackager.findEntryPoint(pluginDir)) {
+      throw new Error(`Plugin entry point (index.js or plugin.js) not found in ${pluginDir}`);
+    }
+
+    let manifest = null;
+    const manifestPath = path.join(pluginDir, 'plugin.json');
+    if (fs.existsSync(manifestPath)) {
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`plugin.json is not valid JSON: ${error.message}`);
+      }
+    } else if (archive) {
+      manifest = archive.manifest || null;
+    }
+
+    if (!manifest) {
+      if (archive) {
+        throw new Error('Archive has no manifest; re-pack it with "ssbackend plugins pack"');
+      }
+      return null;
+    }
+
+    const validator = new PluginValidator();
+    if (!validator.validateManifest(manifest, manifest.name || path.basename(pluginDir))) {
+      throw new Error(`Invalid plugin manifest: ${validator.errors.join('; ')}`);
+    }
+    if (archive && (archive.name !== manifest.name || archive.version !== manifest.version)) {
+      throw new Error(`Archive is labelled ${archive.name} v${archive.version} but its manifest is ${manifest.name} v${manifest.version}`);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Load a plugin module fresh from disk
+   * @param {string} pluginDir - Plugin directory
+   * @returns {Object} Plugin module
+   */
+  static loadPlugin(pluginDir) {
+    const entryPoint = PluginPackager.findEntryPoint(pluginDir);
+    if (!entryPoint) {
+      throw new Error(`Plugin entry point (index.js or plugin.js) not found in ${pluginDir}`);
+    }
+
+    delete require.cache[require.resolve(entryPoint)];
+    return require(entryPoint);
+  }
+
+  /**
+   * List the files to include in an archive, relative to the plugin directory
+   * @private
+   */
+  _collectFiles(baseDir, relativeDir = '') {
+    const files = [];
+    const dirents = fs.readdirSync(path.join(baseDir, relativeDir), { withFileTypes: true });
+
+    for (const dirent of dirents) {
+      if (EXCLUDED_NAMES.includes(dirent.name) || dirent.name.endsWith(ARCHIVE_EXTENSION)) continue;
+
+      const relativePath = path.posix.join(relativeDir.split(path.sep).join('/'), dirent.name);
+      if (dirent.isDirectory()) {
+        files.push(...this._collectFiles(baseDir, relativePath));
+      } else if (dirent.isFile()) {
+        files.push(relativePath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Pack a plugin directory into a `.ssb-plugin` archive
+   * @param {string} sourceDir - Plugin directory
+   * @param {string} outputPath - Archive path (defaults to <name>-<version>.ssb-plugin in the cwd)
+   * @returns {Object} { path, name, version, files, size }
+   */
+  pack(sourceDir, outputPath = null) {
+    const pluginDir = path.resolve(sourceDir);
+    if (!fs.existsSync(pluginDir) || !fs.statSync(pluginDir).isDirectory()) {
+      throw new Error(`Plugin directory not found: ${sourceDir}`);
+    }
+
+    const plugin = PluginPackager.loadPlugin(pluginDir);
+    const manifest = plugin.manifest || {};
+    if (!manifest.name || !manifest.version) {
+      throw new Error('Plugin manifest must define name and version');
+    }
+
+    const files = this._collectFiles(pluginDir).map(relativePath => {
+      const absolutePath = path.join(pluginDir, relativePath);
+      return {
+        path: relativePath,
+        mode: fs.statSync(absolutePath).mode & 0o777,
+        content: fs.readFileSync(absolutePath).toString('base64')
+      };
+    });
+
+    const archive = {
+      format: ARCHIVE_FORMAT,
+      formatVersion: ARCHIVE_FORMAT_VERSION,
+      name: manifest.name,
+      version: manifest.version,
+      // Functions and other non-JSON values are dropped; install only needs the data fields
+      manifest: JSON.parse(JSON.stringify(manifest)),
+      createdAt: new Date().toISOString(),
+      files
+    };
+
+    const target = path.resolve(outputPath || `${manifest.name}-${manifest.version}${ARCHIVE_EXTENSION}`);
+    const data = zlib.gzipSync(Buffer.from(JSON.stringify(archive)));
+    fs.writeFileSync(target, data);
+
+    return {
+      path: target,
+      name: manifest.name,
+      version: manifest.version,
+      files: files.length,
+      size: data.length
+    };
+  }
+
+  /**
+   * Read and check an archive without extracting it
+   * @param {string} archivePath - Path to the `.ssb-plugin` file
+   * @returns {Object} Archive document
+   */
+  readArchive(archivePath) {
+    let archive;
+    try {
+      archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(archivePath)).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Not a valid ${ARCHIVE_EXTENSION} archive: ${error.message}`);
+    }
+
+    if (archive.format !== ARCHIVE_FORMAT || !Array.isArray(archive.files)) {
+      throw new Error(`Not a valid ${ARCHIVE_EXTENSION} archive: unrecognized format`);
+    }
+    if (archive.formatVersion > ARCHIVE_FORMAT_VERSION) {
+      throw new Error(`Archive format version ${archive.formatVersion} is not supported (max ${ARCHIVE_FORMAT_VERSION})`);
+    }
+
+    return archive;
+  }
+
+  /**
+   * Extract an archive into a new temporary directory
+   * @param {string} archivePath - Path to the `.ssb-plugin` file
+   * @returns {Object} { dir, archive } - Caller removes dir when done
+   */
+  extractToTemp(archivePath) {
+    const archive = this.readArchive(archivePath);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssb-plugin-'));
+
+    try {
+      for (const file of archive.files) {
+        // Reject absolute paths and parent traversal before writing anything
+        const target = path.resolve(dir, file.path);
+        if (path.isAbsolute(file.path) || !target.startsWith(dir + path.sep)) {
+          throw new Error(`Archive contains an unsafe path: ${file.path}`);
+        }
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, Buffer.from(file.content, 'base64'), { mode: file.mode || 0o644 });
+      }
+    } catch (error) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw error;
+    }
+
+    return { dir, archive };
+  }
+
+  /**
+   * Copy a plugin directory, skipping the same files pack() leaves out
+   * @param {string} sourceDir - Plugin directory
+   * @param {string} targetDir - Destination (must not exist)
+   */
+  copyPlugin(sourceDir, targetDir) {
+    fs.cpSync(sourceDir, targetDir, {
+      recursive: true,
+      errorOnExist: true,
+      filter: (source) => {
+        const name = path.basename(source);
+        return !EXCLUDED_NAMES.includes(name) && !name.endsWith(ARCHIVE_EXTENSION);
+      }
+    });
+  }
+}
+
+PluginPackager.ARCHIVE_EXTENSION = ARCHIVE_EXTENSION;
+
+module.exports = PluginPackager;
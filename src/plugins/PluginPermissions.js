@@ -0,0 +1,330 @@
+const path = require('path');
+
+const TABLE_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const HOST_PATTERN = /^(\*\.)?[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*(:\d+)?$/;
+
+/**
+ * PluginPermissions - What a plugin may touch outside its own code
+ *
+ * Declared in `manifest.permissions`:
+ *
+ *   permissions: {
+ *     database: {
+ *       tables: ['plugin_notes'],          // extra tables the plugin owns
+ *       read: ['users', 'plugin_currencies'],
+ *       write: ['plugin_user_balances']    // other plugins' tables only
+ *     },
+ *     http: ['api.example.com', '*.example.org'],
+ *     filesystem: { read: ['./assets'], write: ['./data'] }
+ *   }
+ *
+ * A plugin always owns `plugin_<name>` and `plugin_<name>_*` (hyphens become
+ * underscores) and may create, alter, drop, read and write them. Core tables can
+ * only be granted read-only, and never their PROTECTED_COLUMNS.
+ *
+ * External plugins are held to their grants; internal plugins ship with
+ * SSBackend and are trusted, so every check passes for them.
+ */
+class PluginPermissions {
+  /**
+   * @param {string} pluginName - Plugin the grants belong to
+   * @param {Object} declared - manifest.permissions (may be undefined)
+   * @param {Object} options
+   * @param {string} options.pluginPath - Plugin directory; filesystem grants are relative to it
+   * @param {boolean} options.trusted - Skip all checks (internal plugins)
+   */
+  constructor(pluginName, declared = {}, { pluginPath = process.cwd(), trusted = false } = {}) {
+    const permissions = PluginPermissions.normalize(declared);
+
+    this.pluginName = pluginName;
+    this.trusted = trusted;
+    this.ownPrefix = PluginPermissions.ownPrefix(pluginName);
+    this.ownedTables = new Set(permissions.database.tables.map(table => table.toLowerCase()));
+    this.readTables = new Set(permissions.database.read.map(table => table.toLowerCase()));
+    this.writeTables = new Set(permissions.database.write.map(table => table.toLowerCase()));
+    this.hosts = permissions.http.map(host => host.toLowerCase());
+    this.readPaths = permissions.filesystem.read.map(entry => path.resolve(pluginPath, entry));
+    this.writePaths = permissions.filesystem.write.map(entry => path.resolve(pluginPath, entry));
+    this.permissions = permissions;
+  }
+
+  /**
+   * Table prefix a plugin owns, e.g. 'full-featured' => 'plugin_full_featured'
+   * @param {string} pluginName - Plugin name
+   * @returns {string}
+   */
+  static ownPrefix(pluginName) {
+    return `plugin_${String(pluginName).toLowerCase().replace(/-/g, '_')}`;
+  }
+
+  /**
+   * Fill in every section of manifest.permissions so callers need no guards
+   * @param {Object} declared - manifest.permissions
+   * @returns {Object} { database: { tables, read, write }, http, filesystem: { read, write } }
+   */
+  static normalize(declared) {
+    const list = value => (Array.isArray(value) ? value.filter(entry => typeof entry === 'string') : []);
+    const database = declared?.database || {};
+    const filesystem = declared?.filesystem || {};
+
+    return {
+      database: {
+        tables: list(database.tables),
+        read: list(database.read),
+        write: list(database.write)
+      },
+      http: list(declared?.http),
+      filesystem: {
+        read: list(filesystem.read),
+        write: list(filesystem.write)
+      }
+    };
+  }
+
+  /**
+   * Check the shape of manifest.permissions
+   * @param {Object} declared - manifest.permissions
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validate(declared) {
+    const errors = [];
+    if (declared === undefined) return errors;
+
+    if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+      return ['Manifest permissions must be an object'];
+    }
+
+    const checkList = (value, field, check, description) => {
+      if (value === undefined) return;
+      if (!Array.isArray(value)) {
+        errors.push(`Manifest permissions.${field} must be an array`);
+        return;
+      }
+      value.forEach((entry, index) => {
+        if (typeof entry !== 'string' || !check(entry)) {
+          errors.push(`Manifest permissions.${field}[${index}] must be ${description}`);
+        }
+      });
+    };
+
+    const database = declared.database;
+    if (database !== undefined && (!database || typeof database !== 'object' || Array.isArray(database))) {
+      errors.push('Manifest permissions.database must be an object');
+    } else if (database) {
+      const pluginTable = table => TABLE_PATTERN.test(table) && table.toLowerCase().startsWith('plugin_') &&
+        !PluginPermissions.RESERVED_TABLES.includes(table.toLowerCase());
+
+      checkList(database.tables, 'database.tables', pluginTable, 'a table name starting with plugin_');
+      checkList(database.read, 'database.read', table => TABLE_PATTERN.test(table), 'a table name');
+      checkList(database.write, 'database.write', pluginTable, 'a plugin table name (core tables can only be granted read access)');
+    }
+
+    checkList(declared.http, 'http', host => host === '*' || HOST_PATTERN.test(host), 'a host name such as "api.example.com" or "*.example.com"');
+
+    const filesystem = declared.filesystem;
+    if (filesystem !== undefined && (!filesystem || typeof filesystem !== 'object' || Array.isArray(filesystem))) {
+      errors.push('Manifest permissions.filesystem must be an object with read and write path lists');
+    } else if (filesystem) {
+      checkList(filesystem.read, 'filesystem.read', entry => entry.length > 0, 'a path');
+      checkList(filesystem.write, 'filesystem.write', entry => entry.length > 0, 'a path');
+    }
+
+    return errors;
+  }
+
+  /**
+   * @param {string} table - Table name
+   * @returns {boolean} True for tables the plugin owns
+   */
+  ownsTable(table) {
+    const name = String(table).toLowerCase();
+    if (PluginPermissions.RESERVED_TABLES.includes(name)) return false;
+    return name === this.ownPrefix || name.startsWith(`${this.ownPrefix}_`) || this.ownedTables.has(name);
+  }
+
+  /**
+   * Whether an index or trigger name belongs to the plugin, for DROP INDEX / DROP TRIGGER
+   * After an optional idx_/index_/trg_/trigger_ prefix, names must be one of the plugin's
+   * tables or start with one followed by '_' (idx_plugin_notes_user).
+   * @param {string} name - Index or trigger name
+   * @returns {boolean}
+   */
+  ownsSchemaObject(name) {
+    if (this.trusted) return true;
+
+    const lower = String(name).toLowerCase().replace(/^(idx|index|trg|trigger)_/, '');
+    return this.ownsTable(lower) || Array.from(this.ownedTables).some(table => lower.startsWith(`${table}_`));
+  }
+
+  /**
+   * Strongest access granted on a table
+   * @param {string} table - Table name
+   * @returns {string|null} 'schema' (create/alter/drop), 'write', 'read' or null
+   */
+  tableAccess(table) {
+    if (this.trusted) return 'schema';
+
+    const name = String(table).toLowerCase();
+    if (this.ownsTable(name)) return 'schema';
+    if (this.writeTables.has(name)) return 'write';
+    if (this.readTables.has(name) || PluginPermissions.SCHEMA_TABLES.includes(name)) return 'read';
+    return null;
+  }
+
+  /**
+   * Columns the plugin may never read, whatever its grants
+   * @param {string} table - Table name
+   * @returns {Array} Column names
+   */
+  protectedColumns(table) {
+    if (this.trusted) return [];
+    return PluginPermissions.PROTECTED_COLUMNS[String(table).toLowerCase()] || [];
+  }
+
+  /**
+   * @param {string|URL} url - Outbound request URL
+   * @returns {boolean}
+   */
+  allowsHttp(url) {
+    if (this.trusted) return true;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+
+    const host = parsed.hostname.toLowerCase();
+    const hostWithPort = parsed.port ? `${host}:${parsed.port}` : host;
+
+    return this.hosts.some(granted => {
+      if (granted === '*') return true;
+      if (granted.startsWith('*.')) {
+        const suffix = granted.slice(1);
+        return host.endsWith(suffix) || hostWithPort.endsWith(suffix);
+      }
+      return granted === host || granted === hostWithPort;
+    });
+  }
+
+  /**
+   * @param {string} target - Absolute path being accessed
+   * @param {string} mode - 'read' or 'write' (write also allows reading)
+   * @returns {boolean}
+   */
+  allowsPath(target, mode = 'read') {
+    if (this.trusted) return true;
+
+    const resolved = path.resolve(target);
+    const roots = mode === 'write' ? this.writePaths : [...this.readPaths, ...this.writePaths];
+    return roots.some(root => resolved === root || resolved.startsWith(root + path.sep));
+  }
+
+  /**
+   * Human-readable summary, shown before an external plugin is enabled
+   * @returns {Array} [{ type, access, targets, description }]
+   */
+  describe() {
+    if (this.trusted) {
+      return [{
+        type: 'trusted',
+        access: 'all',
+        targets: [],
+        description: 'Full access to the project database, network and filesystem (ships with SSBackend)'
+      }];
+    }
+
+    const { database, http, filesystem } = this.permissions;
+    const core = table => !table.toLowerCase().startsWith('plugin_');
+    const owned = [this.ownPrefix, `${this.ownPrefix}_*`, ...database.tables];
+    const summary = [{
+      type: 'database',
+      access: 'own',
+      targets: owned,
+      description: `Create and modify its own tables (${owned.join(', ')})`
+    }];
+
+    const coreReads = database.read.filter(core);
+    const pluginReads = database.read.filter(table => !core(table));
+    if (coreReads.length > 0) {
+      summary.push({ type: 'database', access: 'read-core', targets: coreReads, description: `Read core tables: ${coreReads.join(', ')}` });
+    }
+    if (pluginReads.length > 0) {
+      summary.push({ type: 'database', access: 'read', targets: pluginReads, description: `Read other plugins' tables: ${pluginReads.join(', ')}` });
+    }
+    if (database.write.length > 0) {
+      summary.push({ type: 'database', access: 'write', targets: database.write, description: `Modify other plugins' tables: ${database.write.join(', ')}` });
+    }
+    if (http.length > 0) {
+      summary.push({
+        type: 'http',
+        access: 'outbound',
+        targets: http,
+        description: http.includes('*') ? 'Make HTTP requests to any host' : `Make HTTP requests to: ${http.join(', ')}`
+      });
+    }
+    if (filesystem.read.length > 0) {
+      summary.push({ type: 'filesystem', access: 'read', targets: filesystem.read, description: `Read files in: ${filesystem.read.join(', ')}` });
+    }
+    if (filesystem.write.length > 0) {
+      summary.push({ type: 'filesystem', access: 'write', targets: filesystem.write, description: `Write files in: ${filesystem.write.join(', ')}` });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Whether a name is, or may be, an existing table: core and SQLite schema tables,
+   * and any plugin_ table (plugins create theirs at runtime)
+   * @param {string} name - Table name
+   * @returns {boolean}
+   */
+  static isKnownTable(name) {
+    const table = String(name).toLowerCase();
+    return table.startsWith('plugin_') || table.startsWith('sqlite_') ||
+      PluginPermissions.CORE_TABLES.includes(table) ||
+      PluginPermissions.SCHEMA_TABLES.includes(table) ||
+      Object.prototype.hasOwnProperty.call(PluginPermissions.PROTECTED_COLUMNS, table);
+  }
+
+  /**
+   * Error for a denied operation
+   * @param {string} message - What was refused
+   * @returns {Error} Error with code 'PERMISSION_DENIED'
+   */
+  denied(message) {
+    const error = new Error(`Plugin ${this.pluginName} ${message}`);
+    error.code = 'PERMISSION_DENIED';
+    error.plugin = this.pluginName;
+    return error;
+  }
+}
+
+/**
+ * SQLite schema tables every plugin may read (table existence checks and the like)
+ */
+PluginPermissions.SCHEMA_TABLES = ['sqlite_master', 'sqlite_schema', 'sqlite_sequence'];
+
+/**
+ * Tables created by core migrations
+ */
+PluginPermissions.CORE_TABLES = [
+  'users', 'saves', 'save_revisions', 'achievements', 'user_achievements', 'character_progress',
+  'inventory', 'item_definitions', 'admin_preferences', 'migrations'
+];
+
+/**
+ * Core tables that use the plugin_ prefix; no plugin owns them
+ */
+PluginPermissions.RESERVED_TABLES = ['plugin_audit_log', 'plugin_migrations'];
+
+/**
+ * Core columns no plugin grant exposes
+ */
+PluginPermissions.PROTECTED_COLUMNS = {
+  users: ['password']
+};
+
+module.exports = PluginPermissions;
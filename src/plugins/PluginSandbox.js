@@ -0,0 +1,72 @@
+const fs = require('fs').promises;
+const path = require('path');
+const GuardedDatabase = require('../db/GuardedDatabase');
+const PluginPermissions = require('./PluginPermissions');
+
+/**
+ * Build the resources a plugin receives in its contexts
+ *
+ * External plugins get a GuardedDatabase and http/fs helpers limited to the
+ * grants in manifest.permissions. Internal plugins ship with SSBackend and get
+ * the project connection itself.
+ *
+ * This guards the APIs SSBackend hands to plugins; a plugin is still a Node
+ * module and can require() whatever it likes. Only enable external plugins
+ * from sources you trust.
+ *
+ * @param {Object} options
+ * @param {string} options.pluginName - Plugin name
+ * @param {Object} options.manifest - Plugin manifest
+ * @param {string} options.pluginPath - Plugin directory
+ * @param {boolean} options.trusted - Internal plugin
+ * @param {Object} options.db - Project database connection
+ * @returns {Object} { permissions, db, http: { fetch }, fs: { readFile, writeFile, readdir, mkdir, unlink, exists } }
+ */
+function createPluginSandbox({ pluginName, manifest, pluginPath, trusted, db }) {
+  const permissions = new PluginPermissions(pluginName, manifest.permissions, { pluginPath, trusted });
+
+  const checkPath = (target, mode) => {
+    const resolved = path.resolve(pluginPath, String(target));
+    if (!permissions.allowsPath(resolved, mode)) {
+      throw permissions.denied(`is not permitted to ${mode} "${resolved}" (declare it in permissions.filesystem.${mode})`);
+    }
+    return resolved;
+  };
+
+  return {
+    permissions,
+    db: trusted || !db ? db : new GuardedDatabase(db, permissions),
+    http: {
+      /**
+       * fetch() limited to the hosts in permissions.http
+       */
+      fetch: async (url, options) => {
+        const target = url instanceof URL ? url.href : String(url && url.url ? url.url : url);
+        if (!permissions.allowsHttp(target)) {
+          throw permissions.denied(`is not permitted to request "${target}" (declare its host in permissions.http)`);
+        }
+        return fetch(url, options);
+      }
+    },
+    fs: {
+      readFile: async (target, options) => fs.readFile(checkPath(target, 'read'), options),
+      writeFile: async (target, data, options) => fs.writeFile(checkPath(target, 'write'), data, options),
+      readdir: async (target, options) => fs.readdir(checkPath(target, 'read'), options),
+      mkdir: async (target, options) => fs.mkdir(checkPath(target, 'write'), options),
+      unlink: async (target) => fs.unlink(checkPath(target, 'write')),
+      exists: async (target) => {
+        try {
+          await fs.access(checkPath(target, 'read'));
+          return true;
+        } catch (error) {
+          if (error.code === 'PERMISSION_DENIED') throw error;
+          return false;
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createPluginSandbox
+};
@@ -0,0 +1,1012 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const PluginPackager = require('./PluginPackager');
+const PluginValidator = require('./PluginValidator');
+const { version: SSBACKEND_VERSION } = require('../../package.json');
+
+/**
+ * Templates offered by `ssbackend plugins create`
+ */
+const TEMPLATES = {
+  minimal: 'One route, an empty starter table and the files every plugin needs',
+  crud: 'Per-user records with a service layer, authenticated CRUD routes and a config schema',
+  'admin-ui': 'A dashboard tab (ui module + PluginView) backed by a summary route',
+  'scheduled-job': 'A job that runs on an interval while the plugin is active, with admin routes to list and trigger runs'
+};
+
+/**
+ * PluginScaffolder - Generates a new plugin directory from a template
+ *
+ * Every template writes a manifest (index.js), routes, a first migration
+ * (migrations/000001_initial_schema.js), docs/api-reference.md and a node:test
+ * file, then runs PluginValidator on the result so a scaffold never starts out broken.
+ */
+class PluginScaffolder {
+  /**
+   * @param {Object} options
+   * @param {string} options.pluginDir - Directory new plugins are created in (default: ./plugins)
+   * @param {string} options.internalPluginDir - Core plugin directory, whose names cannot be reused
+   */
+  constructor(options = {}) {
+    this.pluginDir = options.pluginDir || path.join(process.cwd(), 'plugins');
+    this.internalPluginDir = options.internalPluginDir || path.join(process.cwd(), 'plugins', '@core');
+  }
+
+  /**
+   * Create a plugin from a template
+   * @param {string} name - Plugin name (lowercase alphanumeric with hyphens)
+   * @param {Object} options
+   * @param {string} options.template - One of PluginScaffolder.TEMPLATES (default: minimal)
+   * @param {string} options.description - Manifest description
+   * @param {string} options.author - Manifest author
+   * @returns {Object} { name, template, path, files, validation }
+   */
+  create(name, { template = 'minimal', description, author } = {}) {
+    if (!/^[a-z0-9-]+$/.test(name || '')) {
+      throw new Error(`Plugin name "${name}" must be lowercase alphanumeric with hyphens only`);
+    }
+    if (!TEMPLATES[template]) {
+      throw new Error(`Unknown template "${template}" (available: ${Object.keys(TEMPLATES).join(', ')})`);
+    }
+    if (fs.existsSync(path.join(this.internalPluginDir, name))) {
+      throw new Error(`"${name}" is the name of a core plugin`);
+    }
+
+    const targetDir = path.resolve(this.pluginDir, name);
+    if (fs.existsSync(targetDir)) {
+      throw new Error(`${targetDir} already exists`);
+    }
+
+    const names = PluginScaffolder.deriveNames(name);
+    const vars = {
+      ...names,
+      template,
+      description: description || `${names.title} plugin`,
+      author: author || 'Plugin Author',
+      hostRange: `^${semver.major(SSBACKEND_VERSION)}.0.0`,
+      validatorPath: path.relative(path.join(targetDir, 'tests'), path.join(__dirname, 'PluginValidator')).split(path.sep).join('/')
+    };
+
+    const files = PluginScaffolder.renderTemplate(vars);
+    for (const [file, content] of Object.entries(files)) {
+      const filePath = path.join(targetDir, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+
+    // A template that fails validation is a bug here, not the user's problem; leave nothing behind
+    let validation;
+    try {
+      const plugin = PluginPackager.loadPlugin(targetDir);
+      validation = new PluginValidator().validate(plugin, name, targetDir);
+    } catch (error) {
+      validation = { valid: false, errors: [error.message], warnings: [] };
+    }
+    if (!validation.valid) {
+      fs.rmSync(targetDir, { recursive: true, force: true });
+      const error = new Error(`Generated plugin failed validation: ${validation.errors.join('; ')}`);
+      error.validation = validation;
+      throw error;
+    }
+
+    return {
+      name,
+      template,
+      path: targetDir,
+      files: Object.keys(files),
+      validation
+    };
+  }
+
+  /**
+   * Identifiers derived from a plugin name
+   * @param {string} name - Plugin name, e.g. "daily-quests"
+   * @returns {Object} { name, title, className, tablePrefix }, e.g. Daily Quests, DailyQuests, plugin_daily_quests
+   */
+  static deriveNames(name) {
+    const words = name.split('-').filter(Boolean);
+    const capitalized = words.map(word => word.charAt(0).toUpperCase() + word.slice(1));
+    return {
+      name,
+      title: capitalized.join(' '),
+      className: capitalized.join(''),
+      tablePrefix: `plugin_${name.replace(/-/g, '_')}`
+    };
+  }
+
+  /**
+   * Render every file of a template
+   * @param {Object} vars - Names and manifest values
+   * @returns {Object} Relative file path => content
+   */
+  static renderTemplate(vars) {
+    const templates = {
+      minimal: minimalTemplate,
+      crud: crudTemplate,
+      'admin-ui': adminUiTemplate,
+      'scheduled-job': scheduledJobTemplate
+    };
+    const spec = templates[vars.template](vars);
+
+    return {
+      'index.js': renderIndex(vars, spec),
+      ...spec.files,
+      'migrations/000001_initial_schema.js': renderMigration(vars, spec.tables),
+      'docs/api-reference.md': renderApiReference(vars, spec),
+      [`tests/${vars.name}.test.js`]: renderTest(vars, spec)
+    };
+  }
+}
+
+PluginScaffolder.TEMPLATES = TEMPLATES;
+
+// ---------------------------------------------------------------------------
+// Templates
+//
+// Each returns { summary, routes, tables, files, endpoints, tests } and optionally
+// manifestExtras, preamble (index.js constants) and lifecycle (hook bodies),
+// which the shared renderers below turn into index.js, the migration, the docs and the test file.
+// ---------------------------------------------------------------------------
+
+function minimalTemplate({ name, title, tablePrefix }) {
+  return {
+    summary: `${title} plugin.`,
+    routes: [
+      { method: 'GET', path: `/${name}/hello`, handler: './routes/hello.js' }
+    ],
+    tables: [
+      {
+        name: tablePrefix,
+        columns: [
+          'id INTEGER PRIMARY KEY AUTOINCREMENT',
+          'created_at DATETIME DEFAULT CURRENT_TIMESTAMP'
+        ]
+      }
+    ],
+    files: {
+      'routes/hello.js': `/**
+ * Hello Handler
+ *
+ * GET /api/${name}/hello
+ * Confirms the plugin is active.
+ */
+
+module.exports = async (req, res) => {
+  res.json({
+    message: 'Hello from ${name}!',
+    plugin: req.pluginContext.pluginName
+  });
+};
+`
+    },
+    endpoints: [
+      {
+        method: 'GET',
+        path: '/hello',
+        auth: 'None',
+        description: 'Confirms the plugin is active.',
+        response: { message: `Hello from ${name}!`, plugin: name }
+      }
+    ],
+    tests: `test('GET /hello answers', async () => {
+  const handler = require('../routes/hello');
+  const { status, body } = await invoke(handler, { pluginContext: { pluginName: '${name}' } });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.plugin, '${name}');
+});
+`
+  };
+}
+
+function crudTemplate({ name, title, className, tablePrefix }) {
+  const table = `${tablePrefix}_items`;
+  const service = `${className}Service`;
+
+  const handler = (action, doc, body) => `/**
+ * ${action} Handler
+ *
+${doc}
+ */
+
+const ${service} = require('../services/${service}');
+
+module.exports = async (req, res) => {
+  const { db, config } = req.pluginContext;
+  const service = new ${service}(db, config);
+
+  try {
+${body}
+  } catch (error) {
+    console.error('[${title}] ${action} error:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+`;
+
+  return {
+    summary: `Per-user ${title} records.`,
+    manifestExtras: `
+  // Settings, checked against this schema when saved (ssbackend plugins config ${name} key=value)
+  configSchema: {
+    type: 'object',
+    properties: {
+      maxItemsPerUser: {
+        type: 'integer',
+        minimum: 1,
+        default: 100,
+        description: 'Maximum items a user can create'
+      }
+    }
+  },
+`,
+    routes: [
+      { method: 'GET', path: `/${name}/items`, handler: './routes/list.js', middleware: ['auth'] },
+      { method: 'GET', path: `/${name}/items/:id`, handler: './routes/get.js', middleware: ['auth'] },
+      {
+        method: 'POST',
+        path: `/${name}/items`,
+        handler: './routes/create.js',
+        middleware: ['auth', { name: 'validateBody', options: 'ITEM_BODY' }]
+      },
+      {
+        method: 'PUT',
+        path: `/${name}/items/:id`,
+        handler: './routes/update.js',
+        middleware: ['auth', { name: 'validateBody', options: 'ITEM_BODY' }]
+      },
+      { method: 'DELETE', path: `/${name}/items/:id`, handler: './routes/delete.js', middleware: ['auth'] }
+    ],
+    preamble: `// Request body for creating and updating items
+const ITEM_BODY = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    data: { type: 'object' }
+  }
+};
+`,
+    tables: [
+      {
+        name: table,
+        columns: [
+          'id INTEGER PRIMARY KEY AUTOINCREMENT',
+          'user_id INTEGER NOT NULL',
+          'name TEXT NOT NULL',
+          'data TEXT',
+          'created_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+          'updated_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+          'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE'
+        ],
+        indexes: [`CREATE INDEX IF NOT EXISTS idx_${table}_user ON ${table}(user_id)`]
+      }
+    ],
+    files: {
+      [`services/${service}.js`]: `/**
+ * ${service}
+ *
+ * Database access for ${title} items. Every query is scoped to the owning user.
+ */
+
+class ${service} {
+  constructor(db, config = {}) {
+    this.db = db;
+    this.config = {
+      maxItemsPerUser: config.maxItemsPerUser || 100
+    };
+  }
+
+  /**
+   * Get all items of a user
+   */
+  async list(userId) {
+    const rows = await this.all(
+      'SELECT * FROM ${table} WHERE user_id = ? ORDER BY updated_at DESC',
+      [userId]
+    );
+    return rows.map(row => this.format(row));
+  }
+
+  /**
+   * Get one item of a user
+   * @returns {Promise<Object|null>}
+   */
+  async get(userId, id) {
+    const row = await this.getRow('SELECT * FROM ${table} WHERE id = ? AND user_id = ?', [id, userId]);
+    return row ? this.format(row) : null;
+  }
+
+  /**
+   * Create an item
+   */
+  async create(userId, { name, data }) {
+    const { count } = await this.getRow('SELECT COUNT(*) AS count FROM ${table} WHERE user_id = ?', [userId]);
+    if (count >= this.config.maxItemsPerUser) {
+      throw this.error(403, \`Item limit reached (\${this.config.maxItemsPerUser})\`);
+    }
+
+    const { lastID } = await this.run(
+      'INSERT INTO ${table} (user_id, name, data) VALUES (?, ?, ?)',
+      [userId, name, data === undefined ? null : JSON.stringify(data)]
+    );
+    return this.get(userId, lastID);
+  }
+
+  /**
+   * Update an item
+   * @returns {Promise<Object|null>} The item, or null if the user has no such item
+   */
+  async update(userId, id, { name, data }) {
+    const { changes } = await this.run(
+      'UPDATE ${table} SET name = ?, data = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+      [name, data === undefined ? null : JSON.stringify(data), id, userId]
+    );
+    return changes > 0 ? this.get(userId, id) : null;
+  }
+
+  /**
+   * Delete an item
+   * @returns {Promise<boolean>} Whether an item was deleted
+   */
+  async remove(userId, id) {
+    const { changes } = await this.run('DELETE FROM ${table} WHERE id = ? AND user_id = ?', [id, userId]);
+    return changes > 0;
+  }
+
+  format(row) {
+    return { ...row, data: row.data ? JSON.parse(row.data) : null };
+  }
+
+  error(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  run(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  getRow(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  all(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+}
+
+module.exports = ${service};
+`,
+      'routes/list.js': handler('List Items', ` * GET /api/${name}/items
+ * Returns the authenticated user's items.`, `    const items = await service.list(req.user.id);
+    res.json({ items, count: items.length });`),
+      'routes/get.js': handler('Get Item', ` * GET /api/${name}/items/:id`, `    const item = await service.get(req.user.id, req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    res.json({ item });`),
+      'routes/create.js': handler('Create Item', ` * POST /api/${name}/items
+ * Body: { name: string, data?: object }`, `    const item = await service.create(req.user.id, req.body);
+    res.status(201).json({ item });`),
+      'routes/update.js': handler('Update Item', ` * PUT /api/${name}/items/:id
+ * Body: { name: string, data?: object }`, `    const item = await service.update(req.user.id, req.params.id, req.body);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    res.json({ item });`),
+      'routes/delete.js': handler('Delete Item', ` * DELETE /api/${name}/items/:id`, `    const deleted = await service.remove(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    res.json({ success: true });`)
+    },
+    endpoints: [
+      { method: 'GET', path: '/items', auth: 'Bearer token', description: "List the authenticated user's items.", response: { items: [{ id: 1, user_id: 1, name: 'First item', data: { level: 3 }, created_at: '2026-01-01 12:00:00', updated_at: '2026-01-01 12:00:00' }], count: 1 } },
+      { method: 'GET', path: '/items/:id', auth: 'Bearer token', description: 'Get one item. `404` if the user has no such item.', response: { item: { id: 1, name: 'First item', data: { level: 3 } } } },
+      { method: 'POST', path: '/items', auth: 'Bearer token', description: 'Create an item. Body: `{ "name": string, "data"?: object }`. `403` once the user has `maxItemsPerUser` items.', response: { item: { id: 1, name: 'First item', data: { level: 3 } } } },
+      { method: 'PUT', path: '/items/:id', auth: 'Bearer token', description: 'Replace an item\'s name and data. `404` if the user has no such item.', response: { item: { id: 1, name: 'Renamed', data: null } } },
+      { method: 'DELETE', path: '/items/:id', auth: 'Bearer token', description: 'Delete an item. `404` if the user has no such item.', response: { success: true } }
+    ],
+    tests: `test('items can be created, listed and deleted', async () => {
+  const db = await migratedDatabase();
+  const req = (extra) => ({ pluginContext: { db, config: {} }, user: { id: 1 }, params: {}, body: {}, ...extra });
+
+  const created = await invoke(require('../routes/create'), req({ body: { name: 'First item', data: { level: 3 } } }));
+  assert.strictEqual(created.status, 201);
+  assert.deepStrictEqual(created.body.item.data, { level: 3 });
+
+  const listed = await invoke(require('../routes/list'), req());
+  assert.strictEqual(listed.body.count, 1);
+
+  const otherUser = await invoke(require('../routes/get'), req({ user: { id: 2 }, params: { id: created.body.item.id } }));
+  assert.strictEqual(otherUser.status, 404);
+
+  const deleted = await invoke(require('../routes/delete'), req({ params: { id: created.body.item.id } }));
+  assert.strictEqual(deleted.status, 200);
+
+  db.close();
+});
+`
+  };
+}
+
+function adminUiTemplate({ name, title, className, tablePrefix }) {
+  const uiModule = `${className.charAt(0).toLowerCase() + className.slice(1)}UI.module.js`;
+
+  return {
+    summary: `${title} plugin with an admin dashboard tab.`,
+    manifestExtras: `
+  // Dashboard tab; the module's PluginView is rendered when the tab is opened
+  adminUI: {
+    enabled: true,
+    modulePath: './ui/${uiModule}',
+    navigation: {
+      label: '${title}',
+      icon: '🧩',
+      group: 'plugins',
+      priority: 100
+    },
+    routes: [
+      {
+        path: '/admin/${name}',
+        title: '${title}',
+        icon: '🧩',
+        component: 'PluginView',
+        permissions: ['admin']
+      }
+    ]
+  },
+`,
+    routes: [
+      { method: 'GET', path: `/${name}/summary`, handler: './routes/summary.js' }
+    ],
+    tables: [
+      {
+        name: tablePrefix,
+        columns: [
+          'id INTEGER PRIMARY KEY AUTOINCREMENT',
+          'label TEXT NOT NULL',
+          'created_at DATETIME DEFAULT CURRENT_TIMESTAMP'
+        ]
+      }
+    ],
+    files: {
+      'routes/summary.js': `/**
+ * Summary Handler
+ *
+ * GET /api/${name}/summary
+ * Aggregate figures shown on the ${title} dashboard tab.
+ */
+
+module.exports = async (req, res) => {
+  const { db } = req.pluginContext;
+
+  db.get(
+    'SELECT COUNT(*) AS total, MAX(created_at) AS latest FROM ${tablePrefix}',
+    [],
+    (err, row) => {
+      if (err) {
+        console.error('[${title}] Summary error:', err.message);
+        return res.status(500).json({ error: 'Failed to load summary' });
+      }
+      res.json({ total: row.total, latest: row.latest });
+    }
+  );
+};
+`,
+      [`ui/${uiModule}`]: `import { PluginView } from './PluginView.js';
+
+console.log('🧩 Loading ${title} Plugin UI Module...');
+
+// The dashboard registers this module as window.${name.charAt(0).toUpperCase() + name.slice(1)}Modules
+export { PluginView };
+`,
+      'ui/PluginView.js': `/**
+ * ${title} dashboard tab
+ */
+export class PluginView {
+    constructor(container) {
+        this.container = container;
+    }
+
+    async render() {
+        this.container.innerHTML = \`
+            <div class="plugin-layout">
+                <h2>${title}</h2>
+                <div id="${name}-summary">
+                    <div class="loading-spinner">
+                        <div class="spinner"></div>
+                        <p>Loading...</p>
+                    </div>
+                </div>
+            </div>
+        \`;
+
+        const target = this.container.querySelector('#${name}-summary');
+        try {
+            const response = await fetch(window.getApiPath('/api/${name}/summary'));
+            if (!response.ok) throw new Error(\`Request failed (\${response.status})\`);
+            const summary = await response.json();
+
+            target.innerHTML = \`
+                <p><strong>\${summary.total}</strong> records</p>
+                <p>Latest: \${summary.latest ? new Date(summary.latest).toLocaleString() : 'none yet'}</p>
+            \`;
+        } catch (error) {
+            target.innerHTML = \`<div class="error-message"><p>Failed to load ${title} summary: \${error.message}</p></div>\`;
+        }
+    }
+}
+`
+    },
+    endpoints: [
+      {
+        method: 'GET',
+        path: '/summary',
+        auth: 'None',
+        description: 'Aggregate figures shown on the dashboard tab.',
+        response: { total: 3, latest: '2026-01-01 12:00:00' }
+      }
+    ],
+    tests: `test('GET /summary counts records', async () => {
+  const db = await migratedDatabase();
+  await new Promise((resolve, reject) => {
+    db.run("INSERT INTO ${tablePrefix} (label) VALUES ('first')", err => (err ? reject(err) : resolve()));
+  });
+
+  const { status, body } = await invoke(require('../routes/summary'), { pluginContext: { db } });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.total, 1);
+
+  db.close();
+});
+`
+  };
+}
+
+function scheduledJobTemplate({ name, title, tablePrefix }) {
+  const table = `${tablePrefix}_runs`;
+
+  return {
+    summary: `${title} job, run on an interval while the plugin is active.`,
+    manifestExtras: `
+  configSchema: {
+    type: 'object',
+    properties: {
+      intervalMinutes: {
+        type: 'integer',
+        minimum: 1,
+        default: 60,
+        description: 'Minutes between job runs'
+      },
+      runOnActivate: {
+        type: 'boolean',
+        default: true,
+        description: 'Run the job once as soon as the plugin is activated'
+      }
+    }
+  },
+`,
+    lifecycle: {
+      preamble: `const { runJob } = require('./jobs/job');
+
+// Interval timer of the running job (cleared on deactivation so reloads do not stack timers)
+let timer = null;
+`,
+      onActivate: `  const { db, config } = context;
+  const intervalMs = (config.intervalMinutes || 60) * 60 * 1000;
+
+  const run = () => runJob(db, config).catch(error => {
+    console.error('[${title}] Job failed:', error.message);
+  });
+
+  timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  if (config.runOnActivate !== false) {
+    run();
+  }
+`,
+      onDeactivate: `  clearInterval(timer);
+  timer = null;
+`
+    },
+    routes: [
+      { method: 'GET', path: `/${name}/runs`, handler: './routes/listRuns.js', middleware: ['admin'] },
+      { method: 'POST', path: `/${name}/runs`, handler: './routes/triggerRun.js', middleware: ['admin'] }
+    ],
+    tables: [
+      {
+        name: table,
+        columns: [
+          'id INTEGER PRIMARY KEY AUTOINCREMENT',
+          "trigger TEXT NOT NULL DEFAULT 'schedule'",
+          "status TEXT NOT NULL DEFAULT 'running'",
+          'details TEXT',
+          'started_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+          'finished_at DATETIME'
+        ]
+      }
+    ],
+    files: {
+      'jobs/job.js': `/**
+ * ${title} Job
+ *
+ * Each run is recorded in ${table}. Put the actual work in doWork().
+ */
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+/**
+ * The job itself
+ * @returns {Promise<Object>} Details stored with the run
+ */
+async function doWork(db, config) {
+  return { message: 'Nothing to do yet' };
+}
+
+/**
+ * Run the job once and record the outcome
+ * @param {Object} db - Plugin database
+ * @param {Object} config - Plugin settings
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Promise<Object>} { id, status, details }
+ */
+async function runJob(db, config, trigger = 'schedule') {
+  const { lastID: id } = await run(db, 'INSERT INTO ${table} (trigger) VALUES (?)', [trigger]);
+
+  let status = 'completed';
+  let details;
+  try {
+    details = await doWork(db, config);
+  } catch (error) {
+    status = 'failed';
+    details = { error: error.message };
+  }
+
+  await run(
+    db,
+    'UPDATE ${table} SET status = ?, details = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [status, JSON.stringify(details), id]
+  );
+  return { id, status, details };
+}
+
+module.exports = {
+  runJob
+};
+`,
+      'routes/listRuns.js': `/**
+ * List Runs Handler
+ *
+ * GET /api/${name}/runs
+ * Returns the 50 most recent job runs (admin only).
+ */
+
+module.exports = async (req, res) => {
+  const { db } = req.pluginContext;
+
+  db.all('SELECT * FROM ${table} ORDER BY id DESC LIMIT 50', [], (err, rows) => {
+    if (err) {
+      console.error('[${title}] List runs error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch runs' });
+    }
+    res.json({
+      runs: rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }))
+    });
+  });
+};
+`,
+      'routes/triggerRun.js': `/**
+ * Trigger Run Handler
+ *
+ * POST /api/${name}/runs
+ * Runs the job now (admin only).
+ */
+
+const { runJob } = require('../jobs/job');
+
+module.exports = async (req, res) => {
+  const { db, config } = req.pluginContext;
+
+  try {
+    const result = await runJob(db, config, 'manual');
+    res.status(201).json({ run: result });
+  } catch (error) {
+    console.error('[${title}] Trigger run error:', error.message);
+    res.status(500).json({ error: 'Failed to run job', message: error.message });
+  }
+};
+`
+    },
+    endpoints: [
+      { method: 'GET', path: '/runs', auth: 'Admin (Bearer token)', description: 'The 50 most recent job runs.', response: { runs: [{ id: 1, trigger: 'schedule', status: 'completed', details: { message: 'Nothing to do yet' }, started_at: '2026-01-01 12:00:00', finished_at: '2026-01-01 12:00:00' }] } },
+      { method: 'POST', path: '/runs', auth: 'Admin (Bearer token)', description: 'Run the job now.', response: { run: { id: 2, status: 'completed', details: { message: 'Nothing to do yet' } } } }
+    ],
+    tests: `test('a manual run is recorded', async () => {
+  const db = await migratedDatabase();
+
+  const triggered = await invoke(require('../routes/triggerRun'), { pluginContext: { db, config: {} } });
+  assert.strictEqual(triggered.status, 201);
+  assert.strictEqual(triggered.body.run.status, 'completed');
+
+  const listed = await invoke(require('../routes/listRuns'), { pluginContext: { db } });
+  assert.strictEqual(listed.body.runs.length, 1);
+  assert.strictEqual(listed.body.runs[0].trigger, 'manual');
+
+  db.close();
+});
+`
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Shared renderers
+// ---------------------------------------------------------------------------
+
+// Constants declared in the template's preamble are referenced by name
+const PREAMBLE_CONSTANTS = ['ITEM_BODY'];
+
+function renderValue(value) {
+  if (PREAMBLE_CONSTANTS.includes(value)) return value;
+  if (typeof value === 'string') return `'${value}'`;
+  if (Array.isArray(value)) return `[${value.map(renderValue).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, v]) => `${key}: ${renderValue(v)}`).join(', ')} }`;
+  }
+  return String(value);
+}
+
+function renderRoutes(routes) {
+  return routes.map(route => {
+    const lines = Object.entries(route).map(([key, value]) => `    ${key}: ${renderValue(value)}`);
+    return `  {\n${lines.join(',\n')}\n  }`;
+  }).join(',\n');
+}
+
+function renderIndex(vars, spec) {
+  const { name, title, description, author, hostRange } = vars;
+  const lifecycle = spec.lifecycle || {};
+
+  return `/**
+ * ${title} Plugin
+ *
+ * ${spec.summary}
+ */
+${lifecycle.preamble ? `\n${lifecycle.preamble}` : ''}
+const manifest = {
+  name: '${name}',
+  version: '0.1.0',
+  description: '${description.replace(/'/g, "\\'")}',
+  author: '${author.replace(/'/g, "\\'")}',
+
+  // SSBackend version compatibility (semver range, checked at load time)
+  ssbackend_version: '${hostRange}',
+
+  // Plugin dependencies, by name or { name: 'economy', version: '^1.2.0' }
+  dependencies: [],
+${spec.manifestExtras || ''}
+  // API reference shown in the admin documentation browser
+  docs: {
+    apiReference: {
+      path: 'docs/api-reference.md',
+      title: '${title} API',
+      icon: '📘'
+    }
+  }
+};
+${spec.preamble ? `\n${spec.preamble}` : ''}
+// Routes are mounted at /api/${name}
+const routes = [
+${renderRoutes(spec.routes)}
+];
+
+async function onLoad(context) {
+  console.log('🧩 ${title} plugin loading...');
+}
+
+async function onActivate(context) {
+${lifecycle.onActivate || ''}  console.log('🧩 ${title} plugin activated');
+}
+
+async function onDeactivate(context) {
+${lifecycle.onDeactivate || ''}  console.log('🧩 ${title} plugin deactivated');
+}
+
+module.exports = {
+  manifest,
+  routes,
+  onLoad,
+  onActivate,
+  onDeactivate
+};
+`;
+}
+
+function renderMigration({ title }, tables) {
+  const indent = '          ';
+  const statements = tables.flatMap(table => [
+    {
+      sql: `\n${indent}CREATE TABLE IF NOT EXISTS ${table.name} (\n${table.columns.map(c => `${indent}  ${c}`).join(',\n')}\n${indent})\n        `,
+      label: `${table.name} table`
+    },
+    ...(table.indexes || []).map(sql => ({ sql, label: `${table.name} index` }))
+  ]);
+
+  const up = statements.map((statement, i) => {
+    const last = i === statements.length - 1;
+    const sql = statement.sql.includes('\n') ? `\`${statement.sql}\`` : `'${statement.sql}'`;
+    return `                db.run(${sql}, (err) => {
+                    if (err) {
+                        console.error('Failed to create ${statement.label}:', err);
+                        return reject(err);
+                    }${last ? '\n                    resolve();' : ''}
+                });`;
+  }).join('\n\n');
+
+  const down = [...tables].reverse().map((table, i, all) => {
+    const last = i === all.length - 1;
+    return `                db.run('DROP TABLE IF EXISTS ${table.name};', (err) => {
+                    if (err) return reject(err);${last ? '\n                    resolve();' : ''}
+                });`;
+  }).join('\n\n');
+
+  return `/**
+ * ${title} Plugin - Initial Schema Migration
+ *
+ * Creates:
+${tables.map(table => ` * - ${table.name}`).join('\n')}
+ *
+ * Add later schema changes as new files (000002_<name>.js, ...); never edit a migration that has run.
+ */
+
+module.exports = {
+    version: 1,
+    name: 'initial_schema',
+    description: 'Create ${title} plugin tables',
+
+    async up(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+${up}
+            });
+        });
+    },
+
+    async down(db) {
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+${down}
+            });
+        });
+    }
+};
+`;
+}
+
+function renderApiReference({ name, title }, spec) {
+  const endpoints = spec.endpoints.map(endpoint => `### ${endpoint.method} /api/${name}${endpoint.path}
+
+${endpoint.description}
+
+**Authentication:** ${endpoint.auth}
+
+**Success Response (${endpoint.method === 'POST' ? 201 : 200}):**
+\`\`\`json
+${JSON.stringify(endpoint.response, null, 2)}
+\`\`\`
+`).join('\n---\n\n');
+
+  return `# ${title} Plugin API Endpoints
+
+**Plugin:** ${title}
+**Base Path:** \`/api/${name}\`
+**Status:** Plugin must be enabled
+
+---
+
+## Overview
+
+${spec.summary}
+
+**Tables:** ${spec.tables.map(table => `\`${table.name}\``).join(', ')}
+
+---
+
+## Endpoints
+
+${endpoints}`;
+}
+
+function renderTest({ name, validatorPath }, spec) {
+  const tableNames = spec.tables.map(table => table.name);
+
+  return `/**
+ * ${name} plugin tests
+ *
+ * Run with: node --test plugins/${name}/tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const PluginValidator = require('${validatorPath}');
+const plugin = require('..');
+const migration = require('../migrations/000001_initial_schema');
+
+// In-memory database with the plugin's migration applied
+async function migratedDatabase() {
+  const db = new sqlite3.Database(':memory:');
+  await migration.up(db);
+  return db;
+}
+
+// Call a route handler and resolve with what it sent
+function invoke(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      }
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+test('plugin passes validation', () => {
+  const result = new PluginValidator().validate(plugin, plugin.manifest.name, path.join(__dirname, '..'));
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('migration creates and drops the plugin tables', async () => {
+  const db = await migratedDatabase();
+  const tables = () => new Promise((resolve, reject) => {
+    db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'plugin_%' ORDER BY name", (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.name));
+    });
+  });
+
+  assert.deepStrictEqual(await tables(), ${JSON.stringify(tableNames.sort()).replace(/"/g, "'").replace(/,/g, ', ')});
+  await migration.down(db);
+  assert.deepStrictEqual(await tables(), []);
+
+  db.close();
+});
+
+${spec.tests}`;
+}
+
+module.exports = PluginScaffolder;
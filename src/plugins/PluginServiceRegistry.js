@@ -0,0 +1,278 @@
+const semver = require('semver');
+
+const SERVICE_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*(\.[a-zA-Z][a-zA-Z0-9_-]*)*$/;
+
+/**
+ * PluginServiceRegistry - Named, versioned services shared between plugins
+ *
+ * A provider lists its services in `manifest.provides` (`'economy.transactions'`
+ * or `{ name, version }`, version defaulting to the plugin's) and registers the
+ * implementations from onActivate with `context.provideService(name, service)`.
+ * A consumer lists what it uses in `manifest.requires` (`'economy.transactions'`
+ * or `{ name, version: '^1.0.0', optional: true }`) and calls
+ * `context.getService(name)`.
+ *
+ * getService returns a live handle rather than the implementation itself: every
+ * property access goes to whatever the provider registered last, so consumers
+ * pick up a hot-reloaded provider without reactivating. While the provider is
+ * inactive (or its new version falls outside the consumer's range) using the
+ * handle throws an error with code 'SERVICE_UNAVAILABLE'.
+ */
+class PluginServiceRegistry {
+  constructor() {
+    this.services = new Map();
+  }
+
+  /**
+   * Normalize a manifest.provides entry to { name, version }
+   * @param {string|Object} entry - 'economy.transactions' or { name, version }
+   * @param {string} defaultVersion - Provider plugin's version
+   * @returns {Object} { name, version }
+   */
+  static normalizeProvided(entry, defaultVersion) {
+    if (typeof entry === 'string') {
+      return { name: entry, version: defaultVersion };
+    }
+    return {
+      name: entry?.name,
+      version: entry?.version || defaultVersion
+    };
+  }
+
+  /**
+   * Normalize a manifest.requires entry to { name, version, optional }
+   * @param {string|Object} entry - 'economy.transactions' or { name, version, optional }
+   * @returns {Object} { name, version, optional }
+   */
+  static normalizeRequired(entry) {
+    if (typeof entry === 'string') {
+      return { name: entry, version: '*', optional: false };
+    }
+    return {
+      name: entry?.name,
+      version: entry?.version || '*',
+      optional: entry?.optional === true
+    };
+  }
+
+  /**
+   * @param {string} name - Service name
+   * @returns {boolean} True for dot-separated names such as 'economy.transactions'
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && SERVICE_PATTERN.test(name);
+  }
+
+  /**
+   * Register a service implementation
+   * @param {string} provider - Providing plugin
+   * @param {string} name - Service name, declared in the provider's manifest.provides
+   * @param {string} version - Service version (semver)
+   * @param {Object} implementation - The service object
+   */
+  provide(provider, name, version, implementation) {
+    if (!implementation || (typeof implementation !== 'object' && typeof implementation !== 'function')) {
+      throw new Error(`Service "${name}" must be an object`);
+    }
+
+    const existing = this.services.get(name);
+    if (existing && existing.provider !== provider) {
+      throw new Error(`Service "${name}" is already provided by plugin ${existing.provider}`);
+    }
+
+    this.services.set(name, { name, version, provider, implementation });
+  }
+
+  /**
+   * Remove every service a plugin provided
+   * @param {string} provider - Plugin name
+   * @returns {Array} Names that were removed
+   */
+  withdraw(provider) {
+    const removed = [];
+    for (const [name, service] of this.services) {
+      if (service.provider === provider) {
+        this.services.delete(name);
+        removed.push(name);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @param {string} name - Service name
+   * @returns {Object|null} { name, version, provider, implementation } while provided
+   */
+  get(name) {
+    return this.services.get(name) || null;
+  }
+
+  /**
+   * Look up a service implementation within a version range
+   * @param {string} name - Service name
+   * @param {string} range - Semver range (default: any)
+   * @returns {Object|null} The implementation, or null when unavailable or out of range
+   */
+  lookup(name, range = '*') {
+    const service = this.services.get(name);
+    if (!service || !semver.satisfies(service.version, range)) {
+      return null;
+    }
+    return service.implementation;
+  }
+
+  /**
+   * Check a consumer's manifest.requires against the services currently provided
+   * @param {Array} requires - Manifest requires entries
+   * @param {Function} findProvider - name => plugin name declaring it in manifest.provides, or null
+   * @returns {Array} [{ name, version, reason: 'missing'|'inactive'|'version', message }] - optional services are skipped
+   */
+  checkRequirements(requires, findProvider) {
+    const issues = [];
+
+    for (const required of (Array.isArray(requires) ? requires : []).map(PluginServiceRegistry.normalizeRequired)) {
+      if (required.optional) continue;
+
+      const service = this.services.get(required.name);
+      const requirement = required.version === '*' ? `"${required.name}"` : `"${required.name}" ${required.version}`;
+
+      if (!service) {
+        const provider = findProvider(required.name);
+        issues.push(provider
+          ? { ...required, reason: 'inactive', message: `requires service ${requirement} from plugin ${provider}, which is not enabled` }
+          : { ...required, reason: 'missing', message: `requires service ${requirement}, which no installed plugin provides` });
+      } else if (!semver.satisfies(service.version, required.version)) {
+        issues.push({
+          ...required,
+          reason: 'version',
+          message: `requires service ${requirement}, but plugin ${service.provider} provides ${service.version}`
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check a consumer's manifest.requires against what installed plugins declare
+   * Used before a plugin is enabled, when nothing is running yet.
+   * @param {Array} requires - Manifest requires entries
+   * @param {Array} plugins - [{ id, enabled, provides: [{ name, version }] }]
+   * @returns {Array} [{ name, version, provider, reason: 'missing'|'inactive'|'version', message }] - optional services are skipped
+   */
+  static checkDeclaredRequirements(requires, plugins) {
+    const issues = [];
+
+    for (const required of (Array.isArray(requires) ? requires : []).map(PluginServiceRegistry.normalizeRequired)) {
+      if (required.optional) continue;
+
+      const requirement = required.version === '*' ? `"${required.name}"` : `"${required.name}" ${required.version}`;
+      const provider = plugins.find(plugin => (plugin.provides || []).some(service => service.name === required.name));
+
+      if (!provider) {
+        issues.push({ ...required, provider: null, reason: 'missing', message: `requires service ${requirement}, which no installed plugin provides` });
+        continue;
+      }
+
+      const service = provider.provides.find(entry => entry.name === required.name);
+      if (!semver.satisfies(service.version, required.version)) {
+        issues.push({
+          ...required,
+          provider: provider.id,
+          reason: 'version',
+          message: `requires service ${requirement}, but plugin ${provider.id} provides ${service.version}`
+        });
+      } else if (!provider.enabled) {
+        issues.push({ ...required, provider: provider.id, reason: 'inactive', message: `requires service ${requirement} from plugin ${provider.id}, which is disabled` });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Service API handed to a plugin as `context.provideService` / `context.getService`
+   * @param {string} pluginName - Owning plugin
+   * @param {Object} manifest - The plugin's manifest (provides/requires are enforced)
+   * @returns {Object} { provideService(name, service), getService(name) }
+   */
+  forPlugin(pluginName, manifest) {
+    const provides = (manifest.provides || []).map(entry =>
+      PluginServiceRegistry.normalizeProvided(entry, manifest.version)
+    );
+    const requires = (manifest.requires || []).map(PluginServiceRegistry.normalizeRequired);
+
+    return {
+      provideService: (name, implementation) => {
+        const declared = provides.find(entry => entry.name === name);
+        if (!declared) {
+          throw new Error(`Plugin ${pluginName} must declare service "${name}" in manifest.provides`);
+        }
+        this.provide(pluginName, name, declared.version, implementation);
+      },
+      getService: (name) => {
+        const required = requires.find(entry => entry.name === name);
+        if (!required) {
+          throw new Error(`Plugin ${pluginName} must declare service "${name}" in manifest.requires`);
+        }
+        if (required.optional && !this.lookup(name, required.version)) {
+          return null;
+        }
+        return this._handle(name, required.version, pluginName);
+      }
+    };
+  }
+
+  /**
+   * Names of the plugins currently using a provider's services
+   * @param {string} provider - Providing plugin
+   * @param {Map} plugins - name => { plugin } of the plugins to inspect
+   * @returns {Array} Consumer plugin names
+   */
+  consumersOf(provider, plugins) {
+    const provided = new Set(
+      Array.from(this.services.values()).filter(service => service.provider === provider).map(service => service.name)
+    );
+
+    return Array.from(plugins.entries())
+      .filter(([name, { plugin }]) => name !== provider &&
+        (plugin.manifest.requires || []).some(entry => provided.has(PluginServiceRegistry.normalizeRequired(entry).name)))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Live handle that resolves the current implementation on every access
+   * @private
+   */
+  _handle(name, range, consumer) {
+    const resolve = () => {
+      const implementation = this.lookup(name, range);
+      if (!implementation) {
+        const service = this.services.get(name);
+        const error = new Error(service
+          ? `Service "${name}" ${service.version} from plugin ${service.provider} does not satisfy ${range} required by plugin ${consumer}`
+          : `Service "${name}" used by plugin ${consumer} is not available (its provider is not active)`);
+        error.code = 'SERVICE_UNAVAILABLE';
+        throw error;
+      }
+      return implementation;
+    };
+
+    return new Proxy({}, {
+      get: (target, property) => {
+        // Keep handles from looking like promises when returned from async functions
+        if (property === 'then') return undefined;
+        if (typeof property === 'symbol' && !this.lookup(name, range)) return undefined;
+
+        const implementation = resolve();
+        const value = implementation[property];
+        return typeof value === 'function' && property !== 'constructor' ? value.bind(implementation) : value;
+      },
+      has: (target, property) => property in resolve()
+    });
+  }
+}
+
+PluginServiceRegistry.SERVICE_PATTERN = SERVICE_PATTERN;
+
+module.exports = PluginServiceRegistry;
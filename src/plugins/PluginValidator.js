@@ -1,14 +1,22 @@
 const fs = require('fs');
 const path = require('path');
+const PluginDependencyResolver = require('./PluginDependencyResolver');
+const PluginMiddlewareRegistry = require('./PluginMiddlewareRegistry');
+const PluginEventBus = require('./PluginEventBus');
+const PluginServiceRegistry = require('./PluginServiceRegistry');
+const PluginPermissions = require('./PluginPermissions');
 
 /**
  * PluginValidator - Validates plugin structure before loading
  * Prevents malformed plugins from crashing the server
  */
 class PluginValidator {
-  constructor() {
+  /**
+   * @param {Array} knownMiddleware - Middleware names routes may use besides the ones a plugin declares itself
+   */
+  constructor(knownMiddleware = PluginMiddlewareRegistry.CORE_MIDDLEWARE) {
     this.validHttpMethods = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD'];
-    this.knownMiddleware = ['auth']; // Expandable list
+    this.knownMiddleware = knownMiddleware;
     this.errors = [];
     this.warnings = [];
   }
@@ -31,7 +39,12 @@ class PluginValidator {
 
     // Validate routes (optional)
     if (plugin.routes) {
-      this.validateRoutes(plugin.routes, pluginName, pluginPath);
+      this.validateRoutes(plugin.routes, pluginName, pluginPath, plugin.manifest.middleware);
+    }
+
+    // Validate event hooks (optional)
+    if (plugin.manifest.hooks !== undefined) {
+      this.validateHooks(plugin.manifest.hooks, pluginName, pluginPath);
     }
 
     // Validate schemas (optional)
@@ -82,21 +95,143 @@ class PluginValidator {
       this.addWarning(`Manifest description should be at least 10 characters (current: ${manifest.description.length})`);
     }
 
+    // Validate host compatibility range (if present)
+    if (manifest.ssbackend_version !== undefined && !PluginDependencyResolver.isValidRange(manifest.ssbackend_version)) {
+      this.addError(`Manifest ssbackend_version "${manifest.ssbackend_version}" must be a semver range (e.g., ^1.0.0)`);
+    }
+
     // Validate dependencies format (if present)
     if (manifest.dependencies && !Array.isArray(manifest.dependencies)) {
       this.addError('Manifest dependencies must be an array');
     }
 
+    // Validate middleware the plugin registers itself (if present)
+    if (manifest.middleware !== undefined) {
+      if (!Array.isArray(manifest.middleware)) {
+        this.addError('Manifest middleware must be an array of middleware names');
+      } else {
+        manifest.middleware.forEach((name, index) => {
+          if (typeof name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+            this.addError(`Manifest middleware[${index}] must be a name of letters, digits, hyphens or underscores`);
+          } else if (PluginMiddlewareRegistry.CORE_MIDDLEWARE.includes(name)) {
+            this.addError(`Manifest middleware[${index}] "${name}" is a core middleware name and cannot be redefined`);
+          }
+        });
+      }
+    }
+
+    // Validate services the plugin provides and consumes (if present)
+    if (manifest.provides !== undefined) {
+      this.validateServiceList(manifest.provides, 'provides', manifest.version);
+    }
+    if (manifest.requires !== undefined) {
+      this.validateServiceList(manifest.requires, 'requires', manifest.version);
+    }
+
+    // Validate requested permissions (if present); external plugins get nothing beyond them
+    PluginPermissions.validate(manifest.permissions).forEach(message => this.addError(message));
+
     return this.errors.length === 0;
   }
 
+  /**
+   * Validate manifest.provides (exact service versions) or manifest.requires (version ranges)
+   * @param {Array} entries - Manifest entries
+   * @param {string} field - 'provides' or 'requires'
+   * @param {string} pluginVersion - Default version for provided services
+   */
+  validateServiceList(entries, field, pluginVersion) {
+    if (!Array.isArray(entries)) {
+      this.addError(`Manifest ${field} must be an array of service names or { name, version } objects`);
+      return;
+    }
+
+    const seen = new Set();
+    entries.forEach((entry, index) => {
+      if (typeof entry !== 'string' && (!entry || typeof entry !== 'object')) {
+        this.addError(`Manifest ${field}[${index}] must be a service name or { name, version }`);
+        return;
+      }
+
+      const { name, version } = field === 'provides'
+        ? PluginServiceRegistry.normalizeProvided(entry, pluginVersion)
+        : PluginServiceRegistry.normalizeRequired(entry);
+
+      if (!PluginServiceRegistry.isValidName(name)) {
+        this.addError(`Manifest ${field}[${index}] name must be a dot-separated service name such as "economy.transactions"`);
+        return;
+      }
+      if (field === 'provides' && !/^\d+\.\d+\.\d+$/.test(version)) {
+        this.addError(`Manifest provides[${index}] "${name}" version must follow semantic versioning (e.g., 1.0.0)`);
+      } else if (field === 'requires' && !PluginDependencyResolver.isValidRange(version)) {
+        this.addError(`Manifest requires[${index}] "${name}" version must be a semver range (e.g., ^1.0.0)`);
+      }
+      if (seen.has(name)) {
+        this.addError(`Manifest ${field}[${index}] lists service "${name}" more than once`);
+      }
+      seen.add(name);
+    });
+  }
+
+  /**
+   * Validate manifest event hooks
+   * @param {Array} hooks - manifest.hooks entries: { event, handler, filter?, priority? }
+   * @param {string} pluginName - Plugin name
+   * @param {string} pluginPath - Plugin directory path
+   */
+  validateHooks(hooks, pluginName, pluginPath) {
+    if (!Array.isArray(hooks)) {
+      this.addError('Manifest hooks must be an array');
+      return;
+    }
+
+    const coreNamespaces = PluginEventBus.CORE_EVENTS.map(event => event.split('.')[0]);
+
+    hooks.forEach((hook, index) => {
+      if (!hook || typeof hook !== 'object') {
+        this.addError(`Hook[${index}] must be an object with event and handler`);
+        return;
+      }
+
+      if (typeof hook.event !== 'string' || !PluginEventBus.EVENT_PATTERN.test(hook.event)) {
+        this.addError(`Hook[${index}] event must be a dot-separated name such as "progress.updated"`);
+      } else if (coreNamespaces.includes(hook.event.split('.')[0]) && !PluginEventBus.CORE_EVENTS.includes(hook.event)) {
+        // Likely a typo: nothing else emits into the core namespaces
+        this.addWarning(`Hook[${index}] event "${hook.event}" is not a core event (core events: ${PluginEventBus.CORE_EVENTS.join(', ')})`);
+      }
+
+      const handlerType = typeof hook.handler;
+      if (handlerType !== 'string' && handlerType !== 'function') {
+        this.addError(`Hook[${index}] handler must be a string (file path) or function`);
+      } else if (handlerType === 'string') {
+        const handlerPath = path.resolve(pluginPath, hook.handler);
+        if (!fs.existsSync(handlerPath)) {
+          this.addError(`Hook[${index}] handler file not found: ${hook.handler} (resolved to: ${handlerPath})`);
+        }
+      }
+
+      if (hook.filter !== undefined && typeof hook.filter !== 'boolean') {
+        this.addError(`Hook[${index}] filter must be a boolean`);
+      }
+
+      if (hook.priority !== undefined && (typeof hook.priority !== 'number' || !Number.isFinite(hook.priority))) {
+        this.addError(`Hook[${index}] priority must be a number`);
+      } else if (hook.priority !== undefined && !hook.filter) {
+        this.addWarning(`Hook[${index}] priority only applies to filter hooks`);
+      }
+    });
+  }
+
   /**
    * Validate plugin routes
    * @param {Array} routes - Array of route definitions
    * @param {string} pluginName - Plugin name
    * @param {string} pluginPath - Plugin directory path
+   * @param {Array} declaredMiddleware - Middleware names the plugin registers in onActivate (manifest.middleware)
    */
-  validateRoutes(routes, pluginName, pluginPath) {
+  validateRoutes(routes, pluginName, pluginPath, declaredMiddleware = []) {
+    const knownMiddleware = [...this.knownMiddleware, ...(Array.isArray(declaredMiddleware) ? declaredMiddleware : [])];
+
     if (!Array.isArray(routes)) {
       this.addError('Routes must be an array');
       return;
@@ -146,8 +281,11 @@ class PluginValidator {
           this.addError(`Route[${index}] middleware must be an array`);
         } else {
           route.middleware.forEach((mw, mwIndex) => {
-            if (!this.knownMiddleware.includes(mw)) {
-              this.addWarning(`Route[${index}] middleware[${mwIndex}] references unknown middleware: ${mw}`);
+            const { name } = PluginMiddlewareRegistry.normalize(mw);
+            if (typeof name !== 'string') {
+              this.addError(`Route[${index}] middleware[${mwIndex}] must be a name or { name, options }`);
+            } else if (!knownMiddleware.includes(name)) {
+              this.addError(`Route[${index}] middleware[${mwIndex}] references unknown middleware: ${name} (available: ${knownMiddleware.join(', ')})`);
             }
           });
         }
@@ -207,7 +345,7 @@ class PluginValidator {
 
   /**
    * Validate plugin dependencies
-   * @param {Array} dependencies - Array of plugin names this plugin depends on
+   * @param {Array} dependencies - Plugin names, or { name, version } with a semver range
    * @param {string} pluginName - Name of the plugin being validated
    */
   validateDependencies(dependencies, pluginName) {
@@ -216,20 +354,43 @@ class PluginValidator {
       return;
     }
 
-    // Check for self-dependency
-    if (dependencies.includes(pluginName)) {
-      this.addError(`Plugin cannot depend on itself`);
-    }
+    const seen = new Set();
 
-    // Check for empty dependency names
     dependencies.forEach((dep, index) => {
-      if (!dep || typeof dep !== 'string' || dep.trim() === '') {
-        this.addError(`Dependency[${index}] must be a non-empty string`);
+      const isObject = dep !== null && typeof dep === 'object' && !Array.isArray(dep);
+      if (typeof dep !== 'string' && !isObject) {
+        this.addError(`Dependency[${index}] must be a plugin name or { name, version }`);
+        return;
+      }
+
+      const { name, version } = PluginDependencyResolver.normalize(dep);
+
+      if (!name || typeof name !== 'string' || name.trim() === '') {
+        this.addError(`Dependency[${index}] must have a non-empty name`);
+        return;
+      }
+
+      if (isObject && dep.version !== undefined && !PluginDependencyResolver.isValidRange(dep.version)) {
+        this.addError(`Dependency[${index}] "${name}" has an invalid version range "${dep.version}" (e.g., ^1.2.0)`);
+      }
+
+      // Check for self-dependency
+      if (name === pluginName) {
+        this.addError(`Plugin cannot depend on itself`);
+      }
+
+      if (seen.has(name)) {
+        this.addWarning(`Dependency "${name}" is declared more than once`);
+      }
+      seen.add(name);
+
+      if (version === '*' && isObject) {
+        this.addWarning(`Dependency "${name}" has no version range - any installed version is accepted`);
       }
     });
 
     // Note: Circular dependency detection would require loading all plugin manifests
-    // This is a basic validation - deeper checks happen at runtime
+    // PluginManager and validatePluginSystem check cycles across the installed plugins
     if (dependencies.length > 10) {
       this.addWarning(`Plugin has ${dependencies.length} dependencies - consider reducing complexity`);
     }
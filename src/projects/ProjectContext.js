@@ -2,6 +2,8 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const MigrationManager = require('../db/migrations/MigrationManager');
+const SaveSchemaRegistry = require('../services/saves/SaveSchemaRegistry');
+const SaveMigrationManager = require('../services/saves/SaveMigrationManager');
 
 /**
  * ProjectContext - Encapsulates project-specific state
@@ -22,6 +24,8 @@ class ProjectContext {
         this.description = config.description || '';
         this.databasePath = config.database;
         this.pluginConfig = config.plugins;
+        this.savesConfig = config.saves || {};
+        this.inventoryConfig = config.inventory || {};
         this.createdAt = new Date(config.created_at || Date.now());
         this.lastAccessed = new Date();
 
@@ -29,6 +33,8 @@ class ProjectContext {
         this.database = null;
         this.pluginManager = null;
         this.migrationManager = null;
+        this.saveSchemas = null;
+        this.saveMigrations = null;
     }
 
     /**
@@ -49,6 +55,18 @@ class ProjectContext {
         await this.migrationManager.migrate();
         console.log(`    ✓ Migrations complete`);
 
+        // Load save payload schemas
+        this.saveSchemas = new SaveSchemaRegistry(this.savesConfig.schemas);
+        if (this.saveSchemas.hasSchemas()) {
+            console.log(`    ✓ Save schemas registered: ${this.saveSchemas.list().length}`);
+        }
+
+        // Load save data migrations
+        this.saveMigrations = new SaveMigrationManager(this.savesConfig.migrations_path);
+        if (this.saveMigrations.getLatestVersion() > 0) {
+            console.log(`    ✓ Save data version: ${this.saveMigrations.getLatestVersion()}`);
+        }
+
         // Initialize plugins for this project (Story 7.2.2)
         if (app) {
             await this.initializePlugins(app);
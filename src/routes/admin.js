@@ -2,6 +2,8 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { getDatabase } = require('../db/database');
+const SaveService = require('../services/saves/SaveService');
+const ItemCatalogService = require('../services/inventory/ItemCatalogService');
 
 const router = express.Router();
 
@@ -241,10 +243,14 @@ router.get('/api/saves', adminAuth, (req, res) => {
       SELECT 
         s.id,
         s.data,
+        s.revision,
+        s.user_id,
+        u.username,
         s.created_at,
         s.updated_at,
         LENGTH(s.data) as data_size
       FROM saves s
+      LEFT JOIN users u ON u.id = s.user_id
       ORDER BY s.updated_at DESC
     `;
 
@@ -258,7 +264,7 @@ router.get('/api/saves', adminAuth, (req, res) => {
       const savesWithPreview = saves.map(save => {
         let dataPreview = 'No data';
         let dataStructure = {};
-        let username = 'Unknown'; // We don't have user relationship in saves
+        const username = save.username || (save.user_id ? 'Unknown' : 'Shared');
 
         try {
           if (save.data) {
@@ -275,10 +281,12 @@ router.get('/api/saves', adminAuth, (req, res) => {
 
         return {
           id: save.id,
+          user_id: save.user_id,
           username: username,
           data_preview: dataPreview,
           data_structure: dataStructure,
           data_size: save.data_size,
+          revision: save.revision,
           created_at: save.created_at,
           updated_at: save.updated_at
         };
@@ -310,9 +318,13 @@ router.get('/api/saves/:id', adminAuth, (req, res) => {
       SELECT 
         s.id,
         s.data,
+        s.revision,
+        s.user_id,
+        u.username,
         s.created_at,
         s.updated_at
       FROM saves s
+      LEFT JOIN users u ON u.id = s.user_id
       WHERE s.id = ?
     `;
 
@@ -339,8 +351,10 @@ router.get('/api/saves/:id', adminAuth, (req, res) => {
       res.json({
         save: {
           id: save.id,
-          username: 'Unknown', // No user relationship in current schema
+          user_id: save.user_id,
+          username: save.username || (save.user_id ? 'Unknown' : 'Shared'),
           save_data: formattedData,
+          revision: save.revision,
           created_at: save.created_at,
           updated_at: save.updated_at
         },
@@ -354,6 +368,130 @@ router.get('/api/saves/:id', adminAuth, (req, res) => {
   }
 });
 
+/**
+ * GET /admin/api/save-schemas - List the save payload schemas registered for the project
+ */
+router.get('/api/save-schemas', adminAuth, (req, res) => {
+  try {
+    const schemas = req.project && req.project.saveSchemas
+      ? req.project.saveSchemas.list()
+      : [];
+
+    res.json({
+      schemas: schemas,
+      count: schemas.length,
+      message: 'Save schemas retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in save schemas endpoint:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /admin/api/saves/:id/history - Get revision history of a save
+ */
+router.get('/api/saves/:id/history', adminAuth, async (req, res) => {
+  try {
+    const saveService = new SaveService(req.db, req.project ? req.project.savesConfig : {});
+    const save = await saveService.getSave(req.params.id);
+
+    if (!save) {
+      return res.status(404).json({ error: 'Save not found' });
+    }
+
+    const revisions = await saveService.getHistory(req.params.id);
+
+    res.json({
+      id: save.id,
+      currentRevision: save.revision,
+      revisions: revisions,
+      count: revisions.length,
+      message: 'Save history retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in save history endpoint:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /admin/api/saves/:id/revisions/:rev - Get the payload of a single revision
+ */
+router.get('/api/saves/:id/revisions/:rev', adminAuth, async (req, res) => {
+  try {
+    const revision = parseInt(req.params.rev);
+    if (isNaN(revision) || revision < 1) {
+      return res.status(400).json({ error: 'Invalid revision parameter' });
+    }
+
+    const saveService = new SaveService(req.db, req.project ? req.project.savesConfig : {});
+    const row = await saveService.getRevision(req.params.id, revision);
+
+    if (!row) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    let formattedData = row.data;
+    try {
+      formattedData = JSON.parse(row.data);
+    } catch (e) {
+      console.warn('Revision data is not valid JSON');
+    }
+
+    res.json({
+      revision: {
+        id: row.save_id,
+        revision: row.revision,
+        source: row.source,
+        restored_from: row.restored_from,
+        save_data: formattedData,
+        created_at: row.created_at
+      },
+      message: 'Save revision retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in save revision endpoint:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /admin/api/saves/:id/restore/:rev - Restore a previous revision of a save
+ */
+router.post('/api/saves/:id/restore/:rev', adminAuth, async (req, res) => {
+  try {
+    const revision = parseInt(req.params.rev);
+    if (isNaN(revision) || revision < 1) {
+      return res.status(400).json({ error: 'Invalid revision parameter' });
+    }
+
+    const saveService = new SaveService(req.db, req.project ? req.project.savesConfig : {});
+    const result = await saveService.restoreRevision(req.params.id, revision);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    console.log(`🕘 Admin restored save ${req.params.id} to revision ${revision} (new revision ${result.revision})`);
+
+    res.json({
+      success: true,
+      id: result.id,
+      revision: result.revision,
+      restoredFrom: result.restoredFrom,
+      message: `Revision ${revision} restored successfully`
+    });
+
+  } catch (error) {
+    console.error('Error in save restore endpoint:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * GET /admin/api/inventories - Get all user inventories
  */
@@ -422,6 +560,131 @@ router.get('/api/inventories', adminAuth, (req, res) => {
   }
 });
 
+/**
+ * Build an ItemCatalogService for the request's project
+ */
+function getItemCatalog(req) {
+  return new ItemCatalogService(req.db, req.project ? req.project.inventoryConfig : {});
+}
+
+/**
+ * Map item catalog errors to HTTP responses
+ * @returns {boolean} True if a response was sent
+ */
+function sendItemError(res, error) {
+  if (error.code === 'INVALID_ITEM') {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  if (error.code === 'ITEM_EXISTS') {
+    res.status(409).json({ error: error.message });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * GET /admin/api/items - List the project's item catalog
+ * Query: ?category=<name> to filter by category
+ */
+router.get('/api/items', adminAuth, async (req, res) => {
+  try {
+    const catalog = getItemCatalog(req);
+    const items = await catalog.listItems({ category: req.query.category });
+
+    res.json({
+      items: items,
+      count: items.length,
+      enforced: await catalog.isEnforced(),
+      message: 'Item catalog retrieved successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in item catalog endpoint:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /admin/api/items - Create an item definition
+ * Body: { id, name, category, max_stack, tradeable, properties }
+ */
+router.post('/api/items', adminAuth, async (req, res) => {
+  try {
+    const item = await getItemCatalog(req).createItem(req.body);
+
+    res.status(201).json({
+      success: true,
+      item: item,
+      message: `Item ${item.id} created successfully`
+    });
+
+  } catch (error) {
+    if (sendItemError(res, error)) return;
+    console.error('Error creating item definition:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /admin/api/items/:id - Update an item definition
+ * Body: any of { name, category, max_stack, tradeable, properties }
+ */
+router.put('/api/items/:id', adminAuth, async (req, res) => {
+  try {
+    const item = await getItemCatalog(req).updateItem(req.params.id, req.body);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json({
+      success: true,
+      item: item,
+      message: `Item ${item.id} updated successfully`
+    });
+
+  } catch (error) {
+    if (sendItemError(res, error)) return;
+    console.error('Error updating item definition:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /admin/api/items/:id - Delete an item definition
+ * Refused while inventories still hold the item unless ?force=true
+ */
+router.delete('/api/items/:id', adminAuth, async (req, res) => {
+  try {
+    const catalog = getItemCatalog(req);
+
+    if (!(await catalog.getItem(req.params.id))) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const holders = await catalog.countHolders(req.params.id);
+    if (holders > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: 'Item is held in inventories',
+        holders: holders,
+        message: 'Pass ?force=true to delete the definition anyway'
+      });
+    }
+
+    await catalog.deleteItem(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Item ${req.params.id} deleted successfully`
+    });
+
+  } catch (error) {
+    console.error('Error deleting item definition:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * GET /admin/api/progress - Get all user progress and achievements
  */
@@ -616,6 +879,7 @@ router.get('/api/export/:type', adminAuth, (req, res) => {
           { name: 'users', query: 'SELECT * FROM users ORDER BY created_at' },
           { name: 'saves', query: 'SELECT * FROM saves ORDER BY updated_at DESC' },
           { name: 'inventory', query: 'SELECT * FROM inventory ORDER BY user_id, item_id' },
+          { name: 'item_definitions', query: 'SELECT * FROM item_definitions ORDER BY id' },
           { name: 'character_progress', query: 'SELECT * FROM character_progress ORDER BY user_id, metric_name' },
           { name: 'achievements', query: 'SELECT * FROM achievements ORDER BY id' },
           { name: 'user_achievements', query: 'SELECT * FROM user_achievements ORDER BY user_id, unlocked_at DESC' }
@@ -36,10 +36,10 @@ const ensureServices = async (req) => {
   // Use services attached to the project-specific plugin manager if available
   // otherwise create them and attach them for the lifecycle of the project context
   if (!req.pluginManager.lifecycleService) {
-    req.pluginManager.lifecycleService = new PluginLifecycleService(req.db, discoveryService, req.projectId);
+    req.pluginManager.lifecycleService = new PluginLifecycleService(req.db, discoveryService, req.projectId, req.pluginManager);
   }
   if (!req.pluginManager.configService) {
-    req.pluginManager.configService = new PluginConfigService(discoveryService, req.pluginManager.lifecycleService, req.projectId);
+    req.pluginManager.configService = new PluginConfigService(discoveryService, req.pluginManager.lifecycleService, req.projectId, req.pluginManager);
   }
 
   lifecycleService = req.pluginManager.lifecycleService;
@@ -195,6 +195,9 @@ router.post('/:id/reload', adminAuth, async (req, res) => {
         success: false,
         error: 'Failed to reload plugin',
         details: result.error,
+        phase: result.phase,
+        // The new code failed to load, but the version that was running still is
+        keptPrevious: result.keptPrevious,
         pluginId: pluginId,
         timestamp: new Date().toISOString()
       });
@@ -277,6 +280,7 @@ router.get('/:id/config', adminAuth, async (req, res) => {
 
 /**
  * PUT /admin/api/plugins/:id/config - Update plugin configuration
+ * Body is the settings to change; plugins with a configSchema reject invalid values with 400 and per-field errors
  */
 router.put('/:id/config', adminAuth, async (req, res) => {
   try {
@@ -302,6 +306,8 @@ router.put('/:id/config', adminAuth, async (req, res) => {
       success: false,
       error: 'Failed to update plugin configuration',
       details: error.message,
+      // Per-field schema violations as { path, message, keyword }, for forms and the CLI
+      errors: error.errors || [],
       pluginId: req.params.id,
       timestamp: new Date().toISOString()
     });
@@ -342,6 +348,111 @@ router.post('/validate', adminAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/api/plugins/register - Register a plugin installed into plugins/ by the CLI
+ * Body: { name, path, enable }
+ */
+router.post('/register', adminAuth, async (req, res) => {
+  try {
+    const { name, path: pluginPath, enable = false } = req.body || {};
+    const adminUser = req.session?.adminUser || 'admin';
+
+    if (!name || !pluginPath) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: name, path',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`📦 Admin request: Register installed plugin ${name} by ${adminUser}`);
+
+    if (!req.pluginManager) {
+      throw new Error('Plugin manager not initialized');
+    }
+
+    const result = await req.pluginManager.registerPlugin(name, pluginPath, { enable });
+
+    res.json({
+      success: true,
+      data: { pluginId: name, path: pluginPath, ...result },
+      message: `Plugin ${name} registered successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`❌ Error registering plugin ${req.body?.name}:`, error.message);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to register plugin',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /admin/api/plugins/:id/removal-plan - Summarize what removing a plugin deletes
+ */
+router.get('/:id/removal-plan', adminAuth, async (req, res) => {
+  try {
+    const pluginId = req.params.id;
+
+    await ensureServices(req);
+    const plan = await lifecycleService.getRemovalPlan(pluginId);
+
+    res.json({
+      success: true,
+      data: plan,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`❌ Error building removal plan for ${req.params.id}:`, error.message);
+    res.status(404).json({
+      success: false,
+      error: 'Failed to build removal plan',
+      details: error.message,
+      pluginId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /admin/api/plugins/:id/remove - Remove an external plugin and its directory
+ * Body: { rollback, purge, force }
+ */
+router.post('/:id/remove', adminAuth, async (req, res) => {
+  try {
+    const pluginId = req.params.id;
+    const { rollback = false, purge = false, force = false } = req.body || {};
+    const adminUser = req.session?.adminUser || 'admin';
+
+    console.log(`🗑️ Admin request: Remove plugin ${pluginId} by ${adminUser} (rollback: ${rollback}, purge: ${purge}, force: ${force})`);
+
+    await ensureServices(req);
+    const result = await lifecycleService.removePlugin(pluginId, { rollback, purge, force }, adminUser);
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.message,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`❌ Error removing plugin ${req.params.id}:`, error.message);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to remove plugin',
+      details: error.message,
+      pluginId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /admin/api/plugins/:id - Get detailed plugin information
  */
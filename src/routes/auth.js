@@ -6,6 +6,7 @@ const { getDatabase } = require('../db/database');
 const { generateToken, refreshToken, invalidateToken, getUserSessions, getTokenStoreStats } = require('../utils/jwt');
 const { authenticateToken } = require('../middleware/auth');
 const { validatePassword } = require('../utils/passwordValidator');
+const { applyEventFilters, emitEvent, sendVeto } = require('../utils/pluginEvents');
 
 const logStream = fs.createWriteStream(path.join(__dirname, '..', 'auth.log'), { flags: 'a' });
 
@@ -20,7 +21,8 @@ const SALT_ROUNDS = 10; // For bcrypt password hashing
  */
 router.post('/register', (req, res) => {
   logStream.write('REGISTER_ROUTE_HIT: ' + JSON.stringify(req.body) + '\n');
-  const { username, password } = req.body;
+  const { password } = req.body;
+  let { username } = req.body;
 
   // Validate input
   if (!username || typeof username !== 'string') {
@@ -45,6 +47,16 @@ router.post('/register', (req, res) => {
     });
   }
 
+  // Plugins may veto the registration or rewrite the username (the password is never exposed)
+  const filtered = applyEventFilters(req, 'user.registered', { username });
+  if (filtered.vetoed) {
+    return sendVeto(res, filtered);
+  }
+  username = filtered.payload.username;
+  if (typeof username !== 'string' || username.trim().length < 3) {
+    return res.status(400).json({ error: 'Username must be at least 3 characters' });
+  }
+
   try {
     const db = req.db; // Use project-specific database
     
@@ -81,6 +93,8 @@ router.post('/register', (req, res) => {
             return res.status(500).json({ error: 'Failed to create user' });
           }
 
+          emitEvent(req, 'user.registered', { userId: this.lastID, username });
+
           res.status(201).json({
             id: this.lastID,
             username: username,
@@ -1,6 +1,9 @@
 const express = require('express');
 const { getDatabase } = require('../db/database');
 const { authenticateToken } = require('../middleware/auth');
+const ItemCatalogService = require('../services/inventory/ItemCatalogService');
+const InventoryService = require('../services/inventory/InventoryService');
+const { applyEventFilters, emitEvent, sendVeto } = require('../utils/pluginEvents');
 
 const router = express.Router();
 
@@ -28,12 +31,75 @@ function checkInventoryOwnership(req, res, next) {
   next();
 }
 
+/**
+ * Build an ItemCatalogService for the request's project
+ */
+function getItemCatalog(req) {
+  const project = req.project;
+  return new ItemCatalogService(req.db, project ? project.inventoryConfig : {});
+}
+
+/**
+ * Build an InventoryService for the request's project
+ */
+function getInventoryService(req) {
+  return new InventoryService(req.db, { catalog: getItemCatalog(req) });
+}
+
+/**
+ * Apply inventory operations through the 'inventory.changed' filters, then emit the event
+ * Plugins may veto the change or rewrite the operations before they run.
+ * @returns {Promise<Array|null>} Per-operation results, or null when vetoed (response already sent)
+ */
+async function applyInventoryChange(req, res, userId, operations) {
+  const filtered = applyEventFilters(req, 'inventory.changed', { userId, operations });
+  if (filtered.vetoed) {
+    sendVeto(res, filtered);
+    return null;
+  }
+
+  const results = await getInventoryService(req).applyOperations(userId, filtered.payload.operations);
+  emitEvent(req, 'inventory.changed', { userId, operations: filtered.payload.operations, results });
+  return results;
+}
+
+/**
+ * Map inventory errors to HTTP responses
+ * Batch failures include the index of the operation that failed.
+ * @returns {boolean} True if a response was sent
+ */
+function sendInventoryError(res, error) {
+  const statuses = {
+    INVALID_OPERATION: [400, error.message],
+    UNKNOWN_ITEM: [400, 'Unknown item'],
+    ITEM_NOT_FOUND: [404, 'Item not found in inventory'],
+    INSUFFICIENT_QUANTITY: [409, 'Insufficient quantity'],
+    STACK_LIMIT_EXCEEDED: [422, 'Stack limit exceeded']
+  };
+  const status = statuses[error.code];
+  if (!status) {
+    return false;
+  }
+
+  const body = { error: status[1] };
+  if (error.itemId !== undefined) body.itemId = error.itemId;
+  if (error.maxStack !== undefined) body.maxStack = error.maxStack;
+  if (error.currentQuantity !== undefined) body.currentQuantity = error.currentQuantity;
+  if (error.requestedQuantity !== undefined) body.requestedQuantity = error.requestedQuantity;
+  if (error.operationIndex !== undefined && error.operationIndex !== null) {
+    body.operationIndex = error.operationIndex;
+  }
+
+  res.status(status[0]).json(body);
+  return true;
+}
+
 module.exports = router;
 /**
  * POST /inventory/add - Add item to user's inventory
  * Body: { userId: number, itemId: string, quantity: number }
  */
-router.post('/add', checkInventoryOwnership, (req, res) => {
+router.post('/add', checkInventoryOwnership, async (req, res) => {
   const { userId, itemId, quantity } = req.body;
 
   // Validate input
@@ -53,73 +119,105 @@ router.post('/add', checkInventoryOwnership, (req, res) => {
   }
 
   try {
-    const db = req.db; // Use project-specific database
-    
-    // Check if item already exists for this user
-    const checkQuery = 'SELECT quantity FROM inventory WHERE user_id = ? AND item_id = ?';
-    
-    db.get(checkQuery, [userId, itemId], (err, existingItem) => {
-      if (err) {
-        console.error('Database error checking existing item:', err.message);
-        return res.status(500).json({ error: 'Failed to check inventory' });
-      }
+    const results = await applyInventoryChange(req, res, parseInt(userId), [{ op: 'add', itemId, quantity: quantityNum }]);
+    if (!results) return;
+    const [result] = results;
 
-      if (existingItem) {
-        // Update existing item quantity
-        const newQuantity = existingItem.quantity + quantityNum;
-        const updateQuery = `
-          UPDATE inventory 
-          SET quantity = ?, updated_at = CURRENT_TIMESTAMP 
-          WHERE user_id = ? AND item_id = ?
-        `;
-
-        db.run(updateQuery, [newQuantity, userId, itemId], function(err) {
-          if (err) {
-            console.error('Database error updating item quantity:', err.message);
-            return res.status(500).json({ error: 'Failed to update inventory' });
-          }
+    res.json({
+      userId: userId,
+      itemId: itemId,
+      quantity: result.quantity,
+      message: result.previousQuantity > 0 ? 'Item quantity updated' : 'Item added to inventory'
+    });
 
-          res.json({
-            userId: userId,
-            itemId: itemId,
-            quantity: newQuantity,
-            message: 'Item quantity updated'
-          });
-        });
-      } else {
-        // Insert new item
-        const insertQuery = `
-          INSERT INTO inventory (user_id, item_id, quantity) 
-          VALUES (?, ?, ?)
-        `;
-
-        db.run(insertQuery, [userId, itemId, quantityNum], function(err) {
-          if (err) {
-            console.error('Database error adding new item:', err.message);
-            return res.status(500).json({ error: 'Failed to add item to inventory' });
-          }
+  } catch (error) {
+    if (sendInventoryError(res, error)) return;
+    console.error('Error adding to inventory:', error.message);
+    res.status(500).json({ error: 'Failed to update inventory' });
+  }
+});
 
-          res.json({
-            userId: userId,
-            itemId: itemId,
-            quantity: quantityNum,
-            message: 'Item added to inventory'
-          });
-        });
-      }
+/**
+ * POST /inventory/remove - Remove part of a stack from user's inventory
+ * Body: { userId: number, itemId: string, quantity: number }
+ * Fails without changes if the user holds fewer than `quantity`
+ */
+router.post('/remove', checkInventoryOwnership, async (req, res) => {
+  const { userId, itemId, quantity } = req.body;
+
+  if (!userId || !itemId || quantity === undefined) {
+    return res.status(400).json({ 
+      error: 'userId, itemId, and quantity are required' 
+    });
+  }
+
+  if (typeof itemId !== 'string' || itemId.trim().length === 0) {
+    return res.status(400).json({ error: 'itemId must be a non-empty string' });
+  }
+
+  const quantityNum = parseInt(quantity);
+  if (isNaN(quantityNum) || quantityNum < 1) {
+    return res.status(400).json({ error: 'quantity must be a positive integer' });
+  }
+
+  try {
+    const results = await applyInventoryChange(req, res, parseInt(userId), [{ op: 'remove', itemId, quantity: quantityNum }]);
+    if (!results) return;
+    const [result] = results;
+
+    res.json({
+      userId: userId,
+      itemId: itemId,
+      quantity: result.quantity,
+      removedQuantity: result.previousQuantity - result.quantity,
+      message: result.quantity === 0 ? 'Item removed from inventory' : 'Item quantity updated'
     });
 
   } catch (error) {
-    console.error('Error adding to inventory:', error.message);
-    res.status(500).json({ error: 'Internal server error' });
+    if (sendInventoryError(res, error)) return;
+    console.error('Error removing from inventory:', error.message);
+    res.status(500).json({ error: 'Failed to update inventory' });
+  }
+});
+
+/**
+ * POST /inventory/batch - Apply several add/remove operations atomically
+ * Body: { userId: number, operations: [{ op: 'add'|'remove', itemId: string, quantity: number }] }
+ * Operations run in order inside one transaction; if any fails, none are applied
+ */
+router.post('/batch', checkInventoryOwnership, async (req, res) => {
+  const userId = parseInt(req.body.userId);
+  const { operations } = req.body;
+
+  try {
+    const results = await applyInventoryChange(req, res, userId, operations);
+    if (!results) return;
+
+    res.json({
+      userId: userId,
+      results: results.map(result => ({
+        op: result.op,
+        itemId: result.itemId,
+        quantity: result.quantity
+      })),
+      applied: results.length,
+      message: 'Inventory batch applied'
+    });
+
+  } catch (error) {
+    if (sendInventoryError(res, error)) return;
+    console.error('Error applying inventory batch:', error.message);
+    res.status(500).json({ error: 'Failed to update inventory' });
   }
 });
 
 /**
  * GET /inventory/:userId - Get user's complete inventory
+ * Query: ?expand=definition to include each item's catalog definition
  */
 router.get('/:userId', checkInventoryOwnership, (req, res) => {
   const userId = parseInt(req.params.userId);
+  const expand = req.query.expand === 'definition';
 
   try {
     const db = req.db; // Use project-specific database
@@ -145,17 +243,28 @@ router.get('/:userId', checkInventoryOwnership, (req, res) => {
         ORDER BY item_id ASC
       `;
 
-      db.all(inventoryQuery, [userId], (err, items) => {
+      db.all(inventoryQuery, [userId], async (err, items) => {
         if (err) {
           console.error('Database error getting inventory:', err.message);
           return res.status(500).json({ error: 'Failed to get inventory' });
         }
 
+        let definitions = null;
+        if (expand) {
+          try {
+            definitions = await getItemCatalog(req).getItems(items.map(item => item.item_id));
+          } catch (error) {
+            console.error('Database error getting item definitions:', error.message);
+            return res.status(500).json({ error: 'Failed to get item definitions' });
+          }
+        }
+
         res.json({
           userId: userId,
           items: items.map(item => ({
             itemId: item.item_id,
             quantity: item.quantity,
+            ...(definitions && { definition: definitions.get(item.item_id) || null }),
             created_at: item.created_at,
             updated_at: item.updated_at
           })),
@@ -182,6 +291,15 @@ router.delete('/:userId/:itemId', checkInventoryOwnership, (req, res) => {
     return res.status(400).json({ error: 'Invalid itemId' });
   }
 
+  // Deleting a whole stack cannot be rewritten as operations, so filters can only veto it
+  const filtered = applyEventFilters(req, 'inventory.changed', {
+    userId,
+    operations: [{ op: 'delete', itemId }]
+  });
+  if (filtered.vetoed) {
+    return sendVeto(res, filtered);
+  }
+
   try {
     const db = req.db; // Use project-specific database
     
@@ -207,6 +325,12 @@ router.delete('/:userId/:itemId', checkInventoryOwnership, (req, res) => {
           return res.status(500).json({ error: 'Failed to remove item from inventory' });
         }
 
+        emitEvent(req, 'inventory.changed', {
+          userId,
+          operations: [{ op: 'delete', itemId }],
+          results: [{ op: 'delete', itemId, quantity: 0, previousQuantity: existingItem.quantity }]
+        });
+
         res.json({
           message: 'Item removed from inventory',
           userId: userId,
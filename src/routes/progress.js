@@ -1,8 +1,7 @@
 const express = require('express');
 const { getDatabase } = require('../db/database');
 const { authenticateToken } = require('../middleware/auth');
-// achievementChecker is now handled dynamically via the achievements plugin if enabled
-// const achievementChecker = require('../utils/achievementChecker');
+const { applyEventFilters, emitEvent, sendVeto } = require('../utils/pluginEvents');
 
 const router = express.Router();
 
@@ -12,7 +11,7 @@ const router = express.Router();
  * Body: { metric: string, value: number, increment?: boolean }
  */
 router.post('/update', authenticateToken, async (req, res) => {
-  const { metric, value, increment = false } = req.body;
+  let { metric, value, increment = false } = req.body;
   const userId = req.user.id;
 
   // Validate input
@@ -28,6 +27,16 @@ router.post('/update', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Value cannot be negative' });
   }
 
+  // Plugins may veto the update or adjust the value (e.g. clamp or scale it)
+  const filtered = applyEventFilters(req, 'progress.updated', { userId, metric, value, increment: Boolean(increment) });
+  if (filtered.vetoed) {
+    return sendVeto(res, filtered);
+  }
+  ({ value, increment } = filtered.payload);
+  if (typeof value !== 'number' || value < 0) {
+    return res.status(400).json({ error: 'Value must be a non-negative number' });
+  }
+
   try {
     const db = req.db; // Use project-specific database
 
@@ -72,14 +81,16 @@ router.post('/update', authenticateToken, async (req, res) => {
       });
     });
 
-    // Check for new achievements via the plugin service if active
-    let newAchievements = [];
-    if (req.pluginManager && req.pluginManager.activePlugins.has('achievements')) {
-      const achievementPlugin = req.pluginManager.activePlugins.get('achievements');
-      if (achievementPlugin.context && achievementPlugin.context.achievementService) {
-        newAchievements = await achievementPlugin.context.achievementService.checkAchievements(userId, metric, newValue);
-      }
-    }
+    // Listeners (e.g. the achievements plugin) report newly unlocked achievements
+    const { results } = await emitEvent(req, 'progress.updated', {
+      userId,
+      metric,
+      previousValue: currentProgress ? currentProgress.current_value : null,
+      currentValue: newValue
+    });
+    const newAchievements = results.flatMap(result =>
+      Array.isArray(result.value?.newAchievements) ? result.value.newAchievements : []
+    );
 
     res.json({
       userId,
@@ -203,13 +214,11 @@ router.get('/:userId/:metric', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get achievement progress for this metric via the plugin service if active
+    // Get achievement progress for this metric via the achievements service if a plugin provides it
     let achievementProgress = [];
-    if (req.pluginManager && req.pluginManager.activePlugins.has('achievements')) {
-      const achievementPlugin = req.pluginManager.activePlugins.get('achievements');
-      if (achievementPlugin.context && achievementPlugin.context.achievementService) {
-        achievementProgress = await achievementPlugin.context.achievementService.getProgressTowardAchievements(targetUserId, metric);
-      }
+    const achievementService = req.pluginManager ? req.pluginManager.getService('achievements', '^1.0.0') : null;
+    if (achievementService) {
+      achievementProgress = await achievementService.getProgressTowardAchievements(targetUserId, metric);
     }
 
     res.json({
@@ -1,4 +1,9 @@
 const express = require('express');
+const bodyParser = require('body-parser');
+const SaveService = require('../services/saves/SaveService');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { applyJsonPatch, applyMergePatch, validateJsonPatch } = require('../utils/jsonPatch');
+const { applyEventFilters, emitEvent, sendVeto } = require('../utils/pluginEvents');
 
 /**
  * Epic 7 - Multi-Project Support (Story 7.2.2)
@@ -9,117 +14,578 @@ const express = require('express');
 
 const router = express.Router();
 
+/**
+ * Authenticate save requests according to the project's `saves.require_auth`
+ * setting. Without it, a valid token is still used to scope saves to the user.
+ */
+router.use((req, res, next) => {
+  const savesConfig = req.project ? req.project.savesConfig : {};
+  if (savesConfig.require_auth) {
+    return authenticateToken(req, res, next);
+  }
+  optionalAuth(req, res, next);
+});
+
+/**
+ * Anonymous callers may not address saves in the per-user namespace
+ */
+router.param('id', (req, res, next, id) => {
+  if (!req.user && SaveService.isReservedId(id)) {
+    return res.status(403).json({ error: 'Cannot access another user\'s save' });
+  }
+  next();
+});
+
+/**
+ * Create a SaveService bound to the requesting project and user
+ * @param {Object} req - Express request
+ * @param {number|null} userId - Namespace to use instead of the caller's (admin reads)
+ */
+function getSaveService(req, userId = req.user ? req.user.id : null) {
+  const project = req.project || {};
+  return new SaveService(req.db, project.savesConfig, {
+    userId,
+    schemas: project.saveSchemas,
+    migrations: project.saveMigrations
+  });
+}
+
+/**
+ * Read the ?owner= namespace an admin loads a save from
+ * GET /save lists every save in the project for admins along with its owner's
+ * user_id; `owner=<user_id>` or `owner=shared` reads any of them.
+ * @returns {Object} { userId } (undefined without ?owner=), or { status, error }
+ */
+function parseOwner(req) {
+  const owner = req.query.owner;
+  if (owner === undefined) {
+    return {};
+  }
+  if (!req.user || !req.user.isAdmin) {
+    return { status: 403, error: 'Only admins can read other users\' saves' };
+  }
+  if (owner === 'shared') {
+    return { userId: null };
+  }
+
+  const userId = parseInt(owner);
+  if (isNaN(userId) || String(userId) !== owner) {
+    return { status: 400, error: 'Invalid owner' };
+  }
+  return { userId };
+}
+
+/**
+ * Parse and validate a :rev URL parameter
+ * @returns {number|null} Revision number or null if invalid
+ */
+function parseRevision(value) {
+  const revision = parseInt(value);
+  if (isNaN(revision) || revision < 1 || String(revision) !== String(value)) {
+    return null;
+  }
+  return revision;
+}
+
+/**
+ * Build the ETag for a save revision
+ */
+function formatETag(revision) {
+  return `"${revision}"`;
+}
+
+/**
+ * Read the revision a client expects to overwrite
+ * Taken from the If-Match header (ETag from GET /save/:id) or, for clients that
+ * cannot set headers, the `expectedRevision` body field.
+ * @param {Object} req - Express request
+ * @param {boolean} allowBody - Whether to fall back to body.expectedRevision
+ * @returns {Object} { value } where value is a revision, 0, '*' or null; or { error }
+ */
+function parseExpectedRevision(req, allowBody = true) {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch !== undefined) {
+    const tag = ifMatch.trim();
+    if (tag === '*') {
+      return { value: '*' };
+    }
+
+    const match = tag.match(/^(?:W\/)?"(\d+)"$/) || tag.match(/^(\d+)$/);
+    if (!match) {
+      return { error: 'Invalid If-Match header' };
+    }
+    return { value: parseInt(match[1]) };
+  }
+
+  const expected = allowBody && req.body ? req.body.expectedRevision : undefined;
+  if (expected === undefined || expected === null) {
+    return { value: null };
+  }
+  if (!Number.isInteger(expected) || expected < 0) {
+    return { error: 'Invalid expectedRevision' };
+  }
+  return { value: expected };
+}
+
+/**
+ * Send a 409 response carrying the server copy so the client can merge or overwrite
+ */
+function sendConflict(res, id, expectedRevision, current) {
+  let currentSave = null;
+
+  if (current) {
+    res.set('ETag', formatETag(current.revision));
+    try {
+      currentSave = {
+        data: JSON.parse(current.data),
+        revision: current.revision,
+        created_at: current.created_at,
+        updated_at: current.updated_at
+      };
+    } catch (parseError) {
+      console.error('Error parsing saved data:', parseError.message);
+      return res.status(500).json({ error: 'Data corruption detected' });
+    }
+  }
+
+  res.status(409).json({
+    error: 'Save conflict',
+    message: current
+      ? `Save was modified by another client (server revision ${current.revision})`
+      : 'Save does not exist on the server',
+    id: id,
+    expectedRevision: expectedRevision,
+    current: currentSave
+  });
+}
+
+/**
+ * Send the response for a schema validation failure
+ * @returns {boolean} True if the error was a schema error and a response was sent
+ */
+function sendSchemaError(res, error) {
+  if (error.code === 'SAVE_INVALID') {
+    res.status(422).json({
+      error: 'Save data failed schema validation',
+      schema: error.schema,
+      errors: error.errors
+    });
+    return true;
+  }
+  if (error.code === 'UNKNOWN_SCHEMA') {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  if (error.code === 'SCHEMA_UNAVAILABLE') {
+    console.error('Save schema unavailable:', error.message);
+    res.status(500).json({ error: 'Save schema unavailable' });
+    return true;
+  }
+  return false;
+}
+
 /**
  * POST /save - Save game data
- * Body: { id: string, data: object }
+ * Body: { id: string, data: object, schema?: string, dataVersion?: number, expectedRevision?: number }
+ * Headers: If-Match (optional) - ETag of the revision being overwritten
  */
-router.post('/', (req, res) => {
-  const { id, data } = req.body;
+router.post('/', async (req, res) => {
+  const { id, schema, dataVersion } = req.body;
+  let { data } = req.body;
 
   // Validate input
   if (!id || typeof id !== 'string') {
     return res.status(400).json({ error: 'Invalid or missing id' });
   }
 
+  if (!req.user && SaveService.isReservedId(id)) {
+    return res.status(403).json({ error: 'Cannot access another user\'s save' });
+  }
+
+  if (!data || typeof data !== 'object') {
+    return res.status(400).json({ error: 'Invalid or missing data' });
+  }
+
+  if (schema !== undefined && (typeof schema !== 'string' || !schema)) {
+    return res.status(400).json({ error: 'Invalid schema' });
+  }
+
+  const latestVersion = req.project && req.project.saveMigrations
+    ? req.project.saveMigrations.getLatestVersion()
+    : 0;
+  if (dataVersion !== undefined &&
+      (!Number.isInteger(dataVersion) || dataVersion < 0 || dataVersion > latestVersion)) {
+    return res.status(400).json({
+      error: 'Invalid dataVersion',
+      message: `dataVersion must be an integer between 0 and ${latestVersion}`
+    });
+  }
+
+  const expected = parseExpectedRevision(req);
+  if (expected.error) {
+    return res.status(400).json({ error: expected.error });
+  }
+
+  // Plugins may veto the write or rewrite the data before it is stored
+  const userId = req.user ? req.user.id : null;
+  const filtered = applyEventFilters(req, 'save.written', { id, userId, source: 'write', data });
+  if (filtered.vetoed) {
+    return sendVeto(res, filtered);
+  }
+  data = filtered.payload.data;
   if (!data || typeof data !== 'object') {
     return res.status(400).json({ error: 'Invalid or missing data' });
   }
 
   try {
-    const db = req.db; // Use project-specific database
-    const dataString = JSON.stringify(data);
-
-    // Insert or replace save data
-    const query = `
-      INSERT OR REPLACE INTO saves (id, data, updated_at) 
-      VALUES (?, ?, CURRENT_TIMESTAMP)
-    `;
-
-    db.run(query, [id, dataString], function (err) {
-      if (err) {
-        console.error('Database error saving data:', err.message);
-        return res.status(500).json({ error: 'Failed to save data' });
+    const saveService = getSaveService(req);
+    const result = await saveService.writeSave(id, data, {
+      expectedRevision: expected.value,
+      schema: schema,
+      dataVersion: dataVersion
+    });
+
+    emitEvent(req, 'save.written', { id, userId, source: 'write', revision: result.revision });
+
+    res.set('ETag', formatETag(result.revision));
+    res.json({
+      success: true,
+      id: id,
+      revision: result.revision,
+      message: 'Data saved successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'SAVE_CONFLICT') {
+      return sendConflict(res, id, expected.value, error.current);
+    }
+    if (sendSchemaError(res, error)) {
+      return;
+    }
+    console.error('Error saving data:', error.message);
+    res.status(500).json({ error: 'Failed to save data' });
+  }
+});
+
+/**
+ * PATCH /save/:id - Partially update game data
+ * Content-Type: application/json-patch+json  - RFC 6902 JSON Patch (array of operations)
+ *               application/merge-patch+json - RFC 7396 JSON Merge Patch (object)
+ *               application/json             - array => JSON Patch, object => merge patch
+ * Headers: If-Match (optional) - ETag of the revision being patched
+ */
+router.patch('/:id',
+  bodyParser.json({ type: ['application/json-patch+json', 'application/merge-patch+json'] }),
+  async (req, res) => {
+    const { id } = req.params;
+    const patch = req.body;
+    const contentType = req.is('application/json-patch+json', 'application/merge-patch+json', 'application/json');
+
+    if (!contentType) {
+      return res.status(415).json({
+        error: 'Unsupported patch format',
+        message: 'Use application/json-patch+json or application/merge-patch+json'
+      });
+    }
+
+    const format = contentType === 'application/json-patch+json' ||
+      (contentType === 'application/json' && Array.isArray(patch))
+      ? 'json-patch'
+      : 'merge-patch';
+
+    if (format === 'json-patch') {
+      try {
+        validateJsonPatch(patch);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid patch',
+          message: error.message,
+          operationIndex: error.operationIndex,
+          operation: error.operation
+        });
+      }
+    } else if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return res.status(400).json({ error: 'Invalid patch', message: 'Merge patch must be a JSON object' });
+    }
+
+    const expected = parseExpectedRevision(req, false);
+    if (expected.error) {
+      return res.status(400).json({ error: expected.error });
+    }
+
+    const userId = req.user ? req.user.id : null;
+
+    try {
+      const saveService = getSaveService(req);
+      const result = await saveService.patchSave(id, (data) => {
+        const patched = format === 'json-patch'
+          ? applyJsonPatch(data, patch)
+          : applyMergePatch(data, patch);
+
+        if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+          const error = new Error('Patched save data must be a JSON object');
+          error.code = 'INVALID_PATCH';
+          throw error;
+        }
+
+        // Filters see the fully patched document, the same payload as a full write
+        const filtered = applyEventFilters(req, 'save.written', { id, userId, source: 'patch', data: patched });
+        if (filtered.vetoed) {
+          const error = new Error(filtered.reason);
+          error.code = 'EVENT_VETOED';
+          error.filtered = filtered;
+          throw error;
+        }
+        if (!filtered.payload.data || typeof filtered.payload.data !== 'object' || Array.isArray(filtered.payload.data)) {
+          const error = new Error('Patched save data must be a JSON object');
+          error.code = 'INVALID_PATCH';
+          throw error;
+        }
+        return filtered.payload.data;
+      }, { expectedRevision: expected.value });
+
+      if (!result) {
+        return res.status(404).json({ error: 'Save not found' });
       }
 
+      emitEvent(req, 'save.written', { id, userId, source: 'patch', revision: result.revision });
+
+      res.set('ETag', formatETag(result.revision));
       res.json({
         success: true,
         id: id,
-        message: 'Data saved successfully'
+        revision: result.revision,
+        format: format,
+        message: 'Data patched successfully'
       });
+
+    } catch (error) {
+      if (error.code === 'SAVE_CONFLICT') {
+        return sendConflict(res, id, expected.value, error.current);
+      }
+      if (error.code === 'EVENT_VETOED') {
+        return sendVeto(res, error.filtered);
+      }
+      if (error.code === 'INVALID_PATCH') {
+        return res.status(422).json({
+          error: 'Patch could not be applied',
+          message: error.message,
+          operationIndex: error.operationIndex ?? null,
+          operation: error.operation ?? null
+        });
+      }
+      if (sendSchemaError(res, error)) {
+        return;
+      }
+      console.error('Error patching data:', error.message);
+      res.status(500).json({ error: 'Failed to patch data' });
+    }
+  }
+);
+
+/**
+ * GET /save/:id/history - List stored revisions for a save
+ */
+router.get('/:id/history', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const saveService = getSaveService(req);
+    const save = await saveService.getSave(id);
+
+    if (!save) {
+      return res.status(404).json({ error: 'Save not found' });
+    }
+
+    const revisions = await saveService.getHistory(id);
+
+    res.json({
+      id: id,
+      currentRevision: save.revision,
+      revisions: revisions.map(rev => ({
+        revision: rev.revision,
+        dataVersion: rev.data_version,
+        source: rev.source,
+        restoredFrom: rev.restored_from,
+        dataSize: rev.data_size,
+        created_at: rev.created_at,
+        current: rev.revision === save.revision
+      })),
+      count: revisions.length
     });
 
   } catch (error) {
-    console.error('Error saving data:', error.message);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error loading save history:', error.message);
+    res.status(500).json({ error: 'Failed to load save history' });
   }
 });
 
 /**
- * GET /save/:id - Load game data by ID
+ * GET /save/:id/revisions/:rev - Load a specific revision of a save
  */
-router.get('/:id', (req, res) => {
-  const { id } = req.params; if (!id || typeof id !== 'string') {
-    return res.status(400).json({ error: 'Invalid id parameter' });
+router.get('/:id/revisions/:rev', async (req, res) => {
+  const { id } = req.params;
+  const revision = parseRevision(req.params.rev);
+
+  if (revision === null) {
+    return res.status(400).json({ error: 'Invalid revision parameter' });
   }
 
   try {
-    const db = req.db; // Use project-specific database
-    const query = 'SELECT data, created_at, updated_at FROM saves WHERE id = ?';
+    const saveService = getSaveService(req);
+    const row = await saveService.getRevision(id, revision);
 
-    db.get(query, [id], (err, row) => {
-      if (err) {
-        console.error('Database error loading data:', err.message);
-        return res.status(500).json({ error: 'Failed to load data' });
-      }
+    if (!row) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
 
-      if (!row) {
-        return res.status(404).json({ error: 'Save not found' });
-      }
+    try {
+      res.json({
+        id: id,
+        revision: row.revision,
+        dataVersion: row.data_version,
+        source: row.source,
+        restoredFrom: row.restored_from,
+        data: JSON.parse(row.data),
+        created_at: row.created_at
+      });
+    } catch (parseError) {
+      console.error('Error parsing revision data:', parseError.message);
+      res.status(500).json({ error: 'Data corruption detected' });
+    }
 
-      try {
-        const data = JSON.parse(row.data);
-        res.json({
-          id: id,
-          data: data,
-          created_at: row.created_at,
-          updated_at: row.updated_at
-        });
-      } catch (parseError) {
-        console.error('Error parsing saved data:', parseError.message);
-        res.status(500).json({ error: 'Data corruption detected' });
-      }
+  } catch (error) {
+    console.error('Error loading save revision:', error.message);
+    res.status(500).json({ error: 'Failed to load revision' });
+  }
+});
+
+/**
+ * POST /save/:id/restore/:rev - Restore a previous revision
+ * The restored payload is written as a new revision, so restores can be undone.
+ * Headers: If-Match (optional) - ETag of the revision being overwritten
+ */
+router.post('/:id/restore/:rev', async (req, res) => {
+  const { id } = req.params;
+  const revision = parseRevision(req.params.rev);
+
+  if (revision === null) {
+    return res.status(400).json({ error: 'Invalid revision parameter' });
+  }
+
+  const expected = parseExpectedRevision(req);
+  if (expected.error) {
+    return res.status(400).json({ error: expected.error });
+  }
+
+  // Restores write stored data unchanged, so filters can only veto them
+  const userId = req.user ? req.user.id : null;
+  const filtered = applyEventFilters(req, 'save.written', { id, userId, source: 'restore', restoredFrom: revision });
+  if (filtered.vetoed) {
+    return sendVeto(res, filtered);
+  }
+
+  try {
+    const saveService = getSaveService(req);
+    const result = await saveService.restoreRevision(id, revision, {
+      expectedRevision: expected.value
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    emitEvent(req, 'save.written', { id, userId, source: 'restore', revision: result.revision, restoredFrom: result.restoredFrom });
+
+    res.set('ETag', formatETag(result.revision));
+    res.json({
+      success: true,
+      id: id,
+      revision: result.revision,
+      restoredFrom: result.restoredFrom,
+      message: `Revision ${revision} restored successfully`
     });
 
   } catch (error) {
-    console.error('Error loading data:', error.message);
-    res.status(500).json({ error: 'Internal server error' });
+    if (error.code === 'SAVE_CONFLICT') {
+      return sendConflict(res, id, expected.value, error.current);
+    }
+    console.error('Error restoring save revision:', error.message);
+    res.status(500).json({ error: 'Failed to restore revision' });
   }
 });
 
 /**
- * GET /save - List all save IDs (useful for debugging)
+ * GET /save/:id - Load game data by ID
+ * Saves older than the project's latest data version are migrated first.
+ * Responds with an ETag of the current revision; If-None-Match yields 304.
  */
-router.get('/', (req, res) => {
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || typeof id !== 'string') {
+    return res.status(400).json({ error: 'Invalid id parameter' });
+  }
+
+  const owner = parseOwner(req);
+  if (owner.error) {
+    return res.status(owner.status).json({ error: owner.error });
+  }
+
   try {
-    const db = req.db; // Use project-specific database
-    const query = 'SELECT id, created_at, updated_at FROM saves ORDER BY updated_at DESC';
+    const saveService = getSaveService(req, owner.userId);
+    const row = await saveService.loadSave(id);
 
-    db.all(query, [], (err, rows) => {
-      if (err) {
-        console.error('Database error listing saves:', err.message);
-        return res.status(500).json({ error: 'Failed to list saves' });
-      }
+    if (!row) {
+      return res.status(404).json({ error: 'Save not found' });
+    }
 
+    try {
+      const data = JSON.parse(row.data);
+      res.set('ETag', formatETag(row.revision));
       res.json({
-        saves: rows,
-        count: rows.length
+        id: id,
+        data: data,
+        revision: row.revision,
+        dataVersion: row.data_version,
+        created_at: row.created_at,
+        updated_at: row.updated_at
       });
+    } catch (parseError) {
+      console.error('Error parsing saved data:', parseError.message);
+      res.status(500).json({ error: 'Data corruption detected' });
+    }
+
+  } catch (error) {
+    if (error.code === 'SAVE_MIGRATION_FAILED' || error.code === 'SAVE_INVALID') {
+      console.error(`Error migrating save ${id}:`, error.message);
+      return res.status(500).json({ error: 'Save migration failed', message: error.message });
+    }
+    console.error('Error loading data:', error.message);
+    res.status(500).json({ error: 'Failed to load data' });
+  }
+});
+
+/**
+ * GET /save - List the caller's save IDs
+ * Authenticated users see their own saves, anonymous callers the shared ones,
+ * and admins every save in the project along with its owner.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const saveService = getSaveService(req);
+    const rows = await saveService.listSaves({ all: !!(req.user && req.user.isAdmin) });
+
+    res.json({
+      saves: rows,
+      count: rows.length
     });
 
   } catch (error) {
     console.error('Error listing saves:', error.message);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(500).json({ error: 'Failed to list saves' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,222 @@
+/**
+ * Inventory Service
+ * Applies quantity changes to user inventories.
+ *
+ * Every write goes through applyOperations(), which runs a list of add/remove
+ * operations inside one transaction: either all of them are applied or none
+ * are. Adds are checked against the project's item catalog (unknown items,
+ * stack caps); stacks that reach zero are deleted.
+ */
+
+const { withTransaction } = require('../../db/transaction');
+const ItemCatalogService = require('./ItemCatalogService');
+
+const OPERATIONS = ['add', 'remove'];
+
+class InventoryService {
+  /**
+   * @param {Object} db - Project database instance
+   * @param {Object} options - Service options
+   * @param {ItemCatalogService} options.catalog - Project item catalog
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.catalog = options.catalog || new ItemCatalogService(db);
+  }
+
+  // Database helper methods using Promise wrapper for SQLite3
+  async dbGet(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async dbRun(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Create an inventory error pointing at the failing operation
+   * @private
+   */
+  _error(code, message, index, operation, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.operationIndex = index;
+    error.operation = operation;
+    Object.assign(error, details);
+    return error;
+  }
+
+  /**
+   * Validate the shape of an operation list before touching the database
+   * @param {Array} operations - [{ op: 'add'|'remove', itemId, quantity }]
+   * @throws {Error} With code 'INVALID_OPERATION' for the first malformed operation
+   */
+  validateOperations(operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw this._error('INVALID_OPERATION', 'operations must be a non-empty array', null, null);
+    }
+    if (operations.length > InventoryService.MAX_OPERATIONS) {
+      throw this._error(
+        'INVALID_OPERATION',
+        `A batch may contain at most ${InventoryService.MAX_OPERATIONS} operations`,
+        null,
+        null
+      );
+    }
+
+    operations.forEach((operation, index) => {
+      if (!operation || typeof operation !== 'object') {
+        throw this._error('INVALID_OPERATION', 'Operation must be an object', index, operation);
+      }
+      if (!OPERATIONS.includes(operation.op)) {
+        throw this._error('INVALID_OPERATION', `op must be one of: ${OPERATIONS.join(', ')}`, index, operation);
+      }
+      if (typeof operation.itemId !== 'string' || operation.itemId.trim().length === 0) {
+        throw this._error('INVALID_OPERATION', 'itemId must be a non-empty string', index, operation);
+      }
+      if (!Number.isInteger(operation.quantity) || operation.quantity < 1) {
+        throw this._error('INVALID_OPERATION', 'quantity must be a positive integer', index, operation);
+      }
+    });
+  }
+
+  /**
+   * Apply add/remove operations to a user's inventory in one transaction
+   * @param {number} userId - Inventory owner
+   * @param {Array} operations - [{ op: 'add'|'remove', itemId, quantity }]
+   * @returns {Promise<Array>} Per-operation results { op, itemId, quantity, previousQuantity }
+   * @throws {Error} With code INVALID_OPERATION, UNKNOWN_ITEM, ITEM_NOT_FOUND,
+   *   INSUFFICIENT_QUANTITY or STACK_LIMIT_EXCEEDED and the failing operationIndex
+   */
+  async applyOperations(userId, operations) {
+    this.validateOperations(operations);
+
+    return withTransaction(this.db, () => this.executeOperations(userId, operations));
+  }
+
+  /**
+   * Apply operations within a database transaction the caller already holds
+   * Used by services that combine inventory changes with their own writes
+   * (e.g. the economy shop debiting a balance).
+   * @param {number} userId - Inventory owner
+   * @param {Array} operations - [{ op: 'add'|'remove', itemId, quantity }]
+   * @returns {Promise<Array>} Per-operation results (see applyOperations)
+   */
+  async executeOperations(userId, operations) {
+    this.validateOperations(operations);
+
+    const results = [];
+    for (let index = 0; index < operations.length; index++) {
+      results.push(await this._applyOperation(userId, operations[index], index));
+    }
+
+    return results;
+  }
+
+  /**
+   * Apply a single operation
+   * @private
+   */
+  async _applyOperation(userId, operation, index) {
+    const { op, itemId, quantity } = operation;
+    const existing = await this.dbGet(
+      'SELECT quantity FROM inventory WHERE user_id = ? AND item_id = ?',
+      [userId, itemId]
+    );
+    const currentQuantity = existing ? existing.quantity : 0;
+
+    if (op === 'add') {
+      let item;
+      try {
+        item = await this.catalog.resolveItem(itemId);
+      } catch (error) {
+        if (error.code === 'UNKNOWN_ITEM') {
+          throw this._error('UNKNOWN_ITEM', error.message, index, operation, { itemId });
+        }
+        throw error;
+      }
+
+      const newQuantity = currentQuantity + quantity;
+      if (!ItemCatalogService.fitsStack(item, newQuantity)) {
+        throw this._error('STACK_LIMIT_EXCEEDED', `Stack limit exceeded for "${itemId}"`, index, operation, {
+          itemId,
+          maxStack: item.max_stack,
+          currentQuantity,
+          requestedQuantity: quantity
+        });
+      }
+
+      if (existing) {
+        await this.dbRun(`
+          UPDATE inventory
+          SET quantity = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE user_id = ? AND item_id = ?
+        `, [newQuantity, userId, itemId]);
+      } else {
+        await this.dbRun(
+          'INSERT INTO inventory (user_id, item_id, quantity) VALUES (?, ?, ?)',
+          [userId, itemId, newQuantity]
+        );
+      }
+
+      return { op, itemId, quantity: newQuantity, previousQuantity: currentQuantity };
+    }
+
+    // remove
+    if (!existing) {
+      throw this._error('ITEM_NOT_FOUND', `Item "${itemId}" not found in inventory`, index, operation, { itemId });
+    }
+    if (currentQuantity < quantity) {
+      throw this._error('INSUFFICIENT_QUANTITY', `Insufficient quantity of "${itemId}"`, index, operation, {
+        itemId,
+        currentQuantity,
+        requestedQuantity: quantity
+      });
+    }
+
+    const newQuantity = currentQuantity - quantity;
+    if (newQuantity === 0) {
+      await this.dbRun('DELETE FROM inventory WHERE user_id = ? AND item_id = ?', [userId, itemId]);
+    } else {
+      await this.dbRun(`
+        UPDATE inventory
+        SET quantity = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND item_id = ?
+      `, [newQuantity, userId, itemId]);
+    }
+
+    return { op, itemId, quantity: newQuantity, previousQuantity: currentQuantity };
+  }
+
+  /**
+   * Add items to a user's inventory
+   * @returns {Promise<Object>} Operation result
+   */
+  async addItem(userId, itemId, quantity) {
+    const [result] = await this.applyOperations(userId, [{ op: 'add', itemId, quantity }]);
+    return result;
+  }
+
+  /**
+   * Remove part of a stack from a user's inventory
+   * @returns {Promise<Object>} Operation result
+   */
+  async removeItem(userId, itemId, quantity) {
+    const [result] = await this.applyOperations(userId, [{ op: 'remove', itemId, quantity }]);
+    return result;
+  }
+}
+
+InventoryService.MAX_OPERATIONS = 100;
+
+module.exports = InventoryService;
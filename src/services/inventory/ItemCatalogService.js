@@ -0,0 +1,313 @@
+/**
+ * Item Catalog Service
+ * Manages the per-project catalog of item definitions used by inventories.
+ *
+ * Once a project has at least one definition, inventory writes are checked
+ * against the catalog: unknown item ids are rejected and stack caps enforced.
+ * Projects that have not defined any items (or set
+ * `inventory.allow_unknown_items`) keep accepting free-form item ids.
+ */
+
+const ITEM_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+class ItemCatalogService {
+  /**
+   * @param {Object} db - Project database instance
+   * @param {Object} inventoryConfig - Project `inventory` configuration block
+   */
+  constructor(db, inventoryConfig = {}) {
+    this.db = db;
+    this.allowUnknownItems = inventoryConfig.allow_unknown_items === true;
+  }
+
+  // Database helper methods using Promise wrapper for SQLite3
+  async dbGet(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async dbAll(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async dbRun(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Convert a database row to the API representation
+   * @param {Object} row - item_definitions row
+   * @returns {Object} Item definition
+   */
+  static formatItem(row) {
+    let properties = {};
+    if (row.properties) {
+      try {
+        properties = JSON.parse(row.properties);
+      } catch (e) {
+        console.warn(`Item ${row.id} has invalid properties JSON`);
+      }
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      category: row.category,
+      max_stack: row.max_stack,
+      tradeable: !!row.tradeable,
+      properties: properties,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Check whether a quantity fits an item's stack cap
+   * @param {Object} item - Item definition (null for uncatalogued items)
+   * @param {number} quantity - Resulting quantity held by the user
+   * @returns {boolean}
+   */
+  static fitsStack(item, quantity) {
+    return !item || item.max_stack === null || item.max_stack === undefined ||
+      quantity <= item.max_stack;
+  }
+
+  /**
+   * Create a catalog error
+   * @private
+   */
+  _error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Validate and normalise definition fields
+   * @private
+   * @param {Object} input - Definition fields from the request
+   * @param {boolean} partial - Whether missing fields are allowed (update)
+   * @returns {Object} Column values keyed by column name
+   * @throws {Error} With code 'INVALID_ITEM'
+   */
+  _normalize(input, partial) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw this._error('INVALID_ITEM', 'Item definition must be an object');
+    }
+
+    const values = {};
+
+    if (!partial || input.name !== undefined) {
+      if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+        throw this._error('INVALID_ITEM', 'name must be a non-empty string');
+      }
+      values.name = input.name.trim();
+    }
+
+    if (input.category !== undefined) {
+      if (input.category !== null && typeof input.category !== 'string') {
+        throw this._error('INVALID_ITEM', 'category must be a string');
+      }
+      values.category = input.category ? input.category.trim() : null;
+    }
+
+    if (input.max_stack !== undefined) {
+      if (input.max_stack !== null && (!Number.isInteger(input.max_stack) || input.max_stack < 1)) {
+        throw this._error('INVALID_ITEM', 'max_stack must be a positive integer or null');
+      }
+      values.max_stack = input.max_stack;
+    }
+
+    if (input.tradeable !== undefined) {
+      if (typeof input.tradeable !== 'boolean') {
+        throw this._error('INVALID_ITEM', 'tradeable must be a boolean');
+      }
+      values.tradeable = input.tradeable ? 1 : 0;
+    }
+
+    if (input.properties !== undefined) {
+      const properties = input.properties === null ? {} : input.properties;
+      if (typeof properties !== 'object' || Array.isArray(properties)) {
+        throw this._error('INVALID_ITEM', 'properties must be a JSON object');
+      }
+      values.properties = JSON.stringify(properties);
+    }
+
+    return values;
+  }
+
+  /**
+   * List item definitions
+   * @param {Object} options - { category }
+   * @returns {Promise<Array>} Item definitions ordered by id
+   */
+  async listItems(options = {}) {
+    const rows = options.category
+      ? await this.dbAll('SELECT * FROM item_definitions WHERE category = ? ORDER BY id', [options.category])
+      : await this.dbAll('SELECT * FROM item_definitions ORDER BY id');
+
+    return rows.map(ItemCatalogService.formatItem);
+  }
+
+  /**
+   * Get a single item definition
+   * @param {string} id - Item id
+   * @returns {Promise<Object|null>} Item definition
+   */
+  async getItem(id) {
+    const row = await this.dbGet('SELECT * FROM item_definitions WHERE id = ?', [id]);
+    return row ? ItemCatalogService.formatItem(row) : null;
+  }
+
+  /**
+   * Get definitions for several item ids
+   * @param {Array<string>} ids - Item ids
+   * @returns {Promise<Map>} Item id -> definition (unknown ids are omitted)
+   */
+  async getItems(ids) {
+    const unique = [...new Set(ids)];
+    if (unique.length === 0) {
+      return new Map();
+    }
+
+    const placeholders = unique.map(() => '?').join(', ');
+    const rows = await this.dbAll(
+      `SELECT * FROM item_definitions WHERE id IN (${placeholders})`,
+      unique
+    );
+
+    return new Map(rows.map(row => [row.id, ItemCatalogService.formatItem(row)]));
+  }
+
+  /**
+   * Whether the catalog is enforced for inventory writes
+   * @returns {Promise<boolean>}
+   */
+  async isEnforced() {
+    if (this.allowUnknownItems) {
+      return false;
+    }
+    const row = await this.dbGet('SELECT 1 AS found FROM item_definitions LIMIT 1');
+    return !!row;
+  }
+
+  /**
+   * Resolve the definition of an item about to be added to an inventory
+   * @param {string} id - Item id
+   * @returns {Promise<Object|null>} Item definition, or null for an allowed uncatalogued item
+   * @throws {Error} With code 'UNKNOWN_ITEM' when the catalog is enforced
+   */
+  async resolveItem(id) {
+    const item = await this.getItem(id);
+    if (item) {
+      return item;
+    }
+
+    if (await this.isEnforced()) {
+      throw this._error('UNKNOWN_ITEM', `Unknown item "${id}"`);
+    }
+    return null;
+  }
+
+  /**
+   * Create an item definition
+   * @param {Object} input - { id, name, category, max_stack, tradeable, properties }
+   * @returns {Promise<Object>} Created definition
+   * @throws {Error} With code 'INVALID_ITEM' or 'ITEM_EXISTS'
+   */
+  async createItem(input) {
+    const id = input && input.id;
+    if (typeof id !== 'string' || !ITEM_ID_PATTERN.test(id)) {
+      throw this._error(
+        'INVALID_ITEM',
+        'id must be 1-64 characters of letters, digits, "_", "-", "." or ":"'
+      );
+    }
+
+    const values = {
+      category: null,
+      max_stack: null,
+      tradeable: 1,
+      properties: '{}',
+      ...this._normalize(input, false)
+    };
+
+    if (await this.getItem(id)) {
+      throw this._error('ITEM_EXISTS', `Item "${id}" already exists`);
+    }
+
+    await this.dbRun(`
+      INSERT INTO item_definitions (id, name, category, max_stack, tradeable, properties)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [id, values.name, values.category, values.max_stack, values.tradeable, values.properties]);
+
+    return this.getItem(id);
+  }
+
+  /**
+   * Update fields of an item definition (the id is immutable)
+   * @param {string} id - Item id
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object|null>} Updated definition, or null if not found
+   * @throws {Error} With code 'INVALID_ITEM'
+   */
+  async updateItem(id, input) {
+    if (input && input.id !== undefined && input.id !== id) {
+      throw this._error('INVALID_ITEM', 'Item id cannot be changed');
+    }
+
+    const values = this._normalize(input, true);
+    const columns = Object.keys(values);
+
+    if (!(await this.getItem(id))) {
+      return null;
+    }
+
+    if (columns.length > 0) {
+      await this.dbRun(`
+        UPDATE item_definitions
+        SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...columns.map(column => values[column]), id]);
+    }
+
+    return this.getItem(id);
+  }
+
+  /**
+   * Count the inventories currently holding an item
+   * @param {string} id - Item id
+   * @returns {Promise<number>}
+   */
+  async countHolders(id) {
+    const row = await this.dbGet('SELECT COUNT(*) AS count FROM inventory WHERE item_id = ?', [id]);
+    return row.count;
+  }
+
+  /**
+   * Delete an item definition
+   * Inventory rows holding the item are kept; they simply lose their definition.
+   * @param {string} id - Item id
+   * @returns {Promise<boolean>} True if a definition was deleted
+   */
+  async deleteItem(id) {
+    const result = await this.dbRun('DELETE FROM item_definitions WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = ItemCatalogService;
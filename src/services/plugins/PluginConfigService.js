@@ -1,19 +1,27 @@
 const { getConfigValue, updateConfig, getProjectConfig, updateProjectConfig } = require('../../utils/config');
+const PluginConfigValidator = require('../../plugins/PluginConfigValidator');
 
 /**
  * Plugin Config Service
  * Handles plugin configuration retrieval, updates, and validation.
+ *
+ * Plugins that declare a `configSchema` keep their settings in the `settings`
+ * block of their config entry; updates are validated against the schema and
+ * stored with its defaults filled in.
  */
 class PluginConfigService {
     /**
      * @param {Object} discoveryService - Instance of PluginDiscoveryService
      * @param {Object} lifecycleService - Instance of PluginLifecycleService (for logging)
      * @param {string} projectId - Project identifier
+     * @param {Object} pluginManager - The project's PluginManager, so saved settings reach the running plugin
      */
-    constructor(discoveryService, lifecycleService, projectId = 'default') {
+    constructor(discoveryService, lifecycleService, projectId = 'default', pluginManager = null) {
         this.discoveryService = discoveryService;
         this.lifecycleService = lifecycleService;
         this.projectId = projectId;
+        this.pluginManager = pluginManager;
+        this.validator = new PluginConfigValidator();
     }
 
     /**
@@ -21,11 +29,12 @@ class PluginConfigService {
      * @private
      */
     _getPluginConfig() {
-        if (this.projectId === 'default') {
-            return getConfigValue('plugins', {});
-        }
+        // The default project lives in the projects list too; only legacy configs keep plugins at the root
         const projectConfig = getProjectConfig(this.projectId);
-        return projectConfig ? projectConfig.plugins : {};
+        if (projectConfig) {
+            return projectConfig.plugins || {};
+        }
+        return this.projectId === 'default' ? getConfigValue('plugins', {}) : {};
     }
 
     /**
@@ -33,26 +42,63 @@ class PluginConfigService {
      * @private
      */
     async _updatePluginConfig(newConfig) {
-        if (this.projectId === 'default') {
-            await updateConfig('plugins', newConfig);
-        } else {
+        if (getProjectConfig(this.projectId)) {
             await updateProjectConfig(this.projectId, 'plugins', newConfig);
+        } else {
+            await updateConfig('plugins', newConfig);
         }
     }
 
+    /**
+     * Find a plugin's configSchema via discovery
+     * @private
+     */
+    async _getSchema(pluginId, fullConfig) {
+        const status = await this.discoveryService.getSystemStatus(fullConfig);
+        const pluginMetadata = status.plugins.find(p => p.id === pluginId);
+        return PluginConfigValidator.hasSchema(pluginMetadata) ? pluginMetadata.configSchema : null;
+    }
+
+    /**
+     * Merge updated settings into the current ones; nested objects merge, arrays are replaced
+     * @private
+     */
+    _mergeSettings(current, updates) {
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const merged = { ...current };
+
+        for (const [key, value] of Object.entries(updates)) {
+            merged[key] = isPlainObject(value) && isPlainObject(current[key])
+                ? this._mergeSettings(current[key], value)
+                : value;
+        }
+
+        return merged;
+    }
+
     /**
      * Get configuration for a specific plugin
      * @param {string} pluginId 
-     * @returns {Promise<Object>}
+     * @returns {Promise<Object>} Includes the schema, the effective settings (defaults filled in) and any fields currently failing it
      */
     async getPluginConfig(pluginId) {
         const config = this._getPluginConfig();
         const pluginConfig = config[pluginId] || {};
+        const schema = await this._getSchema(pluginId, config);
+
+        let settings = pluginConfig.settings || {};
+        let errors = [];
+        if (schema) {
+            ({ settings, errors } = this.validator.resolve(schema, settings));
+        }
 
         return {
             pluginId: pluginId,
             enabled: pluginConfig.enabled || false,
             configuration: pluginConfig,
+            schema: schema,
+            settings: settings,
+            errors: errors,
             lastModified: pluginConfig.lastModified || new Date().toISOString()
         };
     }
@@ -60,8 +106,9 @@ class PluginConfigService {
     /**
      * Update configuration for a specific plugin
      * @param {string} pluginId 
-     * @param {Object} newConfig 
+     * @param {Object} newConfig - Settings to change; validated against the plugin's configSchema when it has one
      * @param {string} adminUser 
+     * @throws {Error} With code 'INVALID_CONFIG' and `errors` ([{ path, message, keyword }]) when settings fail the schema
      */
     async updatePluginConfig(pluginId, newConfig, adminUser = 'system') {
         try {
@@ -73,17 +120,33 @@ class PluginConfigService {
                 throw new Error(`Plugin '${pluginId}' not found in configuration`);
             }
 
-            // Get plugin metadata to find its schema
-            const status = await this.discoveryService.getSystemStatus(fullConfig);
-            const pluginMetadata = status.plugins.find(p => p.id === pluginId);
+            if (!newConfig || typeof newConfig !== 'object' || Array.isArray(newConfig)) {
+                throw new Error('Configuration must be an object');
+            }
 
-            // TODO: In Story 3.4.2, implement full JSON schema validation here
-            // using pluginMetadata.configSchema if it exists
+            // Get plugin metadata to find its schema
+            const schema = await this._getSchema(pluginId, fullConfig);
 
             // Prepare the updated configuration
-            // If the plugin has a 'settings' block, we merge into it
+            // Schema-backed plugins and plugins with a 'settings' block get the values merged into settings
             let updatedPluginConfig;
-            if (currentPluginConfig.settings && typeof currentPluginConfig.settings === 'object') {
+            if (schema) {
+                const merged = this._mergeSettings(currentPluginConfig.settings || {}, newConfig);
+                const result = this.validator.resolve(schema, merged);
+
+                if (!result.valid) {
+                    const error = new Error(`Invalid configuration: ${PluginConfigValidator.formatErrors(result.errors)}`);
+                    error.code = 'INVALID_CONFIG';
+                    error.errors = result.errors;
+                    throw error;
+                }
+
+                updatedPluginConfig = {
+                    ...currentPluginConfig,
+                    settings: result.settings,
+                    lastModified: new Date().toISOString()
+                };
+            } else if (currentPluginConfig.settings && typeof currentPluginConfig.settings === 'object') {
                 updatedPluginConfig = {
                     ...currentPluginConfig,
                     settings: {
@@ -109,6 +172,10 @@ class PluginConfigService {
             // Write back to config file
             await this._updatePluginConfig(updatedFullConfig);
 
+            // Route handlers read settings per request, so they pick the change up right away
+            const applied = Boolean(this.pluginManager && updatedPluginConfig.settings &&
+                this.pluginManager.applyPluginSettings(pluginId, updatedPluginConfig.settings));
+
             // Log the action via lifecycle service
             if (this.lifecycleService) {
                 await this.lifecycleService.logPluginAction('configure', pluginId, {
@@ -120,10 +187,15 @@ class PluginConfigService {
             return {
                 pluginId: pluginId,
                 configuration: updatedPluginConfig,
+                settings: updatedPluginConfig.settings || null,
+                applied: applied,
                 updated: true
             };
         } catch (error) {
             console.error(`❌ Error updating plugin configuration for ${pluginId}:`, error.message);
+            if (error.code === 'INVALID_CONFIG') {
+                throw error;
+            }
             throw new Error(`Failed to update plugin configuration: ${error.message}`);
         }
     }
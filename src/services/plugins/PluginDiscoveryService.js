@@ -2,6 +2,9 @@ const fs = require('fs');
 const path = require('path');
 const { getConfigValue, updateConfig } = require('../../utils/config');
 const PluginValidator = require('../../plugins/PluginValidator');
+const PluginDependencyResolver = require('../../plugins/PluginDependencyResolver');
+const PluginServiceRegistry = require('../../plugins/PluginServiceRegistry');
+const PluginPermissions = require('../../plugins/PluginPermissions');
 
 /**
  * PluginDiscoveryService - Handles finding and identifying plugins on disk
@@ -65,7 +68,16 @@ class PluginDiscoveryService {
                 version: plugin.version || '1.0.0',
                 description: plugin.description || 'No description available',
                 author: plugin.author || 'Unknown',
+                ssbackendVersion: plugin.ssbackendVersion || null,
                 dependencies: plugin.dependencies || [],
+                provides: plugin.provides || [],
+                requires: plugin.requires || [],
+                permissions: plugin.permissions || PluginPermissions.normalize(),
+                // Shown to admins before an external plugin is enabled
+                permissionSummary: new PluginPermissions(plugin.name, plugin.permissions, {
+                    pluginPath: plugin.path,
+                    trusted: plugin.type === 'internal'
+                }).describe(),
                 adminUI: plugin.adminUI || null,
                 configSchema: plugin.configSchema || null,
                 metadata: {
@@ -114,6 +126,7 @@ class PluginDiscoveryService {
             };
 
             const allPlugins = await this.getSystemStatus(projectPluginConfig);
+            const resolver = new PluginDependencyResolver();
             validation.summary.totalPlugins = allPlugins.plugins.length;
             validation.summary.enabledPlugins = allPlugins.plugins.filter(p => p.enabled).length;
 
@@ -129,29 +142,78 @@ class PluginDiscoveryService {
                     validation.valid = false;
                 }
 
+                // Check host compatibility (only blocks plugins that are meant to run)
+                const hostVersionError = resolver.checkHostVersion({ ssbackend_version: plugin.ssbackendVersion });
+                if (hostVersionError) {
+                    (plugin.enabled ? validation.issues : validation.warnings).push({
+                        type: 'incompatible_ssbackend_version',
+                        plugin: plugin.id,
+                        message: `Plugin ${plugin.id} ${hostVersionError}`,
+                        suggestion: 'Install a plugin release built for this SSBackend version'
+                    });
+                    if (plugin.enabled) validation.valid = false;
+                }
+
                 // Check dependencies
                 if (plugin.enabled && plugin.dependencies) {
-                    for (const depName of plugin.dependencies) {
-                        const depPlugin = allPlugins.plugins.find(p => p.id === depName);
+                    const issues = resolver.checkDependencies(plugin.dependencies, (name) => {
+                        const depPlugin = allPlugins.plugins.find(p => p.id === name);
+                        return depPlugin ? { version: depPlugin.version, active: depPlugin.enabled } : null;
+                    });
 
-                        if (!depPlugin) {
+                    for (const issue of issues) {
+                        if (issue.reason === 'missing') {
                             validation.issues.push({
                                 type: 'missing_dependency',
                                 plugin: plugin.id,
-                                message: `Missing dependency: ${depName}`
+                                message: `Missing dependency: ${issue.name}${issue.version === '*' ? '' : ` ${issue.version}`}`
+                            });
+                            validation.valid = false;
+                        } else if (issue.reason === 'version') {
+                            validation.issues.push({
+                                type: 'dependency_version_mismatch',
+                                plugin: plugin.id,
+                                message: `Plugin ${plugin.id} ${issue.message}`,
+                                suggestion: `Install a version of ${issue.name} matching ${issue.version}`
                             });
                             validation.valid = false;
-                        } else if (!depPlugin.enabled) {
+                        } else {
                             validation.warnings.push({
                                 type: 'disabled_dependency',
                                 plugin: plugin.id,
-                                message: `Dependency '${depName}' is disabled`
+                                message: `Dependency '${issue.name}' is disabled`
                             });
                         }
                     }
                 }
             }
 
+            // Services required by enabled plugins must come from enabled providers
+            for (const plugin of allPlugins.plugins.filter(p => p.enabled)) {
+                for (const issue of PluginServiceRegistry.checkDeclaredRequirements(plugin.requires, allPlugins.plugins)) {
+                    validation.issues.push({
+                        type: issue.reason === 'inactive' ? 'disabled_service_provider' : issue.reason === 'version' ? 'service_version_mismatch' : 'missing_service',
+                        plugin: plugin.id,
+                        message: `Plugin ${plugin.id} ${issue.message}`,
+                        suggestion: issue.provider ? `Enable or update plugin ${issue.provider}` : `Install a plugin that provides ${issue.name}`
+                    });
+                    validation.valid = false;
+                }
+            }
+
+            // Enabled plugins that depend on each other in a loop can never be activated
+            const { cycles } = resolver.sortByDependencies(
+                allPlugins.plugins.filter(p => p.enabled).map(p => ({ name: p.id, dependencies: p.dependencies }))
+            );
+            for (const cycle of cycles) {
+                validation.issues.push({
+                    type: 'circular_dependency',
+                    plugin: cycle[0],
+                    message: `Circular plugin dependency: ${cycle.join(' → ')}`
+                });
+                validation.valid = false;
+            }
+
             validation.summary.issuesFound = validation.issues.length;
             validation.summary.warningsFound = validation.warnings.length;
 
@@ -286,7 +348,13 @@ class PluginDiscoveryService {
                 version: manifest.version || '1.0.0',
                 description: manifest.description || `${type === 'internal' ? 'Internal' : 'External'} ${dirName} plugin`,
                 author: manifest.author || (type === 'internal' ? 'System' : 'Unknown'),
+                ssbackendVersion: manifest.ssbackend_version || null,
                 dependencies: manifest.dependencies || [],
+                provides: Array.isArray(manifest.provides)
+                    ? manifest.provides.map(entry => PluginServiceRegistry.normalizeProvided(entry, manifest.version || '1.0.0'))
+                    : [],
+                requires: Array.isArray(manifest.requires) ? manifest.requires : [],
+                permissions: PluginPermissions.normalize(manifest.permissions),
                 adminUI: manifest.adminUI || null,
                 configSchema: manifest.configSchema || null,
                 hasRoutes,
@@ -309,7 +377,7 @@ class PluginDiscoveryService {
      */
     async checkSuppressedPlugins(projectPluginConfig = null, updateCallback = null) {
         const pluginConfig = projectPluginConfig || getConfigValue('plugins', {});
-        const SETTING_KEYS = ['enabled', 'auto_discover', 'auto_enable_discovered', 'watch_for_changes'];
+        const SETTING_KEYS = ['enabled', 'auto_discover', 'auto_enable_discovered', 'watch_for_changes', 'hot_reload'];
         let changed = false;
 
         for (const [pluginName, config] of Object.entries(pluginConfig)) {
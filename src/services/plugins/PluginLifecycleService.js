@@ -1,5 +1,16 @@
 const { getConfigValue, updateConfig, getProjectConfig, updateProjectConfig } = require('../../utils/config');
+const fs = require('fs');
 const path = require('path');
+const PluginDependencyResolver = require('../../plugins/PluginDependencyResolver');
+const PluginServiceRegistry = require('../../plugins/PluginServiceRegistry');
+const PluginPermissions = require('../../plugins/PluginPermissions');
+const GuardedDatabase = require('../../db/GuardedDatabase');
+
+// Table names declared in migration files, e.g. CREATE TABLE IF NOT EXISTS plugin_currencies
+const CREATE_TABLE_PATTERN = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?[`"']?(plugin_\w+)/gi;
+
+// Plugin system bookkeeping tables, never dropped on behalf of a single plugin
+const SYSTEM_TABLES = ['plugin_migrations', 'plugin_audit_log'];
 
 /**
  * Plugin Lifecycle Service
@@ -11,11 +22,14 @@ class PluginLifecycleService {
      * @param {Object} db - Database instance
      * @param {Object} discoveryService - Instance of PluginDiscoveryService
      * @param {string} projectId - Project identifier
+     * @param {Object} pluginManager - Project's PluginManager, used to unload removed plugins
      */
-    constructor(db, discoveryService, projectId = 'default') {
+    constructor(db, discoveryService, projectId = 'default', pluginManager = null) {
         this.db = db;
         this.discoveryService = discoveryService;
         this.projectId = projectId;
+        this.pluginManager = pluginManager;
+        this.dependencyResolver = new PluginDependencyResolver();
     }
 
     /**
@@ -23,11 +37,12 @@ class PluginLifecycleService {
      * @private
      */
     _getPluginConfig() {
-        if (this.projectId === 'default') {
-            return getConfigValue('plugins', {});
-        }
+        // The default project lives in the projects list too; only legacy configs keep plugins at the root
         const projectConfig = getProjectConfig(this.projectId);
-        return projectConfig ? projectConfig.plugins : {};
+        if (projectConfig) {
+            return projectConfig.plugins || {};
+        }
+        return this.projectId === 'default' ? getConfigValue('plugins', {}) : {};
     }
 
     /**
@@ -35,10 +50,10 @@ class PluginLifecycleService {
      * @private
      */
     async _updatePluginConfig(newConfig) {
-        if (this.projectId === 'default') {
-            await updateConfig('plugins', newConfig);
-        } else {
+        if (getProjectConfig(this.projectId)) {
             await updateProjectConfig(this.projectId, 'plugins', newConfig);
+        } else {
+            await updateConfig('plugins', newConfig);
         }
     }
 
@@ -103,7 +118,9 @@ class PluginLifecycleService {
 
             // Log the action
             await this.logPluginAction('enable', pluginId, {
-                dependenciesEnabled: dependencyCheck.dependenciesToEnable
+                dependenciesEnabled: dependencyCheck.dependenciesToEnable,
+                // What the admin granted by enabling it
+                permissions: targetPlugin.type === 'internal' ? 'trusted' : targetPlugin.permissions
             }, adminUser);
 
             return {
@@ -220,7 +237,232 @@ class PluginLifecycleService {
     }
 
     /**
-     * Resolve dependencies for a plugin
+     * Describe what removing a plugin touches, so callers can confirm data loss first
+     * @param {string} pluginId - Plugin identifier
+     * @returns {Promise<Object>} Plugin summary, recorded migrations and existing plugin tables
+     */
+    async getRemovalPlan(pluginId) {
+        const config = this._getPluginConfig();
+        const allPlugins = await this.discoveryService.getSystemStatus(config);
+        const targetPlugin = allPlugins.plugins.find(p => p.id === pluginId);
+
+        if (!targetPlugin) {
+            throw new Error(`Plugin '${pluginId}' not found`);
+        }
+
+        const pluginPath = targetPlugin.metadata.path;
+        const MigrationManager = require('../../db/migrations/MigrationManager');
+        const migrationManager = new MigrationManager(this.db);
+
+        const applied = this.db
+            ? await migrationManager.getAppliedPluginMigrations(pluginId, path.join(pluginPath, 'migrations'))
+            : [];
+
+        const dependents = await this.analyzeDependents(pluginId, allPlugins);
+        const permissions = this._getPluginPermissions(targetPlugin);
+
+        return {
+            pluginId,
+            name: targetPlugin.name,
+            type: targetPlugin.type,
+            version: targetPlugin.version,
+            enabled: targetPlugin.enabled,
+            path: pluginPath,
+            inConfig: Boolean(config[pluginId]),
+            dependents: dependents.allDependents,
+            enabledDependents: dependents.enabledDependents,
+            migrations: applied.map(row => ({
+                version: row.version,
+                name: row.name,
+                appliedAt: row.applied_at,
+                reversible: row.reversible
+            })),
+            // External plugins only ever get to drop the tables they own
+            tables: (await this._getPluginTables(pluginPath))
+                .filter(table => permissions.trusted || permissions.ownsTable(table.name))
+        };
+    }
+
+    /**
+     * Remove an external plugin: disable it, optionally roll back its migrations and
+     * drop its tables, then delete its directory and its config entry
+     * @param {string} pluginId - Plugin identifier
+     * @param {Object} options - { rollback: run each migration's down(), purge: drop remaining plugin tables,
+     *   force: remove even though enabled plugins depend on it }
+     * @param {string} adminUser - Admin user performing the action
+     * @returns {Promise<Object>} Operation result
+     */
+    async removePlugin(pluginId, options = {}, adminUser = 'system') {
+        try {
+            const plan = await this.getRemovalPlan(pluginId);
+
+            if (plan.type === 'internal') {
+                throw new Error(`'${pluginId}' is an internal plugin and can only be disabled`);
+            }
+            if (plan.enabledDependents.length > 0 && !options.force) {
+                throw new Error(`Enabled plugins depend on '${pluginId}': ${plan.enabledDependents.join(', ')}. Disable them first or use force`);
+            }
+
+            // Refuse anything outside plugins/ before touching data
+            const pluginDir = path.resolve(plan.path);
+            const pluginsRoot = path.resolve(this.discoveryService.pluginDir);
+            if (!pluginDir.startsWith(pluginsRoot + path.sep) ||
+                pluginDir.startsWith(path.resolve(this.discoveryService.internalPluginDir) + path.sep)) {
+                throw new Error(`Refusing to delete ${pluginDir}: not inside ${pluginsRoot}`);
+            }
+
+            if (plan.enabled) {
+                await this.disablePlugin(pluginId, adminUser);
+            }
+            if (this.pluginManager && this.pluginManager.activePlugins.has(pluginId)) {
+                await this.pluginManager.deactivatePlugin(pluginId);
+            }
+
+            const MigrationManager = require('../../db/migrations/MigrationManager');
+            const migrationManager = new MigrationManager(this.db);
+
+            // down() runs with the same grants the plugin's migrations had, and purge only drops tables it owns
+            const permissions = this._getPluginPermissions({ id: pluginId, name: plan.name, type: plan.type, metadata: { path: pluginDir } });
+
+            let rolledBack = [];
+            if (options.rollback) {
+                const result = await migrationManager.rollbackPluginFromPath(pluginId, path.join(pluginDir, 'migrations'), {
+                    db: this.db && new GuardedDatabase(this.db, permissions)
+                });
+                rolledBack = result.migrations.map(m => m.version);
+            }
+
+            const droppedTables = [];
+            if (options.purge) {
+                // Reverse declaration order so tables referencing others go first
+                const tables = (await this._getPluginTables(pluginDir)).filter(table => permissions.ownsTable(table.name));
+                for (const table of tables.reverse()) {
+                    await this._run(`DROP TABLE IF EXISTS "${table.name}"`);
+                    droppedTables.push(table.name);
+                }
+                await migrationManager.removePluginMigrationRecords(pluginId);
+            }
+
+            fs.rmSync(pluginDir, { recursive: true, force: true });
+
+            if (plan.inConfig) {
+                if (this.pluginManager) {
+                    await this.pluginManager.purgePlugin(pluginId);
+                } else {
+                    const config = { ...this._getPluginConfig() };
+                    delete config[pluginId];
+                    await this._updatePluginConfig(config);
+                }
+            }
+
+            await this.logPluginAction('remove', pluginId, {
+                path: pluginDir,
+                rolledBack,
+                droppedTables
+            }, adminUser);
+
+            return {
+                pluginId: pluginId,
+                action: 'remove',
+                success: true,
+                message: 'Plugin removed successfully',
+                removedPath: pluginDir,
+                rolledBack,
+                droppedTables
+            };
+        } catch (error) {
+            console.error(`❌ Error removing plugin ${pluginId}:`, error.message);
+            await this.logPluginAction('remove_failed', pluginId, { error: error.message }, adminUser);
+            throw new Error(`Failed to remove plugin: ${error.message}`);
+        }
+    }
+
+    /**
+     * Grants from a plugin's manifest.permissions; internal plugins are trusted
+     * @private
+     * @param {Object} plugin - Discovered plugin ({ id, type, metadata: { path } })
+     * @returns {PluginPermissions}
+     */
+    _getPluginPermissions(plugin) {
+        let declared;
+        try {
+            const PluginPackager = require('../../plugins/PluginPackager');
+            declared = PluginPackager.loadPlugin(plugin.metadata.path).manifest.permissions;
+        } catch (error) {
+            // Without a loadable manifest the plugin keeps only its own tables
+        }
+
+        return new PluginPermissions(plugin.name || plugin.id, declared, {
+            pluginPath: plugin.metadata.path,
+            trusted: plugin.type === 'internal'
+        });
+    }
+
+    /**
+     * Find the plugin_* tables a plugin declares (schemas or migrations) that exist in the database
+     * @private
+     * @returns {Promise<Array>} [{ name, rows }] in declaration order
+     */
+    async _getPluginTables(pluginPath) {
+        if (!this.db) return [];
+
+        const declared = [];
+        const addTable = (name) => {
+            if (name && !declared.includes(name) && !SYSTEM_TABLES.includes(name)) declared.push(name);
+        };
+
+        const migrationsPath = path.join(pluginPath, 'migrations');
+        if (fs.existsSync(migrationsPath)) {
+            const files = fs.readdirSync(migrationsPath).filter(f => f.endsWith('.js')).sort();
+            for (const file of files) {
+                const source = fs.readFileSync(path.join(migrationsPath, file), 'utf8');
+                for (const match of source.matchAll(CREATE_TABLE_PATTERN)) {
+                    addTable(match[1]);
+                }
+            }
+        }
+
+        try {
+            const PluginPackager = require('../../plugins/PluginPackager');
+            const plugin = PluginPackager.loadPlugin(pluginPath);
+            for (const schema of plugin.schemas || []) {
+                if (!schema.table) continue;
+                addTable(schema.table.startsWith('plugin_') ? schema.table : `plugin_${schema.table}`);
+            }
+        } catch (error) {
+            // A plugin that no longer loads can still have its migration tables listed
+        }
+
+        const existing = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'plugin\\_%' ESCAPE '\\'`,
+                (err, rows) => err ? reject(err) : resolve(rows.map(row => row.name))
+            );
+        });
+
+        const tables = [];
+        for (const name of declared.filter(table => existing.includes(table))) {
+            const row = await new Promise((resolve, reject) => {
+                this.db.get(`SELECT COUNT(*) AS count FROM "${name}"`, (err, result) => err ? reject(err) : resolve(result));
+            });
+            tables.push({ name, rows: row.count });
+        }
+
+        return tables;
+    }
+
+    /**
+     * Run a statement against the project database
+     * @private
+     */
+    _run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    /**
+     * Resolve dependencies for a plugin, checking the host version and each dependency's version range
      * @param {string} pluginId 
      * @param {Object} allPluginsStatus 
      */
@@ -231,28 +473,43 @@ class PluginLifecycleService {
             return { canEnable: false, reason: 'Plugin not found' };
         }
 
-        const dependencies = targetPlugin.dependencies || [];
-        const dependenciesToEnable = [];
+        const hostVersionError = this.dependencyResolver.checkHostVersion({ ssbackend_version: targetPlugin.ssbackendVersion });
+        if (hostVersionError) {
+            return { canEnable: false, reason: `${pluginId} ${hostVersionError}` };
+        }
 
-        for (const depName of dependencies) {
-            const depPlugin = allPluginsStatus.plugins.find(p => p.id === depName);
+        const dependencies = PluginDependencyResolver.normalizeAll(targetPlugin.dependencies);
+        const issues = this.dependencyResolver.checkDependencies(dependencies, (name) => {
+            const depPlugin = allPluginsStatus.plugins.find(p => p.id === name);
+            return depPlugin ? { version: depPlugin.version } : null;
+        });
 
-            if (!depPlugin) {
-                return {
-                    canEnable: false,
-                    reason: `Required dependency '${depName}' not found`
-                };
-            }
+        if (issues.length > 0) {
+            return {
+                canEnable: false,
+                reason: `${pluginId} ${issues.map(issue => issue.message).join('; ')}`,
+                unmetDependencies: issues
+            };
+        }
 
-            if (!depPlugin.enabled) {
-                dependenciesToEnable.push(depName);
-            }
+        // Service providers are not enabled on the consumer's behalf; they must be enabled first
+        const serviceIssues = PluginServiceRegistry.checkDeclaredRequirements(targetPlugin.requires, allPluginsStatus.plugins);
+        if (serviceIssues.length > 0) {
+            return {
+                canEnable: false,
+                reason: `${pluginId} ${serviceIssues.map(issue => issue.message).join('; ')}`,
+                unmetServices: serviceIssues
+            };
         }
 
+        const dependenciesToEnable = dependencies
+            .filter(dep => !allPluginsStatus.plugins.find(p => p.id === dep.name).enabled)
+            .map(dep => dep.name);
+
         return {
             canEnable: true,
             dependenciesToEnable: dependenciesToEnable,
-            allDependencies: dependencies
+            allDependencies: dependencies.map(dep => dep.name)
         };
     }
 
@@ -265,8 +522,14 @@ class PluginLifecycleService {
         const enabledDependents = [];
         const allDependents = [];
 
+        const target = allPluginsStatus.plugins.find(p => p.id === pluginId);
+        const providedServices = (target?.provides || []).map(service => service.name);
+
         for (const plugin of allPluginsStatus.plugins) {
-            if (plugin.dependencies && plugin.dependencies.includes(pluginId)) {
+            const dependencyNames = PluginDependencyResolver.normalizeAll(plugin.dependencies).map(dep => dep.name);
+            const usesServices = (plugin.requires || [])
+                .some(entry => providedServices.includes(PluginServiceRegistry.normalizeRequired(entry).name));
+            if (dependencyNames.includes(pluginId) || (plugin.id !== pluginId && usesServices)) {
                 allDependents.push(plugin.id);
                 if (plugin.enabled) {
                     enabledDependents.push(plugin.id);
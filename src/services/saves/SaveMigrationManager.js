@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SaveMigrationManager - Upgrades save payloads between data format versions
+ *
+ * Modelled on MigrationManager, but transforms the JSON `data` of individual
+ * saves instead of the database schema. Each project may point
+ * `saves.migrations_path` at a directory of numbered modules:
+ *
+ *   000001_add_stamina.js
+ *   000002_rename_gold.js
+ *
+ * exporting `{ version, name, description, up(data, context) }`, where `up`
+ * upgrades a payload from `version - 1` to `version` and returns the result
+ * (it may also mutate `data` in place). Saves written before any migration
+ * existed are at version 0.
+ *
+ * @class SaveMigrationManager
+ */
+class SaveMigrationManager {
+  /**
+   * @param {string|null} migrationsPath - Directory containing transform modules
+   */
+  constructor(migrationsPath = null) {
+    this.migrationsPath = migrationsPath ? path.resolve(process.cwd(), migrationsPath) : null;
+    this.migrations = this._discoverMigrations();
+  }
+
+  /**
+   * Discover and validate transform modules
+   * @private
+   * @returns {Array} Migration objects ordered by version
+   */
+  _discoverMigrations() {
+    if (!this.migrationsPath) {
+      return [];
+    }
+
+    if (!fs.existsSync(this.migrationsPath)) {
+      throw new Error(`Save migrations directory not found: ${this.migrationsPath}`);
+    }
+
+    const files = fs.readdirSync(this.migrationsPath)
+      .filter(f => f.match(/^\d{6}_.*\.js$/))
+      .sort();
+
+    const migrations = files.map(file => {
+      const filePath = path.join(this.migrationsPath, file);
+      const migration = require(filePath);
+
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Save migration ${file} has no up() function`);
+      }
+
+      return {
+        version: migration.version,
+        name: migration.name || file,
+        description: migration.description || '',
+        filePath,
+        up: migration.up
+      };
+    });
+
+    // Versions must run 1..N without gaps so every save has a path to latest
+    migrations.forEach((migration, index) => {
+      if (migration.version !== index + 1) {
+        throw new Error(
+          `Save migration ${path.basename(migration.filePath)} has version ${migration.version}, ` +
+          `expected ${index + 1}`
+        );
+      }
+    });
+
+    return migrations;
+  }
+
+  /**
+   * Get the latest save data version
+   * @returns {number} Latest version (0 when no migrations exist)
+   */
+  getLatestVersion() {
+    return this.migrations.length;
+  }
+
+  /**
+   * Check whether a save at the given version needs upgrading
+   * @param {number} version - Current data version of the save
+   * @returns {boolean}
+   */
+  needsMigration(version) {
+    return (version || 0) < this.getLatestVersion();
+  }
+
+  /**
+   * List transform modules for status output
+   * @returns {Array} { version, name, description }
+   */
+  list() {
+    return this.migrations.map(({ version, name, description }) => ({ version, name, description }));
+  }
+
+  /**
+   * Upgrade a save payload to the latest version
+   * The input is not modified; transforms run against a copy.
+   * @param {Object} data - Save payload
+   * @param {number} fromVersion - Current data version of the payload
+   * @param {Object} context - Passed to each transform (e.g. { id })
+   * @returns {Promise<Object>} { data, fromVersion, toVersion, applied: [{ version, name }] }
+   * @throws {Error} With code 'SAVE_MIGRATION_FAILED' and the failing `version`
+   */
+  async migrate(data, fromVersion = 0, context = {}) {
+    let result = structuredClone(data);
+    const applied = [];
+
+    for (const migration of this.migrations.filter(m => m.version > fromVersion)) {
+      try {
+        const output = await migration.up(result, context);
+        result = output === undefined ? result : output;
+      } catch (error) {
+        const migrationError = new Error(
+          `Save migration ${migration.version} (${migration.name}) failed: ${error.message}`
+        );
+        migrationError.code = 'SAVE_MIGRATION_FAILED';
+        migrationError.version = migration.version;
+        throw migrationError;
+      }
+
+      if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        const migrationError = new Error(
+          `Save migration ${migration.version} (${migration.name}) did not return an object`
+        );
+        migrationError.code = 'SAVE_MIGRATION_FAILED';
+        migrationError.version = migration.version;
+        throw migrationError;
+      }
+
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return {
+      data: result,
+      fromVersion,
+      toVersion: Math.max(fromVersion, this.getLatestVersion()),
+      applied
+    };
+  }
+}
+
+module.exports = SaveMigrationManager;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+/**
+ * Save Schema Registry
+ * Holds the JSON Schemas a project registers for its save payloads.
+ *
+ * Schemas are declared in the project's `saves.schemas` config block, either
+ * inline or as a path to a JSON file, and are picked for a save by name (the
+ * `schema` field of POST /save) or by a save id prefix.
+ *
+ * A schema that fails to load is kept in the registry with its error, so the
+ * admin endpoint can report it and writes selecting it fail instead of
+ * silently skipping validation.
+ */
+class SaveSchemaRegistry {
+  /**
+   * @param {Array} schemaConfigs - Entries of the `saves.schemas` config block
+   * @param {string} baseDir - Directory relative schema files are resolved from
+   */
+  constructor(schemaConfigs = [], baseDir = process.cwd()) {
+    this.baseDir = baseDir;
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.schemas = new Map();
+
+    (schemaConfigs || []).forEach((entry, index) => this._register(entry, index));
+  }
+
+  /**
+   * Load and compile a single schema entry
+   * @private
+   */
+  _register(entry, index) {
+    const name = entry && entry.name;
+    if (!name || typeof name !== 'string') {
+      console.warn(`⚠️  Ignoring saves.schemas[${index}]: missing name`);
+      return;
+    }
+
+    const record = {
+      name,
+      idPrefix: entry.id_prefix || null,
+      file: entry.file || null,
+      schema: null,
+      validate: null,
+      error: null
+    };
+
+    try {
+      if (entry.schema) {
+        record.schema = entry.schema;
+      } else if (entry.file) {
+        const filePath = path.resolve(this.baseDir, entry.file);
+        record.schema = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } else {
+        throw new Error('Either "schema" or "file" is required');
+      }
+
+      record.validate = this.ajv.compile(record.schema);
+    } catch (error) {
+      record.error = error.message;
+      console.warn(`⚠️  Failed to load save schema "${name}": ${error.message}`);
+    }
+
+    this.schemas.set(name, record);
+  }
+
+  /**
+   * Whether any schemas are registered
+   * @returns {boolean}
+   */
+  hasSchemas() {
+    return this.schemas.size > 0;
+  }
+
+  /**
+   * Get a registered schema by name
+   * @param {string} name - Schema name
+   * @returns {Object|null} Schema record
+   */
+  get(name) {
+    return this.schemas.get(name) || null;
+  }
+
+  /**
+   * Find the schema for a save id by prefix (longest prefix wins)
+   * @param {string} id - Save identifier
+   * @returns {Object|null} Schema record
+   */
+  matchId(id) {
+    let match = null;
+
+    for (const record of this.schemas.values()) {
+      if (record.idPrefix && id.startsWith(record.idPrefix)) {
+        if (!match || record.idPrefix.length > match.idPrefix.length) {
+          match = record;
+        }
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Validate save data against a schema
+   * @param {string} name - Schema name
+   * @param {Object} data - Save payload
+   * @returns {Array} Validation errors as { path, message, keyword }; empty when valid
+   * @throws {Error} With code 'UNKNOWN_SCHEMA' or 'SCHEMA_UNAVAILABLE'
+   */
+  validate(name, data) {
+    const record = this.get(name);
+    if (!record) {
+      const error = new Error(`Unknown save schema "${name}"`);
+      error.code = 'UNKNOWN_SCHEMA';
+      throw error;
+    }
+    if (!record.validate) {
+      const error = new Error(`Save schema "${name}" is unavailable: ${record.error}`);
+      error.code = 'SCHEMA_UNAVAILABLE';
+      throw error;
+    }
+
+    if (record.validate(data)) {
+      return [];
+    }
+
+    return record.validate.errors.map(error => ({
+      path: this._errorPath(error),
+      message: error.message,
+      keyword: error.keyword
+    }));
+  }
+
+  /**
+   * Build a JSON pointer for a validation error, pointing at the offending
+   * property for required/additionalProperties errors
+   * @private
+   */
+  _errorPath(error) {
+    const escape = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    let pointer = error.instancePath;
+
+    if (error.keyword === 'required') {
+      pointer += `/${escape(error.params.missingProperty)}`;
+    } else if (error.keyword === 'additionalProperties') {
+      pointer += `/${escape(error.params.additionalProperty)}`;
+    }
+
+    return pointer;
+  }
+
+  /**
+   * List registered schemas for the admin API
+   * @returns {Array} Schema summaries including the schema documents
+   */
+  list() {
+    return Array.from(this.schemas.values()).map(record => ({
+      name: record.name,
+      idPrefix: record.idPrefix,
+      source: record.file || 'inline',
+      status: record.error ? 'error' : 'loaded',
+      error: record.error,
+      schema: record.schema
+    }));
+  }
+}
+
+module.exports = SaveSchemaRegistry;
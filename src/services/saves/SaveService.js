@@ -0,0 +1,538 @@
+/**
+ * Save Service
+ * Handles game save persistence with a bounded revision history.
+ *
+ * Every write bumps the save's revision counter and records the payload in
+ * save_revisions, so a bad client build can always be rolled back. History is
+ * pruned per save id according to the project's `saves.history` settings.
+ *
+ * When constructed for an authenticated user, save ids are namespaced to that
+ * user (stored as `user:<userId>:<id>`), so two players can both own "slot1".
+ *
+ * Payloads carry a data version; saves older than the project's latest save
+ * migration are upgraded when loaded (see SaveMigrationManager).
+ */
+
+const { withTransaction } = require('../../db/transaction');
+
+class SaveService {
+  /**
+   * @param {Object} db - Project database instance
+   * @param {Object} savesConfig - Project `saves` configuration block
+   * @param {Object} options - Service options
+   * @param {number|null} options.userId - Owning user; null for the shared namespace
+   * @param {SaveSchemaRegistry} options.schemas - Project save schemas
+   * @param {SaveMigrationManager} options.migrations - Project save data migrations
+   */
+  constructor(db, savesConfig = {}, options = {}) {
+    this.db = db;
+    this.userId = options.userId ?? null;
+    this.schemaRegistry = options.schemas || null;
+    this.migrations = options.migrations || null;
+    this.historyConfig = {
+      ...SaveService.DEFAULT_HISTORY,
+      ...(savesConfig.history || {})
+    };
+  }
+
+  // Database helper methods using Promise wrapper for SQLite3
+  async dbGet(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async dbAll(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async dbRun(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function (err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Run a unit of work inside a database transaction
+   * @private
+   * @param {Function} work - Async function performing the queries
+   * @returns {Promise<*>} Result of the work function
+   */
+  _withTransaction(work) {
+    return withTransaction(this.db, work);
+  }
+
+  /**
+   * Check whether a client-supplied id falls in the reserved user namespace
+   * @param {string} id - Save identifier
+   * @returns {boolean} True if the id must not be used directly
+   */
+  static isReservedId(id) {
+    return typeof id === 'string' && id.startsWith(SaveService.USER_PREFIX);
+  }
+
+  /**
+   * Map a client save id to the id stored in the database
+   * @private
+   */
+  _storageId(id) {
+    return this.userId !== null ? `${SaveService.USER_PREFIX}${this.userId}:${id}` : id;
+  }
+
+  /**
+   * Map a stored save id back to the id the client knows
+   * @private
+   * @param {string} storageId - Stored save id
+   * @param {number|null} userId - Owner of the save (default: this service's user)
+   */
+  _clientId(storageId, userId = this.userId) {
+    const prefix = userId !== null ? `${SaveService.USER_PREFIX}${userId}:` : '';
+    return prefix && storageId.startsWith(prefix) ? storageId.substring(prefix.length) : storageId;
+  }
+
+  /**
+   * Get a save by id
+   * @param {string} id - Save identifier
+   * @returns {Promise<Object|null>} Save row with raw JSON data, or null
+   */
+  async getSave(id) {
+    const row = await this.dbGet(
+      `SELECT id, data, revision, data_version, schema, user_id, created_at, updated_at
+       FROM saves WHERE id = ?`,
+      [this._storageId(id)]
+    );
+    return row ? { ...row, id } : null;
+  }
+
+  /**
+   * Get a save by id, first upgrading it to the latest data version
+   * The upgraded payload is stored as a new revision (source 'migration').
+   * @param {string} id - Save identifier
+   * @returns {Promise<Object|null>} Save row with raw JSON data, or null
+   * @throws {Error} With code 'SAVE_MIGRATION_FAILED' if a transform fails
+   */
+  async loadSave(id) {
+    const row = await this.getSave(id);
+    if (!row || !this._needsMigration(row)) {
+      return row;
+    }
+
+    try {
+      await this._commitRevision(id, async (current) => {
+        // Another request may have upgraded the save since it was read
+        if (!current || !this._needsMigration(current)) {
+          const error = new Error('Save is up to date');
+          error.code = 'SAVE_UP_TO_DATE';
+          throw error;
+        }
+        return this._upgradeData(id, current);
+      }, { source: 'migration' });
+    } catch (error) {
+      if (error.code !== 'SAVE_UP_TO_DATE') {
+        throw error;
+      }
+    }
+
+    return this.getSave(id);
+  }
+
+  /**
+   * List saves in this service's namespace (without payloads)
+   * @param {Object} options - List options
+   * @param {boolean} options.all - List every save in the project with its owner (admin)
+   * @returns {Promise<Array>} Save rows
+   */
+  async listSaves(options = {}) {
+    if (options.all) {
+      const rows = await this.dbAll(
+        `SELECT s.id, s.revision, s.data_version, s.user_id, u.username, s.created_at, s.updated_at
+         FROM saves s
+         LEFT JOIN users u ON u.id = s.user_id
+         ORDER BY s.updated_at DESC`
+      );
+      // Ids as their owner sees them, so a service for user_id can load each one
+      return rows.map(row => ({ ...row, id: this._clientId(row.id, row.user_id) }));
+    }
+
+    const rows = this.userId !== null
+      ? await this.dbAll(
+        'SELECT id, revision, data_version, created_at, updated_at FROM saves WHERE user_id = ? ORDER BY updated_at DESC',
+        [this.userId]
+      )
+      : await this.dbAll(
+        'SELECT id, revision, data_version, created_at, updated_at FROM saves WHERE user_id IS NULL ORDER BY updated_at DESC'
+      );
+
+    return rows.map(row => ({ ...row, id: this._clientId(row.id) }));
+  }
+
+  /**
+   * Write a new revision of a save
+   * @param {string} id - Save identifier
+   * @param {Object} data - Save payload
+   * @param {Object} options - Write options
+   * @param {string} options.source - What produced this revision ('save', 'restore', ...)
+   * @param {number} options.restoredFrom - Revision this write was restored from
+   * @param {number|string} options.expectedRevision - Revision the client last saw
+   *   (0 = save must not exist yet, '*' = save must exist). Omit to skip the check.
+   * @param {string} options.schema - Name of the project save schema to validate against.
+   *   Defaults to the schema the save was last written with, then to an id prefix match.
+   * @param {boolean} options.validate - Set false to skip schema validation
+   * @param {number} options.dataVersion - Data version of the payload (default: latest)
+   * @returns {Promise<Object>} { id, revision }
+   * @throws {Error} With code 'SAVE_CONFLICT' and the current save row as `current`,
+   *   or code 'SAVE_INVALID' with the failing `schema` and validation `errors`
+   */
+  async writeSave(id, data, options = {}) {
+    return this._commitRevision(id, () => data, options);
+  }
+
+  /**
+   * Apply a partial update to a save as a new revision
+   * The patch runs against the stored payload inside the write transaction, so
+   * a failing patch leaves the save untouched. Outdated payloads are upgraded
+   * to the latest data version before the patch is applied.
+   * @param {string} id - Save identifier
+   * @param {Function} applyPatch - Receives the current payload, returns the new payload
+   * @param {Object} options - Write options (see writeSave)
+   * @returns {Promise<Object|null>} { id, revision } or null if the save does not exist
+   */
+  async patchSave(id, applyPatch, options = {}) {
+    try {
+      return await this._commitRevision(id, async (current) => {
+        if (!current) {
+          const error = new Error('Save not found');
+          error.code = 'SAVE_NOT_FOUND';
+          throw error;
+        }
+        return applyPatch(await this._upgradeData(id, current));
+      }, { source: 'patch', ...options });
+    } catch (error) {
+      if (error.code === 'SAVE_NOT_FOUND') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the payload produced by buildData as the next revision of a save
+   * @private
+   * @param {string} id - Save identifier
+   * @param {Function} buildData - Receives the current save row (or undefined), may be async
+   * @param {Object} options - Write options (see writeSave)
+   */
+  async _commitRevision(id, buildData, options = {}) {
+    const { source = 'save', restoredFrom = null, expectedRevision = null, validate = true } = options;
+    const dataVersion = options.dataVersion ?? this._latestVersion();
+    const storageId = this._storageId(id);
+
+    return this._withTransaction(async () => {
+      const current = await this.dbGet(
+        'SELECT id, data, revision, data_version, schema, created_at, updated_at FROM saves WHERE id = ?',
+        [storageId]
+      );
+
+      if (expectedRevision !== null && !this._matchesRevision(current, expectedRevision)) {
+        const error = new Error('Save revision conflict');
+        error.code = 'SAVE_CONFLICT';
+        error.current = current || null;
+        throw error;
+      }
+
+      const data = await buildData(current);
+      const schema = this._resolveSchema(id, options.schema, current);
+
+      if (schema && validate) {
+        this._validate(schema, data);
+      }
+
+      const dataString = JSON.stringify(data);
+      const revision = current ? current.revision + 1 : 1;
+
+      await this.dbRun(
+        `INSERT INTO saves (id, data, revision, data_version, user_id, schema, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(id) DO UPDATE SET
+           data = excluded.data,
+           revision = excluded.revision,
+           data_version = excluded.data_version,
+           schema = excluded.schema,
+           updated_at = CURRENT_TIMESTAMP`,
+        [storageId, dataString, revision, dataVersion, this.userId, schema]
+      );
+
+      await this.dbRun(
+        `INSERT INTO save_revisions (save_id, revision, data, data_version, source, restored_from)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [storageId, revision, dataString, dataVersion, source, restoredFrom]
+      );
+
+      await this._pruneHistory(storageId, revision);
+
+      return { id, revision };
+    });
+  }
+
+  /**
+   * Validate a payload against a registered schema
+   * Without a registry (e.g. the project's schemas were removed) a save keeps its schema
+   * name but there is nothing to validate against, so the payload is accepted.
+   * @private
+   * @throws {Error} With code 'SAVE_INVALID', the `schema` name and validation `errors`
+   */
+  _validate(schema, data) {
+    if (!this.schemaRegistry) return;
+
+    const errors = this.schemaRegistry.validate(schema, data);
+    if (errors.length > 0) {
+      const error = new Error(`Save data does not match schema "${schema}"`);
+      error.code = 'SAVE_INVALID';
+      error.schema = schema;
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Latest save data version of the project
+   * @private
+   */
+  _latestVersion() {
+    return this.migrations ? this.migrations.getLatestVersion() : 0;
+  }
+
+  /**
+   * @private
+   */
+  _needsMigration(row) {
+    return !!this.migrations && this.migrations.needsMigration(row.data_version);
+  }
+
+  /**
+   * Parse a save row's payload and upgrade it to the latest data version
+   * @private
+   * @returns {Promise<Object>} Upgraded payload
+   */
+  async _upgradeData(id, row) {
+    const data = JSON.parse(row.data);
+    if (!this._needsMigration(row)) {
+      return data;
+    }
+
+    const result = await this.migrations.migrate(data, row.data_version, { id });
+    return result.data;
+  }
+
+  /**
+   * Upgrade every outdated save in the project
+   * Intended for the `db saves:migrate` CLI; ids are used as stored.
+   * @param {Object} options - Migration options
+   * @param {boolean} options.dryRun - Report what would change without writing
+   * @returns {Promise<Object>} Report { latestVersion, total, migrated, failed, results }
+   */
+  async migrateAll(options = {}) {
+    const latestVersion = this._latestVersion();
+    const rows = await this.dbAll(
+      'SELECT id, data, data_version, schema FROM saves WHERE data_version < ? ORDER BY id',
+      [latestVersion]
+    );
+
+    const results = [];
+
+    for (const row of rows) {
+      const result = {
+        id: row.id,
+        fromVersion: row.data_version,
+        toVersion: latestVersion,
+        applied: [],
+        status: options.dryRun ? 'pending' : 'migrated'
+      };
+
+      try {
+        const migration = await this.migrations.migrate(JSON.parse(row.data), row.data_version, { id: row.id });
+        result.applied = migration.applied.map(m => m.version);
+
+        const schema = this._resolveSchema(row.id, null, row);
+        if (schema) {
+          this._validate(schema, migration.data);
+        }
+
+        if (!options.dryRun) {
+          await this.loadSave(row.id);
+        }
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+        if (error.errors) {
+          result.errors = error.errors;
+        }
+      }
+
+      results.push(result);
+    }
+
+    return {
+      latestVersion,
+      total: rows.length,
+      migrated: results.filter(r => r.status !== 'failed').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      dryRun: !!options.dryRun,
+      results
+    };
+  }
+
+  /**
+   * Pick the schema a write is validated against
+   * An explicit name must be registered; otherwise the save keeps the schema it
+   * was last written with, falling back to an id prefix match.
+   * @private
+   * @returns {string|null} Schema name
+   */
+  _resolveSchema(id, requested, current) {
+    if (requested) {
+      if (!this.schemaRegistry || !this.schemaRegistry.get(requested)) {
+        const error = new Error(`Unknown save schema "${requested}"`);
+        error.code = 'UNKNOWN_SCHEMA';
+        throw error;
+      }
+      return requested;
+    }
+
+    if (!this.schemaRegistry) {
+      return current ? current.schema || null : null;
+    }
+
+    if (current && current.schema && this.schemaRegistry.get(current.schema)) {
+      return current.schema;
+    }
+
+    const match = this.schemaRegistry.matchId(id);
+    return match ? match.name : null;
+  }
+
+  /**
+   * Check a save row against the revision a client expects
+   * @private
+   */
+  _matchesRevision(current, expectedRevision) {
+    if (expectedRevision === '*') {
+      return !!current;
+    }
+    if (expectedRevision === 0) {
+      return !current;
+    }
+    return !!current && current.revision === expectedRevision;
+  }
+
+  /**
+   * Get the revision history of a save (newest first, without payloads)
+   * @param {string} id - Save identifier
+   * @returns {Promise<Array>} Revision metadata
+   */
+  async getHistory(id) {
+    return this.dbAll(
+      `SELECT revision, data_version, source, restored_from, created_at, LENGTH(data) as data_size
+       FROM save_revisions
+       WHERE save_id = ?
+       ORDER BY revision DESC`,
+      [this._storageId(id)]
+    );
+  }
+
+  /**
+   * Get a single revision of a save
+   * @param {string} id - Save identifier
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>} Revision row with raw JSON data, or null
+   */
+  async getRevision(id, revision) {
+    const row = await this.dbGet(
+      `SELECT save_id, revision, data, data_version, source, restored_from, created_at
+       FROM save_revisions
+       WHERE save_id = ? AND revision = ?`,
+      [this._storageId(id), revision]
+    );
+    return row || null;
+  }
+
+  /**
+   * Restore a previous revision by writing it as a new revision
+   * History is never rewritten, so a restore can itself be undone. Restored
+   * payloads skip schema validation: they were accepted when first written.
+   * @param {string} id - Save identifier
+   * @param {number} revision - Revision to restore
+   * @param {Object} options - Write options
+   * @param {number|string} options.expectedRevision - See writeSave()
+   * @returns {Promise<Object|null>} { id, revision, restoredFrom } or null if not found
+   */
+  async restoreRevision(id, revision, options = {}) {
+    const target = await this.getRevision(id, revision);
+    if (!target) {
+      return null;
+    }
+
+    const result = await this.writeSave(id, JSON.parse(target.data), {
+      source: 'restore',
+      restoredFrom: revision,
+      validate: false,
+      dataVersion: target.data_version,
+      expectedRevision: options.expectedRevision ?? null
+    });
+
+    return { ...result, restoredFrom: revision };
+  }
+
+  /**
+   * Drop revisions beyond the configured count and age limits
+   * The current revision is always kept.
+   * @private
+   */
+  async _pruneHistory(id, currentRevision) {
+    const maxRevisions = parseInt(this.historyConfig.max_revisions);
+    const maxAgeDays = parseInt(this.historyConfig.max_age_days);
+
+    if (maxRevisions > 0) {
+      await this.dbRun(
+        `DELETE FROM save_revisions
+         WHERE save_id = ? AND revision <= ?`,
+        [id, currentRevision - maxRevisions]
+      );
+    }
+
+    if (maxAgeDays > 0) {
+      await this.dbRun(
+        `DELETE FROM save_revisions
+         WHERE save_id = ? AND revision < ?
+           AND created_at < datetime('now', ?)`,
+        [id, currentRevision, `-${maxAgeDays} days`]
+      );
+    }
+  }
+}
+
+/**
+ * Id prefix of saves owned by a user
+ */
+SaveService.USER_PREFIX = 'user:';
+
+/**
+ * Default history retention (0 disables a limit)
+ */
+SaveService.DEFAULT_HISTORY = {
+  max_revisions: 20,
+  max_age_days: 30
+};
+
+module.exports = SaveService;
@@ -0,0 +1,315 @@
+/**
+ * JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) helpers
+ *
+ * Patches are applied to a deep copy of the document, so a failing operation
+ * never leaves the input half-modified. Errors carry code 'INVALID_PATCH' and,
+ * for JSON Patch, the index of the operation that failed.
+ */
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Create a patch error pointing at the failing operation
+ * @param {string} message - Error description
+ * @param {number} index - Index of the failing operation (null for merge patch)
+ * @param {Object} operation - The failing operation
+ * @returns {Error} Error with code 'INVALID_PATCH'
+ */
+function createPatchError(message, index = null, operation = null) {
+  const error = new Error(message);
+  error.code = 'INVALID_PATCH';
+  error.operationIndex = index;
+  error.operation = operation;
+  return error;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasOwn(target, key) {
+  return Object.prototype.hasOwnProperty.call(target, key);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length &&
+    keysA.every(key => hasOwn(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Split a JSON Pointer (RFC 6901) into unescaped reference tokens
+ * @param {string} pointer - JSON Pointer, e.g. "/player/items/0"
+ * @returns {Array<string>} Reference tokens
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string') {
+    throw new Error('path must be a string');
+  }
+  if (pointer === '') {
+    return [];
+  }
+  if (pointer[0] !== '/') {
+    throw new Error(`Invalid JSON pointer "${pointer}"`);
+  }
+
+  return pointer.substring(1).split('/').map(token => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (key === '__proto__') {
+      throw new Error(`Invalid JSON pointer "${pointer}"`);
+    }
+    return key;
+  });
+}
+
+/**
+ * Resolve an array index token
+ * @param {Array} array - Target array
+ * @param {string} token - Reference token
+ * @param {boolean} allowEnd - Whether "-" and array.length are valid (add)
+ * @returns {number} Array index
+ */
+function resolveIndex(array, token, allowEnd) {
+  if (token === '-' && allowEnd) {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new Error(`Invalid array index "${token}"`);
+  }
+
+  const index = parseInt(token);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (index > max) {
+    throw new Error(`Array index ${index} is out of bounds`);
+  }
+  return index;
+}
+
+/**
+ * Walk to the container holding the last token of a path
+ * @returns {Object} { parent, key } where parent is an object or array
+ */
+function resolveParent(document, tokens, pointer) {
+  let parent = document;
+
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const token = tokens[i];
+    if (Array.isArray(parent)) {
+      parent = parent[resolveIndex(parent, token, false)];
+    } else if (isObject(parent) && hasOwn(parent, token)) {
+      parent = parent[token];
+    } else {
+      throw new Error(`Path "${pointer}" does not exist`);
+    }
+  }
+
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+function getValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return document;
+  }
+
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    return parent[resolveIndex(parent, key, false)];
+  }
+  if (!hasOwn(parent, key)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return parent[key];
+}
+
+function addValue(document, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(resolveIndex(parent, key, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+}
+
+function removeValue(document, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw new Error('Cannot remove the document root');
+  }
+
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(resolveIndex(parent, key, false), 1);
+  } else {
+    if (!hasOwn(parent, key)) {
+      throw new Error(`Path "${pointer}" does not exist`);
+    }
+    delete parent[key];
+  }
+  return document;
+}
+
+function replaceValue(document, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent[resolveIndex(parent, key, false)] = value;
+  } else {
+    if (!hasOwn(parent, key)) {
+      throw new Error(`Path "${pointer}" does not exist`);
+    }
+    parent[key] = value;
+  }
+  return document;
+}
+
+/**
+ * Apply a single JSON Patch operation
+ * @returns {*} The updated document (may be a new root)
+ */
+function applyOperation(document, operation) {
+  switch (operation.op) {
+    case 'add':
+      return addValue(document, operation.path, structuredClone(operation.value));
+
+    case 'remove':
+      return removeValue(document, operation.path);
+
+    case 'replace':
+      return replaceValue(document, operation.path, structuredClone(operation.value));
+
+    case 'move': {
+      if (operation.path === operation.from || operation.path.startsWith(`${operation.from}/`)) {
+        if (operation.path !== operation.from) {
+          throw new Error('Cannot move a value into one of its own children');
+        }
+        return document;
+      }
+      const value = getValue(document, operation.from);
+      document = removeValue(document, operation.from);
+      return addValue(document, operation.path, value);
+    }
+
+    case 'copy':
+      return addValue(document, operation.path, structuredClone(getValue(document, operation.from)));
+
+    case 'test':
+      if (!deepEqual(getValue(document, operation.path), operation.value)) {
+        throw new Error(`Test failed: value at "${operation.path}" does not match`);
+      }
+      return document;
+
+    default:
+      throw new Error(`Unknown operation "${operation.op}"`);
+  }
+}
+
+/**
+ * Validate the shape of a JSON Patch document before applying it
+ * @param {Array} operations - JSON Patch operations
+ * @throws {Error} INVALID_PATCH error for the first malformed operation
+ */
+function validateJsonPatch(operations) {
+  if (!Array.isArray(operations)) {
+    throw createPatchError('JSON Patch must be an array of operations');
+  }
+
+  operations.forEach((operation, index) => {
+    if (!isObject(operation)) {
+      throw createPatchError('Operation must be an object', index, operation);
+    }
+    if (!JSON_PATCH_OPERATIONS.includes(operation.op)) {
+      throw createPatchError(`Unknown operation "${operation.op}"`, index, operation);
+    }
+    if (typeof operation.path !== 'string') {
+      throw createPatchError('Operation is missing "path"', index, operation);
+    }
+    if (['add', 'replace', 'test'].includes(operation.op) && !hasOwn(operation, 'value')) {
+      throw createPatchError(`"${operation.op}" operation is missing "value"`, index, operation);
+    }
+    if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+      throw createPatchError(`"${operation.op}" operation is missing "from"`, index, operation);
+    }
+  });
+}
+
+/**
+ * Apply an RFC 6902 JSON Patch
+ * @param {*} document - Document to patch (not modified)
+ * @param {Array} operations - JSON Patch operations
+ * @returns {*} Patched copy of the document
+ * @throws {Error} INVALID_PATCH error with operationIndex of the failing operation
+ */
+function applyJsonPatch(document, operations) {
+  validateJsonPatch(operations);
+
+  let result = structuredClone(document);
+  operations.forEach((operation, index) => {
+    try {
+      result = applyOperation(result, operation);
+    } catch (error) {
+      throw createPatchError(error.message, index, operation);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Apply an RFC 7396 JSON Merge Patch
+ * @param {*} target - Document to patch (not modified)
+ * @param {*} patch - Merge patch; null members delete keys
+ * @returns {*} Patched copy of the document
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isObject(target) ? structuredClone(target) : {};
+
+  Object.keys(patch).forEach(key => {
+    if (key === '__proto__') {
+      throw createPatchError('Invalid merge patch key "__proto__"');
+    }
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], patch[key]);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  applyJsonPatch,
+  applyMergePatch,
+  validateJsonPatch,
+  parsePointer
+};
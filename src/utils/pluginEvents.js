@@ -0,0 +1,59 @@
+/**
+ * Request-scoped helpers for core routes that expose events to plugins
+ *
+ * Both go through the project's PluginManager (req.pluginManager); without one
+ * filters pass the payload through unchanged and emits report nothing.
+ */
+
+/**
+ * Run filter hooks for an event before the write happens
+ * @param {Object} req - Express request
+ * @param {string} event - Event name, e.g. 'save.written'
+ * @param {Object} payload - Proposed payload
+ * @returns {Object} { vetoed, reason, plugin, payload }
+ */
+function applyEventFilters(req, event, payload) {
+  if (!req.pluginManager || !req.pluginManager.events) {
+    return { vetoed: false, reason: null, plugin: null, payload };
+  }
+  return req.pluginManager.events.applyFilters(event, payload);
+}
+
+/**
+ * Notify listeners after the write happened; never rejects
+ * @param {Object} req - Express request
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @returns {Promise<Object>} { results: [{ plugin, value }], errors: [{ plugin, error }] }
+ */
+async function emitEvent(req, event, payload) {
+  if (!req.pluginManager || !req.pluginManager.events) {
+    return { results: [], errors: [] };
+  }
+
+  try {
+    return await req.pluginManager.events.emit(event, payload);
+  } catch (error) {
+    // Payload could not be copied for listeners; the write itself already succeeded
+    console.error(`❌ Failed to emit "${event}":`, error.message);
+    return { results: [], errors: [{ plugin: null, error: error.message }] };
+  }
+}
+
+/**
+ * Respond to a request whose write a filter hook vetoed
+ * @param {Object} res - Express response
+ * @param {Object} filtered - Result of applyEventFilters
+ */
+function sendVeto(res, filtered) {
+  res.status(403).json({
+    error: filtered.reason,
+    plugin: filtered.plugin
+  });
+}
+
+module.exports = {
+  applyEventFilters,
+  emitEvent,
+  sendVeto
+};
@@ -0,0 +1,106 @@
+/**
+ * Integration Test for the Database Transaction Helper
+ *
+ * Verifies against an in-memory database that:
+ * 1. Work that throws is rolled back and the error reaches the caller.
+ * 2. Concurrent withTransaction() calls on one connection run one at a time.
+ * 3. A query issued directly on the connection while a transaction is open runs
+ *    inside it and is rolled back with it, while queued transactions are not.
+ */
+
+const sqlite3 = require('sqlite3');
+const { withTransaction } = require('../src/db/transaction');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+async function names(db) {
+    return (await all(db, 'SELECT name FROM items ORDER BY id')).map(row => row.name).join();
+}
+
+async function runDbTransactionTest() {
+    console.log('🧪 Running Database Transaction Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await run(db, 'CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+
+        // 1. Rollback
+        console.log('🔍 Testing rollback...');
+        let failure = null;
+        await withTransaction(db, async () => {
+            await run(db, "INSERT INTO items (name) VALUES ('lost')");
+            throw new Error('work failed');
+        }).catch(error => {
+            failure = error;
+        });
+        assert(failure && failure.message === 'work failed', 'The work\'s error should be rethrown');
+        assert(await names(db) === '', 'The failed work should be rolled back');
+        console.log('   ✅ Failed work rolled back');
+
+        // 2. Queueing
+        console.log('\n🔍 Testing concurrent transactions...');
+        const order = [];
+        await Promise.all(['a', 'b', 'c'].map(name => withTransaction(db, async () => {
+            order.push(`start ${name}`);
+            await run(db, 'INSERT INTO items (name) VALUES (?)', [name]);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            order.push(`end ${name}`);
+        })));
+        assert(order.join() === 'start a,end a,start b,end b,start c,end c', `Transactions should not overlap: ${order.join()}`);
+        assert(await names(db) === 'a,b,c', 'Every queued transaction should commit');
+        console.log('   ✅ Transactions on one connection run one at a time');
+
+        // 3. Queries outside the queue
+        console.log('\n🔍 Testing queries issued during an open transaction...');
+        await run(db, 'DELETE FROM items');
+        let release;
+        let inserted;
+        const gate = new Promise(resolve => { release = resolve; });
+        const started = new Promise(resolve => { inserted = resolve; });
+
+        const failing = withTransaction(db, async () => {
+            await run(db, "INSERT INTO items (name) VALUES ('inside')");
+            inserted();
+            await gate;
+            throw new Error('work failed');
+        }).catch(() => {});
+        await started;
+
+        const direct = run(db, "INSERT INTO items (name) VALUES ('direct')");
+        const queued = withTransaction(db, () => run(db, "INSERT INTO items (name) VALUES ('queued')"));
+        await direct;
+        release();
+        await failing;
+        await queued;
+
+        assert(await names(db) === 'queued', `Only the queued write should survive, got ${await names(db)}`);
+        console.log('   ✅ Direct queries join the open transaction; queued ones wait for it');
+
+        console.log('\n🎉 Database transaction tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Database transaction test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runDbTransactionTest();
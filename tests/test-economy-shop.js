@@ -0,0 +1,151 @@
+/**
+ * Integration Test for the Economy Shop
+ *
+ * Verifies against an in-memory database that:
+ * 1. A purchase debits the balance, credits the inventory, reduces stock and
+ *    records the purchase.
+ * 2. Insufficient balances, per-user limits and empty stock reject a purchase
+ *    without writing anything.
+ * 3. A purchase that fails after the debit (an inventory stack limit) is rolled
+ *    back as a whole.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MigrationManager = require('../src/db/migrations/MigrationManager');
+const InventoryService = require('../src/services/inventory/InventoryService');
+const ItemCatalogService = require('../src/services/inventory/ItemCatalogService');
+const CurrencyService = require('../plugins/@core/economy/services/CurrencyService');
+const TransactionService = require('../plugins/@core/economy/services/TransactionService');
+const ShopService = require('../plugins/@core/economy/services/ShopService');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../plugins/@core/economy/migrations');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+async function expectError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.code === code, `Expected ${code}, got ${error.code || error.message}`);
+        return error;
+    }
+    throw new Error(`Expected ${code}, but the call succeeded`);
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+async function setup(db) {
+    await new MigrationManager(db).migrate();
+    const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d{6}_.*\.js$/.test(file)).sort();
+    for (const file of migrations) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(db);
+    }
+
+    for (const username of ['ann', 'bob', 'cat']) {
+        await run(db, "INSERT INTO users (username, password) VALUES (?, 'x')", [username]);
+    }
+}
+
+/**
+ * Snapshot of everything a purchase writes, for checking that a rejected
+ * purchase left no trace
+ */
+async function snapshot(db) {
+    return JSON.stringify(await Promise.all([
+        get(db, "SELECT GROUP_CONCAT(user_id || ':' || currency_id || '=' || balance) AS v FROM plugin_user_balances"),
+        get(db, "SELECT GROUP_CONCAT(user_id || ':' || item_id || '=' || quantity) AS v FROM inventory"),
+        get(db, "SELECT GROUP_CONCAT(id || '=' || stock) AS v FROM plugin_shop_listings"),
+        get(db, 'SELECT COUNT(*) AS v FROM plugin_shop_purchases'),
+        get(db, 'SELECT COUNT(*) AS v FROM plugin_transactions')
+    ]));
+}
+
+async function runEconomyShopTest() {
+    console.log('🧪 Running Economy Shop Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await setup(db);
+        const catalog = new ItemCatalogService(db);
+        const inventory = new InventoryService(db);
+        const currencyService = new CurrencyService(db);
+        const transactionService = new TransactionService(db);
+        const shop = new ShopService(db, { transactionService, inventoryService: inventory });
+
+        await catalog.createItem({ id: 'potion', name: 'Potion', max_stack: 5 });
+        await catalog.createItem({ id: 'sword', name: 'Sword' });
+        await currencyService.createCurrency({ id: 'coins', name: 'Coins' });
+        await currencyService.createCurrency({ id: 'gems', name: 'Gems' });
+        for (const [userId, currencyId, amount] of [[1, 'coins', 100], [2, 'gems', 10], [3, 'gems', 10]]) {
+            await transactionService.processTransaction({ userId, currencyId, amount, type: 'admin', source: 'test' });
+        }
+
+        await shop.createListing({
+            id: 'potion-pack', itemId: 'potion', quantity: 2, prices: { coins: 10, gems: 1 }, stock: 3, perUserLimit: 2
+        });
+        await shop.createListing({ id: 'sword', itemId: 'sword', prices: { coins: 500 } });
+
+        // 1. Successful purchase
+        console.log('🔍 Testing a purchase...');
+        const bought = await shop.purchase({ userId: 1, listingId: 'potion-pack', currencyId: 'coins' });
+        assert(bought.price === 10 && bought.balanceAfter === 90, 'The price should be debited');
+        assert(bought.quantity === 2 && bought.inventoryQuantity === 2, 'The listing quantity should be credited');
+        assert(bought.stockRemaining === 2, 'Stock should go down by one unit');
+        assert((await shop.getListing('potion-pack')).stock === 2, 'Stock should be stored');
+        assert(await shop.getUserPurchaseCount(1, 'potion-pack') === 1, 'The purchase should be recorded');
+        const debit = await get(db, 'SELECT amount, source_id FROM plugin_transactions WHERE id = ?', [bought.transactionId]);
+        assert(debit.amount === -10 && debit.source_id === bought.purchaseId, 'The debit should link to the purchase');
+        console.log('   ✅ Balance, inventory, stock and purchase log updated');
+
+        // 2. Rejected purchases
+        console.log('\n🔍 Testing rejected purchases...');
+        let before = await snapshot(db);
+        await expectError(shop.purchase({ userId: 1, listingId: 'sword', currencyId: 'coins' }), 'INSUFFICIENT_BALANCE');
+        await expectError(shop.purchase({ userId: 1, listingId: 'potion-pack', currencyId: 'coins', units: 2 }), 'PURCHASE_LIMIT_REACHED');
+        await expectError(shop.purchase({ userId: 1, listingId: 'sword', currencyId: 'gems' }), 'CURRENCY_NOT_ACCEPTED');
+        await expectError(shop.purchase({ userId: 1, listingId: 'shield', currencyId: 'coins' }), 'LISTING_NOT_FOUND');
+        assert(await snapshot(db) === before, 'Rejected purchases should write nothing');
+
+        await shop.purchase({ userId: 2, listingId: 'potion-pack', currencyId: 'gems', units: 2 });
+        before = await snapshot(db);
+        await expectError(shop.purchase({ userId: 3, listingId: 'potion-pack', currencyId: 'gems' }), 'OUT_OF_STOCK');
+        assert(await snapshot(db) === before, 'An out of stock purchase should write nothing');
+        console.log('   ✅ Insufficient balance, limits and stock leave no trace');
+
+        // 3. Rollback after the debit
+        console.log('\n🔍 Testing rollback after the debit...');
+        await shop.updateListing('potion-pack', { stock: null });
+        await inventory.addItem(1, 'potion', 2);
+        before = await snapshot(db);
+        await expectError(shop.purchase({ userId: 1, listingId: 'potion-pack', currencyId: 'coins' }), 'STACK_LIMIT_EXCEEDED');
+        assert(await snapshot(db) === before, 'The debit should be rolled back with the failed inventory credit');
+        console.log('   ✅ Failed purchases are all-or-nothing');
+
+        console.log('\n🎉 Economy shop tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Economy shop test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runEconomyShopTest();
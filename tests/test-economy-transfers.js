@@ -0,0 +1,148 @@
+/**
+ * Integration Test for Economy Transfers
+ *
+ * Verifies against an in-memory database that:
+ * 1. Transfers deduct the currency's fee and record both sides of the transfer.
+ * 2. Non-transferable currencies, self transfers and unknown recipients are rejected.
+ * 3. The plugin's single-transfer and daily volume limits are enforced.
+ * 4. Insufficient balances and the recipient's max_balance reject the transfer
+ *    without changing either balance.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const CurrencyService = require('../plugins/@core/economy/services/CurrencyService');
+const TransactionService = require('../plugins/@core/economy/services/TransactionService');
+const TransferService = require('../plugins/@core/economy/services/TransferService');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../plugins/@core/economy/migrations');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+async function expectError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.code === code, `Expected ${code}, got ${error.code || error.message}`);
+        return error;
+    }
+    throw new Error(`Expected ${code}, but the call succeeded`);
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+async function setup(db) {
+    await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL)');
+    for (const username of ['ann', 'bob', 'cat']) {
+        await run(db, 'INSERT INTO users (username) VALUES (?)', [username]);
+    }
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d{6}_.*\.js$/.test(file)).sort();
+    for (const file of migrations) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(db);
+    }
+}
+
+async function balanceOf(db, userId, currencyId) {
+    const row = await get(db, 'SELECT balance FROM plugin_user_balances WHERE user_id = ? AND currency_id = ?', [userId, currencyId]);
+    return row ? row.balance : 0;
+}
+
+async function countRows(db, table) {
+    return (await get(db, `SELECT COUNT(*) AS count FROM ${table}`)).count;
+}
+
+async function runEconomyTransfersTest() {
+    console.log('🧪 Running Economy Transfers Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await setup(db);
+        const currencyService = new CurrencyService(db);
+        const transactionService = new TransactionService(db);
+        const transfers = new TransferService(db, { transactionService, currencyService });
+
+        await currencyService.createCurrency({
+            id: 'coins', name: 'Coins', config: { transferFeeRate: 0.1, minTransferFee: 1, maxTransferFee: 5 }
+        });
+        await currencyService.createCurrency({ id: 'gems', name: 'Gems', transferable: false });
+        await currencyService.createCurrency({ id: 'tokens', name: 'Tokens', max_balance: 50 });
+
+        for (const [userId, currencyId, amount] of [[1, 'coins', 1000], [1, 'gems', 10], [1, 'tokens', 50], [2, 'tokens', 40], [3, 'coins', 5]]) {
+            await transactionService.processTransaction({ userId, currencyId, amount, type: 'admin', source: 'test' });
+        }
+
+        // 1. Fees
+        console.log('🔍 Testing transfer fees...');
+        const first = await transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'coins', amount: 20 });
+        assert(first.fee === 2 && first.amountReceived === 18, `Expected a 10% fee, got ${first.fee}`);
+        const second = await transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'coins', amount: 100 });
+        assert(second.fee === 5 && second.amountReceived === 95, `Expected the fee capped at 5, got ${second.fee}`);
+        assert(await balanceOf(db, 1, 'coins') === 880, 'Sender should be debited the full amount');
+        assert(await balanceOf(db, 2, 'coins') === 113, 'Recipient should be credited the amount after fees');
+        await expectError(transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'coins', amount: 1 }), 'INVALID_TRANSFER');
+
+        const legs = await get(db, "SELECT COUNT(*) AS count FROM plugin_transactions WHERE source = 'transfer' AND source_id = ?", [first.transferId]);
+        assert(legs.count === 2, 'A transfer should write a debit and a credit transaction');
+        assert(await countRows(db, 'plugin_transfers') === 2, 'Each transfer should be recorded once');
+        console.log('   ✅ Fees deducted and both legs recorded');
+
+        // 2. Eligibility
+        console.log('\n🔍 Testing transfer eligibility...');
+        await expectError(transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'gems', amount: 5 }), 'TRANSFER_NOT_ALLOWED');
+        await expectError(transfers.transfer({ fromUserId: 1, toUserId: 1, currencyId: 'coins', amount: 5 }), 'TRANSFER_NOT_ALLOWED');
+        await expectError(transfers.transfer({ fromUserId: 1, toUserId: 99, currencyId: 'coins', amount: 5 }), 'RECIPIENT_NOT_FOUND');
+        await expectError(transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'stars', amount: 5 }), 'CURRENCY_NOT_FOUND');
+        await expectError(transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'coins', amount: 0 }), 'INVALID_TRANSFER');
+        console.log('   ✅ Ineligible transfers rejected');
+
+        // 3. Limits
+        console.log('\n🔍 Testing transfer limits...');
+        await expectError(transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'coins', amount: 101 }, { max_amount: 100 }), 'TRANSFER_LIMIT_EXCEEDED');
+        const limited = await expectError(
+            transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'coins', amount: 31 }, { daily_volume_limit: 150 }),
+            'TRANSFER_LIMIT_EXCEEDED'
+        );
+        assert(limited.remainingDailyVolume === 30, `Expected 30 of the daily volume left, got ${limited.remainingDailyVolume}`);
+        await transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'coins', amount: 30 }, { daily_volume_limit: 150 });
+        console.log('   ✅ Single-transfer and daily volume limits enforced');
+
+        // 4. Balances
+        console.log('\n🔍 Testing balance checks...');
+        const transactionsBefore = await countRows(db, 'plugin_transactions');
+        await expectError(transfers.transfer({ fromUserId: 3, toUserId: 1, currencyId: 'coins', amount: 10 }), 'INSUFFICIENT_BALANCE');
+        assert(await balanceOf(db, 3, 'coins') === 5, 'Sender balance should be unchanged');
+        await expectError(transfers.transfer({ fromUserId: 1, toUserId: 2, currencyId: 'tokens', amount: 20 }), 'MAX_BALANCE_EXCEEDED');
+        assert(await balanceOf(db, 1, 'tokens') === 50, 'Sender tokens should be unchanged');
+        assert(await balanceOf(db, 2, 'tokens') === 40, 'Recipient tokens should be unchanged');
+        assert(await countRows(db, 'plugin_transactions') === transactionsBefore, 'Rejected transfers should write no transactions');
+        assert(await countRows(db, 'plugin_transfers') === 3, 'Rejected transfers should not be recorded');
+        console.log('   ✅ Rejected transfers leave balances untouched');
+
+        console.log('\n🎉 Economy transfer tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Economy transfer test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runEconomyTransfersTest();
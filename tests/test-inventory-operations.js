@@ -0,0 +1,130 @@
+/**
+ * Integration Test for Inventory Operations
+ *
+ * Verifies against an in-memory database that:
+ * 1. Removing part of a stack leaves the rest, and emptied stacks are deleted.
+ * 2. Removing more than is held, or items not held, is rejected.
+ * 3. A batch is applied in order and all-or-nothing, with the failing operation
+ *    identified by its index.
+ * 4. Malformed batches are rejected before anything is written.
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationManager = require('../src/db/migrations/MigrationManager');
+const ItemCatalogService = require('../src/services/inventory/ItemCatalogService');
+const InventoryService = require('../src/services/inventory/InventoryService');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+async function expectError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.code === code, `Expected ${code}, got ${error.code || error.message}`);
+        return error;
+    }
+    throw new Error(`Expected ${code}, but the call succeeded`);
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+async function holdings(db, userId) {
+    const rows = await all(db, 'SELECT item_id, quantity FROM inventory WHERE user_id = ? ORDER BY item_id', [userId]);
+    return rows.map(row => `${row.item_id}:${row.quantity}`).join();
+}
+
+async function runInventoryOperationsTest() {
+    console.log('🧪 Running Inventory Operations Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await new MigrationManager(db).migrate();
+        await run(db, "INSERT INTO users (username, password) VALUES ('ann', 'x')");
+        const catalog = new ItemCatalogService(db);
+        const inventory = new InventoryService(db, { catalog });
+        await catalog.createItem({ id: 'potion', name: 'Potion', max_stack: 10 });
+        await catalog.createItem({ id: 'gem', name: 'Gem' });
+        await catalog.createItem({ id: 'key', name: 'Key', max_stack: 1 });
+
+        // 1. Partial removal
+        console.log('🔍 Testing partial removal...');
+        await inventory.addItem(1, 'potion', 5);
+        const removed = await inventory.removeItem(1, 'potion', 2);
+        assert(removed.quantity === 3 && removed.previousQuantity === 5, 'Removing part of a stack should leave the rest');
+        await inventory.removeItem(1, 'potion', 3);
+        assert(await holdings(db, 1) === '', 'An emptied stack should be deleted');
+        console.log('   ✅ Stacks shrink and empty stacks disappear');
+
+        // 2. Rejected removals
+        console.log('\n🔍 Testing rejected removals...');
+        await inventory.addItem(1, 'gem', 2);
+        const short = await expectError(inventory.removeItem(1, 'gem', 3), 'INSUFFICIENT_QUANTITY');
+        assert(short.currentQuantity === 2 && short.requestedQuantity === 3, 'The error should report the quantities');
+        await expectError(inventory.removeItem(1, 'potion', 1), 'ITEM_NOT_FOUND');
+        assert(await holdings(db, 1) === 'gem:2', 'Rejected removals should change nothing');
+        console.log('   ✅ Over-removal rejected');
+
+        // 3. Batches
+        console.log('\n🔍 Testing batches...');
+        const results = await inventory.applyOperations(1, [
+            { op: 'add', itemId: 'potion', quantity: 4 },
+            { op: 'remove', itemId: 'gem', quantity: 2 },
+            { op: 'add', itemId: 'gem', quantity: 1 },
+            { op: 'remove', itemId: 'potion', quantity: 1 }
+        ]);
+        assert(results.map(result => result.quantity).join() === '4,0,1,3', 'Operations should apply in order');
+        assert(await holdings(db, 1) === 'gem:1,potion:3', 'The batch should be applied in full');
+
+        const failed = await expectError(inventory.applyOperations(1, [
+            { op: 'add', itemId: 'potion', quantity: 2 },
+            { op: 'add', itemId: 'key', quantity: 1 },
+            { op: 'add', itemId: 'key', quantity: 1 }
+        ]), 'STACK_LIMIT_EXCEEDED');
+        assert(failed.operationIndex === 2 && failed.operation.itemId === 'key', 'The failing operation should be identified');
+        await expectError(inventory.applyOperations(1, [
+            { op: 'remove', itemId: 'gem', quantity: 1 },
+            { op: 'add', itemId: 'scroll', quantity: 1 }
+        ]), 'UNKNOWN_ITEM');
+        assert(await holdings(db, 1) === 'gem:1,potion:3', 'A failed batch should change nothing');
+        console.log('   ✅ Batches are ordered and all-or-nothing');
+
+        // 4. Malformed batches
+        console.log('\n🔍 Testing malformed batches...');
+        await expectError(inventory.applyOperations(1, []), 'INVALID_OPERATION');
+        const tooMany = Array.from({ length: InventoryService.MAX_OPERATIONS + 1 }, () => ({ op: 'add', itemId: 'gem', quantity: 1 }));
+        await expectError(inventory.applyOperations(1, tooMany), 'INVALID_OPERATION');
+        const malformed = await expectError(inventory.applyOperations(1, [
+            { op: 'add', itemId: 'gem', quantity: 1 },
+            { op: 'remove', itemId: 'gem', quantity: 1.5 }
+        ]), 'INVALID_OPERATION');
+        assert(malformed.operationIndex === 1, 'The malformed operation should be identified');
+        await expectError(inventory.applyOperations(1, [{ op: 'swap', itemId: 'gem', quantity: 1 }]), 'INVALID_OPERATION');
+        assert(await holdings(db, 1) === 'gem:1,potion:3', 'Malformed batches should change nothing');
+        console.log('   ✅ Malformed batches rejected up front');
+
+        console.log('\n🎉 Inventory operation tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Inventory operation test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runInventoryOperationsTest();
@@ -0,0 +1,106 @@
+/**
+ * Integration Test for the Item Catalog
+ *
+ * Verifies against an in-memory database that:
+ * 1. Item definitions are validated, stored with their properties and updatable.
+ * 2. Inventories accept free-form item ids until the project defines its first item,
+ *    or always with `inventory.allow_unknown_items`.
+ * 3. Stack caps are enforced on adds and follow definition updates.
+ * 4. Deleting a definition keeps the inventories holding it.
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationManager = require('../src/db/migrations/MigrationManager');
+const ItemCatalogService = require('../src/services/inventory/ItemCatalogService');
+const InventoryService = require('../src/services/inventory/InventoryService');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+async function expectError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.code === code, `Expected ${code}, got ${error.code || error.message}`);
+        return error;
+    }
+    throw new Error(`Expected ${code}, but the call succeeded`);
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+async function runItemCatalogTest() {
+    console.log('🧪 Running Item Catalog Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await new MigrationManager(db).migrate();
+        await run(db, "INSERT INTO users (username, password) VALUES ('ann', 'x')");
+        const catalog = new ItemCatalogService(db);
+        const inventory = new InventoryService(db, { catalog });
+
+        // 1. Definitions
+        console.log('🔍 Testing item definitions...');
+        await inventory.addItem(1, 'pebble', 3);
+        assert(!(await catalog.isEnforced()), 'An empty catalog should not be enforced');
+
+        await expectError(catalog.createItem({ id: 'bad id', name: 'Bad' }), 'INVALID_ITEM');
+        await expectError(catalog.createItem({ id: 'arrow', name: 'Arrow', max_stack: 0 }), 'INVALID_ITEM');
+        await expectError(catalog.createItem({ id: 'arrow', name: 'Arrow', properties: [] }), 'INVALID_ITEM');
+        const arrow = await catalog.createItem({
+            id: 'arrow', name: ' Arrow ', category: 'ammo', max_stack: 10, properties: { damage: 2 }
+        });
+        assert(arrow.name === 'Arrow' && arrow.max_stack === 10 && arrow.tradeable === true, 'Defaults and trimming should apply');
+        assert(arrow.properties.damage === 2, 'Properties should round-trip');
+        await expectError(catalog.createItem({ id: 'arrow', name: 'Arrow' }), 'ITEM_EXISTS');
+        await catalog.createItem({ id: 'shield', name: 'Shield', category: 'armor', tradeable: false });
+        assert((await catalog.listItems({ category: 'ammo' })).map(item => item.id).join() === 'arrow', 'Items should filter by category');
+        await expectError(catalog.updateItem('arrow', { id: 'bolt' }), 'INVALID_ITEM');
+        assert(await catalog.updateItem('bolt', { name: 'Bolt' }) === null, 'Updating a missing item returns null');
+        console.log('   ✅ Definitions validated and stored');
+
+        // 2. Unknown items
+        console.log('\n🔍 Testing unknown items...');
+        assert(await catalog.isEnforced(), 'The catalog should be enforced once it has an item');
+        await expectError(inventory.addItem(1, 'pebble', 1), 'UNKNOWN_ITEM');
+        const lenient = new InventoryService(db, { catalog: new ItemCatalogService(db, { allow_unknown_items: true }) });
+        assert((await lenient.addItem(1, 'pebble', 1)).quantity === 4, 'allow_unknown_items should accept free-form items');
+        console.log('   ✅ Unknown items rejected once the catalog is in use');
+
+        // 3. Stack caps
+        console.log('\n🔍 Testing stack caps...');
+        await inventory.addItem(1, 'arrow', 8);
+        const capped = await expectError(inventory.addItem(1, 'arrow', 3), 'STACK_LIMIT_EXCEEDED');
+        assert(capped.maxStack === 10 && capped.currentQuantity === 8, 'The error should report the cap and current stack');
+        assert((await inventory.addItem(1, 'arrow', 2)).quantity === 10, 'A stack may be filled to its cap');
+        await catalog.updateItem('arrow', { max_stack: null });
+        assert((await inventory.addItem(1, 'arrow', 50)).quantity === 60, 'Removing the cap should allow larger stacks');
+        console.log('   ✅ Stack caps enforced and updatable');
+
+        // 4. Deleting definitions
+        console.log('\n🔍 Testing definition deletion...');
+        assert(await catalog.countHolders('arrow') === 1, 'One inventory should hold arrows');
+        assert(await catalog.deleteItem('arrow'), 'The definition should be deleted');
+        assert(await catalog.countHolders('arrow') === 1, 'Inventories should keep deleted items');
+        assert(!(await catalog.deleteItem('arrow')), 'Deleting twice should report nothing deleted');
+        console.log('   ✅ Inventories outlive their definitions');
+
+        console.log('\n🎉 Item catalog tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Item catalog test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runItemCatalogTest();
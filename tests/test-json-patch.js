@@ -0,0 +1,115 @@
+/**
+ * Test for the JSON Patch and Merge Patch helpers
+ *
+ * Verifies that:
+ * 1. add, remove, replace, move, copy and test follow RFC 6902, including array
+ *    indices, "-" and ~0/~1 escaped keys.
+ * 2. A failing operation (such as a failed test) leaves the document unchanged
+ *    and reports the index of the operation.
+ * 3. Malformed patch documents are rejected before anything is applied.
+ * 4. Merge patches (RFC 7396) merge objects, delete keys set to null and
+ *    replace arrays wholesale.
+ */
+
+const { applyJsonPatch, applyMergePatch, validateJsonPatch } = require('../src/utils/jsonPatch');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function expectPatchError(fn, message) {
+    try {
+        fn();
+    } catch (error) {
+        assert(error.code === 'INVALID_PATCH', `${message}: expected INVALID_PATCH, got ${error.code || error.message}`);
+        return error;
+    }
+    throw new Error(`${message}: nothing was thrown`);
+}
+
+function same(actual, expected) {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function runJsonPatchTest() {
+    console.log('🧪 Running JSON Patch Test...\n');
+
+    try {
+        // 1. Operations
+        console.log('🔍 Testing JSON Patch operations...');
+        const save = { player: { name: 'ada', level: 3 }, items: ['sword', 'shield'] };
+
+        let result = applyJsonPatch(save, [
+            { op: 'add', path: '/player/class', value: 'mage' },
+            { op: 'add', path: '/items/1', value: 'potion' },
+            { op: 'add', path: '/items/-', value: 'bow' },
+            { op: 'replace', path: '/player/level', value: 4 },
+            { op: 'remove', path: '/items/0' }
+        ]);
+        assert(same(result, { player: { name: 'ada', level: 4, class: 'mage' }, items: ['potion', 'shield', 'bow'] }),
+            `Unexpected add/replace/remove result ${JSON.stringify(result)}`);
+
+        result = applyJsonPatch(save, [
+            { op: 'copy', from: '/player/name', path: '/owner' },
+            { op: 'move', from: '/items/0', path: '/equipped' },
+            { op: 'test', path: '/items', value: ['shield'] }
+        ]);
+        assert(same(result, { player: { name: 'ada', level: 3 }, items: ['shield'], owner: 'ada', equipped: 'sword' }),
+            `Unexpected move/copy result ${JSON.stringify(result)}`);
+
+        result = applyJsonPatch({ 'a/b': 1, 'm~n': 2 }, [
+            { op: 'replace', path: '/a~1b', value: 10 },
+            { op: 'remove', path: '/m~0n' },
+            { op: 'add', path: '/~01', value: 'tilde' }
+        ]);
+        assert(same(result, { 'a/b': 10, '~1': 'tilde' }), `Escaped keys should be unescaped, got ${JSON.stringify(result)}`);
+        assert(same(applyJsonPatch(save, [{ op: 'replace', path: '', value: [] }]), []), 'An empty path replaces the document');
+        assert(save.items.length === 2 && !save.player.class, 'The input document should never be modified');
+        console.log('   ✅ All six operations applied, indices and escapes resolved');
+
+        // 2. Failing operations
+        console.log('\n🔍 Testing failing operations...');
+        const failed = expectPatchError(() => applyJsonPatch(save, [
+            { op: 'replace', path: '/player/level', value: 99 },
+            { op: 'test', path: '/player/name', value: 'grace' }
+        ]), 'A failed test should abort the patch');
+        assert(failed.operationIndex === 1, `The failing operation index should be 1, got ${failed.operationIndex}`);
+        assert(save.player.level === 3, 'A failed patch must leave the document unchanged');
+        expectPatchError(() => applyJsonPatch(save, [{ op: 'remove', path: '/missing' }]), 'Removing a missing key should fail');
+        expectPatchError(() => applyJsonPatch(save, [{ op: 'add', path: '/items/5', value: 'x' }]), 'Indices past the end should fail');
+        expectPatchError(() => applyJsonPatch(save, [{ op: 'replace', path: '/items/-', value: 'x' }]), '"-" is only valid for add');
+        expectPatchError(() => applyJsonPatch(save, [{ op: 'move', from: '/player', path: '/player/name' }]),
+            'A value cannot be moved into itself');
+        expectPatchError(() => applyJsonPatch(save, [{ op: 'add', path: 'gold', value: 1 }]), 'Paths must start with /');
+        console.log('   ✅ Failures reported without touching the document');
+
+        // 3. Malformed patches
+        console.log('\n🔍 Testing malformed patches...');
+        expectPatchError(() => validateJsonPatch({ op: 'add' }), 'A patch must be an array');
+        expectPatchError(() => validateJsonPatch([{ op: 'rename', path: '/a' }]), 'Unknown operations should be rejected');
+        expectPatchError(() => validateJsonPatch([{ op: 'add', value: 1 }]), 'Operations need a path');
+        expectPatchError(() => validateJsonPatch([{ op: 'test', path: '/a' }]), 'test needs a value');
+        expectPatchError(() => validateJsonPatch([{ op: 'copy', path: '/a' }]), 'copy needs from');
+        console.log('   ✅ Malformed patches rejected up front');
+
+        // 4. Merge patch
+        console.log('\n🔍 Testing merge patches...');
+        const merged = applyMergePatch(save, { player: { level: null, title: 'Sir' }, items: ['axe'], gold: 5 });
+        assert(same(merged, { player: { name: 'ada', title: 'Sir' }, items: ['axe'], gold: 5 }),
+            `Unexpected merge result ${JSON.stringify(merged)}`);
+        assert(save.player.level === 3, 'Merge patches should not modify the input');
+        assert(same(applyMergePatch({ a: 1 }, null), null), 'A null patch replaces the document');
+        assert(same(applyMergePatch({ a: { b: 1 } }, { a: { c: null } }), { a: { b: 1 } }), 'Deleting a missing key is a no-op');
+        console.log('   ✅ null deletes keys, arrays are replaced');
+
+        console.log('\n🎉 JSON Patch tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ JSON Patch test failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+runJsonPatchTest();
@@ -0,0 +1,132 @@
+/**
+ * Integration Test for Leaderboard Score Aggregation
+ *
+ * Verifies against an in-memory database that:
+ * 1. Each aggregation mode combines a user's submissions into the expected score.
+ * 2. Changing a board's aggregation rebuilds its scores from the submission log.
+ * 3. A failed rebuild rolls the board update back, leaving rules and scores consistent.
+ * 4. Resetting a board clears its submission log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const LeaderboardService = require('../plugins/@core/leaderboards/services/leaderboardService');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../plugins/@core/leaderboards/migrations');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+async function setup(db) {
+    await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL)');
+    for (const username of ['ann', 'bob']) {
+        await run(db, 'INSERT INTO users (username) VALUES (?)', [username]);
+    }
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d{6}_.*\.js$/.test(file)).sort();
+    for (const file of migrations) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(db);
+    }
+}
+
+async function scoreOf(service, boardId, userId) {
+    const entry = await service.getUserRank(boardId, userId);
+    return entry ? entry.score : null;
+}
+
+async function runLeaderboardAggregationTest() {
+    console.log('🧪 Running Leaderboard Aggregation Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await setup(db);
+        const service = new LeaderboardService(db);
+
+        // 1. Aggregation modes
+        console.log('🔍 Testing aggregation modes...');
+        const submissions = [30, 10, 50, 20];
+        const expected = {
+            best: { DESC: 50, ASC: 10 },
+            latest: { DESC: 20, ASC: 20 },
+            sum: { DESC: 110, ASC: 110 },
+            min: { DESC: 10, ASC: 10 },
+            max: { DESC: 50, ASC: 50 },
+            count: { DESC: 4, ASC: 4 },
+            average: { DESC: (10 + 50 + 20) / 3, ASC: (10 + 50 + 20) / 3 }
+        };
+
+        for (const aggregation of LeaderboardService.AGGREGATIONS) {
+            for (const sortOrder of ['DESC', 'ASC']) {
+                const board = await service.createLeaderboard({
+                    name: `${aggregation} ${sortOrder}`, sortOrder, aggregation, aggregationWindow: 3
+                });
+                for (const score of submissions) {
+                    await service.submitScore(board.id, 1, score);
+                }
+                const score = await scoreOf(service, board.id, 1);
+                assert(Math.abs(score - expected[aggregation][sortOrder]) < 1e-9,
+                    `${aggregation} on a ${sortOrder} board should give ${expected[aggregation][sortOrder]}, got ${score}`);
+            }
+        }
+        console.log('   ✅ All aggregation modes combine submissions correctly');
+
+        // 2. Recompute on aggregation change
+        console.log('\n🔍 Testing recompute on aggregation change...');
+        const board = await service.createLeaderboard({ name: 'Switch', aggregation: 'best' });
+        for (const [userId, score] of [[1, 5], [1, 7], [2, 9]]) {
+            await service.submitScore(board.id, userId, score);
+        }
+        const updated = await service.updateLeaderboard(board.id, { aggregation: 'sum' });
+        assert(updated.aggregation === 'sum', 'Aggregation should be updated');
+        assert(await scoreOf(service, board.id, 1) === 12, 'Sum should be rebuilt from the log');
+        const top = (await service.getRankings(board.id)).rankings[0];
+        assert(top.user_id === 1 && top.rank_position === 1, 'Rebuilt scores should re-rank the board');
+        console.log('   ✅ Scores rebuilt from the submission log');
+
+        // 3. Failed rebuild rolls back
+        console.log('\n🔍 Testing rollback of a failed rebuild...');
+        const rebuildEntries = service.rebuildEntries;
+        service.rebuildEntries = async () => {
+            throw new Error('rebuild failed');
+        };
+        let failed = false;
+        try {
+            await service.updateLeaderboard(board.id, { aggregation: 'count' });
+        } catch (error) {
+            failed = error.message === 'rebuild failed';
+        }
+        service.rebuildEntries = rebuildEntries;
+        assert(failed, 'The update should report the failed rebuild');
+        assert((await service.getLeaderboard(board.id)).aggregation === 'sum', 'The aggregation change should be rolled back');
+        assert(await scoreOf(service, board.id, 1) === 12, 'Scores should still follow the old aggregation');
+        console.log('   ✅ Board rules and scores stay consistent');
+
+        // 4. Reset clears the log
+        console.log('\n🔍 Testing reset...');
+        await service.resetLeaderboard(board.id);
+        await service.submitScore(board.id, 1, 3);
+        assert(await scoreOf(service, board.id, 1) === 3, 'A new season should only count new submissions');
+        console.log('   ✅ Reset starts aggregation afresh');
+
+        console.log('\n🎉 Leaderboard aggregation tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Leaderboard aggregation test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runLeaderboardAggregationTest();
@@ -0,0 +1,220 @@
+/**
+ * Integration Test for Leaderboard Ranks
+ *
+ * Verifies against an in-memory database that ranks computed on read agree with
+ * a full ROW_NUMBER() ranking of the board, on descending and ascending boards
+ * with many tied scores:
+ * 1. getUserRank gives every user their standing.
+ * 2. getSurroundingRanks returns the neighbouring slice of the standings, also at
+ *    the top and bottom of the board.
+ * 3. getRankings pages follow on from their offset.
+ * 4. Competition and dense rank styles give tied scores the same rank, wherever
+ *    the tied entry is read from.
+ * 5. RankingService reads the project database it was created for and reports
+ *    windows around a user and percentiles under the board's sort order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const LeaderboardService = require('../plugins/@core/leaderboards/services/leaderboardService');
+const RankingService = require('../plugins/@core/leaderboards/services/rankingService');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../plugins/@core/leaderboards/migrations');
+const USERS = 120;
+const RADIUS = 4;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+async function setup(db) {
+    await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL)');
+    for (let userId = 1; userId <= USERS; userId++) {
+        await run(db, 'INSERT INTO users (username) VALUES (?)', [`player${userId}`]);
+    }
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d{6}_.*\.js$/.test(file)).sort();
+    for (const file of migrations) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(db);
+    }
+}
+
+/**
+ * The board's standings ranked in full, as user ids in rank order
+ */
+async function standings(db, board) {
+    const rows = await all(db, `
+        SELECT user_id, ROW_NUMBER() OVER (ORDER BY score ${board.sort_order}, submitted_at, id) AS position
+        FROM plugin_leaderboard_entries
+        WHERE leaderboard_id = ?
+        ORDER BY position
+    `, [board.id]);
+    return rows.map(row => row.user_id);
+}
+
+/**
+ * Each user's rank under a window function, e.g. RANK()
+ */
+async function ranksBy(db, board, rankFunction) {
+    const rows = await all(db, `
+        SELECT user_id, ${rankFunction}() OVER (ORDER BY score ${board.sort_order}) AS rank
+        FROM plugin_leaderboard_entries
+        WHERE leaderboard_id = ?
+    `, [board.id]);
+    return new Map(rows.map(row => [row.user_id, row.rank]));
+}
+
+async function createBoard(service, options) {
+    const board = await service.createLeaderboard(options);
+    for (let userId = 1; userId <= USERS; userId++) {
+        await service.submitScore(board.id, userId, (userId * 7) % 13);
+    }
+    return board;
+}
+
+async function checkBoard(db, service, sortOrder) {
+    const board = await createBoard(service, { name: `Ranks ${sortOrder}`, sortOrder });
+    const order = await standings(db, board);
+
+    for (let userId = 1; userId <= USERS; userId++) {
+        const expected = order.indexOf(userId) + 1;
+        const entry = await service.getUserRank(board.id, userId);
+        assert(entry.rank_position === expected, `${sortOrder}: user ${userId} should rank ${expected}, got ${entry.rank_position}`);
+
+        const { surrounding } = await service.getSurroundingRanks(board.id, userId, RADIUS);
+        const from = Math.max(expected - 1 - RADIUS, 0);
+        const slice = order.slice(from, expected + RADIUS);
+        assert(surrounding.map(e => e.user_id).join() === slice.join(),
+            `${sortOrder}: surrounding ranks of user ${userId} should be users ${slice.join()}`);
+        surrounding.forEach((e, index) => {
+            assert(e.rank_position === from + index + 1, `${sortOrder}: user ${e.user_id} ranked ${e.rank_position} near user ${userId}`);
+        });
+    }
+
+    for (const offset of [0, 37, USERS - 10]) {
+        const page = await service.getRankings(board.id, { limit: 25, offset });
+        const slice = order.slice(offset, offset + 25);
+        assert(page.rankings.map(e => e.user_id).join() === slice.join(), `${sortOrder}: page at ${offset} out of order`);
+        page.rankings.forEach((e, index) => {
+            assert(e.rank_position === offset + index + 1, `${sortOrder}: rank ${e.rank_position} at position ${offset + index + 1}`);
+        });
+    }
+}
+
+async function checkRankStyle(db, service, rankStyle, rankFunction) {
+    for (const sortOrder of ['DESC', 'ASC']) {
+        const board = await createBoard(service, { name: `${rankStyle} ${sortOrder}`, sortOrder, rankStyle });
+        const order = await standings(db, board);
+        const ranks = await ranksBy(db, board, rankFunction);
+        const check = (entries, context) => entries.forEach(e => {
+            assert(e.rank_position === ranks.get(e.user_id),
+                `${rankStyle} ${sortOrder}: user ${e.user_id} should rank ${ranks.get(e.user_id)} in ${context}, got ${e.rank_position}`);
+        });
+
+        for (let userId = 1; userId <= USERS; userId++) {
+            check([await service.getUserRank(board.id, userId)], 'getUserRank');
+            const { surrounding } = await service.getSurroundingRanks(board.id, userId, RADIUS);
+            assert(surrounding.map(e => e.user_id).join() ===
+                order.slice(Math.max(order.indexOf(userId) - RADIUS, 0), order.indexOf(userId) + RADIUS + 1).join(),
+                `${rankStyle} ${sortOrder}: surrounding ranks of user ${userId} out of order`);
+            check(surrounding, `the ranks around user ${userId}`);
+        }
+        for (const offset of [0, 37, USERS - 10]) {
+            check((await service.getRankings(board.id, { limit: 25, offset })).rankings, `the page at ${offset}`);
+        }
+    }
+}
+
+async function checkRankingService(db, service) {
+    const board = await createBoard(service, { name: 'Ranking service', sortOrder: 'ASC' });
+    const order = await standings(db, board);
+    const rankings = new RankingService(service);
+
+    const top = await rankings.getTopPlayers(board.id, 10);
+    assert(top.rankings.map(e => e.userId).join() === order.slice(0, 10).join(), 'Top players should follow the ASC order');
+    assert(top.leaderboard.sortOrder === 'ASC' && top.pagination.hasNext && !top.pagination.hasPrevious, 'Top players pagination');
+
+    for (const userId of [order[0], order[60], order[USERS - 1]]) {
+        const around = await rankings.getRankingsAroundUser(board.id, userId, { range: 10 });
+        const offset = around.pagination.offset;
+        assert(around.rankings.length === 10 && around.centerUser.isInResults, `The window around user ${userId} should hold 10 entries`);
+        assert(around.rankings.map(e => e.userId).join() === order.slice(offset, offset + 10).join(),
+            `The window around user ${userId} should match its offset`);
+
+        const scores = [...Array(USERS).keys()].map(index => ((index + 1) * 7) % 13);
+        const own = (userId * 7) % 13;
+        const expected = Math.round(scores.filter(score => score >= own).length / USERS * 10000) / 100;
+        const { percentile } = await rankings.getUserPercentile(board.id, userId);
+        assert(percentile === expected, `User ${userId} should be at percentile ${expected}, got ${percentile}`);
+    }
+
+    // A service over another project's database sees only that project's boards
+    const other = new sqlite3.Database(':memory:');
+    try {
+        await setup(other);
+        const otherRankings = new RankingService(new LeaderboardService(other));
+        let missing = false;
+        try {
+            await otherRankings.getRankings(board.id);
+        } catch (error) {
+            missing = error.message.includes('not found');
+        }
+        assert(missing, 'Another project\'s database should not have this board');
+    } finally {
+        await new Promise(resolve => other.close(resolve));
+    }
+}
+
+async function runLeaderboardRanksTest() {
+    console.log('🧪 Running Leaderboard Ranks Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await setup(db);
+        const service = new LeaderboardService(db);
+
+        // 1-3. User ranks, surrounding ranks and pages on both sort orders
+        for (const sortOrder of ['DESC', 'ASC']) {
+            console.log(`🔍 Testing ranks on the ${sortOrder} board...`);
+            await checkBoard(db, service, sortOrder);
+            console.log('   ✅ User ranks, surrounding ranks and pages match the full ranking');
+        }
+
+        // 4. Rank styles
+        console.log('\n🔍 Testing rank styles...');
+        await checkRankStyle(db, service, 'competition', 'RANK');
+        await checkRankStyle(db, service, 'dense', 'DENSE_RANK');
+        console.log('   ✅ Tied scores share competition and dense ranks');
+
+        // 5. RankingService
+        console.log('\n🔍 Testing RankingService...');
+        await checkRankingService(db, service);
+        console.log('   ✅ Windows, percentiles and project databases handled');
+
+        console.log('\n🎉 Leaderboard rank tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Leaderboard rank test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runLeaderboardRanksTest();
@@ -0,0 +1,144 @@
+/**
+ * Integration Test for Scoped Leaderboard Rankings
+ *
+ * Verifies against an in-memory database that:
+ * 1. Friend, group and clan scopes rank only their subset of the board, with
+ *    ranks and totals within the subset.
+ * 2. includeUser returns the user's rank within the scope when it is off the page,
+ *    and nothing for users outside the scope.
+ * 3. Group membership changes are reflected in group-scoped rankings.
+ * 4. Tied scores share ranks within a scope on competition boards.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const LeaderboardService = require('../plugins/@core/leaderboards/services/leaderboardService');
+const GroupService = require('../plugins/@core/leaderboards/services/groupService');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../plugins/@core/leaderboards/migrations');
+
+// user id -> [score, clan]
+const PLAYERS = {
+    1: [40, 'red'], 2: [90, 'blue'], 3: [10, 'red'], 4: [70, 'blue'], 5: [55, 'red'],
+    6: [20, 'blue'], 7: [85, 'red'], 8: [30, null], 9: [65, 'red'], 10: [70, 'red']
+};
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+async function setup(db) {
+    await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL)');
+    for (const userId of Object.keys(PLAYERS)) {
+        await run(db, 'INSERT INTO users (username) VALUES (?)', [`player${userId}`]);
+    }
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d{6}_.*\.js$/.test(file)).sort();
+    for (const file of migrations) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(db);
+    }
+}
+
+async function createBoard(service, options) {
+    const board = await service.createLeaderboard(options);
+    for (const [userId, [score, clan]] of Object.entries(PLAYERS)) {
+        await service.submitScore(board.id, Number(userId), score, clan ? { clan } : null);
+    }
+    return board;
+}
+
+/**
+ * Users of a scope ranked by score alone, highest first
+ */
+function expectedOrder(userIds) {
+    return [...userIds].sort((a, b) => PLAYERS[b][0] - PLAYERS[a][0] || a - b);
+}
+
+function assertRanked(result, userIds, context) {
+    const order = expectedOrder(userIds);
+    assert(result.rankings.map(e => e.user_id).join() === order.join(),
+        `${context} should rank users ${order.join()}, got ${result.rankings.map(e => e.user_id).join()}`);
+    result.rankings.forEach((e, index) => {
+        assert(e.rank_position === index + 1, `${context}: user ${e.user_id} should rank ${index + 1}, got ${e.rank_position}`);
+    });
+    assert(result.pagination.total === userIds.length, `${context} should count ${userIds.length} entries`);
+}
+
+async function runLeaderboardScopesTest() {
+    console.log('🧪 Running Leaderboard Scopes Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await setup(db);
+        const service = new LeaderboardService(db);
+        const groups = new GroupService(db);
+        const board = await createBoard(service, { name: 'Scoped' });
+
+        // 1. Scopes
+        console.log('🔍 Testing friend, group and clan scopes...');
+        const friends = { type: 'friends', userIds: [3, 5, 9, 2] };
+        assertRanked(await service.getRankings(board.id, { scope: friends }), [3, 5, 9, 2], 'Friends');
+
+        const group = await groups.createGroup({ name: 'Squad', ownerId: 1, memberIds: [6, 8, 999] });
+        assert(group.member_count === 3, 'Unknown users should not become members');
+        const groupScope = { type: 'group', groupId: group.id };
+        assertRanked(await service.getRankings(board.id, { scope: groupScope }), [1, 6, 8], 'Group');
+
+        const red = [1, 3, 5, 7, 9, 10];
+        assertRanked(await service.getRankings(board.id, { scope: { type: 'clan', clan: 'red' } }), red, 'Clan');
+        assert(await service.getUserClan(board.id, 7) === 'red', 'A user\'s clan comes from their entry metadata');
+        assert(await service.getUserClan(board.id, 8) === null, 'Users without a clan have none');
+
+        const empty = await service.getRankings(board.id, { scope: { type: 'friends', userIds: [] } });
+        assert(empty.rankings.length === 0 && empty.pagination.total === 0, 'An empty friend list ranks no one');
+        console.log('   ✅ Each scope ranks only its own subset');
+
+        // 2. includeUser
+        console.log('\n🔍 Testing includeUser...');
+        const page = await service.getRankings(board.id, { scope: { type: 'clan', clan: 'red' }, limit: 2, includeUser: 3 });
+        assert(page.rankings.length === 2, 'The page should honour its limit');
+        assert(page.userRank && page.userRank.user_id === 3 && page.userRank.rank_position === 6,
+            'A red clan member off the page should get their rank within the clan');
+        const outsider = await service.getRankings(board.id, { scope: { type: 'clan', clan: 'red' }, limit: 2, includeUser: 2 });
+        assert(!outsider.userRank, 'A user outside the scope has no rank in it');
+        console.log('   ✅ includeUser ranks within the scope');
+
+        // 3. Group membership
+        console.log('\n🔍 Testing group membership changes...');
+        assert(await groups.addMembers(group.id, [7, 6]) === 1, 'Existing members should be skipped');
+        assert(await groups.removeMember(group.id, 8), 'Removing a member should report it');
+        assertRanked(await service.getRankings(board.id, { scope: groupScope }), [1, 6, 7], 'Updated group');
+        assert(await groups.deleteGroup(group.id), 'Deleting a group should report it');
+        const deleted = await service.getRankings(board.id, { scope: groupScope });
+        assert(deleted.rankings.length === 0, 'A deleted group ranks no one');
+        console.log('   ✅ Group rankings follow membership');
+
+        // 4. Ties within a scope
+        console.log('\n🔍 Testing ties within a scope...');
+        const competition = await createBoard(service, { name: 'Scoped competition', rankStyle: 'competition' });
+        const blueAndTen = await service.getRankings(competition.id, { scope: { type: 'friends', userIds: [2, 4, 10, 6] } });
+        assert(blueAndTen.rankings.map(e => e.rank_position).join() === '1,2,2,4',
+            `Tied scores should share a rank, got ${blueAndTen.rankings.map(e => e.rank_position).join()}`);
+        console.log('   ✅ Competition ranks within a scope');
+
+        console.log('\n🎉 Leaderboard scope tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Leaderboard scope test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runLeaderboardScopesTest();
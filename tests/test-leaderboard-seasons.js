@@ -0,0 +1,158 @@
+/**
+ * Integration Test for Leaderboard Seasons
+ *
+ * Verifies against an in-memory database that:
+ * 1. A manual reset archives the board's standings as a numbered season and empties it.
+ * 2. Scheduled resets only reset active boards that are due, end the season at the
+ *    missed reset time and schedule the next one.
+ * 3. A scheduled reset acting on an outdated next_reset does nothing.
+ * 4. The reset scheduler resets due boards when started and lets a running reset
+ *    finish when stopped.
+ * 5. Submissions racing a scheduled reset all land in the new season, and
+ *    deleting an entry re-ranks the board in the same transaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const LeaderboardService = require('../plugins/@core/leaderboards/services/leaderboardService');
+const ResetScheduler = require('../plugins/@core/leaderboards/services/resetScheduler');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../plugins/@core/leaderboards/migrations');
+const MISSED_RESET = '2026-01-01T00:00:00.000Z';
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, err => (err ? reject(err) : resolve()));
+    });
+}
+
+async function setup(db) {
+    await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL)');
+    for (const username of ['ann', 'bob', 'cat', 'dan']) {
+        await run(db, 'INSERT INTO users (username) VALUES (?)', [username]);
+    }
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d{6}_.*\.js$/.test(file)).sort();
+    for (const file of migrations) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(db);
+    }
+}
+
+async function fillBoard(service, boardId) {
+    for (const [userId, score] of [[1, 9], [2, 8], [3, 8], [4, 7]]) {
+        await service.submitScore(boardId, userId, score);
+    }
+}
+
+async function runLeaderboardSeasonsTest() {
+    console.log('🧪 Running Leaderboard Seasons Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        await setup(db);
+        const service = new LeaderboardService(db);
+
+        // 1. Manual reset
+        console.log('🔍 Testing manual reset...');
+        const board = await service.createLeaderboard({ name: 'Manual', rankStyle: 'competition' });
+        await fillBoard(service, board.id);
+        const reset = await service.resetLeaderboard(board.id);
+        assert(reset.deletedEntries === 4 && reset.nextReset === null, 'The board should be emptied, with no schedule');
+        assert(reset.season.season_number === 1 && reset.season.reset_trigger === 'manual', 'Season 1 should be archived');
+        assert((await service.getRankings(board.id)).rankings.length === 0, 'The board should start empty');
+
+        const archived = await service.getSeason(board.id, reset.season.id);
+        assert(archived.rankings.map(e => `${e.username}:${e.rank_position}`).join() === 'ann:1,bob:2,cat:2,dan:4',
+            'The season should keep the final standings under the board\'s rank style');
+        assert(archived.pagination.total === 4, 'The season should count its entries');
+
+        await service.submitScore(board.id, 4, 3);
+        const second = await service.resetLeaderboard(board.id);
+        assert(second.season.season_number === 2, 'Seasons should be numbered per board');
+        assert(second.season.started_at === reset.season.ended_at, 'A season should start where the last one ended');
+        const { seasons } = await service.listSeasons(board.id);
+        assert(seasons.map(s => s.season_number).join() === '2,1', 'Seasons should be listed newest first');
+        assert(seasons[0].winner.username === 'dan' && seasons[1].winner.username === 'ann', 'Each season should name its winner');
+
+        const empty = await service.resetLeaderboard(board.id);
+        assert(empty.season === null && empty.deletedEntries === 0, 'An empty board should not archive a season');
+        console.log('   ✅ Standings archived as numbered seasons');
+
+        // 2. Scheduled resets
+        console.log('\n🔍 Testing scheduled resets...');
+        const daily = await service.createLeaderboard({ name: 'Daily', type: 'daily' });
+        const paused = await service.createLeaderboard({ name: 'Paused', type: 'daily' });
+        const later = await service.createLeaderboard({ name: 'Later', type: 'daily' });
+        assert(daily.reset_schedule === 'daily' && daily.next_reset, 'Daily boards should be scheduled');
+        for (const id of [daily.id, paused.id]) {
+            await fillBoard(service, id);
+            await run(db, 'UPDATE plugin_leaderboards SET next_reset = ? WHERE id = ?', [MISSED_RESET, id]);
+        }
+        await run(db, 'UPDATE plugin_leaderboards SET is_active = 0 WHERE id = ?', [paused.id]);
+
+        const results = await service.resetDueLeaderboards();
+        assert(results.length === 1 && results[0].leaderboardId === daily.id, 'Only the active, due board should be reset');
+        assert(results[0].season.ended_at === MISSED_RESET && results[0].season.reset_trigger === 'schedule',
+            'A late reset should end the season at the missed reset time');
+        const rescheduled = await service.getLeaderboard(daily.id);
+        assert(new Date(rescheduled.next_reset) > new Date(), 'The next reset should be in the future');
+        assert(rescheduled.last_reset === MISSED_RESET, 'last_reset should be the season\'s end');
+        assert((await service.getLeaderboard(later.id)).next_reset === later.next_reset, 'Boards not yet due are left alone');
+        assert((await service.resetDueLeaderboards()).length === 0, 'A board should only be reset once per schedule');
+        console.log('   ✅ Due boards reset once, at their scheduled time');
+
+        // 3. Outdated scheduled reset
+        console.log('\n🔍 Testing outdated scheduled resets...');
+        await fillBoard(service, daily.id);
+        const stale = await service.resetLeaderboard(daily.id, { trigger: 'schedule', expectedNextReset: MISSED_RESET });
+        assert(stale === null, 'A reset for a next_reset the board no longer has should be skipped');
+        assert((await service.getRankings(daily.id)).rankings.length === 4, 'The skipped reset should keep the entries');
+        console.log('   ✅ Outdated resets skipped');
+
+        // 4. Scheduler
+        console.log('\n🔍 Testing the reset scheduler...');
+        await run(db, 'UPDATE plugin_leaderboards SET next_reset = ? WHERE id = ?', [MISSED_RESET, daily.id]);
+        const scheduler = new ResetScheduler(service, { intervalMs: 60000 });
+        scheduler.start();
+        await scheduler.stop();
+        assert(scheduler.timer === null && scheduler.running === null, 'The scheduler should stop cleanly');
+        assert((await service.listSeasons(daily.id)).pagination.total === 2, 'Starting the scheduler should catch up on missed resets');
+        console.log('   ✅ Scheduler catches up on start and stops after the running reset');
+
+        // 5. Concurrent writes
+        console.log('\n🔍 Testing submissions during a reset...');
+        await fillBoard(service, daily.id);
+        await run(db, 'UPDATE plugin_leaderboards SET next_reset = ? WHERE id = ?', [MISSED_RESET, daily.id]);
+        await Promise.all([
+            service.submitScore(daily.id, 1, 20),
+            service.resetDueLeaderboards(),
+            service.submitScore(daily.id, 2, 30)
+        ]);
+        assert((await service.listSeasons(daily.id)).pagination.total === 3, 'Racing submissions should trigger a single reset');
+        const raced = (await service.getRankings(daily.id)).rankings;
+        assert(raced.map(entry => entry.user_id).join() === '2,1', 'Both submissions should land in the new season');
+
+        await service.deleteEntry(daily.id, 2);
+        const afterDelete = (await service.getRankings(daily.id)).rankings;
+        assert(afterDelete.length === 1 && afterDelete[0].rank_position === 1, 'Deleting an entry should re-rank the board');
+        console.log('   ✅ Submissions and deletes stay consistent with resets');
+
+        console.log('\n🎉 Leaderboard season tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Leaderboard season test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+}
+
+runLeaderboardSeasonsTest();
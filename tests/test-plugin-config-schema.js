@@ -0,0 +1,99 @@
+/**
+ * Test for Plugin configSchema Enforcement
+ *
+ * Verifies that:
+ * 1. Valid settings pass and are completed with the schema's defaults, including
+ *    defaults inside nested objects the settings leave out.
+ * 2. Invalid settings are rejected with a JSON pointer for every failing field.
+ * 3. A schema that is not valid JSON Schema is reported as INVALID_CONFIG_SCHEMA.
+ * 4. The economy plugin's own configSchema resolves to its documented defaults.
+ */
+
+const PluginConfigValidator = require('../src/plugins/PluginConfigValidator');
+const economy = require('../plugins/@core/economy');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        greeting: { type: 'string', default: 'hello' },
+        limits: {
+            type: 'object',
+            required: ['daily'],
+            properties: {
+                daily: { type: 'integer', minimum: 1, default: 10 },
+                burst: { type: 'integer', minimum: 1, default: 3 }
+            }
+        },
+        'a/b': { type: 'boolean' }
+    }
+};
+
+function runPluginConfigSchemaTest() {
+    console.log('🧪 Running Plugin configSchema Test...\n');
+
+    try {
+        const validator = new PluginConfigValidator();
+
+        // 1. Defaults
+        console.log('🔍 Testing defaults...');
+        const input = { limits: { daily: 5 } };
+        const resolved = validator.resolve(schema, input);
+        assert(resolved.valid && resolved.errors.length === 0, 'Valid settings should pass');
+        assert(resolved.settings.greeting === 'hello' && resolved.settings.limits.burst === 3, 'Defaults should be filled in');
+        assert(resolved.settings.limits.daily === 5, 'Given values should be kept');
+        assert(input.limits.burst === undefined, 'The settings passed in should not be modified');
+        const empty = validator.resolve(schema, undefined);
+        assert(empty.valid && empty.settings.limits.daily === 10, 'Missing nested objects should get their defaults');
+        console.log('   ✅ Defaults filled in, input untouched');
+
+        // 2. Errors
+        console.log('\n🔍 Testing validation errors...');
+        const invalid = validator.resolve(schema, { greeting: 4, limits: { daily: 0 }, 'a/b': 'yes', extra: true });
+        assert(!invalid.valid, 'Invalid settings should fail');
+        const paths = invalid.errors.map(error => error.path).sort();
+        assert(paths.join() === '/a~1b,/extra,/greeting,/limits/daily', `Unexpected error paths ${paths.join()}`);
+        const required = validator.resolve({ type: 'object', required: ['token'] }, {});
+        assert(required.errors[0].path === '/token' && required.errors[0].keyword === 'required', 'Missing fields should point at the field');
+        assert(/\/greeting must be string/.test(PluginConfigValidator.formatErrors(invalid.errors)), 'Errors should format on one line');
+        console.log('   ✅ Every failing field reported');
+
+        // 3. Invalid schemas
+        console.log('\n🔍 Testing invalid schemas...');
+        let code = null;
+        try {
+            validator.resolve({ type: 'object', properties: { count: { type: 'integr' } } }, {});
+        } catch (error) {
+            code = error.code;
+        }
+        assert(code === 'INVALID_CONFIG_SCHEMA', `Expected INVALID_CONFIG_SCHEMA, got ${code}`);
+        assert(!PluginConfigValidator.hasSchema({ configSchema: [] }) && PluginConfigValidator.hasSchema({ configSchema: schema }),
+            'Only object schemas count as configSchema');
+        console.log('   ✅ Broken schemas reported');
+
+        // 4. Economy plugin schema
+        console.log('\n🔍 Testing the economy plugin schema...');
+        const settings = validator.resolve(economy.manifest.configSchema, { analytics: { enabled: false } });
+        assert(settings.valid, `Economy defaults should be valid: ${PluginConfigValidator.formatErrors(settings.errors)}`);
+        assert(settings.settings.transaction_limits.max_amount === 1000000, 'Transaction limits should default');
+        assert(settings.settings.analytics.enabled === false && settings.settings.analytics.retention_days === 365,
+            'Partial nested settings should be completed');
+        const rejected = validator.resolve(economy.manifest.configSchema, { default_currencies: [{ id: '', name: 'Coins' }] });
+        assert(!rejected.valid && rejected.errors[0].path === '/default_currencies/0/id', 'Bad currencies should be rejected');
+        console.log('   ✅ Economy settings validated');
+
+        console.log('\n🎉 Plugin configSchema tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin configSchema test failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+runPluginConfigSchemaTest();
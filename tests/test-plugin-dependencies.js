@@ -0,0 +1,87 @@
+/**
+ * Test for Plugin Version and Dependency Resolution
+ *
+ * Verifies that:
+ * 1. ssbackend_version ranges are checked against the host version.
+ * 2. Declared dependencies are reported as missing, mismatched or not enabled.
+ * 3. Plugins are ordered after their dependencies, keeping the configured order
+ *    otherwise, and dependency cycles are reported and left out.
+ */
+
+const PluginDependencyResolver = require('../src/plugins/PluginDependencyResolver');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function runPluginDependenciesTest() {
+    console.log('🧪 Running Plugin Dependencies Test...\n');
+
+    try {
+        const resolver = new PluginDependencyResolver('1.4.2');
+
+        // 1. Host version
+        console.log('🔍 Testing ssbackend_version...');
+        assert(resolver.checkHostVersion({}) === null, 'A manifest without a range is compatible');
+        assert(resolver.checkHostVersion({ ssbackend_version: '^1.2.0' }) === null, '1.4.2 satisfies ^1.2.0');
+        assert(/requires SSBackend \^2\.0\.0 \(running 1\.4\.2\)/.test(resolver.checkHostVersion({ ssbackend_version: '^2.0.0' })),
+            'An unsatisfied range should name both versions');
+        assert(/invalid ssbackend_version/.test(resolver.checkHostVersion({ ssbackend_version: 'latest' })),
+            'An invalid range should be reported');
+        console.log('   ✅ Host version ranges checked');
+
+        // 2. Dependencies
+        console.log('\n🔍 Testing dependency checks...');
+        const installed = {
+            economy: { version: '1.3.0', active: true },
+            achievements: { version: '2.0.0', active: false }
+        };
+        const lookup = name => installed[name] || null;
+
+        assert(resolver.checkDependencies(['economy', { name: 'economy', version: '^1.0.0' }], lookup).length === 0,
+            'Satisfied dependencies should report nothing');
+        const issues = resolver.checkDependencies([
+            'chat',
+            { name: 'economy', version: '>=2' },
+            { name: 'achievements' }
+        ], lookup);
+        assert(issues.map(issue => `${issue.name}:${issue.reason}`).join() === 'chat:missing,economy:version,achievements:inactive',
+            `Unexpected issues: ${issues.map(issue => issue.message).join('; ')}`);
+        assert(issues[1].installedVersion === '1.3.0', 'A version mismatch should report the installed version');
+        assert(resolver.checkDependencies(undefined, lookup).length === 0, 'No dependencies means no issues');
+        console.log('   ✅ Missing, mismatched and disabled dependencies reported');
+
+        // 3. Activation order
+        console.log('\n🔍 Testing activation order...');
+        const { order, cycles } = resolver.sortByDependencies([
+            { name: 'shop', dependencies: ['economy', { name: 'inventory', version: '^1.0.0' }] },
+            { name: 'leaderboards' },
+            { name: 'economy', dependencies: ['core'] },
+            { name: 'inventory' },
+            { name: 'core', dependencies: ['external'] }
+        ]);
+        assert(order.join() === 'core,economy,inventory,shop,leaderboards', `Unexpected order ${order.join()}`);
+        assert(cycles.length === 0, 'There should be no cycles');
+
+        const cyclic = resolver.sortByDependencies([
+            { name: 'a', dependencies: ['b'] },
+            { name: 'b', dependencies: ['c'] },
+            { name: 'c', dependencies: ['a'] },
+            { name: 'd', dependencies: ['a'] },
+            { name: 'e' }
+        ]);
+        assert(cyclic.cycles.length === 1 && cyclic.cycles[0].join() === 'a,b,c,a', `Unexpected cycles ${JSON.stringify(cyclic.cycles)}`);
+        assert(cyclic.order.join() === 'd,e', `Plugins in the cycle should be left out, got ${cyclic.order.join()}`);
+        console.log('   ✅ Dependencies activate first and cycles are reported');
+
+        console.log('\n🎉 Plugin dependency tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin dependency test failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+runPluginDependenciesTest();
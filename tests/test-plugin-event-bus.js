@@ -0,0 +1,112 @@
+/**
+ * Test for the Plugin Event Bus
+ *
+ * Verifies that:
+ * 1. Filter hooks run in priority order, can rewrite the payload and veto, and
+ *    never mutate the caller's payload; failing or async hooks are skipped.
+ * 2. Listeners each get their own copy of the payload, and one failing listener
+ *    is reported without affecting the others.
+ * 3. Plugins can only emit their own events, and everything a plugin registered
+ *    is dropped when it is removed.
+ * 4. Each project has its own bus.
+ */
+
+const PluginEventBus = require('../src/plugins/PluginEventBus');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function expectThrow(fn, pattern, message) {
+    try {
+        fn();
+    } catch (error) {
+        assert(pattern.test(error.message), `${message}: ${error.message}`);
+        return;
+    }
+    throw new Error(`${message}: nothing was thrown`);
+}
+
+async function runPluginEventBusTest() {
+    console.log('🧪 Running Plugin Event Bus Test...\n');
+
+    try {
+        const bus = new PluginEventBus('alpha');
+
+        // 1. Filters
+        console.log('🔍 Testing filter hooks...');
+        bus.filter('progress.updated', payload => ({ ...payload, order: [...payload.order, 'late'] }), { owner: 'late', priority: 20 });
+        bus.filter('progress.updated', payload => {
+            payload.order.push('early');
+        }, { owner: 'early', priority: 1 });
+        bus.filter('progress.updated', () => {
+            throw new Error('broken hook');
+        }, { owner: 'broken' });
+        bus.filter('progress.updated', async payload => ({ ...payload, order: ['async'] }), { owner: 'async' });
+
+        const payload = { level: 3, order: [] };
+        const filtered = bus.applyFilters('progress.updated', payload);
+        assert(!filtered.vetoed && filtered.payload.order.join() === 'early,late', `Unexpected filter order ${filtered.payload.order.join()}`);
+        assert(payload.order.length === 0, 'The caller\'s payload should not be mutated');
+
+        const unsubscribe = bus.filter('progress.updated', (draft, event) => {
+            if (draft.level > 2) event.veto('level cap');
+        }, { owner: 'cap', priority: 5 });
+        const vetoed = bus.applyFilters('progress.updated', payload);
+        assert(vetoed.vetoed && vetoed.reason === 'level cap' && vetoed.plugin === 'cap', 'The veto should name its reason and plugin');
+        unsubscribe();
+        assert(!bus.applyFilters('progress.updated', payload).vetoed, 'Unsubscribed hooks should no longer run');
+        console.log('   ✅ Filters ordered, vetoes honoured, failures skipped');
+
+        // 2. Listeners
+        console.log('\n🔍 Testing listeners...');
+        const seen = [];
+        bus.on('save.written', data => {
+            data.slot = 'changed';
+            seen.push('first');
+            return 'ok';
+        }, 'first');
+        bus.on('save.written', async () => {
+            throw new Error('listener failed');
+        }, 'failing');
+        bus.on('save.written', (data, event) => {
+            seen.push(`${data.slot}@${event.projectId}`);
+        }, 'second');
+
+        const { results, errors } = await bus.emit('save.written', { slot: 'main' });
+        assert(seen.join() === 'first,main@alpha', 'Each listener should get its own copy of the payload');
+        assert(results.map(result => `${result.plugin}:${result.value}`).join() === 'first:ok,second:undefined', 'Results should be reported per plugin');
+        assert(errors.length === 1 && errors[0].plugin === 'failing' && errors[0].error === 'listener failed', 'The failing listener should be reported');
+        console.log('   ✅ Listeners isolated from each other');
+
+        // 3. Plugin API and cleanup
+        console.log('\n🔍 Testing the plugin API...');
+        const quests = bus.forPlugin('quests');
+        expectThrow(() => quests.emit('save.written', {}), /only emit events prefixed with "quests\."/, 'Plugins should not emit core events');
+        expectThrow(() => quests.on('badname', () => {}), /Invalid event name/, 'Event names should be dotted');
+        quests.on('quests.completed', () => 'rewarded');
+        quests.filter('inventory.changed', () => {});
+        assert((await quests.emit('quests.completed', {})).results[0].value === 'rewarded', 'Plugins should emit their own events');
+        assert(bus.describe()['inventory.changed'].filters.join() === 'quests', 'describe() should list owners');
+        assert(bus.removeOwner('quests') === 2, 'Both registrations should be removed');
+        assert(!bus.describe()['quests.completed'] && !bus.describe()['inventory.changed'], 'Nothing of the plugin should remain');
+        console.log('   ✅ Plugins confined to their own events and cleaned up');
+
+        // 4. Projects
+        console.log('\n🔍 Testing project isolation...');
+        const beta = new PluginEventBus('beta');
+        assert((await beta.emit('save.written', { slot: 'main' })).results.length === 0, 'Another project\'s bus has no listeners');
+        assert(!beta.applyFilters('progress.updated', { level: 9, order: [] }).payload.order.length, 'Another project\'s bus has no filters');
+        console.log('   ✅ Buses are per project');
+
+        console.log('\n🎉 Plugin event bus tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin event bus test failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+runPluginEventBusTest();
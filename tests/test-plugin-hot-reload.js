@@ -0,0 +1,125 @@
+/**
+ * Integration Test for Plugin Hot Reload
+ *
+ * Verifies against an external plugin in a temporary directory that:
+ * 1. Code that fails validation is never activated and the running version keeps serving.
+ * 2. Code that fails to activate is rolled back to the previous version.
+ * 3. Valid new code replaces the running version on the same mount path.
+ * 4. Every attempt is recorded for the admin dashboard.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const PluginManager = require('../src/plugins/PluginManager');
+
+const PLUGIN_DIR = path.join(os.tmpdir(), 'ssbackend-test-hot-reload', 'hello');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Write the test plugin's entry module
+ * @param {string} version - Version reported by the manifest and the /version route
+ * @param {Object} options - { failActivation, body } where body replaces the module source
+ */
+function writePlugin(version, { failActivation = false, body = null } = {}) {
+    fs.mkdirSync(PLUGIN_DIR, { recursive: true });
+    fs.writeFileSync(path.join(PLUGIN_DIR, 'index.js'), body || `
+module.exports = {
+    manifest: { name: 'hello', version: '${version}', description: 'Hot reload test plugin' },
+    async onActivate() {
+        ${failActivation ? "throw new Error('activation failed');" : ''}
+    },
+    routes: [
+        { method: 'GET', path: '/version', handler: (req, res) => res.json({ version: '${version}' }) }
+    ]
+};
+`);
+}
+
+async function servedVersion(baseUrl) {
+    const response = await fetch(`${baseUrl}/api/hello/version`);
+    return (await response.json()).version;
+}
+
+async function runPluginHotReloadTest() {
+    console.log('🧪 Running Plugin Hot Reload Test...\n');
+
+    const db = new sqlite3.Database(':memory:');
+    const app = express();
+    app.use(express.json());
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const config = { type: 'external', path: PLUGIN_DIR, enabled: true };
+        const manager = new PluginManager();
+        manager.app = app;
+        manager.db = db;
+        manager.projectPluginConfig = { auto_discover: false, hello: config };
+
+        writePlugin('1.0.0');
+        await manager.loadPlugin('hello', config);
+        assert(await servedVersion(baseUrl) === '1.0.0', 'The first version should be served');
+
+        // 1. Validation failures
+        console.log('🔍 Testing code that fails validation...');
+        writePlugin('1.1.0', { body: 'module.exports = { manifest: { name: "hello" } };' });
+        let result = await manager.reloadPlugin('hello');
+        assert(!result.success && result.phase === 'validate' && result.keptPrevious, 'Invalid code should be refused up front');
+        writePlugin('1.2.0', { body: 'module.exports = {' });
+        result = await manager.reloadPlugin('hello');
+        assert(!result.success && result.phase === 'validate' && result.keptPrevious, 'Code that does not parse should be refused');
+        assert(await servedVersion(baseUrl) === '1.0.0', 'The running version should keep serving');
+        console.log('   ✅ Invalid code never replaces the running version');
+
+        // 2. Activation failures
+        console.log('\n🔍 Testing code that fails to activate...');
+        writePlugin('2.0.0', { failActivation: true });
+        result = await manager.reloadPlugin('hello');
+        assert(!result.success && result.keptPrevious && /activation failed/.test(result.error), 'The failed activation should be reported');
+        assert(manager.activePlugins.get('hello').plugin.manifest.version === '1.0.0', 'The previous version should be active again');
+        assert(!manager.failedPlugins.has('hello'), 'A restored plugin is not failed');
+        assert(await servedVersion(baseUrl) === '1.0.0', 'The previous version should serve requests');
+        console.log('   ✅ Failed activations rolled back');
+
+        // 3. Successful reload
+        console.log('\n🔍 Testing a successful reload...');
+        writePlugin('3.0.0');
+        result = await manager.reloadPlugin('hello', { trigger: 'watch', files: ['index.js'] });
+        assert(result.success && result.plugin.version === '3.0.0' && result.plugin.routes === 1, 'The new version should load');
+        assert(await servedVersion(baseUrl) === '3.0.0', 'The new version should serve on the same path');
+        console.log('   ✅ New code served after reload');
+
+        // 4. History
+        console.log('\n🔍 Testing reload history...');
+        result = await manager.reloadPlugin('missing');
+        assert(!result.success && !result.keptPrevious, 'Inactive plugins cannot be reloaded');
+        const history = manager.reloadHistory.map(entry => `${entry.plugin}:${entry.success}`);
+        assert(history.join() === 'hello:false,hello:false,hello:false,hello:true,missing:false', `Unexpected history ${history.join()}`);
+        assert(manager.reloadHistory[3].trigger === 'watch' && manager.reloadHistory[3].files[0] === 'index.js', 'Triggers and files are recorded');
+        console.log('   ✅ Every attempt recorded');
+
+        console.log('\n🎉 Plugin hot reload tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin hot reload test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => db.close(resolve));
+        fs.rmSync(path.dirname(PLUGIN_DIR), { recursive: true, force: true });
+    }
+}
+
+// Route middleware loads the session store, whose hourly cleanup timer would keep the process alive
+runPluginHotReloadTest().then(() => process.exit());
@@ -0,0 +1,146 @@
+/**
+ * Test for named plugin route middleware
+ *
+ * Verifies that:
+ * 1. Route middleware names resolve through the registry, including
+ *    middleware registered by a plugin, and unknown names are rejected.
+ * 2. PluginValidator rejects routes using middleware that is neither core
+ *    nor declared in manifest.middleware.
+ * 3. rateLimit answers 429 once a client exceeds its limit.
+ * 4. validateBody rejects bodies that do not match the route's schema.
+ */
+
+const express = require('express');
+const PluginMiddlewareRegistry = require('../src/plugins/PluginMiddlewareRegistry');
+const PluginValidator = require('../src/plugins/PluginValidator');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function expectThrow(fn, pattern, message) {
+    try {
+        fn();
+    } catch (error) {
+        assert(pattern.test(error.message), `${message}: unexpected error "${error.message}"`);
+        return error;
+    }
+    throw new Error(`${message}: nothing was thrown`);
+}
+
+function startServer(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+async function runPluginMiddlewareTest() {
+    console.log('🧪 Running Plugin Middleware Test...\n');
+
+    let server = null;
+
+    try {
+        const registry = new PluginMiddlewareRegistry();
+
+        // 1. Named resolution
+        console.log('🔍 Testing middleware resolution...');
+        assert(registry.resolve(['auth']).length === 1, 'auth should resolve to one middleware');
+        assert(registry.resolve(['admin']).length === 2, 'admin should resolve to auth plus the admin check');
+        assert(registry.resolve([{ name: 'rateLimit', options: { max: 5 } }, 'optionalAuth']).length === 2,
+            'Option entries and names should resolve in order');
+
+        const calls = [];
+        registry.forPlugin('notes').register('notesOwner', (req, res, next) => { calls.push('notesOwner'); next(); });
+        const [notesOwner] = registry.resolve(['notesOwner']);
+        notesOwner({}, {}, () => calls.push('next'));
+        assert(calls.join() === 'notesOwner,next', 'Plugin middleware should resolve to the registered function');
+
+        expectThrow(() => registry.forPlugin('other').register('notesOwner', () => {}), /already registered by plugin notes/,
+            'Another plugin must not take over a name');
+        expectThrow(() => registry.forPlugin('notes').register('auth', () => {}), /already registered by SSBackend core/,
+            'Core names cannot be replaced');
+
+        assert(registry.unregisterOwner('notes').join() === 'notesOwner', 'Deactivation should drop the plugin\'s middleware');
+        const unknown = expectThrow(() => registry.resolve(['auth', 'notesOwner']), /Unknown middleware "notesOwner"/,
+            'Unregistered names should be rejected');
+        assert(unknown.code === 'UNKNOWN_MIDDLEWARE', 'Unknown names should carry UNKNOWN_MIDDLEWARE');
+        console.log('   ✅ Core and plugin middleware resolved by name, unknown names rejected');
+
+        // 2. Validation
+        console.log('\n🔍 Testing route validation...');
+        const manifest = { name: 'notes', version: '1.0.0', description: 'Notes plugin for middleware tests' };
+        const handler = (req, res) => res.json({});
+
+        let result = new PluginValidator().validate({
+            manifest,
+            routes: [{ method: 'GET', path: '/notes', handler, middleware: ['auth', 'notesOwner'] }]
+        }, 'notes', __dirname);
+        assert(!result.valid && result.errors.some(error => /unknown middleware: notesOwner/.test(error)),
+            'Undeclared middleware should fail validation');
+
+        result = new PluginValidator().validate({
+            manifest: { ...manifest, middleware: ['notesOwner'] },
+            routes: [{ method: 'GET', path: '/notes', handler, middleware: ['auth', 'notesOwner', { name: 'rateLimit', options: { max: 1 } }] }]
+        }, 'notes', __dirname);
+        assert(result.valid, `Declared middleware should pass validation: ${result.errors.join('; ')}`);
+
+        result = new PluginValidator().validate({ manifest: { ...manifest, middleware: ['auth'] } }, 'notes', __dirname);
+        assert(!result.valid && /core middleware name/.test(result.errors[0]), 'Plugins cannot declare core middleware names');
+        console.log('   ✅ Unknown and redefined middleware names rejected');
+
+        // 3 & 4. Over HTTP
+        const app = express();
+        app.use(express.json());
+        app.get('/limited', ...registry.resolve([{ name: 'rateLimit', options: { max: 2, windowMs: 60000 } }]), handler);
+        app.post('/scores', ...registry.resolve([{
+            name: 'validateBody',
+            options: { type: 'object', required: ['score'], properties: { score: { type: 'integer' } } }
+        }]), (req, res) => res.json({ score: req.body.score }));
+        server = await startServer(app);
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        console.log('\n🔍 Testing rateLimit...');
+        const statuses = [];
+        let limited;
+        for (let i = 0; i < 3; i++) {
+            limited = await fetch(`${baseUrl}/limited`);
+            statuses.push(limited.status);
+        }
+        assert(statuses.join() === '200,200,429', `Expected 200,200,429, got ${statuses.join()}`);
+        assert(limited.headers.get('retry-after') && limited.headers.get('x-ratelimit-remaining') === '0',
+            'A limited response should say when to retry');
+        console.log('   ✅ Requests over the limit answered with 429');
+
+        console.log('\n🔍 Testing validateBody...');
+        const post = body => fetch(`${baseUrl}/scores`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const rejected = await post({ score: 'lots' });
+        const rejectedBody = await rejected.json();
+        assert(rejected.status === 400 && rejectedBody.errors[0].path === '/score', 'A wrongly typed field should be rejected at /score');
+        const missing = await (await post({})).json();
+        assert(missing.errors[0].path === '/score' && missing.errors[0].keyword === 'required', 'Missing fields should point at the field');
+        const accepted = await post({ score: 12 });
+        assert(accepted.status === 200 && (await accepted.json()).score === 12, 'A valid body should reach the handler');
+        expectThrow(() => registry.resolve(['validateBody']), /requires a JSON Schema/, 'validateBody needs a schema');
+        console.log('   ✅ Invalid bodies rejected with per-field errors');
+
+        console.log('\n🎉 Plugin middleware tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin middleware test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+        // The auth middleware's token store keeps a cleanup timer running
+        process.exit();
+    }
+}
+
+runPluginMiddlewareTest();
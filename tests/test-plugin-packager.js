@@ -0,0 +1,172 @@
+/**
+ * Test for plugin packing and installation
+ *
+ * Verifies against temporary directories that:
+ * 1. pack() stores every plugin file and the manifest, skipping node_modules
+ *    and old archives, and extraction restores the files unchanged.
+ * 2. Archives are checked before their code runs: a missing or invalid
+ *    manifest is rejected without requiring the entry point.
+ * 3. Archives with absolute or ../ paths are rejected and nothing is written
+ *    outside the extraction directory.
+ * 4. plugins install copies a packed plugin into plugins/ and registers it,
+ *    and refuses archives that fail the pre-load checks.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const PluginPackager = require('../src/plugins/PluginPackager');
+const EnhancedPluginCLI = require('../src/cli/enhancedPluginCLI');
+
+const ROOT = path.join(os.tmpdir(), 'ssbackend-test-plugin-packager');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function expectThrow(fn, pattern, message) {
+    try {
+        fn();
+    } catch (error) {
+        assert(pattern.test(error.message), `${message}: unexpected error "${error.message}"`);
+        return;
+    }
+    throw new Error(`${message}: nothing was thrown`);
+}
+
+// Each load of a fixture bumps this counter, so tests can tell whether code ran
+function writePlugin(dir, manifest) {
+    fs.mkdirSync(path.join(dir, 'routes'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'node_modules', 'dep'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.js'), `
+        global.packagerFixtureLoads = (global.packagerFixtureLoads || 0) + 1;
+        module.exports = { manifest: ${JSON.stringify(manifest)} };
+    `);
+    fs.writeFileSync(path.join(dir, 'routes', 'hello.js'), 'module.exports = (req, res) => res.json({ hello: true });\n');
+    fs.writeFileSync(path.join(dir, 'node_modules', 'dep', 'index.js'), 'module.exports = 1;\n');
+    fs.writeFileSync(path.join(dir, 'old-0.0.1.ssb-plugin'), 'stale');
+}
+
+function writeArchive(file, archive) {
+    fs.writeFileSync(file, zlib.gzipSync(Buffer.from(JSON.stringify({ format: 'ssb-plugin', formatVersion: 1, ...archive }))));
+}
+
+function encode(content) {
+    return Buffer.from(content).toString('base64');
+}
+
+async function runPluginPackagerTest() {
+    console.log('🧪 Running Plugin Packager Test...\n');
+
+    const originalCwd = process.cwd();
+    fs.rmSync(ROOT, { recursive: true, force: true });
+    fs.mkdirSync(path.join(ROOT, 'project', 'plugins', '@core'), { recursive: true });
+    process.env.NO_COLOR = '1';
+
+    const packager = new PluginPackager();
+    const manifest = { name: 'sample-plugin', version: '1.2.3', description: 'A plugin used by the packager test' };
+    const sourceDir = path.join(ROOT, 'sample-plugin');
+    const archivePath = path.join(ROOT, 'sample-plugin-1.2.3.ssb-plugin');
+
+    try {
+        writePlugin(sourceDir, manifest);
+
+        // 1. Pack and extract
+        console.log('🔍 Testing pack...');
+        const packed = packager.pack(sourceDir, archivePath);
+        assert(packed.name === 'sample-plugin' && packed.version === '1.2.3' && packed.files === 2,
+            `Unexpected pack result ${JSON.stringify(packed)}`);
+
+        const archive = packager.readArchive(archivePath);
+        assert(archive.manifest.description === manifest.description, 'The archive should carry the manifest');
+        assert(archive.files.map(file => file.path).sort().join() === 'index.js,routes/hello.js',
+            'node_modules and old archives should not be packed');
+
+        const { dir } = packager.extractToTemp(archivePath);
+        assert(fs.readFileSync(path.join(dir, 'routes', 'hello.js'), 'utf8') ===
+            fs.readFileSync(path.join(sourceDir, 'routes', 'hello.js'), 'utf8'), 'Extracted files should match the source');
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.log('   ✅ Plugin packed with its manifest and extracted unchanged');
+
+        // 2. Checks before load
+        console.log('\n🔍 Testing pre-load checks...');
+        const loadsBefore = global.packagerFixtureLoads;
+        const extracted = packager.extractToTemp(archivePath);
+        assert(PluginPackager.checkBeforeLoad(extracted.dir, extracted.archive).name === 'sample-plugin',
+            'A packed archive should pass the pre-load checks');
+        expectThrow(() => PluginPackager.checkBeforeLoad(extracted.dir, { ...extracted.archive, manifest: undefined }),
+            /no manifest/, 'Archives without a manifest should be rejected');
+        expectThrow(() => PluginPackager.checkBeforeLoad(extracted.dir, { ...extracted.archive, manifest: { ...manifest, name: 'Bad Name' } }),
+            /Invalid plugin manifest/, 'Invalid manifests should be rejected');
+        expectThrow(() => PluginPackager.checkBeforeLoad(extracted.dir, { ...extracted.archive, name: 'other-plugin' }),
+            /labelled other-plugin/, 'Archive labels must match the manifest');
+        fs.unlinkSync(path.join(extracted.dir, 'index.js'));
+        expectThrow(() => PluginPackager.checkBeforeLoad(extracted.dir, extracted.archive),
+            /entry point/, 'Archives without an entry point should be rejected');
+        fs.rmSync(extracted.dir, { recursive: true, force: true });
+        assert(global.packagerFixtureLoads === loadsBefore, 'Pre-load checks must not run plugin code');
+        console.log('   ✅ Manifest and entry point checked without loading code');
+
+        // 3. Unsafe paths
+        console.log('\n🔍 Testing unsafe archive paths...');
+        const outside = path.join(ROOT, 'escaped.js');
+        for (const unsafePath of ['../../escaped.js', outside]) {
+            const unsafeArchive = path.join(ROOT, 'unsafe.ssb-plugin');
+            writeArchive(unsafeArchive, {
+                name: 'sample-plugin',
+                version: '1.2.3',
+                manifest,
+                files: [{ path: 'index.js', content: encode('module.exports = {};') }, { path: unsafePath, content: encode('owned') }]
+            });
+            expectThrow(() => packager.extractToTemp(unsafeArchive), /unsafe path/, `${unsafePath} should be rejected`);
+        }
+        assert(!fs.existsSync(outside), 'Nothing should be written outside the extraction directory');
+        console.log('   ✅ Absolute and ../ paths rejected');
+
+        // 4. Install
+        console.log('\n🔍 Testing plugins install...');
+        process.chdir(path.join(ROOT, 'project'));
+        const registered = [];
+        const cli = new EnhancedPluginCLI();
+        cli.apiClient = {
+            async registerPlugin(name, pluginPath, enable) {
+                registered.push({ name, pluginPath, enable });
+                return { data: { enabled: false } };
+            }
+        };
+
+        const unmanifested = path.join(ROOT, 'unmanifested.ssb-plugin');
+        writeArchive(unmanifested, {
+            name: 'rogue-plugin',
+            version: '1.0.0',
+            files: [{ path: 'index.js', content: encode('global.packagerFixtureLoads = -1; module.exports = {};') }]
+        });
+        await cli.installPlugin(unmanifested, ['install', unmanifested]);
+        assert(global.packagerFixtureLoads !== -1, 'An archive without a manifest must not be loaded');
+        assert(!fs.existsSync(path.join('plugins', 'rogue-plugin')) && registered.length === 0, 'Rejected archives must not be installed');
+
+        await cli.installPlugin(archivePath, ['install', archivePath]);
+        const installedDir = path.join(ROOT, 'project', 'plugins', 'sample-plugin');
+        assert(fs.existsSync(path.join(installedDir, 'routes', 'hello.js')), 'The plugin should be copied into plugins/');
+        assert(registered.length === 1 && registered[0].name === 'sample-plugin' && registered[0].enable === false,
+            'The plugin should be registered with the server');
+
+        await cli.installPlugin(archivePath, ['install', archivePath]);
+        assert(registered.length === 1, 'An installed plugin should not be installed twice');
+        console.log('   ✅ Packed plugin installed, unchecked archives refused');
+
+        console.log('\n🎉 Plugin packager tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin packager test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        process.chdir(originalCwd);
+        fs.rmSync(ROOT, { recursive: true, force: true });
+    }
+}
+
+runPluginPackagerTest();
@@ -0,0 +1,138 @@
+/**
+ * Integration Test for the Plugin Database Guard
+ *
+ * Verifies against an in-memory database that an untrusted plugin:
+ * 1. Can use the tables it owns, and core tables only as far as it is granted.
+ * 2. Cannot reach ungranted tables by quoting their names (SELECT, INSERT, UPDATE, DELETE, DROP).
+ * 3. Cannot read protected columns such as users.password.
+ * 4. Can only drop indexes and triggers named after its own tables.
+ * 5. Cannot hide a table behind a common table expression of the same name.
+ */
+
+const sqlite3 = require('sqlite3');
+const GuardedDatabase = require('../src/db/GuardedDatabase');
+const PluginPermissions = require('../src/plugins/PluginPermissions');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function query(db, method, sql) {
+    return new Promise((resolve, reject) => {
+        db[method](sql, (err, result) => {
+            if (err) reject(err);
+            else resolve(result);
+        });
+    });
+}
+
+async function expectDenied(db, sql) {
+    try {
+        await query(db, 'all', sql);
+    } catch (error) {
+        assert(error.code === 'PERMISSION_DENIED', `Expected PERMISSION_DENIED for ${sql}, got ${error.message}`);
+        return;
+    }
+    throw new Error(`Expected ${sql} to be denied, but it ran`);
+}
+
+async function runPluginPermissionsTest() {
+    console.log('🧪 Running Plugin Permissions Test...\n');
+
+    const raw = new sqlite3.Database(':memory:');
+
+    try {
+        await query(raw, 'exec', `
+            CREATE TABLE users (id INTEGER PRIMARY KEY, username TEXT, password TEXT);
+            INSERT INTO users (username, password) VALUES ('alice', 'hash');
+            CREATE TABLE saves (id INTEGER PRIMARY KEY, user_id INTEGER);
+            CREATE INDEX idx_users_username ON users(username);
+        `);
+
+        const notes = new GuardedDatabase(raw, new PluginPermissions('notes', {
+            database: { read: ['saves'] }
+        }));
+
+        // 1. Owned tables and grants
+        console.log('🔍 Testing owned tables and grants...');
+        await query(notes, 'run', 'CREATE TABLE plugin_notes (id INTEGER PRIMARY KEY, user_id INTEGER, body TEXT)');
+        await query(notes, 'run', "INSERT INTO plugin_notes (user_id, body) VALUES (1, 'hi')");
+        await query(notes, 'all', 'SELECT * FROM saves');
+        await expectDenied(notes, 'DELETE FROM saves');
+        await expectDenied(notes, 'SELECT id FROM users');
+        console.log('   ✅ Owned tables usable, grants enforced');
+
+        // 2. Quoted table names
+        console.log('\n🔍 Testing quoted table names...');
+        for (const sql of [
+            "SELECT * FROM 'users'",
+            "SELECT id FROM plugin_notes, 'users'",
+            "SELECT id FROM plugin_notes 'n', users",
+            "SELECT n.id FROM plugin_notes n JOIN 'users' u ON u.id = n.user_id",
+            "INSERT INTO 'users' (username) VALUES ('mallory')",
+            "UPDATE 'users' SET username = 'mallory'",
+            "DELETE FROM 'users'",
+            "DROP TABLE 'users'",
+            "DROP TABLE IF EXISTS 'main'.'users'",
+            "UPDATE 'saves' SET user_id = 2"
+        ]) {
+            await expectDenied(notes, sql);
+        }
+        const users = await query(raw, 'all', 'SELECT username FROM users');
+        assert(users.length === 1 && users[0].username === 'alice', 'users must be untouched');
+        console.log('   ✅ Quoted names checked like unquoted ones');
+
+        // 3. Protected columns
+        console.log('\n🔍 Testing protected columns...');
+        const reader = new GuardedDatabase(raw, new PluginPermissions('reader', { database: { read: ['users'] } }));
+        await query(reader, 'all', "SELECT username FROM 'users'");
+        await expectDenied(reader, 'SELECT password FROM users');
+        await expectDenied(reader, "SELECT * FROM 'users'");
+        console.log('   ✅ users.password never readable');
+
+        // 4. Index and trigger ownership
+        console.log('\n🔍 Testing index ownership...');
+        await query(notes, 'run', 'CREATE INDEX idx_plugin_notes_user ON plugin_notes(user_id)');
+        await query(notes, 'run', 'DROP INDEX idx_plugin_notes_user');
+        await expectDenied(notes, 'DROP INDEX idx_users_username');
+
+        const shortName = new GuardedDatabase(raw, new PluginPermissions('user', {}));
+        await expectDenied(shortName, 'DROP INDEX idx_users_username');
+        await expectDenied(shortName, 'DROP INDEX IF EXISTS idx_users_username');
+        const s = new GuardedDatabase(raw, new PluginPermissions('s', {}));
+        await expectDenied(s, 'DROP INDEX idx_users_username');
+        console.log('   ✅ Only indexes named after the plugin\'s tables can be dropped');
+
+        // 5. Common table expressions
+        console.log('\n🔍 Testing common table expressions...');
+        for (const sql of [
+            'WITH users AS (SELECT 1) DELETE FROM users',
+            "WITH users AS (SELECT 1) INSERT INTO users (username) VALUES ('mallory')",
+            'WITH users AS (SELECT 1) SELECT group_concat(password) FROM main.users',
+            'WITH recent AS (SELECT 1) SELECT username FROM main.recent, users',
+            'WITH x AS (SELECT 1) UPDATE saves SET user_id = 2',
+            'WITH x AS (SELECT 1) DELETE FROM x'
+        ]) {
+            await expectDenied(notes, sql);
+        }
+        await expectDenied(reader, 'WITH users AS (SELECT 1) SELECT * FROM users');
+        await expectDenied(notes, 'WITH plugin_notes AS (SELECT 1) SELECT * FROM plugin_notes');
+        const ids = await query(notes, 'all', 'WITH recent AS (SELECT id FROM plugin_notes) SELECT id FROM recent');
+        assert(ids.length === 1, 'CTEs with their own names should still work');
+        const remaining = await query(raw, 'all', 'SELECT username FROM users');
+        assert(remaining.length === 1 && remaining[0].username === 'alice', 'users must be untouched');
+        console.log('   ✅ CTEs cannot shadow tables or cover writes');
+
+        console.log('\n🎉 Plugin permissions tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin permissions test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => raw.close(resolve));
+    }
+}
+
+runPluginPermissionsTest();
@@ -0,0 +1,190 @@
+/**
+ * Integration Test for Plugin Removal
+ *
+ * Verifies against temporary plugin directories, config and database that:
+ * 1. The removal plan lists only the tables a plugin owns (plugin_<name>*)
+ *    and the enabled plugins that depend on it.
+ * 2. Removal is refused while enabled dependents exist, unless forced.
+ * 3. rollback runs every migration's down() and forgets the records.
+ * 4. purge drops the plugin's own tables but never tables it merely declares.
+ * 5. The plugin directory and its config entry are deleted.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const sqlite3 = require('sqlite3');
+const { loadConfig } = require('../src/utils/config');
+const MigrationManager = require('../src/db/migrations/MigrationManager');
+const PluginDiscoveryService = require('../src/services/plugins/PluginDiscoveryService');
+const PluginLifecycleService = require('../src/services/plugins/PluginLifecycleService');
+
+const ROOT = path.join(os.tmpdir(), 'ssbackend-test-plugin-removal');
+const PLUGINS_DIR = path.join(ROOT, 'plugins');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+async function expectError(promise, pattern) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(pattern.test(error.message), `Unexpected error "${error.message}"`);
+        return error;
+    }
+    throw new Error(`Expected an error matching ${pattern}, but the call succeeded`);
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+async function tableNames(db) {
+    return (await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'plugin_%' ORDER BY name"))
+        .map(row => row.name);
+}
+
+function createTableMigration(version, table, reversible) {
+    return `
+        module.exports = {
+            version: ${version},
+            name: 'create_${table}',
+            up(db) {
+                return new Promise((resolve, reject) => {
+                    db.run('CREATE TABLE IF NOT EXISTS ${table} (id INTEGER PRIMARY KEY, body TEXT)',
+                        err => (err ? reject(err) : resolve()));
+                });
+            }${reversible ? `,
+            down(db) {
+                return new Promise((resolve, reject) => {
+                    db.run('DROP TABLE IF EXISTS ${table}', err => (err ? reject(err) : resolve()));
+                });
+            }` : ''}
+        };
+    `;
+}
+
+function writePlugin(name, { dependencies = [], migrations = [] } = {}) {
+    const dir = path.join(PLUGINS_DIR, name);
+    fs.mkdirSync(path.join(dir, 'migrations'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.js'), `module.exports = { manifest: ${JSON.stringify({
+        name,
+        version: '1.0.0',
+        description: `${name} plugin used by the removal test`,
+        dependencies
+    })} };\n`);
+    migrations.forEach(([table, reversible], index) => {
+        const version = index + 1;
+        fs.writeFileSync(path.join(dir, 'migrations', `00000${version}_create_${table}.js`),
+            createTableMigration(version, table, reversible));
+    });
+    return dir;
+}
+
+function writeConfig() {
+    const plugin = name => ({ enabled: true, type: 'external', path: path.join(PLUGINS_DIR, name) });
+    fs.writeFileSync(path.join(ROOT, 'config.yml'), yaml.dump({
+        auth: { jwt_secret: 'test-secret', session_secret: 'test-secret' },
+        projects: [{
+            id: 'default',
+            plugins: {
+                'notes-plugin': plugin('notes-plugin'),
+                'notes-addon': plugin('notes-addon'),
+                journal: plugin('journal')
+            }
+        }]
+    }));
+}
+
+function configuredPlugins() {
+    return yaml.load(fs.readFileSync(path.join(ROOT, 'config.yml'), 'utf8')).projects[0].plugins;
+}
+
+async function runPluginRemovalTest() {
+    console.log('🧪 Running Plugin Removal Test...\n');
+
+    const originalCwd = process.cwd();
+    fs.rmSync(ROOT, { recursive: true, force: true });
+    fs.mkdirSync(path.join(PLUGINS_DIR, '@core'), { recursive: true });
+
+    const db = new sqlite3.Database(':memory:');
+
+    try {
+        const notesDir = writePlugin('notes-plugin', {
+            migrations: [['plugin_notes_plugin_entries', true], ['plugin_notes_plugin_tags', true]]
+        });
+        writePlugin('notes-addon', { dependencies: ['notes-plugin'] });
+        const journalDir = writePlugin('journal', {
+            migrations: [['plugin_journal', false], ['plugin_journal_pages', false], ['plugin_notes_plugin_entries', false]]
+        });
+
+        process.chdir(ROOT);
+        writeConfig();
+        loadConfig();
+
+        const migrations = new MigrationManager(db);
+        await migrations.migratePluginFromPath('journal', path.join(journalDir, 'migrations'));
+        await migrations.migratePluginFromPath('notes-plugin', path.join(notesDir, 'migrations'));
+
+        const lifecycle = new PluginLifecycleService(db, new PluginDiscoveryService({ pluginDir: PLUGINS_DIR }));
+
+        // 1. Removal plan
+        console.log('🔍 Testing removal plan...');
+        const plan = await lifecycle.getRemovalPlan('notes-plugin');
+        assert(plan.tables.map(table => table.name).join() === 'plugin_notes_plugin_entries,plugin_notes_plugin_tags',
+            `Both owned tables should be listed, got ${plan.tables.map(table => table.name).join()}`);
+        const journalPlan = await lifecycle.getRemovalPlan('journal');
+        assert(journalPlan.tables.map(table => table.name).join() === 'plugin_journal,plugin_journal_pages',
+            `Only owned tables should be listed, got ${journalPlan.tables.map(table => table.name).join()}`);
+        assert(plan.enabledDependents.join() === 'notes-addon', 'notes-addon should be listed as an enabled dependent');
+        assert(plan.migrations.length === 2 && plan.migrations.every(m => m.reversible), 'Both migrations should be reversible');
+        console.log('   ✅ Plan lists owned tables and enabled dependents');
+
+        // 2. Enabled dependents
+        console.log('\n🔍 Testing enabled dependents...');
+        await expectError(lifecycle.removePlugin('notes-plugin', { rollback: true }), /Enabled plugins depend on 'notes-plugin': notes-addon/);
+        assert(fs.existsSync(notesDir) && configuredPlugins()['notes-plugin'].enabled, 'A refused removal must change nothing');
+        console.log('   ✅ Removal refused without force');
+
+        // 3. Rollback
+        console.log('\n🔍 Testing removal with rollback...');
+        const removed = await lifecycle.removePlugin('notes-plugin', { rollback: true, force: true });
+        assert(removed.rolledBack.join() === '2,1', `Migrations should roll back newest first, got ${removed.rolledBack.join()}`);
+        assert((await migrations.getAppliedPluginMigrations('notes-plugin')).length === 0, 'Migration records should be gone');
+        assert(!(await tableNames(db)).includes('plugin_notes_plugin_tags'), 'down() should have dropped its tables');
+        assert(!fs.existsSync(notesDir), 'The plugin directory should be deleted');
+        assert(!configuredPlugins()['notes-plugin'], 'The config entry should be removed');
+        console.log('   ✅ Migrations rolled back, directory and config entry deleted');
+
+        // 4. Purge
+        console.log('\n🔍 Testing removal with purge...');
+        await all(db, 'CREATE TABLE plugin_notes_plugin_entries (id INTEGER PRIMARY KEY)');
+        const purged = await lifecycle.removePlugin('journal', { purge: true });
+        assert(purged.droppedTables.sort().join() === 'plugin_journal,plugin_journal_pages',
+            `Only journal's own tables should be dropped, got ${purged.droppedTables.join()}`);
+        const remaining = await tableNames(db);
+        assert(remaining.includes('plugin_notes_plugin_entries'), 'Tables owned by another plugin must survive a purge');
+        assert(!remaining.includes('plugin_journal') && !remaining.includes('plugin_journal_pages'), 'Owned tables should be dropped');
+        assert((await migrations.getAppliedPluginMigrations('journal')).length === 0, 'Purge should forget the migration records');
+        assert(!fs.existsSync(journalDir) && !configuredPlugins().journal, 'The plugin directory and config entry should be deleted');
+        console.log('   ✅ Owned tables dropped, other plugins\' tables kept');
+
+        console.log('\n🎉 Plugin removal tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin removal test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        process.chdir(originalCwd);
+        await new Promise(resolve => db.close(resolve));
+        fs.rmSync(ROOT, { recursive: true, force: true });
+    }
+}
+
+runPluginRemovalTest();
@@ -0,0 +1,98 @@
+/**
+ * Test for plugins create
+ *
+ * Verifies against a temporary plugins directory that:
+ * 1. Every template (minimal, crud, admin-ui, scheduled-job) generates a plugin
+ *    that passes PluginValidator when loaded fresh from disk.
+ * 2. Each generated plugin has its docs, test file and a first migration that
+ *    applies to an empty database.
+ * 3. Bad names, unknown templates, core plugin names and existing
+ *    directories are refused without writing anything.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MigrationManager = require('../src/db/migrations/MigrationManager');
+const PluginScaffolder = require('../src/plugins/PluginScaffolder');
+const PluginPackager = require('../src/plugins/PluginPackager');
+const PluginValidator = require('../src/plugins/PluginValidator');
+
+const ROOT = path.join(os.tmpdir(), 'ssbackend-test-plugin-scaffolder');
+const PLUGINS_DIR = path.join(ROOT, 'plugins');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function expectThrow(fn, pattern, message) {
+    try {
+        fn();
+    } catch (error) {
+        assert(pattern.test(error.message), `${message}: unexpected error "${error.message}"`);
+        return;
+    }
+    throw new Error(`${message}: nothing was thrown`);
+}
+
+async function runPluginScaffolderTest() {
+    console.log('🧪 Running Plugin Scaffolder Test...\n');
+
+    fs.rmSync(ROOT, { recursive: true, force: true });
+    fs.mkdirSync(path.join(PLUGINS_DIR, '@core', 'economy'), { recursive: true });
+
+    const scaffolder = new PluginScaffolder({ pluginDir: PLUGINS_DIR, internalPluginDir: path.join(PLUGINS_DIR, '@core') });
+
+    try {
+        // 1 & 2. Every template
+        console.log('🔍 Testing templates...');
+        for (const template of Object.keys(PluginScaffolder.TEMPLATES)) {
+            const name = `sample-${template}`;
+            const created = scaffolder.create(name, { template });
+            assert(created.path === path.join(PLUGINS_DIR, name), `${template}: unexpected path ${created.path}`);
+
+            const plugin = PluginPackager.loadPlugin(created.path);
+            const validation = new PluginValidator().validate(plugin, name, created.path);
+            assert(validation.valid, `${template}: generated plugin failed validation: ${validation.errors.join('; ')}`);
+            assert(plugin.manifest.name === name, `${template}: manifest should be named ${name}`);
+
+            for (const file of ['index.js', 'migrations/000001_initial_schema.js', 'docs/api-reference.md']) {
+                assert(created.files.includes(file) && fs.existsSync(path.join(created.path, file)), `${template}: missing ${file}`);
+            }
+            assert(created.files.some(file => file.startsWith('tests/')), `${template}: missing test file`);
+
+            const db = new sqlite3.Database(':memory:');
+            try {
+                const result = await new MigrationManager(db).migratePluginFromPath(name, path.join(created.path, 'migrations'));
+                assert(result.applied === 1, `${template}: the first migration should apply`);
+            } finally {
+                await new Promise(resolve => db.close(resolve));
+            }
+            console.log(`   ✅ ${template} generated, validated and migrated`);
+        }
+
+        // 3. Refusals
+        console.log('\n🔍 Testing refused names...');
+        const before = fs.readdirSync(PLUGINS_DIR).sort().join();
+        expectThrow(() => scaffolder.create('Bad_Name'), /lowercase alphanumeric/, 'Invalid names should be refused');
+        expectThrow(() => scaffolder.create('sample', { template: 'kitchen-sink' }), /Unknown template "kitchen-sink"/,
+            'Unknown templates should be refused');
+        expectThrow(() => scaffolder.create('economy'), /core plugin/, 'Core plugin names should be refused');
+        expectThrow(() => scaffolder.create('sample-minimal'), /already exists/, 'Existing plugins should not be overwritten');
+        assert(fs.readdirSync(PLUGINS_DIR).sort().join() === before, 'Refused names must not write anything');
+        console.log('   ✅ Bad names, unknown templates and existing plugins refused');
+
+        console.log('\n🎉 Plugin scaffolder tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin scaffolder test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(ROOT, { recursive: true, force: true });
+    }
+}
+
+runPluginScaffolderTest();
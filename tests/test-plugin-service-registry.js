@@ -0,0 +1,122 @@
+/**
+ * Test for the Plugin Service Registry
+ *
+ * Verifies that:
+ * 1. Plugins can only provide services declared in manifest.provides and use
+ *    services declared in manifest.requires, and names are not shared between providers.
+ * 2. Service handles follow the provider: a re-registered implementation is picked
+ *    up live, and a withdrawn or out-of-range service throws SERVICE_UNAVAILABLE.
+ * 3. Optional services resolve to null while unavailable.
+ * 4. Requirements are reported as missing, inactive or mismatched, both against
+ *    running providers and against installed manifests.
+ */
+
+const PluginServiceRegistry = require('../src/plugins/PluginServiceRegistry');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function expectThrow(fn, pattern, message) {
+    try {
+        fn();
+    } catch (error) {
+        assert(pattern.test(error.code || error.message), `${message}: ${error.code || error.message}`);
+        return;
+    }
+    throw new Error(`${message}: nothing was thrown`);
+}
+
+const economyManifest = {
+    version: '1.2.0',
+    provides: ['economy.balances', { name: 'economy.shop', version: '2.0.0' }]
+};
+
+const questsManifest = {
+    version: '1.0.0',
+    requires: [
+        { name: 'economy.balances', version: '^1.0.0' },
+        { name: 'economy.shop', version: '^2.0.0', optional: true },
+        { name: 'chat.messages', optional: true }
+    ]
+};
+
+function runPluginServiceRegistryTest() {
+    console.log('🧪 Running Plugin Service Registry Test...\n');
+
+    try {
+        const registry = new PluginServiceRegistry();
+        const economy = registry.forPlugin('economy', economyManifest);
+        const quests = registry.forPlugin('quests', questsManifest);
+
+        // 1. Declarations
+        console.log('🔍 Testing declarations...');
+        expectThrow(() => economy.provideService('economy.loans', {}), /manifest\.provides/, 'Undeclared services cannot be provided');
+        expectThrow(() => quests.getService('economy.loans'), /manifest\.requires/, 'Undeclared services cannot be used');
+        economy.provideService('economy.balances', { get: userId => userId * 10 });
+        expectThrow(() => registry.provide('rival', 'economy.balances', '1.0.0', {}), /already provided by plugin economy/,
+            'Another plugin cannot take over a service');
+        assert(registry.get('economy.balances').version === '1.2.0', 'Services default to the plugin version');
+        assert(PluginServiceRegistry.isValidName('economy.balances') && !PluginServiceRegistry.isValidName('economy..x'),
+            'Service names are dot-separated');
+        console.log('   ✅ provides and requires enforced');
+
+        // 2. Live handles
+        console.log('\n🔍 Testing live handles...');
+        const balances = quests.getService('economy.balances');
+        assert(balances.get(2) === 20, 'The handle should call the provider');
+        economy.provideService('economy.balances', { get: userId => userId * 100 });
+        assert(balances.get(2) === 200, 'The handle should follow a reloaded provider');
+        assert('get' in balances && balances.then === undefined, 'Handles support `in` and are not thenable');
+
+        registry.withdraw('economy');
+        expectThrow(() => balances.get(2), /SERVICE_UNAVAILABLE/, 'A withdrawn service should be unavailable');
+        registry.provide('economy', 'economy.balances', '2.0.0', { get: () => 0 });
+        expectThrow(() => balances.get(2), /SERVICE_UNAVAILABLE/, 'A provider outside the required range should be unavailable');
+        registry.withdraw('economy');
+        console.log('   ✅ Handles resolve the current provider');
+
+        // 3. Optional services
+        console.log('\n🔍 Testing optional services...');
+        assert(quests.getService('chat.messages') === null, 'A missing optional service should be null');
+        assert(quests.getService('economy.shop') === null, 'A withdrawn optional service should be null');
+        economy.provideService('economy.shop', { buy: () => 'bought' });
+        assert(quests.getService('economy.shop').buy() === 'bought', 'An available optional service should be usable');
+        console.log('   ✅ Optional services degrade to null');
+
+        // 4. Requirement checks
+        console.log('\n🔍 Testing requirement checks...');
+        const findProvider = name => (name.startsWith('economy.') ? 'economy' : null);
+        const running = registry.checkRequirements([...questsManifest.requires, 'chat.rooms'], findProvider);
+        assert(running.map(issue => `${issue.name}:${issue.reason}`).join() === 'economy.balances:inactive,chat.rooms:missing',
+            `Unexpected issues ${running.map(issue => issue.message).join('; ')}`);
+        economy.provideService('economy.balances', {});
+        assert(registry.checkRequirements(questsManifest.requires, findProvider).length === 0, 'Satisfied requirements report nothing');
+        assert(registry.checkRequirements([{ name: 'economy.balances', version: '^2.0.0' }], findProvider)[0].reason === 'version',
+            'A version mismatch should be reported');
+
+        const installed = [{ id: 'economy', enabled: false, provides: [{ name: 'economy.balances', version: '1.2.0' }] }];
+        assert(PluginServiceRegistry.checkDeclaredRequirements(['economy.balances'], installed)[0].reason === 'inactive',
+            'A disabled provider should be reported');
+        assert(PluginServiceRegistry.checkDeclaredRequirements([{ name: 'economy.balances', version: '>=2' }], installed)[0].reason === 'version',
+            'A declared version mismatch should be reported');
+
+        const consumers = registry.consumersOf('economy', new Map([
+            ['economy', { plugin: { manifest: economyManifest } }],
+            ['quests', { plugin: { manifest: questsManifest } }],
+            ['chat', { plugin: { manifest: {} } }]
+        ]));
+        assert(consumers.join() === 'quests', 'Consumers of a provider should be listed');
+        console.log('   ✅ Missing, inactive and mismatched services reported');
+
+        console.log('\n🎉 Plugin service registry tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Plugin service registry test failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+runPluginServiceRegistryTest();
@@ -0,0 +1,170 @@
+/**
+ * Integration Test for the Save Service
+ *
+ * Verifies against a temporary project database that:
+ * 1. Every write creates a revision and restores are written as new revisions.
+ * 2. If-Match style expected revisions reject stale writes.
+ * 3. Patches run inside the write, so a failing patch changes nothing.
+ * 4. Saves are namespaced per user, and every save an admin lists can be
+ *    loaded from its owner's namespace.
+ * 5. Payloads are validated against save schemas, and saves stored with a
+ *    schema stay writable when no schemas are configured.
+ * 6. Save data migrations upgrade outdated saves lazily and in bulk.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MigrationManager = require('../src/db/migrations/MigrationManager');
+const SaveService = require('../src/services/saves/SaveService');
+const SaveSchemaRegistry = require('../src/services/saves/SaveSchemaRegistry');
+const SaveMigrationManager = require('../src/services/saves/SaveMigrationManager');
+const { applyJsonPatch } = require('../src/utils/jsonPatch');
+
+const DB_PATH = './test-save-service.db';
+const MIGRATIONS_DIR = path.join(os.tmpdir(), 'ssbackend-test-save-migrations');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+async function expectError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.code === code, `Expected ${code}, got ${error.code || error.message}`);
+        return error;
+    }
+    throw new Error(`Expected ${code}, but the call succeeded`);
+}
+
+function writeSaveMigrations() {
+    fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, '000001_rename_gold.js'), `
+        module.exports = {
+            version: 1,
+            name: 'rename_gold',
+            up(data) {
+                data.coins = data.gold || 0;
+                delete data.gold;
+                return data;
+            }
+        };
+    `);
+}
+
+async function runSaveServiceTest() {
+    console.log('🧪 Running Save Service Test...\n');
+
+    if (fs.existsSync(DB_PATH)) fs.unlinkSync(DB_PATH);
+    fs.rmSync(MIGRATIONS_DIR, { recursive: true, force: true });
+
+    const db = new sqlite3.Database(DB_PATH);
+
+    try {
+        await new MigrationManager(db).migrate();
+
+        const saves = new SaveService(db, { history: { max_revisions: 3 } });
+
+        // 1. Revisions and restore
+        console.log('🔍 Testing revisions and restore...');
+        await saves.writeSave('slot', { level: 1 });
+        await saves.writeSave('slot', { level: 2 });
+        const restored = await saves.restoreRevision('slot', 1);
+        assert(restored.revision === 3 && restored.restoredFrom === 1, 'Restore should create revision 3');
+        assert(JSON.parse((await saves.getSave('slot')).data).level === 1, 'Restore should bring back level 1');
+        assert((await saves.getRevision('slot', 2)).source === 'save', 'Revisions should record their source');
+
+        await saves.writeSave('slot', { level: 4 });
+        const history = await saves.getHistory('slot');
+        assert(history.length === 3 && history[2].revision === 2, 'History should be pruned to 3 revisions');
+        assert(await saves.getRevision('slot', 1) === null, 'Pruned revisions should be gone');
+        console.log('   ✅ Revisions recorded, restored and pruned');
+
+        // 2. Optimistic concurrency
+        console.log('\n🔍 Testing expected revisions...');
+        await saves.writeSave('slot', { level: 5 }, { expectedRevision: 4 });
+        const conflict = await expectError(saves.writeSave('slot', { level: 6 }, { expectedRevision: 4 }), 'SAVE_CONFLICT');
+        assert(conflict.current.revision === 5, 'Conflict should carry the server copy');
+        await expectError(saves.writeSave('slot', {}, { expectedRevision: 0 }), 'SAVE_CONFLICT');
+        await expectError(saves.writeSave('missing', {}, { expectedRevision: '*' }), 'SAVE_CONFLICT');
+        assert((await saves.writeSave('fresh', {}, { expectedRevision: 0 })).revision === 1, 'Revision 0 should create a new save');
+        console.log('   ✅ Stale writes rejected with the current server copy');
+
+        // 3. Patches
+        console.log('\n🔍 Testing patches...');
+        await expectError(saves.patchSave('slot', data => applyJsonPatch(data, [
+            { op: 'replace', path: '/level', value: 7 },
+            { op: 'remove', path: '/missing' }
+        ])), 'INVALID_PATCH');
+        assert(JSON.parse((await saves.getSave('slot')).data).level === 5, 'Failed patch must not change the save');
+        const patched = await saves.patchSave('slot', data => applyJsonPatch(data, [{ op: 'replace', path: '/level', value: 6 }]));
+        assert(patched.revision === 6 && (await saves.getRevision('slot', 6)).source === 'patch', 'Patches should be recorded as revisions');
+        assert(await saves.patchSave('nowhere', data => data) === null, 'Patching a missing save should return null');
+        console.log('   ✅ Patches atomic');
+
+        // 4. Ownership
+        console.log('\n🔍 Testing per-user saves...');
+        const alice = new SaveService(db, {}, { userId: 1 });
+        const bob = new SaveService(db, {}, { userId: 2 });
+        await alice.writeSave('slot', { who: 'alice' });
+        await bob.writeSave('slot', { who: 'bob' });
+        assert(JSON.parse((await alice.getSave('slot')).data).who === 'alice', 'Alice should read her own save');
+        assert((await bob.listSaves()).length === 1, 'Bob should only list his own saves');
+        assert((await saves.listSaves()).every(row => !SaveService.isReservedId(row.id)), 'The shared namespace should not list user saves');
+
+        const listed = await saves.listSaves({ all: true });
+        assert(listed.filter(row => row.id === 'slot').length === 3, 'Admins should see every owner\'s slot under the id its owner uses');
+        for (const row of listed) {
+            const owner = new SaveService(db, {}, { userId: row.user_id });
+            assert(await owner.getSave(row.id), `Listed save ${row.id} of user ${row.user_id} should load`);
+        }
+        console.log('   ✅ Saves namespaced per user, admin listings loadable');
+
+        // 5. Schemas
+        console.log('\n🔍 Testing save schemas...');
+        const schemas = new SaveSchemaRegistry([
+            { name: 'player', id_prefix: 'player_', schema: { type: 'object', required: ['level'] } }
+        ]);
+        const validated = new SaveService(db, {}, { schemas });
+        const invalid = await expectError(validated.writeSave('player_1', { name: 'x' }), 'SAVE_INVALID');
+        assert(invalid.schema === 'player' && invalid.errors[0].path === '/level', 'Schema errors should point at /level');
+        await expectError(validated.writeSave('slot', {}, { schema: 'missing' }), 'UNKNOWN_SCHEMA');
+        await validated.writeSave('hero', { level: 1 }, { schema: 'player' });
+
+        await saves.writeSave('hero', { name: 'x' });
+        await expectError(validated.writeSave('hero', { name: 'y' }), 'SAVE_INVALID');
+        console.log('   ✅ Schemas enforced, stored schemas kept without a registry');
+
+        // 6. Save data migrations
+        console.log('\n🔍 Testing save data migrations...');
+        writeSaveMigrations();
+        const migrating = new SaveService(db, {}, { migrations: new SaveMigrationManager(MIGRATIONS_DIR) });
+        await saves.writeSave('legacy', { gold: 9 });
+
+        const dryRun = await migrating.migrateAll({ dryRun: true });
+        assert(dryRun.total > 0 && (await migrating.getSave('legacy')).data_version === 0, 'Dry run must not write');
+
+        const loaded = await migrating.loadSave('legacy');
+        assert(loaded.data_version === 1 && JSON.parse(loaded.data).coins === 9, 'GET should migrate lazily');
+
+        const report = await migrating.migrateAll();
+        assert(report.failed === 0 && (await migrating.migrateAll()).total === 0, 'Bulk migration should finish all saves');
+        console.log('   ✅ Saves upgraded lazily and in bulk');
+
+        console.log('\n🎉 Save service tests passed successfully!');
+
+    } catch (error) {
+        console.error('\n❌ Save service test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+        if (fs.existsSync(DB_PATH)) fs.unlinkSync(DB_PATH);
+        fs.rmSync(MIGRATIONS_DIR, { recursive: true, force: true });
+    }
+}
+
+runSaveServiceTest();